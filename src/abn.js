@@ -7,37 +7,70 @@
  * 
  * Usage: 
  *   import { ABN } from './abn.js';
- *   const abn = new ABN();
- *   await abn.querySites({ industry: 'plumbing', state: 'CA' });
+ *   const abn = new ABN({ privateKey: process.env.NOSTR_NSEC });
+ *   await abn.findSites({ industry: 'plumbing', state: 'CA' });
  */
 
-import { registerSite } from './register.js';
+import { registerSite, updateSite, cancelSite } from './register.js';
 import { querySites, findMatches } from './query.js';
-import { postBid } from './bid.js';
+import { postBid, updateBid, renewBid, cancelBid, normalizeBid, validateBid } from './bid.js';
 import { queryBids, watchBids } from './watch.js';
-import { sendDM, readDMs, watchDMs, MessageTypes } from './dm.js';
+import { findDeals } from './matcher.js';
+import { publishExchange, cosignExchange, queryExchanges } from './exchanges.js';
+import { getReputation, getReputations, publishReputation } from './reputation.js';
+import { fetchLinkGraph, analyzeFootprint, checkFootprint, logVerifiedLinks, printFootprint } from './footprint.js';
+import { findLinkCycles, proposeCycle, acceptCycle, declineCycle, reportPlacement, verifyCycle, syncCycle, listCycles, printCycle } from './cycles.js';
+import { openDispute, submitEvidence, collectDispute, resolveDispute, queryResolutions } from './disputes.js';
+import { sendDM, readDMs, watchDMs, acknowledgeDMs, dmProtocol, describeMessage, MessageTypes } from './dm.js';
+import { sendDealMessage, getDeal, listDeals, openDealWith, newDealId, printDeal, checkTransition } from './deals.js';
+import { setPolicy, startNegotiator, listEscalations, clearEscalation, readDecisions } from './negotiator.js';
+import { deliveryReport, listOutbox, flushOutbox, applyAcks } from './outbox.js';
 import { verifyBacklink, batchVerify, generateReport } from './verify.js';
+import { publishRelayList, fetchRelayList, relayStatus } from './relays.js';
 import { createInvoice, payInvoice, checkPayment, getBalance } from './lightning.js';
-import { RELAYS, KINDS, loadPrivateKey, isRelatedIndustry } from './config.js';
-import { getPublicKey, nip19 } from 'nostr-tools';
+import { createContext } from './config.js';
+import { validateIndustry, getTaxonomy } from './taxonomy.js';
+import { readQuarantine, clearQuarantine } from './schema.js';
+import { migrate } from './migrate.js';
+import { verifyDomainOwnership, proofInstructions } from './ownership.js';
+import {
+  clientContext, listClients, addClient, removeClient,
+  setActiveClient, getActiveClient, recordSite, recordBid, forgetSite, forgetBid, readAllDMs
+} from './clients.js';
+import { nip19 } from 'nostr-tools';
 
 /**
  * ABN Client - High-level API for agents
  */
 class ABN {
-  constructor() {
+  /**
+   * Each instance carries its own identity, relays and wallet, so several
+   * clients can run side by side in one process.
+   * @param {object} options - { client, privateKey, passphrase, bunker, signer, relays, wallet, http, footprint }
+   *   client: act as a client from the agency registry (see clients.js)
+   *   footprint: link footprint limits for this client (see FOOTPRINT_THRESHOLDS in footprint.js)
+   *   Anything omitted falls back to env vars and .secrets/ (see createContext)
+   */
+  constructor(options = {}) {
+    this.ctx = options.client ? clientContext(options.client, options) : createContext(options);
     this._pubkey = null;
+    this.footprintThresholds = options.footprint || {};
+  }
+  
+  /**
+   * Close relay connections held by the signer (e.g. a NIP-46 bunker)
+   */
+  async close() {
+    await this.ctx.close();
   }
   
   /**
    * Get your public key (npub)
    */
-  getIdentity() {
+  async getIdentity() {
     if (!this._pubkey) {
       try {
-        const privKey = loadPrivateKey();
-        const decoded = nip19.decode(privKey);
-        const pk = getPublicKey(decoded.data);
+        const pk = await this.ctx.signer.getPublicKey();
         this._pubkey = nip19.npubEncode(pk);
       } catch (e) {
         return { error: 'No private key configured' };
@@ -52,28 +85,46 @@ class ABN {
   
   /**
    * Find sites on the network
-   * @param {object} filters - { industry, state }
+   * @param {object} filters - { industry, state, country, near, radiusMiles, related, verifiedOnly, checkOwnership } (see querySites)
    */
   async findSites(filters = {}) {
-    return querySites(filters);
+    return querySites(filters, this.ctx);
   }
   
   /**
    * Find matching sites for link exchange
+   * Each match carries a scoreBreakdown to show clients why it was picked.
    * @param {object} yourSite - Your site details
    * @param {object} filters - Search filters
+   * @param {object} options - { weights, minScore, includeCompetitors, minReputation, sortBy } (see findMatches)
    */
-  async findExchangePartners(yourSite, filters = {}) {
-    const allSites = await querySites(filters);
-    return findMatches(yourSite, allSites);
+  async findExchangePartners(yourSite, filters = {}, options = {}) {
+    const allSites = await querySites(filters, this.ctx);
+    if (options.minReputation !== undefined || options.sortBy === 'reputation') {
+      options = { ...options, reputations: await getReputations(allSites.map(s => s.pubkey), this.ctx) };
+    }
+    return findMatches(yourSite, allSites, options);
   }
   
   /**
    * Find active bids
-   * @param {object} filters - { industry, type }
+   * @param {object} filters - { type, industry, placement, linkType, state, forIndustry, da, minDA, minPrice, maxPrice, paymentTerms,
+   *   minReputation, sortBy: 'reputation' }
    */
   async findBids(filters = {}) {
-    return queryBids(filters);
+    return queryBids(filters, this.ctx);
+  }
+  
+  /**
+   * Pair seeking bids with offering bids and registered sites
+   * Each deal lists every requirement check with why it passed or failed.
+   * @param {object} filters - { industry, related, bidId, mine } (mine: only our seeking bids)
+   * @param {object} options - { includeFailed, limit }
+   * @returns {Promise<array>} - Ranked deals { seeking, offering?, site?, price, score, pass, checks }
+   */
+  async findDeals(filters = {}, options = {}) {
+    const pubkey = filters.mine ? await this.ctx.signer.getPublicKey() : undefined;
+    return findDeals({ ...filters, pubkey }, this.ctx, options);
   }
   
   // ─────────────────────────────────────────────
@@ -82,9 +133,12 @@ class ABN {
   
   /**
    * Register a site you manage
+   * Needs a domain ownership proof unless options.allowUnverified is set.
    * @param {object} site - Site details
+   * @param {object} options - { allowUnverified }
+   * @returns {Promise<object>} - { event, delivery } (see deliveryReport)
    */
-  async registerSite(site) {
+  async registerSite(site, options = {}) {
     // Validate required fields
     const required = ['name', 'url', 'city', 'state', 'industry'];
     for (const field of required) {
@@ -92,12 +146,31 @@ class ABN {
         throw new Error(`Missing required field: ${field}`);
       }
     }
-    return registerSite(site);
+    site = { ...site, industry: validateIndustry(site.industry) };
+    const result = await registerSite(site, this.ctx, options);
+    if (this.ctx.client) {
+      recordSite(this.ctx.client, site, result.event);
+    }
+    return result;
+  }
+  
+  /**
+   * Check whether our key has proven control of a site's domain
+   * @param {string} url - Site URL
+   * @returns {Promise<object>} - { verified, method, errors, instructions }
+   */
+  async verifyDomain(url) {
+    const pubkey = await this.ctx.signer.getPublicKey();
+    const result = await verifyDomainOwnership(url, pubkey, this.ctx, { fresh: true });
+    return { ...result, instructions: proofInstructions(url, pubkey) };
   }
   
   /**
    * Post a bid seeking or offering links
+   * Takes the canonical bid model (see normalizeBid in bid.js); older
+   * shapes with `sats`, `offer` or `requirements` are converted.
    * @param {object} bid - Bid details
+   * @returns {Promise<object>} - { event, delivery } (see deliveryReport)
    */
   async createBid(bid) {
     if (!bid.type || !['seeking', 'offering'].includes(bid.type)) {
@@ -106,10 +179,86 @@ class ABN {
     if (!bid.industry) {
       throw new Error('Bid must have an industry');
     }
-    if (!bid.sats && bid.type === 'seeking') {
-      throw new Error('Seeking bids must have sats amount');
+    bid = normalizeBid({ ...bid, industry: validateIndustry(bid.industry) });
+    const errors = validateBid(bid);
+    if (errors.length > 0) {
+      throw new Error(`Invalid bid: ${errors.join('; ')}`);
+    }
+    const result = await postBid(bid, this.ctx);
+    if (this.ctx.client) {
+      recordBid(this.ctx.client, bid, result.event);
+    }
+    return result;
+  }
+  
+  /**
+   * Change a registered site in place
+   * @param {string} url - Site URL (can't change)
+   * @param {object} changes - Fields to change
+   * @param {object} options - { allowUnverified }
+   */
+  async updateSite(url, changes, options = {}) {
+    if (changes.industry) {
+      changes = { ...changes, industry: validateIndustry(changes.industry) };
+    }
+    const result = await updateSite(url, changes, this.ctx, options);
+    if (this.ctx.client) {
+      recordSite(this.ctx.client, JSON.parse(result.event.content), result.event);
     }
-    return postBid(bid);
+    return result;
+  }
+  
+  /**
+   * Withdraw a site registration (NIP-09)
+   * @param {string} url - Site URL
+   * @param {string} reason - Optional reason
+   * @returns {Promise<object>} - { event, delivery } (see deliveryReport)
+   */
+  async cancelSite(url, reason = '') {
+    const result = await cancelSite(url, this.ctx, reason);
+    if (this.ctx.client && result.delivery.status !== 'failed') {
+      forgetSite(this.ctx.client, url);
+    }
+    return result;
+  }
+  
+  /**
+   * Change a bid in place, keeping its ID and expiry
+   * @param {string} bidId - Bid ID
+   * @param {object} changes - Fields to change
+   */
+  async updateBid(bidId, changes) {
+    if (changes.industry) {
+      changes = { ...changes, industry: validateIndustry(changes.industry) };
+    }
+    const result = await updateBid(bidId, changes, this.ctx);
+    if (this.ctx.client) {
+      recordBid(this.ctx.client, JSON.parse(result.event.content), result.event);
+    }
+    return result;
+  }
+  
+  /**
+   * Extend a bid's expiry
+   * @param {string} bidId - Bid ID
+   * @param {number} days - Days from now (default: the bid's expiryDays)
+   */
+  async renewBid(bidId, days) {
+    return renewBid(bidId, days, this.ctx);
+  }
+  
+  /**
+   * Withdraw a bid (NIP-09)
+   * @param {string} bidId - Bid ID
+   * @param {string} reason - Optional reason
+   * @returns {Promise<object>} - { event, delivery } (see deliveryReport)
+   */
+  async cancelBid(bidId, reason = '') {
+    const result = await cancelBid(bidId, this.ctx, reason);
+    if (this.ctx.client && result.delivery.status !== 'failed') {
+      forgetBid(this.ctx.client, bidId);
+    }
+    return result;
   }
   
   // ─────────────────────────────────────────────
@@ -120,48 +269,74 @@ class ABN {
    * Send a message to another agent
    * @param {string} npub - Recipient's npub
    * @param {object} message - Message content
+   * @param {object} options - { protocol: 'nip17' | 'nip04' (default: what the partner supports), ack: ask for an ack }
+   * @returns {Promise<object>} - { event, delivery } (see deliveryReport)
    */
-  async sendMessage(npub, message) {
-    return sendDM(npub, message);
+  async sendMessage(npub, message, options = {}) {
+    return sendDM(npub, message, this.ctx, options);
   }
   
   /**
-   * Send an inquiry about a bid
+   * Which DM protocol a partner gets: 'nip17' gift wraps or legacy 'nip04'
+   * @param {string} npub - Agent's npub or hex pubkey
+   */
+  async dmProtocol(npub) {
+    const pubkey = npub.startsWith('npub') ? nip19.decode(npub).data : npub;
+    return dmProtocol(pubkey, this.ctx);
+  }
+  
+  /**
+   * Send an inquiry about a bid, opening a new deal
    * @param {string} npub - Bid owner's npub
    * @param {string} bidId - Bid ID
    * @param {string} message - Your message
+   * @param {string} dealId - Deal ID (default: a new one)
+   * @returns {Promise<object>} - { event, deal }
    */
-  async inquireAboutBid(npub, bidId, message) {
-    return sendDM(npub, MessageTypes.inquiry(bidId, message));
+  async inquireAboutBid(npub, bidId, message, dealId = newDealId()) {
+    return sendDealMessage(npub, MessageTypes.inquiry(bidId, message, dealId), this.ctx);
   }
   
   /**
    * Send a counter-offer
+   * Without a dealId this counters the one open deal with the partner, or
+   * opens a new one if there's none.
    * @param {string} npub - Recipient
    * @param {number} sats - Your counter amount
    * @param {string} terms - Your terms
+   * @param {string} dealId - Deal ID
    */
-  async sendCounterOffer(npub, sats, terms) {
-    return sendDM(npub, MessageTypes.counter(sats, terms));
+  async sendCounterOffer(npub, sats, terms, dealId) {
+    const id = dealId || await openDealWith(npub, this.ctx) || newDealId();
+    return sendDealMessage(npub, MessageTypes.counter(sats, terms, id), this.ctx);
   }
   
   /**
    * Accept a deal and send invoice
    * @param {string} npub - Recipient
    * @param {string} invoice - Lightning invoice
+   * @param {object} link - The link we'll place { from: our site, to, anchor }, to check our footprint first
+   * @param {string} dealId - Deal ID (default: the one open deal with the partner)
    */
-  async acceptDeal(npub, invoice) {
-    return sendDM(npub, MessageTypes.accept(invoice));
+  async acceptDeal(npub, invoice, link = null, dealId) {
+    if (link) {
+      await this.checkFootprint([link], [link.from]);
+    }
+    return sendDealMessage(npub, MessageTypes.accept(invoice, await this.dealIdFor(npub, dealId)), this.ctx);
   }
   
   /**
    * Confirm payment and send link details
+   * Asks the seller for an ack: deliveryReport(event.id).ack shows when
+   * they've read it.
    * @param {string} npub - Recipient
    * @param {string} preimage - Payment preimage
    * @param {object} linkDetails - { url, anchor }
+   * @param {string} dealId - Deal ID (default: the one open deal with the partner)
+   * @returns {Promise<object>} - { event, delivery, deal }
    */
-  async confirmPayment(npub, preimage, linkDetails) {
-    return sendDM(npub, MessageTypes.paid(preimage, linkDetails));
+  async confirmPayment(npub, preimage, linkDetails, dealId) {
+    return sendDealMessage(npub, MessageTypes.paid(preimage, linkDetails, await this.dealIdFor(npub, dealId)), this.ctx, { ack: true });
   }
   
   /**
@@ -169,9 +344,10 @@ class ABN {
    * @param {string} npub - Recipient
    * @param {string} liveUrl - URL where link is live
    * @param {string} proof - Proof URL or hash
+   * @param {string} dealId - Deal ID (default: the one open deal with the partner)
    */
-  async confirmLinkPlaced(npub, liveUrl, proof) {
-    return sendDM(npub, MessageTypes.placed(liveUrl, proof));
+  async confirmLinkPlaced(npub, liveUrl, proof, dealId) {
+    return sendDealMessage(npub, MessageTypes.placed(liveUrl, proof, await this.dealIdFor(npub, dealId)), this.ctx);
   }
   
   /**
@@ -179,17 +355,463 @@ class ABN {
    * @param {string} npub - Recipient
    * @param {boolean} confirmed - Whether verified successfully
    * @param {string} notes - Any notes
+   * @param {string} dealId - Deal ID (default: the one open deal with the partner)
    */
-  async verifyDeal(npub, confirmed, notes = '') {
-    return sendDM(npub, MessageTypes.verified(confirmed, notes));
+  async verifyDeal(npub, confirmed, notes = '', dealId) {
+    return sendDealMessage(npub, MessageTypes.verified(confirmed, notes, await this.dealIdFor(npub, dealId)), this.ctx);
+  }
+  
+  /**
+   * Propose a link trade, opening a new deal
+   * @param {string} npub - Partner's npub
+   * @param {string} mySite - Our site, which links to theirs
+   * @param {string} yourSite - Their site, which links back
+   * @param {string} message - Your message
+   * @param {string} dealId - Deal ID (default: a new one)
+   * @returns {Promise<object>} - { event, deal }
+   */
+  async proposeTrade(npub, mySite, yourSite, message, dealId = newDealId()) {
+    return sendDealMessage(npub, MessageTypes.tradeProposal(mySite, yourSite, message, dealId), this.ctx);
+  }
+  
+  /**
+   * Answer a trade proposal with different sites
+   * @param {string} npub - Partner's npub
+   * @param {string} mySite - Our site
+   * @param {string} yourSite - Their site
+   * @param {string} message - Your message
+   * @param {string} dealId - Deal ID (default: the one open deal with the partner)
+   */
+  async counterTrade(npub, mySite, yourSite, message, dealId) {
+    return sendDealMessage(npub, MessageTypes.counterTrade(mySite, yourSite, message, await this.dealIdFor(npub, dealId)), this.ctx);
+  }
+  
+  /**
+   * Accept a trade proposal
+   * Both links the trade adds are checked against our footprint first;
+   * warnings are printed and returned, and options.stopOnFootprint refuses
+   * the trade instead.
+   * @param {string} npub - Partner's npub
+   * @param {string} dealId - Deal ID (default: the one open deal with the partner)
+   * @param {object} options - { stopOnFootprint }
+   * @returns {Promise<object>} - { event, deal, footprint }
+   */
+  async acceptTrade(npub, dealId, options = {}) {
+    const id = await this.dealIdFor(npub, dealId);
+    const deal = await getDeal(id, this.ctx);
+    const mySite = deal.sites?.[await this.ctx.signer.getPublicKey()];
+    const partnerSite = deal.sites?.[deal.partner];
+    let footprint;
+    if (mySite && partnerSite) {
+      footprint = await this.checkFootprint([{ from: partnerSite, to: mySite }, { from: mySite, to: partnerSite }], [mySite]);
+      if (!footprint.ok && options.stopOnFootprint) {
+        throw new Error(`Trade ${id} would cross our link footprint limits: ${footprint.warnings.map(w => w.check).join(', ')}`);
+      }
+    }
+    return { ...await sendDealMessage(npub, MessageTypes.tradeAccept(id), this.ctx), footprint };
+  }
+  
+  /**
+   * Turn down a trade (or an inquiry) before terms are agreed
+   * @param {string} npub - Partner's npub
+   * @param {string} reason - Why
+   * @param {string} dealId - Deal ID (default: the one open deal with the partner)
+   */
+  async rejectTrade(npub, reason, dealId) {
+    return sendDealMessage(npub, MessageTypes.tradeReject(reason, await this.dealIdFor(npub, dealId)), this.ctx);
+  }
+  
+  /**
+   * Tell the partner our side of a trade is live
+   * @param {string} npub - Partner's npub
+   * @param {string} url - Page carrying our link to them
+   * @param {string} anchor - Anchor text
+   * @param {string} dealId - Deal ID (default: the one open deal with the partner)
+   */
+  async reportLinkPlaced(npub, url, anchor, dealId) {
+    return sendDealMessage(npub, MessageTypes.linkPlaced(url, anchor, await this.dealIdFor(npub, dealId)), this.ctx);
+  }
+  
+  /**
+   * Check the partner's side of a trade and tell them the result
+   * @param {string} dealId - Deal ID
+   * @param {object} options - { targetDomain (default: our site in the deal), dofollow }
+   * @returns {Promise<object>} - { verification, event, deal }
+   */
+  async verifyTrade(dealId, options = {}) {
+    const deal = await getDeal(dealId, this.ctx);
+    const link = deal.links?.[deal.partner];
+    if (!link) {
+      throw new Error(`${dealId}: the partner hasn't placed their link yet`);
+    }
+    const mySite = deal.sites?.[await this.ctx.signer.getPublicKey()];
+    const targetDomain = options.targetDomain || (mySite && new URL(mySite).hostname);
+    if (!targetDomain) {
+      throw new Error(`${dealId}: no site of ours in the deal; pass targetDomain`);
+    }
+    const verification = await this.verifyLink(link.url, targetDomain, { dofollow: options.dofollow });
+    const notes = verification.verified ? 'Link verified!' : verification.message;
+    return { verification, ...await sendDealMessage(deal.partner, MessageTypes.tradeVerified(verification.verified, notes, dealId), this.ctx) };
+  }
+  
+  /**
+   * The deal a message belongs to: the given ID, or the one open deal with the partner
+   * @param {string} npub - Partner's npub or hex pubkey
+   * @param {string} dealId - Deal ID, if known
+   */
+  async dealIdFor(npub, dealId) {
+    const id = dealId || await openDealWith(npub, this.ctx);
+    if (!id) {
+      throw new Error('No open deal with this partner; pass a dealId');
+    }
+    return id;
+  }
+  
+  /**
+   * A deal's current state and full message thread
+   * @param {string} dealId - Deal ID
+   */
+  async getDealThread(dealId) {
+    return getDeal(dealId, this.ctx);
+  }
+  
+  /**
+   * List negotiations, most recently active first
+   * @param {object} filters - { partner: npub, state, open: true }
+   */
+  async listDealThreads(filters = {}) {
+    return listDeals(filters, this.ctx);
+  }
+  
+  /**
+   * Set how the auto-negotiator answers deals about one of our sites
+   * @param {string} site - Our site url
+   * @param {object} policy - { role, floorSats, ceilingSats, industries, states, minDA, minReputation, concessionStep, maxRounds, terms }
+   */
+  setNegotiationPolicy(site, policy) {
+    return setPolicy(site, policy);
+  }
+  
+  /**
+   * Answer incoming inquiries and counters by policy until stopped
+   * Out-of-policy deals wait in negotiationQueue() for a human.
+   * @param {object} options - { dryRun: log decisions without sending }
+   */
+  async startNegotiator(options = {}) {
+    return startNegotiator(this.ctx, options);
+  }
+  
+  /**
+   * Deals the negotiator handed over to a human, oldest first
+   */
+  negotiationQueue() {
+    return listEscalations();
+  }
+  
+  /**
+   * Take a deal off the human queue once it's handled
+   * @param {string} dealId - Deal ID
+   */
+  clearEscalation(dealId) {
+    return clearEscalation(dealId);
+  }
+  
+  /**
+   * The negotiator's decisions with their reasoning, newest first
+   * @param {object} filters - { dealId, limit }
+   */
+  negotiationLog(filters = {}) {
+    return readDecisions(filters);
+  }
+  
+  // ─────────────────────────────────────────────
+  // EXCHANGE HISTORY
+  // ─────────────────────────────────────────────
+  
+  /**
+   * An agent's reputation from exchange records, others' summaries and
+   * DM response times, weighted by web-of-trust distance
+   * @param {string} npub - Agent's npub
+   * @returns {Promise<object>} - { score, completedExchanges, disputedExchanges, activeExchanges, avgResponseTime, basis }
+   */
+  async getReputation(npub) {
+    return getReputation(npub, this.ctx);
+  }
+  
+  /**
+   * Publish our view of an agent's reputation (kind 30102)
+   * @param {string} npub - Agent's npub
+   * @returns {Promise<object>} - { event, reputation, delivery } (see deliveryReport)
+   */
+  async publishReputation(npub) {
+    return publishReputation(npub, this.ctx);
+  }
+  
+  /**
+   * Publish a public completion record (kind 30101) for a verified deal
+   * @param {object} details - { exchangeId, partner, mySite, partnerSite, sats }
+   *   mySite/partnerSite: { url, linkUrl, linkPage } - linkUrl is the page carrying the link to that site
+   * @param {object} options - { verify: true, requireDofollow }
+   * @returns {Promise<object>} - { event, record, delivery } (see deliveryReport)
+   */
+  async recordExchange(details, options = {}) {
+    return publishExchange(details, this.ctx, options);
+  }
+  
+  /**
+   * Co-sign a completion record the other party published
+   * @param {object|string} record - Record event or its id
+   * @param {object} options - { verify: true }
+   * @returns {Promise<object>} - { event, delivery } (see deliveryReport)
+   */
+  async cosignExchange(record, options = {}) {
+    return cosignExchange(record, this.ctx, options);
+  }
+  
+  /**
+   * Completed exchanges for a site or agent
+   * @param {object} filters - { site, npub }
+   * @returns {Promise<array>} - { exchangeId, record, signers, cosigned, verified }
+   */
+  async findExchanges(filters = {}) {
+    return queryExchanges(filters, this.ctx);
+  }
+  
+  // ─────────────────────────────────────────────
+  // LINK RINGS
+  // ─────────────────────────────────────────────
+  
+  /**
+   * Find rings of sites (A → B → C → A) that include one of ours,
+   * so no trade leaves a reciprocal link
+   * @param {object} options - { size: 3, site, limit, weights, minScore }
+   * @returns {Promise<array>} - { sites, legs, score }, best first
+   */
+  async findLinkCycles(options = {}) {
+    return findLinkCycles(this.ctx, options);
+  }
+  
+  /**
+   * Propose a ring from findLinkCycles() to its other owners
+   * @param {object} cycle - Ring
+   * @param {string} message - Note for the other owners
+   * @returns {Promise<object>} - Ring record
+   */
+  async proposeCycle(cycle, message) {
+    return proposeCycle(cycle, this.ctx, message);
+  }
+  
+  /**
+   * Join a ring we were invited to
+   * @param {string} cycleId - Ring ID
+   */
+  async acceptCycle(cycleId) {
+    return acceptCycle(cycleId, this.ctx);
+  }
+  
+  /**
+   * Refuse a ring
+   * @param {string} cycleId - Ring ID
+   * @param {string} reason - Why
+   */
+  async declineCycle(cycleId, reason) {
+    return declineCycle(cycleId, reason, this.ctx);
+  }
+  
+  /**
+   * Tell the ring our link is live
+   * @param {string} cycleId - Ring ID
+   * @param {string} liveUrl - Page carrying the link
+   */
+  async reportCyclePlacement(cycleId, liveUrl) {
+    return reportPlacement(cycleId, liveUrl, this.ctx);
+  }
+  
+  /**
+   * Verify the ring's links to our sites and tell the ring
+   * @param {string} cycleId - Ring ID
+   */
+  async verifyCycle(cycleId) {
+    return verifyCycle(cycleId, this.ctx);
+  }
+  
+  /**
+   * A ring's progress, updated from our inbox
+   * @param {string} cycleId - Ring ID
+   * @returns {Promise<object>} - { status, participants, accepted, legs: [{ from, to, state, liveUrl }] }
+   */
+  async getCycle(cycleId) {
+    return syncCycle(cycleId, this.ctx);
+  }
+  
+  // ─────────────────────────────────────────────
+  // DISPUTES
+  // ─────────────────────────────────────────────
+  
+  /**
+   * Open a dispute over a deal, naming an arbiter both sides trust
+   * @param {string} respondentNpub - Other party
+   * @param {object} details - { regarding, reason, arbiter, evidence: { verifications, snapshots, payments, notes } }
+   * @returns {Promise<object>} - { disputeId, evidence }
+   */
+  async openDispute(respondentNpub, details) {
+    return openDispute(respondentNpub, details, this.ctx);
+  }
+  
+  /**
+   * Answer a dispute opened against us: agree to its arbiter and send our evidence
+   * @param {string} disputeId - Dispute ID
+   * @param {object} evidence - { verifications, snapshots, payments, notes }
+   * @returns {Promise<object>} - Evidence bundle sent
+   */
+  async respondToDispute(disputeId, evidence = {}) {
+    const dispute = await collectDispute(disputeId, this.ctx);
+    return submitEvidence(dispute.claimant, disputeId, { arbiter: dispute.arbiter, agree: true, evidence }, this.ctx);
+  }
+  
+  /**
+   * Send more evidence for a dispute we're a party to
+   * @param {string} disputeId - Dispute ID
+   * @param {object} evidence - { verifications, snapshots, payments, notes }
+   * @returns {Promise<object>} - Evidence bundle sent
+   */
+  async addEvidence(disputeId, evidence) {
+    const dispute = await collectDispute(disputeId, this.ctx);
+    const pubkey = await this.ctx.signer.getPublicKey();
+    const counterparty = dispute.claimant === pubkey ? dispute.respondent : dispute.claimant;
+    return submitEvidence(counterparty, disputeId, { arbiter: dispute.arbiter, evidence }, this.ctx);
+  }
+  
+  /**
+   * Everything our inbox holds about a dispute
+   * @param {string} disputeId - Dispute ID
+   * @returns {Promise<object>} - { claimant, respondent, arbiter, agreements, evidence, resolution }
+   */
+  async getDispute(disputeId) {
+    return collectDispute(disputeId, this.ctx);
+  }
+  
+  /**
+   * Rule on a dispute we were chosen to arbitrate (publishes kind 30104)
+   * @param {string} disputeId - Dispute ID
+   * @param {object} ruling - { outcome: 'claimant' | 'respondent' | 'split' | 'dismissed', summary, refundSats }
+   * @returns {Promise<object>} - { event, delivery } (see deliveryReport)
+   */
+  async resolveDispute(disputeId, ruling) {
+    return resolveDispute(disputeId, ruling, this.ctx);
+  }
+  
+  /**
+   * Published resolutions involving an agent
+   * @param {string} npub - Agent's npub
+   * @returns {Promise<array>} - { id, disputeId, claimant, respondent, arbiter, outcome, summary }
+   */
+  async findResolutions(npub) {
+    return queryResolutions(npub, this.ctx);
   }
   
   /**
    * Read your messages
-   * @param {object} options - { since, from }
+   * Merges NIP-17 gift wraps and NIP-04 DMs; each message carries its `protocol`.
+   * Messages that ask for an ack get one, unless options.ack is false.
+   * @param {object} options - { since, from, ack }
    */
   async readMessages(options = {}) {
-    return readDMs(options);
+    const messages = await readDMs(options, this.ctx);
+    if (options.ack !== false) {
+      await acknowledgeDMs(messages, this.ctx);
+    }
+    return messages;
+  }
+  
+  /**
+   * Read messages for every agency client in one inbox
+   * Each message carries { client, clientName }.
+   * @param {object} options - { since, from, clients: [ids], passphrase }
+   */
+  async readAllClientMessages(options = {}) {
+    return readAllDMs(options);
+  }
+  
+  // ─────────────────────────────────────────────
+  // OUTBOX
+  // ─────────────────────────────────────────────
+  
+  /**
+   * How a site, bid or DM we sent is getting on: each relay's response,
+   * retries, and for DMs sent with an ack, whether it was read
+   * Checks our DMs for the ack if it hasn't come yet.
+   * @param {string} eventId - Event ID
+   * @returns {Promise<object|null>} - { id, label, status, accepted, rejected, attempts, nextAttemptAt, relays, ack }
+   */
+  async deliveryReport(eventId) {
+    const report = deliveryReport(eventId);
+    if (report?.ack && !report.ack.receivedAt) {
+      applyAcks(await readDMs({ from: report.ack.to, since: report.createdAt }, this.ctx));
+      return deliveryReport(eventId);
+    }
+    return report;
+  }
+  
+  /**
+   * Everything in the outbox, newest first
+   * @param {object} filters - { status: 'pending' | 'delivered' | 'failed' }
+   */
+  outbox(filters = {}) {
+    return listOutbox(filters);
+  }
+  
+  /**
+   * Retry queued events whose backoff has passed
+   * @param {object} options - { all: retry every pending event now }
+   * @returns {Promise<array>} - Delivery reports for the events tried
+   */
+  async flushOutbox(options = {}) {
+    return flushOutbox(this.ctx, options);
+  }
+  
+  // ─────────────────────────────────────────────
+  // RELAYS
+  // ─────────────────────────────────────────────
+  
+  /**
+   * Publish your NIP-65 relay list and NIP-17 DM relays so partners' DMs reach you
+   * @param {object} lists - { read, write } (default: your relays)
+   * @returns {Promise<object>} - { event, delivery, dmList: { event, delivery } } (see deliveryReport)
+   */
+  async publishRelayList(lists = {}) {
+    return publishRelayList(this.ctx, lists);
+  }
+  
+  /**
+   * Look up another agent's NIP-65 relay list
+   * @param {string} npub - Agent's npub or hex pubkey
+   */
+  async getRelayList(npub) {
+    const pubkey = npub.startsWith('npub') ? nip19.decode(npub).data : npub;
+    return fetchRelayList(pubkey, this.ctx);
+  }
+  
+  /**
+   * Relay health: latency, failure rate and score per relay
+   */
+  relayStatus() {
+    return relayStatus();
+  }
+  
+  /**
+   * Re-publish our protocol v1 registrations and bids on the v2 kinds
+   * @param {object} options - { dryRun }
+   */
+  async migrate(options = {}) {
+    return migrate(this.ctx, options);
+  }
+  
+  /**
+   * Incoming events rejected by signature or schema checks, newest first
+   */
+  quarantine() {
+    return readQuarantine();
   }
   
   // ─────────────────────────────────────────────
@@ -202,7 +824,7 @@ class ABN {
    * @param {string} dealId - Deal reference
    */
   async createInvoice(sats, dealId) {
-    return createInvoice(sats, dealId);
+    return createInvoice(sats, dealId, this.ctx);
   }
   
   /**
@@ -210,7 +832,7 @@ class ABN {
    * @param {string} bolt11 - Invoice to pay
    */
   async payInvoice(bolt11) {
-    return payInvoice(bolt11);
+    return payInvoice(bolt11, this.ctx);
   }
   
   /**
@@ -218,14 +840,14 @@ class ABN {
    * @param {string} paymentHash - Payment hash
    */
   async checkPayment(paymentHash) {
-    return checkPayment(paymentHash);
+    return checkPayment(paymentHash, this.ctx);
   }
   
   /**
    * Get Lightning wallet balance
    */
   async getBalance() {
-    return getBalance();
+    return getBalance(this.ctx);
   }
   
   // ─────────────────────────────────────────────
@@ -239,7 +861,9 @@ class ABN {
    * @param {object} options - { anchor, dofollow, exactUrl }
    */
   async verifyLink(pageUrl, targetDomain, options = {}) {
-    return verifyBacklink(pageUrl, targetDomain, options);
+    const result = await verifyBacklink(pageUrl, targetDomain, options, this.ctx);
+    logVerifiedLinks([result]);
+    return result;
   }
   
   /**
@@ -247,7 +871,39 @@ class ABN {
    * @param {array} checks - Array of { pageUrl, targetDomain, options }
    */
   async verifyLinks(checks) {
-    return batchVerify(checks);
+    const results = await batchVerify(checks, this.ctx);
+    logVerifiedLinks(results);
+    return results;
+  }
+  
+  // ─────────────────────────────────────────────
+  // LINK FOOTPRINT
+  // ─────────────────────────────────────────────
+  
+  /**
+   * Footprint report for our sites: reciprocal ratio, anchor mix, link
+   * velocity and link-network clusters, from the links we verified and
+   * the network's exchange records
+   * @param {array} sites - Our site urls
+   * @returns {Promise<object>} - { sites, clusters, warnings }
+   */
+  async analyzeFootprint(sites) {
+    return analyzeFootprint(await fetchLinkGraph(sites, this.ctx), sites, { thresholds: this.footprintThresholds });
+  }
+  
+  /**
+   * Warn if new links would push our sites past the footprint limits
+   * @param {array} links - Proposed links { from, to, anchor }
+   * @param {array} sites - Our site urls among them
+   * @returns {Promise<object>} - { ok, warnings }
+   */
+  async checkFootprint(links, sites) {
+    const graph = await fetchLinkGraph([...sites, ...links.flatMap(link => [link.from, link.to])], this.ctx);
+    const { ok, warnings } = checkFootprint(graph, sites, links, { thresholds: this.footprintThresholds });
+    for (const w of warnings) {
+      console.log(`⚠ Footprint: ${w.site} ${w.check}: ${w.message}`);
+    }
+    return { ok, warnings };
   }
   
   // ─────────────────────────────────────────────
@@ -256,39 +912,82 @@ class ABN {
   
   /**
    * Full deal flow helper
+   * With deal.mySite and deal.partnerSite, the link footprint is checked
+   * first; warnings are printed and returned, and deal.stopOnFootprint
+   * stops the deal before any step. Messages join deal.dealId, the deal
+   * the inquiry opens, or the one open deal with the partner. Paying,
+   * invoicing and verifying each wait for the deal to reach them: a step
+   * the thread doesn't allow yet (say, paying before the seller's accept
+   * with this invoice) is held, and the result says why.
    * @param {object} deal - Deal configuration
+   * @returns {Promise<object>} - { dealId, footprint, steps, held, ... } (held: why the deal stopped)
    */
   async executeDeal(deal) {
     console.log('🤝 Executing ABN deal...');
     
     const steps = [];
+    const me = await this.ctx.signer.getPublicKey();
+    
+    // Why a step can't be taken yet, checked before any sats move
+    const hold = async (type, step) => {
+      dealId = await this.dealIdFor(deal.partner, dealId);
+      const current = await this.getDealThread(dealId);
+      const reason = checkTransition(current, { type, fromHex: me })
+        || (type === 'paid' && current.invoice !== deal.invoice ? "the invoice isn't the one in the seller's accept" : null);
+      if (reason) {
+        console.log(`⚠ ${step} held on ${dealId}: ${reason}`);
+        steps.push(`${step}_held`);
+      }
+      return reason;
+    };
     
-    // Step 1: Inquiry
+    // Step 0: Footprint check, if we know both sites. Buyers get a link,
+    // sellers give one, an exchange does both.
+    let footprint;
+    if (deal.mySite && deal.partnerSite) {
+      const toUs = { from: deal.partnerSite, to: deal.mySite, anchor: deal.linkDetails?.anchor };
+      const fromUs = { from: deal.mySite, to: deal.partnerSite };
+      const links = deal.role === 'buyer' ? [toUs] : deal.role === 'seller' ? [fromUs] : [toUs, fromUs];
+      footprint = await this.checkFootprint(links, [deal.mySite]);
+      if (!footprint.ok && deal.stopOnFootprint) {
+        steps.push('footprint_stopped');
+        return { footprint, steps };
+      }
+    }
+    
+    // Step 1: Inquiry, which opens the deal thread every later message joins
+    let dealId = deal.dealId;
     if (deal.inquiry) {
-      await this.inquireAboutBid(deal.partner, deal.bidId, deal.inquiry);
+      dealId = (await this.inquireAboutBid(deal.partner, deal.bidId, deal.inquiry, dealId)).deal.dealId;
       steps.push('inquiry_sent');
     }
     
-    // Step 2: If we're the buyer, wait for invoice then pay
+    // Step 2: If we're the buyer, pay the invoice the seller accepted with
     if (deal.invoice && deal.role === 'buyer') {
+      const held = await hold('paid', 'payment');
+      if (held) return { dealId, footprint, steps, held };
       const payment = await this.payInvoice(deal.invoice);
       steps.push('payment_sent');
       
       // Confirm payment
-      await this.confirmPayment(deal.partner, payment.preimage, deal.linkDetails);
+      await this.confirmPayment(deal.partner, payment.preimage, deal.linkDetails, dealId);
       steps.push('payment_confirmed');
     }
     
     // Step 3: If we're the seller, create invoice
     if (deal.sats && deal.role === 'seller') {
+      const held = await hold('accept', 'invoice');
+      if (held) return { dealId, footprint, steps, held };
       const invoice = await this.createInvoice(deal.sats, deal.bidId);
-      await this.acceptDeal(deal.partner, invoice.paymentRequest);
+      await this.acceptDeal(deal.partner, invoice.paymentRequest, null, dealId);
       steps.push('invoice_sent');
-      return { invoice, steps };
+      return { invoice, dealId, footprint, steps };
     }
     
     // Step 4: Verify link placement
     if (deal.verifyUrl && deal.targetDomain) {
+      const held = await hold('verified', 'verification');
+      if (held) return { dealId, footprint, steps, held };
       await new Promise(r => setTimeout(r, 5000)); // Wait for link to be live
       const verification = await this.verifyLink(deal.verifyUrl, deal.targetDomain, {
         dofollow: deal.requireDofollow
@@ -297,45 +996,356 @@ class ABN {
       
       // Confirm verification
       await this.verifyDeal(deal.partner, verification.verified, 
-        verification.verified ? 'Link verified!' : verification.message);
+        verification.verified ? 'Link verified!' : verification.message, dealId);
       steps.push('deal_complete');
       
-      return { verification, steps };
+      // Public completion record, if we know both sites
+      if (verification.verified && deal.mySite && deal.partnerSite) {
+        const { event } = await this.recordExchange({
+          exchangeId: deal.exchangeId || deal.bidId || `exchange-${Date.now()}`,
+          partner: deal.partner,
+          mySite: { url: deal.mySite, linkUrl: deal.verifyUrl },
+          partnerSite: { url: deal.partnerSite },
+          sats: deal.sats
+        }, { requireDofollow: deal.requireDofollow });
+        steps.push('exchange_recorded');
+        return { verification, record: event, dealId, footprint, steps };
+      }
+      
+      return { verification, dealId, footprint, steps };
     }
     
-    return { steps };
+    return { dealId, footprint, steps };
   }
 }
 
 // CLI interface
-const [,, action, ...args] = process.argv;
+const argv = process.argv.slice(2);
+const clientFlag = argv.find(a => a.startsWith('--client='))?.split('=')[1];
+const [action, ...args] = argv.filter(a => !a.startsWith('--client='));
+
+// field=value args to a changes object: "offer.sats=6000" -> { offer: { sats: 6000 } }
+function parseChanges(args) {
+  const changes = {};
+  for (const arg of args) {
+    const [path, ...raw] = arg.split('=');
+    const text = raw.join('=');
+    const value = text !== '' && !isNaN(Number(text)) ? Number(text)
+      : text === 'true' ? true
+      : text === 'false' ? false
+      : text.includes(',') ? text.split(',')
+      : text;
+    const keys = path.split('.');
+    let target = changes;
+    for (const key of keys.slice(0, -1)) {
+      target = target[key] ??= {};
+    }
+    target[keys[keys.length - 1]] = value;
+  }
+  return changes;
+}
 
 async function main() {
-  const abn = new ABN();
+  // Act as --client=<id>, else the active agency client, else the default key
+  const client = clientFlag || (action !== 'clients' && getActiveClient());
+  const abn = client ? new ABN({ client }) : new ABN();
   
   switch (action) {
     case 'sites':
-      const [industry, state] = args;
-      const sites = await abn.findSites({ industry, state });
+      const [industry, state] = args.filter(a => !a.startsWith('--'));
+      const sites = await abn.findSites({
+        industry,
+        state,
+        verifiedOnly: args.includes('--verified'),
+        near: args.find(a => a.startsWith('--near='))?.split('=')[1],
+        radiusMiles: parseFloat(args.find(a => a.startsWith('--radius='))?.split('=')[1]) || undefined
+      });
       console.log(`\nFound ${sites.length} sites`);
       break;
       
     case 'bids':
-      const bids = await abn.findBids({ industry: args[0] });
+      const flag = name => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+      const bids = await abn.findBids({
+        industry: args.find(a => !a.startsWith('--')),
+        type: flag('type'),
+        state: flag('state'),
+        placement: flag('placement'),
+        linkType: flag('link'),
+        da: flag('da') ? parseFloat(flag('da')) : undefined,
+        maxPrice: flag('max-sats') ? parseInt(flag('max-sats')) : undefined,
+        minReputation: flag('min-reputation') ? parseInt(flag('min-reputation')) : undefined
+      });
       console.log(`\nFound ${bids.length} active bids`);
       break;
       
+    case 'deals':
+      const deals = await abn.findDeals({
+        industry: args.find(a => !a.startsWith('--')),
+        bidId: args.find(a => a.startsWith('--bid='))?.split('=')[1],
+        mine: args.includes('--mine')
+      }, { includeFailed: args.includes('--all'), limit: 20 });
+      for (const deal of deals) {
+        const host = deal.offering ? `${deal.offering.bid.site} (offer ${deal.offering.bidId})` : `${deal.site.url} (site)`;
+        console.log(`\n${deal.pass ? '✓' : '✗'} ${deal.seeking.bid.site} ← ${host}: ${deal.price} sats, score ${deal.score}`);
+        for (const c of deal.checks) {
+          console.log(`   ${c.pass ? '✓' : '✗'} ${c.check}: ${c.reason}`);
+        }
+      }
+      console.log(`\n${deals.filter(d => d.pass).length} viable deals`);
+      break;
+      
+    case 'exchanges':
+      const who = args[0] || (await abn.getIdentity()).npub;
+      const exchanges = await abn.findExchanges(who.startsWith('http') ? { site: who } : { npub: who });
+      for (const { record, cosigned, verified } of exchanges) {
+        console.log(`${verified ? '✓' : '✗'} ${record.exchangeId}: ${record.siteA.url} ⇄ ${record.siteB.url} (${cosigned ? 'co-signed' : 'one signature'})`);
+      }
+      console.log(`\n${exchanges.length} completed exchanges`);
+      break;
+      
+    case 'reputation':
+      if (!args[0]) {
+        console.log('Usage: node src/abn.js reputation <npub> [--publish]');
+        process.exit(1);
+      }
+      const rep = args.includes('--publish')
+        ? (await abn.publishReputation(args[0])).reputation
+        : await abn.getReputation(args[0]);
+      console.log(`\nReputation ${rep.score}/100: ${rep.completedExchanges} completed, ${rep.disputedExchanges} disputed, ${rep.activeExchanges} open with us`);
+      console.log(`Avg response: ${rep.avgResponseTime === null ? 'unknown' : `${rep.avgResponseTime}h`}`);
+      break;
+      
+    case 'exchange':
+      if (args[0] !== 'cosign' || !args[1]) {
+        console.log('Usage: node src/abn.js exchange cosign <eventId>');
+        process.exit(1);
+      }
+      await abn.cosignExchange(args[1]);
+      break;
+      
+    case 'footprint': {
+      if (args.length === 0) {
+        console.log('Usage: node src/abn.js footprint <siteUrl> [siteUrl...]');
+        process.exit(1);
+      }
+      printFootprint(await abn.analyzeFootprint(args));
+      break;
+    }
+      
+    case 'cycles': {
+      const size = parseInt(args.find(a => a.startsWith('--size='))?.split('=')[1]) || undefined;
+      const cycles = await abn.findLinkCycles({ size });
+      cycles.forEach((cycle, i) => {
+        console.log(`\n${i + 1}. ${cycle.sites.join(' → ')} → ${cycle.sites[0]} (weakest leg ${cycle.score})`);
+      });
+      console.log(`\n${cycles.length} rings`);
+      const pick = parseInt(args.find(a => a.startsWith('--propose='))?.split('=')[1]);
+      if (pick) {
+        if (!cycles[pick - 1]) {
+          console.log(`✗ No ring ${pick}`);
+          process.exit(1);
+        }
+        await abn.proposeCycle(cycles[pick - 1]);
+      }
+      break;
+    }
+      
+    case 'cycle': {
+      const [sub, cycleId, ...rest] = args;
+      if (sub === 'list') {
+        for (const record of listCycles()) printCycle(record);
+      } else if (sub === 'show' && cycleId) {
+        printCycle(await abn.getCycle(cycleId));
+      } else if (sub === 'accept' && cycleId) {
+        printCycle(await abn.acceptCycle(cycleId));
+      } else if (sub === 'decline' && cycleId) {
+        printCycle(await abn.declineCycle(cycleId, rest.join(' ') || undefined));
+      } else if (sub === 'placed' && cycleId && rest[0]) {
+        printCycle(await abn.reportCyclePlacement(cycleId, rest[0]));
+      } else if (sub === 'verify' && cycleId) {
+        printCycle(await abn.verifyCycle(cycleId));
+      } else {
+        console.log('Usage: node src/abn.js cycle list');
+        console.log('       node src/abn.js cycle show|accept|verify <cycleId>');
+        console.log('       node src/abn.js cycle decline <cycleId> [reason]');
+        console.log('       node src/abn.js cycle placed <cycleId> <liveUrl>');
+        process.exit(1);
+      }
+      break;
+    }
+      
+    case 'dispute': {
+      const [sub, target, ...rest] = args.filter(a => !a.startsWith('--'));
+      const opt = name => args.find(a => a.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+      const evidence = {
+        verifications: opt('link') ? [{ pageUrl: opt('link'), targetDomain: opt('domain') }] : [],
+        snapshots: opt('snapshot') ? [opt('snapshot')] : [],
+        payments: opt('preimage') ? [{ paymentHash: opt('hash'), preimage: opt('preimage') }] : []
+      };
+      if (sub === 'open' && target && opt('arbiter')) {
+        const { disputeId } = await abn.openDispute(target, { regarding: opt('deal'), reason: rest.join(' ') || 'unspecified', arbiter: opt('arbiter'), evidence });
+        console.log(`✓ Opened ${disputeId}`);
+      } else if (sub === 'respond' && target) {
+        await abn.respondToDispute(target, evidence);
+        console.log(`✓ Agreed to the arbiter and sent evidence for ${target}`);
+      } else if (sub === 'show' && target) {
+        const d = await abn.getDispute(target);
+        console.log(`\n${d.disputeId}${d.regarding ? ` (${d.regarding})` : ''}: ${d.reason}`);
+        console.log(`   Arbiter agreed by ${d.agreements.length}/2 parties`);
+        for (const e of d.evidence) {
+          console.log(`   ${e.at.slice(0, 10)} ${e.from.slice(0, 12)}...: ${e.verifications.length} link checks, ${e.snapshots.length} snapshots, ${e.payments.length} payment proofs`);
+        }
+        if (d.resolution) console.log(`   Resolved: ${d.resolution.outcome}${d.resolution.summary ? ` (${d.resolution.summary})` : ''}`);
+      } else if (sub === 'resolve' && target && rest[0]) {
+        const [outcome, ...summary] = rest;
+        await abn.resolveDispute(target, { outcome, summary: summary.join(' ') || undefined, refundSats: opt('refund') ? parseInt(opt('refund')) : undefined });
+        console.log(`✓ Resolved ${target}: ${outcome}`);
+      } else {
+        console.log('Usage: node src/abn.js dispute open <npub> <reason> --arbiter=<npub> [--deal=<id>] [evidence]');
+        console.log('       node src/abn.js dispute respond <disputeId> [evidence]');
+        console.log('       node src/abn.js dispute show <disputeId>');
+        console.log('       node src/abn.js dispute resolve <disputeId> <claimant|respondent|split|dismissed> [summary] [--refund=sats]');
+        console.log('Evidence: --link=<page> --domain=<site> --snapshot=<url> --hash=<payment hash> --preimage=<hex>');
+        process.exit(1);
+      }
+      break;
+    }
+      
+    case 'threads': {
+      const pubkey = await abn.ctx.signer.getPublicKey();
+      const deals = await abn.listDealThreads({ state: args.find(a => !a.startsWith('--')), open: args.includes('--open') });
+      for (const deal of deals) printDeal(deal, pubkey);
+      console.log(`\n${deals.length} deals`);
+      break;
+    }
+      
+    case 'thread': {
+      if (!args[0]) {
+        console.log('Usage: node src/abn.js thread <dealId>');
+        process.exit(1);
+      }
+      printDeal(await abn.getDealThread(args[0]), await abn.ctx.signer.getPublicKey());
+      break;
+    }
+      
     case 'messages':
       const messages = await abn.readMessages();
       console.log(`\nYou have ${messages.length} messages`);
       for (const m of messages.slice(0, 5)) {
-        console.log(`  ${m.type}: ${m.message || m.regarding || '(no preview)'}`);
+        console.log(`  ${m.type}: ${describeMessage(m)}`);
       }
       break;
       
     case 'identity':
-      const id = abn.getIdentity();
-      console.log(`\nYour identity: ${id.npub || id.error}`);
+      const id = await abn.getIdentity();
+      console.log(`\nYour identity: ${id.npub || id.error}${client ? ` (client: ${client})` : ''}`);
+      break;
+      
+    case 'inbox':
+      const inbox = await abn.readAllClientMessages();
+      console.log(`\n${inbox.length} messages across all clients`);
+      for (const m of inbox.slice(0, 20)) {
+        console.log(`  [${m.client}] ${m.type}: ${m.message || m.regarding || '(no preview)'}`);
+      }
+      break;
+      
+    case 'clients':
+      const [sub, clientId, ...rest] = args;
+      if (sub === 'add') {
+        const added = addClient(clientId, { name: rest.join(' ') || clientId });
+        console.log(`✓ Added client ${added.id}: ${added.npub}`);
+      } else if (sub === 'use') {
+        setActiveClient(clientId);
+        console.log(`✓ Active client: ${clientId}`);
+      } else if (sub === 'remove') {
+        removeClient(clientId);
+        console.log(`✓ Removed client ${clientId}`);
+      } else {
+        const clients = listClients();
+        console.log(`\n${clients.length} client(s):`);
+        for (const c of clients) {
+          console.log(`${c.active ? '▶' : ' '} ${c.id} - ${c.name} (${c.sites.length} sites, ${c.bids.length} bids)`);
+          console.log(`    ${c.npub || '(bunker)'}`);
+        }
+      }
+      break;
+      
+    case 'domain': {
+      if (!args[0]) {
+        console.log('Usage: node src/abn.js domain <url>');
+        break;
+      }
+      const proof = await abn.verifyDomain(args[0]);
+      console.log(proof.verified ? `✓ Verified via ${proof.method}` : `✗ Not verified\n\n${proof.instructions}`);
+      break;
+    }
+      
+    case 'site':
+    case 'bid': {
+      const [op, target, ...rest] = args;
+      if (!target || !['update', 'cancel', 'renew'].includes(op) || (op === 'renew' && action === 'site')) {
+        console.log(`Usage: node src/abn.js ${action} ${action === 'bid' ? 'update|renew|cancel <bidId>' : 'update|cancel <url>'} [field=value ...]`);
+        break;
+      }
+      let result;
+      if (op === 'update') {
+        const changes = parseChanges(rest);
+        result = action === 'site' ? await abn.updateSite(target, changes) : await abn.updateBid(target, changes);
+      } else if (op === 'renew') {
+        result = await abn.renewBid(target, parseInt(rest[0]) || undefined);
+      } else {
+        result = action === 'site' ? await abn.cancelSite(target, rest.join(' ')) : await abn.cancelBid(target, rest.join(' '));
+      }
+      // The outbox has already said why when no relay took it
+      const { event, delivery } = result;
+      const mark = { delivered: '✓', pending: '⚠', failed: '✗' }[delivery.status];
+      console.log(`\n${mark} ${action} ${op}: ${event.id} (${delivery.status})`);
+      if (delivery.status === 'failed') process.exitCode = 1;
+      break;
+    }
+      
+    case 'migrate':
+      const { migrated, skipped } = await abn.migrate({ dryRun: args.includes('--dry-run') });
+      console.log(`\n✓ ${migrated.length} listing(s) migrated, ${skipped.length} skipped`);
+      break;
+      
+    case 'quarantine':
+      if (args[0] === 'clear') {
+        clearQuarantine();
+        console.log('✓ Quarantine cleared');
+        break;
+      }
+      const rejected = abn.quarantine();
+      console.log(`\n${rejected.length} quarantined event(s):`);
+      for (const e of rejected.slice(0, 20)) {
+        console.log(`  ${e.quarantinedAt} ${e.type} ${String(e.id).slice(0, 8)}... ${e.reason}`);
+      }
+      break;
+      
+    case 'industries':
+      const taxonomy = getTaxonomy();
+      if (!args[0]) {
+        for (const entry of taxonomy.list().filter(e => !e.parent)) {
+          console.log(`${entry.id}: ${taxonomy.descendants(entry.id).join(', ')}`);
+        }
+        break;
+      }
+      const entry = taxonomy.get(args[0]);
+      if (!entry) {
+        console.log(`Unknown industry "${args[0]}". Try: ${taxonomy.suggest(args[0]).join(', ') || '(no suggestions)'}`);
+        break;
+      }
+      console.log(`\n${entry.name} (${entry.id})${entry.naics ? ` NAICS ${entry.naics}` : ''}`);
+      console.log(`  Categories: ${taxonomy.ancestors(entry.id).join(' > ') || '(top level)'}`);
+      console.log(`  Synonyms: ${entry.synonyms.join(', ') || '(none)'}`);
+      const related = taxonomy.list()
+        .map(e => ({ id: e.id, weight: taxonomy.relatedness(entry.id, e.id) }))
+        .filter(r => r.weight > 0 && r.weight < 1)
+        .sort((a, b) => b.weight - a.weight);
+      console.log('  Related:');
+      for (const r of related.slice(0, 10)) {
+        console.log(`    ${r.weight.toFixed(2)}  ${r.id}`);
+      }
       break;
       
     default:
@@ -349,14 +1359,46 @@ Usage: node src/abn.js <command> [args]
 
 Commands:
   identity            Show your Nostr identity
-  sites [ind] [st]    Find registered sites
-  bids [industry]     Find active bids
+  sites [ind] [st] [--verified] [--near=lat,lng --radius=mi]
+                      Find registered sites (--verified: proven domains only)
+  domain <url>        Check or set up proof that you own a site's domain
+  bids [industry] [--type=seeking|offering --state=CA --placement=blog
+       --link=dofollow --da=32 --max-sats=5000 --min-reputation=60]
+                      Find active bids
+  deals [industry] [--mine] [--bid=<id>] [--all]
+                      Pair seeking bids with offers and sites (--all: show failed checks)
+  site update <url> field=value ...      Change a registered site
+  site cancel <url> [reason]             Withdraw a site (NIP-09)
+  bid update <bidId> price.sats=6000 ... Change a bid in place
+  bid renew <bidId> [days]               Extend a bid's expiry
+  bid cancel <bidId> [reason]            Withdraw a bid (NIP-09)
+  exchanges [npub|url] Completed exchanges (default: yours)
+  exchange cosign <eventId>              Co-sign a partner's completion record
+  reputation <npub> [--publish]          Agent reputation from network history
+  footprint <url...>  Reciprocal ratio, anchors, link velocity and clusters for our sites
+  cycles [--size=4] [--propose=<n>]      Find link rings (A → B → C → A) with our sites
+  cycle list|show|accept|decline|placed|verify ...
+                      Take part in a ring and track each leg
+  dispute open|respond|show|resolve ...  Disputes settled by an agreed arbiter
+  threads [state] [--open]               Negotiations by deal, with their current state
+  thread <dealId>     One deal's state and full message thread
   messages            Read your DMs
+  migrate [--dry-run] Re-publish v1 listings on the v2 event kinds
+  quarantine [clear]  Show invalid events that were rejected
+  industries [name]   Show the industry taxonomy, or one industry's relations
+  inbox               Read DMs for all agency clients
+
+Agency mode:
+  clients             List clients
+  clients add <id> [name]   Add a client with its own key
+  clients use <id>    Switch the active client
+  clients remove <id> Remove a client
+  --client=<id>       Run any command as that client
 
 For programmatic use, import the ABN class:
 
   import { ABN } from './abn.js';
-  const abn = new ABN();
+  const abn = new ABN({ privateKey: process.env.NOSTR_NSEC, relays });
   
   // Find partners
   const sites = await abn.findSites({ industry: 'plumbing' });
@@ -370,8 +1412,14 @@ For programmatic use, import the ABN class:
 Protocol: Nostr | Payment: Lightning | Author: Ripper ⚡🦈
 `);
   }
+  
+  await abn.close();
 }
 
-main().catch(console.error);
+// Only run CLI when executed directly
+const isMainModule = process.argv[1]?.endsWith('abn.js');
+if (isMainModule) {
+  main().catch(console.error);
+}
 
 export { ABN };
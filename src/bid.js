@@ -2,80 +2,259 @@
 // Post a link bid to the ABN network
 // Usage: NOSTR_PRIVATE_KEY=nsec1... node src/bid.js
 
-import { finalizeEvent, getPublicKey, nip19 } from 'nostr-tools';
-import { Relay } from 'nostr-tools/relay';
-import { RELAYS, KINDS, loadPrivateKey } from './config.js';
-
-function parsePrivateKey(key) {
-  if (key.startsWith('nsec')) {
-    const decoded = nip19.decode(key);
-    return decoded.data;
+import { nip19 } from 'nostr-tools';
+import { KINDS, createContext } from './config.js';
+import { queueEvent } from './outbox.js';
+import { industryTags, normalizeIndustry } from './taxonomy.js';
+import { protocolTags, expirationTags, expiresAt, BID_TAGS } from './protocol.js';
+import { fetchListing, mergeListing, deleteListing } from './listings.js';
+import { validatePayload } from './schema.js';
+
+// Older bids used these placement names
+const PLACEMENT_ALIASES = {
+  partners: 'partners-page',
+  resources: 'resource-page',
+  'resources-page': 'resource-page',
+  'service-page': 'service-pages',
+  'blog-post': 'blog',
+  'in-content': 'content'
+};
+
+const list = value => (value === undefined || value === null ? [] : [].concat(value));
+
+/**
+ * Convert bid details to the canonical bid model (schema version 2)
+ * Seeking and offering bids share one shape:
+ *   { v: 2, type, industry, site, da, price: { sats, paymentTerms },
+ *     placement: [], linkType, minDA, states: [], industries: [],
+ *     maxLinks, noCompetitors, expiryDays, message }
+ * Version 1 shapes (`sats`, `offer`, `targetSite`, `requirements`,
+ * `restrictions`) are read too, so old bids and old callers keep working.
+ * @param {object} input - Bid details, either shape
+ * @returns {object} - Canonical bid
+ */
+function normalizeBid(input) {
+  const req = input.requirements || {};
+  const res = input.restrictions || {};
+  const price = typeof input.price === 'object' && input.price ? input.price : {};
+  const slug = value => String(value).trim().toLowerCase();
+
+  const bid = {
+    v: 2,
+    type: input.type,
+    industry: normalizeIndustry(input.industry) || input.industry,
+    site: input.site ?? input.targetSite,
+    da: input.da,
+    price: {
+      sats: price.sats ?? input.offer?.sats ?? input.sats ?? (typeof input.price === 'number' ? input.price : undefined),
+      paymentTerms: price.paymentTerms ?? input.offer?.paymentTerms ?? input.paymentTerms ?? 'on-verification'
+    },
+    placement: [...new Set(list(input.placement ?? req.placement).map(p => PLACEMENT_ALIASES[slug(p)] || slug(p)))],
+    linkType: slug(input.linkType ?? req.linkType ?? 'any'),
+    minDA: input.minDA ?? req.minDA,
+    states: [...new Set(list(input.states ?? req.states ?? res.states).map(s => String(s).trim().toUpperCase()))],
+    industries: [...new Set(list(input.industries ?? req.industries ?? res.industries).map(i => normalizeIndustry(i) || i))],
+    maxLinks: input.maxLinks ?? res.maxLinks ?? 1,
+    noCompetitors: input.noCompetitors ?? res.noCompetitors ?? false,
+    expiryDays: input.expiryDays,
+    message: input.message
+  };
+  for (const key of Object.keys(bid)) {
+    if (bid[key] === undefined) delete bid[key];
   }
-  return new Uint8Array(key.match(/.{1,2}/g).map(b => parseInt(b, 16)));
+  return bid;
 }
 
-async function postBid(bid) {
-  const privKey = parsePrivateKey(loadPrivateKey());
-  const pubkey = getPublicKey(privKey);
-  
-  const bidId = `bid-${Date.now()}`;
-  const expiryDays = bid.expiryDays || 7;
-  const expiry = Math.floor(Date.now() / 1000) + (86400 * expiryDays);
-  
-  console.log(`Posting ${bid.type} bid...`);
-  console.log('Your pubkey:', nip19.npubEncode(pubkey));
-  
-  const event = finalizeEvent({
+/**
+ * Check a canonical bid before publishing
+ * @param {object} bid - Output of normalizeBid()
+ * @returns {array} - Error messages, empty if valid
+ */
+function validateBid(bid) {
+  const errors = validatePayload('bid', bid);
+  if (bid.industry && !normalizeIndustry(bid.industry)) {
+    errors.push(`unknown industry "${bid.industry}"`);
+  }
+  if (!bid.site) {
+    errors.push(bid.type === 'offering' ? 'offering bids must name the site the link goes on' : 'seeking bids must name the site to link to');
+  }
+  if (bid.type === 'seeking' && !(bid.price?.sats > 0)) {
+    errors.push('seeking bids must offer a price in sats');
+  }
+  return errors;
+}
+
+/**
+ * Read a bid event's content as a canonical bid
+ * @param {object} event - Bid event (already checked with acceptEvent)
+ * @returns {object} - Canonical bid
+ */
+function readBid(event) {
+  return normalizeBid(JSON.parse(event.content));
+}
+
+/**
+ * DA tiers (steps of 10) for the `z` tag
+ * Seeking bids list every tier their minDA accepts, rounded down so a
+ * site querying its own tier always finds them; readers check the exact
+ * minDA. Offering bids carry their site's tier.
+ * @param {object} bid - Canonical bid
+ * @returns {array} - Tiers, e.g. [20, 30, ... 100]
+ */
+function daTiers(bid) {
+  const tier = value => Math.floor(value / 10) * 10;
+  if (bid.type === 'seeking') {
+    const tiers = [];
+    for (let t = tier(bid.minDA || 0); t <= 100; t += 10) tiers.push(t);
+    return tiers;
+  }
+  return typeof bid.da === 'number' ? [tier(bid.da)] : [];
+}
+
+/**
+ * Queryable tags for a canonical bid (see BID_TAGS)
+ * @param {object} bid - Canonical bid
+ * @returns {array} - Nostr tags
+ */
+function bidTags(bid) {
+  const orAny = values => (values.length > 0 ? values : ['*']);
+  return [
+    ...orAny(bid.placement).map(p => [BID_TAGS.placement, p]),
+    [BID_TAGS.linkType, bid.linkType],
+    ...orAny(bid.states).map(s => [BID_TAGS.state, s]),
+    ...orAny(bid.industries).map(i => [BID_TAGS.industry, i]),
+    ...daTiers(bid).map(t => [BID_TAGS.daTier, String(t)]),
+    ['price', String(bid.price.sats)],
+    ['amount', String(bid.price.sats)], // read by version 1 clients
+    ['terms', bid.price.paymentTerms],
+    ['slots', String(bid.maxLinks)]
+  ];
+}
+
+/**
+ * Build the unsigned event for a bid
+ * @param {object} bid - Bid details (normalized here)
+ * @param {string} bidId - Stable bid ID (the d tag)
+ * @param {number} expiresAt - Unix timestamp
+ * @returns {object} - Event template ready for signing
+ */
+function buildBidEvent(bid, bidId, expiresAt) {
+  bid = normalizeBid(bid);
+  return {
     kind: KINDS.LINK_BID,
     created_at: Math.floor(Date.now() / 1000),
     tags: [
       ['d', bidId],
       ['t', 'abn-bid'],
       ['t', bid.type], // 'seeking' or 'offering'
-      ['t', bid.industry],
-      ['L', 'abn'],
-      ['l', 'link-bid', 'abn'],
-      ['amount', String(bid.sats)],
-      ['expiry', String(expiry)]
+      ...industryTags(bid.industry),
+      ...bidTags(bid),
+      ...protocolTags('LINK_BID'),
+      ...expirationTags(expiresAt)
     ],
     content: JSON.stringify(bid)
-  }, privKey);
+  };
+}
+
+/**
+ * Sign and publish a link bid
+ * Publishing again with the same bidId replaces the bid.
+ * @param {object} bid - Bid details, in either shape normalizeBid() reads
+ * @param {object} ctx - Context from createContext()
+ * @param {object} options - { bidId, expiresAt } (default: new ID, now + expiryDays)
+ * @returns {Promise<object>} - { event, delivery: report from outbox.js }
+ */
+async function postBid(bid, ctx = createContext(), options = {}) {
+  bid = normalizeBid(bid);
+  const errors = validateBid(bid);
+  if (errors.length > 0) {
+    throw new Error(`Invalid bid: ${errors.join('; ')}`);
+  }
+  const pubkey = await ctx.signer.getPublicKey();
+  
+  const bidId = options.bidId || `bid-${Date.now()}`;
+  const expiryDays = bid.expiryDays || 7;
+  const expiry = options.expiresAt || Math.floor(Date.now() / 1000) + (86400 * expiryDays);
+  
+  console.log(`Posting ${bid.type} bid...`);
+  console.log('Your pubkey:', nip19.npubEncode(pubkey));
+  
+  const event = await ctx.signer.signEvent(buildBidEvent(bid, bidId, expiry));
   
   console.log('Bid ID:', bidId);
   console.log('Event ID:', event.id);
   console.log('Expires:', new Date(expiry * 1000).toISOString());
   console.log('Publishing to relays...');
   
-  for (const url of RELAYS) {
-    try {
-      const relay = await Relay.connect(url);
-      await relay.publish(event);
-      console.log(`✓ ${url}`);
-      relay.close();
-    } catch (err) {
-      console.log(`✗ ${url}: ${err.message}`);
-    }
-  }
+  const delivery = await queueEvent(event, ctx, undefined, { label: `bid ${bidId}` });
   
-  console.log('\nBid posted! Other agents can now see and respond to it.');
+  if (delivery.status === 'delivered') {
+    console.log('\nBid posted! Other agents can now see and respond to it.');
+  }
+  return { event, delivery };
+}
+
+// Fetch one of our bids or fail
+async function fetchOwnBid(bidId, ctx) {
+  const event = await fetchListing('LINK_BID', bidId, ctx);
+  if (!event) {
+    throw new Error(`Bid ${bidId} not found (expired, cancelled or not ours)`);
+  }
+  return event;
+}
+
+/**
+ * Change a bid in place, keeping its ID and expiry
+ * @param {string} bidId - Bid ID (d tag)
+ * @param {object} changes - Canonical fields to change; nested objects are merged
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<object>} - { event, delivery } (see postBid)
+ */
+async function updateBid(bidId, changes, ctx = createContext()) {
+  const current = await fetchOwnBid(bidId, ctx);
+  const bid = mergeListing(readBid(current), changes);
+  const expiry = changes.expiryDays ? undefined : expiresAt(current);
+  return postBid(bid, ctx, { bidId, expiresAt: expiry });
+}
+
+/**
+ * Push a bid's expiry out
+ * @param {string} bidId - Bid ID (d tag)
+ * @param {number} days - Days from now (default: the bid's expiryDays, or 7)
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<object>} - { event, delivery } (see postBid)
+ */
+async function renewBid(bidId, days, ctx = createContext()) {
+  const current = await fetchOwnBid(bidId, ctx);
+  const bid = readBid(current);
+  const expiry = Math.floor(Date.now() / 1000) + 86400 * (days || bid.expiryDays || 7);
+  return postBid(bid, ctx, { bidId, expiresAt: expiry });
+}
+
+/**
+ * Withdraw a bid (NIP-09 deletion)
+ * @param {string} bidId - Bid ID (d tag)
+ * @param {object} ctx - Context from createContext()
+ * @param {string} reason - Optional reason
+ * @returns {Promise<object>} - { event, delivery } (see deleteListing)
+ */
+async function cancelBid(bidId, ctx = createContext(), reason = '') {
+  console.log(`Cancelling bid ${bidId}...`);
+  return deleteListing('LINK_BID', bidId, ctx, reason);
 }
 
 // Example: Seeking links
 const seekingBid = {
   type: 'seeking',
-  targetSite: 'https://acmeplumbing.com',
+  site: 'https://acmeplumbing.com',
   industry: 'plumbing',
-  requirements: {
-    minDA: 25,
-    industries: ['plumbing', 'hvac', 'construction'],
-    states: ['CA', 'AZ', 'NV'],
-    linkType: 'dofollow',
-    placement: ['content', 'resource-page', 'partners']
-  },
-  offer: {
-    sats: 5000,
-    paymentTerms: 'on-verification'
-  },
+  price: { sats: 5000, paymentTerms: 'on-verification' },
+  placement: ['content', 'resource-page', 'partners-page'],
+  linkType: 'dofollow',
+  minDA: 25,
+  states: ['CA', 'AZ', 'NV'],
+  industries: ['plumbing', 'hvac', 'construction'],
+  maxLinks: 3,
   expiryDays: 7
 };
 
@@ -85,17 +264,12 @@ const offeringBid = {
   site: 'https://bestroofing.com',
   industry: 'roofing',
   da: 35,
-  placement: 'partners-page',
+  price: { sats: 3000, paymentTerms: 'upfront' },
+  placement: ['partners-page'],
   linkType: 'dofollow',
-  price: {
-    sats: 3000,
-    paymentTerms: 'upfront'
-  },
-  restrictions: {
-    industries: ['roofing', 'construction', 'home-improvement'],
-    noCompetitors: true,
-    maxLinks: 5
-  },
+  industries: ['roofing', 'construction', 'home-improvement'],
+  noCompetitors: true,
+  maxLinks: 5,
   expiryDays: 30
 };
 
@@ -103,4 +277,7 @@ const offeringBid = {
 // postBid(seekingBid);
 // postBid(offeringBid);
 
-export { postBid };
+export {
+  postBid, buildBidEvent, updateBid, renewBid, cancelBid,
+  normalizeBid, validateBid, readBid, bidTags, daTiers
+};
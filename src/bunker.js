@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+// Local NIP-46 bunker for development and testing
+// Holds a key and signs for clients that connect with the right secret,
+// so ABN can be run with NOSTR_BUNKER instead of a raw nsec.
+// Usage: node src/bunker.js [relay...]
+
+import { finalizeEvent, getPublicKey, nip04, nip44 } from 'nostr-tools';
+import { SimplePool } from 'nostr-tools/pool';
+import { randomBytes } from 'crypto';
+import { RELAYS, loadPrivateKey } from './config.js';
+import { parsePrivateKey } from './signer.js';
+
+const NOSTR_CONNECT = 24133;
+
+class LocalBunker {
+  /**
+   * @param {string|Uint8Array} privateKey - Key to sign with
+   * @param {object} options - { relays, pool, secret }
+   */
+  constructor(privateKey, options = {}) {
+    this.secretKey = typeof privateKey === 'string' ? parsePrivateKey(privateKey) : privateKey;
+    this.pubkey = getPublicKey(this.secretKey);
+    this.relays = options.relays || RELAYS.slice(0, 2);
+    this.pool = options.pool || new SimplePool();
+    this.secret = options.secret ?? randomBytes(16).toString('hex');
+    this.clients = new Set();
+    this.sub = null;
+  }
+  
+  // bunker:// URI for NOSTR_BUNKER
+  get uri() {
+    const params = new URLSearchParams();
+    for (const relay of this.relays) params.append('relay', relay);
+    if (this.secret) params.set('secret', this.secret);
+    return `bunker://${this.pubkey}?${params}`;
+  }
+  
+  start() {
+    this.sub = this.pool.subscribe(this.relays, {
+      kinds: [NOSTR_CONNECT],
+      '#p': [this.pubkey],
+      since: Math.floor(Date.now() / 1000) - 10
+    }, {
+      onevent: (event) => this.handle(event).catch(err => {
+        console.log(`✗ Request from ${event.pubkey.slice(0, 8)}...: ${err.message}`);
+      })
+    });
+    return this;
+  }
+  
+  stop() {
+    this.sub?.close();
+    this.sub = null;
+  }
+  
+  async handle(event) {
+    const conversationKey = nip44.getConversationKey(this.secretKey, event.pubkey);
+    const { id, method, params } = JSON.parse(nip44.decrypt(event.content, conversationKey));
+    
+    let result;
+    let error;
+    try {
+      result = this.run(event.pubkey, method, params);
+    } catch (err) {
+      error = err.message;
+    }
+    
+    const response = finalizeEvent({
+      kind: NOSTR_CONNECT,
+      created_at: Math.floor(Date.now() / 1000),
+      tags: [['p', event.pubkey]],
+      content: nip44.encrypt(JSON.stringify({ id, result, error }), conversationKey)
+    }, this.secretKey);
+    
+    await Promise.any(this.pool.publish(this.relays, response));
+  }
+  
+  run(client, method, params) {
+    if (method === 'connect') {
+      if (this.secret && params[1] !== this.secret) {
+        throw new Error('invalid secret');
+      }
+      this.clients.add(client);
+      return 'ack';
+    }
+    if (!this.clients.has(client)) {
+      throw new Error('unauthorized');
+    }
+    
+    switch (method) {
+      case 'ping':
+        return 'pong';
+      case 'get_public_key':
+        return this.pubkey;
+      case 'sign_event':
+        return JSON.stringify(finalizeEvent(JSON.parse(params[0]), this.secretKey));
+      case 'nip04_encrypt':
+        return nip04.encrypt(this.secretKey, params[0], params[1]);
+      case 'nip04_decrypt':
+        return nip04.decrypt(this.secretKey, params[0], params[1]);
+      case 'nip44_encrypt':
+        return nip44.encrypt(params[1], nip44.getConversationKey(this.secretKey, params[0]));
+      case 'nip44_decrypt':
+        return nip44.decrypt(params[1], nip44.getConversationKey(this.secretKey, params[0]));
+      default:
+        throw new Error(`unsupported method: ${method}`);
+    }
+  }
+}
+
+// CLI - only run when executed directly
+const isMainModule = process.argv[1]?.endsWith('bunker.js');
+if (isMainModule) {
+  const relays = process.argv.slice(2);
+  const bunker = new LocalBunker(loadPrivateKey(), relays.length ? { relays } : {}).start();
+  
+  console.log('ABN local bunker running.');
+  console.log('Point your agent at it with:\n');
+  console.log(`  export NOSTR_BUNKER="${bunker.uri}"\n`);
+  console.log('Press Ctrl+C to stop.');
+  
+  process.on('SIGINT', () => {
+    bunker.stop();
+    bunker.pool.close(bunker.relays);
+    process.exit(0);
+  });
+}
+
+export { LocalBunker };
@@ -0,0 +1,232 @@
+// ABN Agency Mode
+// A registry of client businesses, each with its own Nostr identity,
+// sites, bids and inbox, kept in .secrets/clients.json.
+// Client keys are stored as NIP-49 ncryptsec under the agency passphrase.
+// CLI: node src/abn.js clients ... / --client=<id>
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { generateSecretKey, getPublicKey, nip19 } from 'nostr-tools';
+import * as nip49 from 'nostr-tools/nip49';
+import { createContext } from './config.js';
+import { parseKeyInput } from './keystore.js';
+import { readDMs } from './dm.js';
+import { secretsPath } from './paths.js';
+
+export const CLIENTS_PATH = secretsPath('clients.json');
+
+function loadRegistry() {
+  if (!existsSync(CLIENTS_PATH)) {
+    return { active: null, clients: {} };
+  }
+  return JSON.parse(readFileSync(CLIENTS_PATH, 'utf-8'));
+}
+
+function saveRegistry(registry) {
+  mkdirSync(dirname(CLIENTS_PATH), { recursive: true });
+  writeFileSync(CLIENTS_PATH, JSON.stringify(registry, null, 2) + '\n', { mode: 0o600 });
+}
+
+function agencyPassphrase(passphrase) {
+  const pass = passphrase ?? process.env.NOSTR_PASSPHRASE;
+  if (!pass) {
+    throw new Error('Client keys are encrypted. Set NOSTR_PASSPHRASE or pass a passphrase');
+  }
+  return pass;
+}
+
+/**
+ * List registered clients
+ * @returns {array} - [{ id, name, npub, sites, bids, active }]
+ */
+export function listClients() {
+  const registry = loadRegistry();
+  return Object.entries(registry.clients).map(([id, client]) => ({
+    id,
+    ...client,
+    active: registry.active === id
+  }));
+}
+
+/**
+ * Get one client's record
+ * @param {string} id - Client ID
+ */
+export function getClientRecord(id) {
+  const client = loadRegistry().clients[id];
+  if (!client) {
+    throw new Error(`Unknown client: ${id}`);
+  }
+  return { id, ...client };
+}
+
+/**
+ * Add a client with its own identity
+ * @param {string} id - Short client ID (e.g. 'acme-plumbing')
+ * @param {object} options - { name, key, bunker, relays, passphrase }
+ *   key: nsec, hex, ncryptsec or mnemonic to import (default: new key)
+ *   bunker: NIP-46 bunker URI instead of a stored key
+ * @returns {object} - The new client record
+ */
+export function addClient(id, options = {}) {
+  if (!/^[a-z0-9][a-z0-9_-]*$/i.test(id)) {
+    throw new Error('Client ID may only contain letters, numbers, "-" and "_"');
+  }
+  
+  const registry = loadRegistry();
+  if (registry.clients[id]) {
+    throw new Error(`Client already exists: ${id}`);
+  }
+  
+  const client = {
+    name: options.name || id,
+    relays: options.relays || null,
+    sites: [],
+    bids: [],
+    createdAt: new Date().toISOString()
+  };
+  
+  if (options.bunker) {
+    client.bunker = options.bunker;
+    client.npub = options.npub || null;
+  } else {
+    const passphrase = agencyPassphrase(options.passphrase);
+    const sk = options.key ? parseKeyInput(options.key, { passphrase }) : generateSecretKey();
+    client.ncryptsec = nip49.encrypt(sk, passphrase, 16);
+    client.npub = nip19.npubEncode(getPublicKey(sk));
+  }
+  
+  registry.clients[id] = client;
+  if (!registry.active) {
+    registry.active = id;
+  }
+  saveRegistry(registry);
+  return { id, ...client };
+}
+
+export function removeClient(id) {
+  const registry = loadRegistry();
+  getClientRecord(id);
+  delete registry.clients[id];
+  if (registry.active === id) {
+    registry.active = Object.keys(registry.clients)[0] || null;
+  }
+  saveRegistry(registry);
+}
+
+export function setActiveClient(id) {
+  const registry = loadRegistry();
+  getClientRecord(id);
+  registry.active = id;
+  saveRegistry(registry);
+}
+
+export function getActiveClient() {
+  return loadRegistry().active;
+}
+
+/**
+ * Build the context for acting as a client
+ * @param {string} id - Client ID
+ * @param {object} options - createContext() options; passphrase unlocks the client key
+ * @returns {object} - Context with ctx.client set to the client ID
+ */
+export function clientContext(id, options = {}) {
+  const client = getClientRecord(id);
+  const ctx = createContext({
+    ...options,
+    relays: options.relays || client.relays || undefined,
+    ...(client.bunker
+      ? { bunker: client.bunker }
+      : { privateKey: nip19.nsecEncode(nip49.decrypt(client.ncryptsec, agencyPassphrase(options.passphrase))) })
+  });
+  ctx.client = id;
+  return ctx;
+}
+
+// Apply a change to one client's record
+function updateClient(id, fn) {
+  const registry = loadRegistry();
+  if (!registry.clients[id]) {
+    throw new Error(`Unknown client: ${id}`);
+  }
+  fn(registry.clients[id]);
+  saveRegistry(registry);
+}
+
+/**
+ * Remember a site registered for a client
+ * @param {string} id - Client ID
+ * @param {object} site - Site details
+ * @param {object} event - Published registration event
+ */
+export function recordSite(id, site, event) {
+  updateClient(id, client => {
+    client.sites = client.sites.filter(s => s.url !== site.url);
+    client.sites.push({ ...site, eventId: event?.id, registeredAt: new Date().toISOString() });
+  });
+}
+
+/**
+ * Remember a bid posted for a client
+ * @param {string} id - Client ID
+ * @param {object} bid - Bid details
+ * @param {object} event - Published bid event
+ */
+export function recordBid(id, bid, event) {
+  const bidId = event?.tags.find(t => t[0] === 'd')?.[1];
+  updateClient(id, client => {
+    client.bids = client.bids.filter(b => b.bidId !== bidId);
+    client.bids.push({ bidId, eventId: event?.id, type: bid.type, industry: bid.industry, postedAt: new Date().toISOString() });
+  });
+}
+
+/**
+ * Drop a cancelled site from a client's record
+ * @param {string} id - Client ID
+ * @param {string} url - Site URL
+ */
+export function forgetSite(id, url) {
+  updateClient(id, client => {
+    client.sites = client.sites.filter(s => s.url !== url);
+  });
+}
+
+/**
+ * Drop a cancelled bid from a client's record
+ * @param {string} id - Client ID
+ * @param {string} bidId - Bid ID
+ */
+export function forgetBid(id, bidId) {
+  updateClient(id, client => {
+    client.bids = client.bids.filter(b => b.bidId !== bidId);
+  });
+}
+
+/**
+ * Read DMs for every client and merge them into one inbox
+ * Each message is tagged with { client, clientName }.
+ * @param {object} options - readDMs() options plus { passphrase, clients: [ids] }
+ * @returns {Promise<array>} - Messages, newest first
+ */
+export async function readAllDMs(options = {}) {
+  const ids = options.clients || listClients().map(c => c.id);
+  const inbox = [];
+  
+  for (const id of ids) {
+    // A client whose key won't unlock is reported and skipped, not fatal
+    let ctx;
+    try {
+      const { name } = getClientRecord(id);
+      ctx = clientContext(id, { passphrase: options.passphrase });
+      const messages = await readDMs(options, ctx);
+      inbox.push(...messages.map(m => ({ ...m, client: id, clientName: name })));
+    } catch (err) {
+      console.log(`✗ ${id}: ${err.message}`);
+    } finally {
+      await ctx?.close();
+    }
+  }
+  
+  return inbox.sort((a, b) => b.timestamp - a.timestamp);
+}
@@ -1,13 +1,12 @@
 // ABN Protocol Configuration
 // Edit this file with your own keys and settings
 
-import { readFileSync, existsSync } from 'fs';
-import { join } from 'path';
-import { fileURLToPath } from 'url';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
 import { dirname } from 'path';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const projectRoot = join(__dirname, '..');
+import { generateSecretKey, nip19 } from 'nostr-tools';
+import { LocalSigner, RemoteSigner, parsePrivateKey } from './signer.js';
+import { readKeystore, unlockKeystore } from './keystore.js';
+import { secretsPath } from './paths.js';
 
 export const RELAYS = [
   'wss://relay.damus.io',
@@ -17,49 +16,118 @@ export const RELAYS = [
   'wss://relay.snort.social'
 ];
 
-// Event kinds for ABN protocol
-export const KINDS = {
-  SITE_REGISTRATION: 30078,
-  LINK_BID: 30079,
-  ENCRYPTED_DM: 4
-};
+// Event kinds for ABN protocol (defined in protocol.js)
+export { KINDS } from './protocol.js';
+
+// Read .secrets/nostr.json, or null if it doesn't exist
+function readNostrSecrets() {
+  try {
+    return readKeystore();
+  } catch (e) {
+    console.error('Error reading secrets file:', e.message);
+    return null;
+  }
+}
 
 // Load your private key from environment or secrets file
 // NEVER hardcode your nsec here
-export function loadPrivateKey() {
+// An encrypted keystore (ncryptsec) is unlocked with the given passphrase
+// or NOSTR_PASSPHRASE.
+export function loadPrivateKey(passphrase = process.env.NOSTR_PASSPHRASE) {
   // Option 1: Environment variable
   if (process.env.NOSTR_PRIVATE_KEY) {
     return process.env.NOSTR_PRIVATE_KEY;
   }
   
   // Option 2: Read from local secrets file
-  const secretsPath = join(projectRoot, '.secrets', 'nostr.json');
-  if (existsSync(secretsPath)) {
-    try {
-      const secrets = JSON.parse(readFileSync(secretsPath, 'utf-8'));
-      return secrets.nsec;
-    } catch (e) {
-      console.error('Error reading secrets file:', e.message);
+  const secrets = readNostrSecrets();
+  if (secrets?.ncryptsec) {
+    if (!passphrase) {
+      throw new Error('Keystore is encrypted. Set NOSTR_PASSPHRASE or pass a passphrase to unlock it');
     }
+    return nip19.nsecEncode(unlockKeystore(passphrase));
+  }
+  if (secrets?.nsec) {
+    return secrets.nsec;
+  }
+  
+  throw new Error('No private key found. Run node src/keygen.js, set NOSTR_PRIVATE_KEY, or create .secrets/nostr.json');
+}
+
+// Load a NIP-46 bunker URI from NOSTR_BUNKER or the "bunker" field of .secrets/nostr.json
+export function loadBunkerUri() {
+  return process.env.NOSTR_BUNKER || readNostrSecrets()?.bunker || null;
+}
+
+// Load the key this host uses to talk to the bunker, creating it on first use.
+// It only identifies this client to the bunker; it can't sign as you.
+export function loadBunkerClientKey() {
+  if (process.env.NOSTR_BUNKER_CLIENT_KEY) {
+    return parsePrivateKey(process.env.NOSTR_BUNKER_CLIENT_KEY);
+  }
+  
+  const clientPath = secretsPath('bunker-client.json');
+  if (existsSync(clientPath)) {
+    return parsePrivateKey(JSON.parse(readFileSync(clientPath, 'utf-8')).clientKey);
   }
   
-  throw new Error('No private key found. Set NOSTR_PRIVATE_KEY env var or create .secrets/nostr.json');
+  const key = generateSecretKey();
+  mkdirSync(dirname(clientPath), { recursive: true });
+  writeFileSync(clientPath, JSON.stringify({ clientKey: Buffer.from(key).toString('hex') }, null, 2), { mode: 0o600 });
+  return key;
 }
 
-// Related industries for matching
-export const RELATED_INDUSTRIES = {
-  plumbing: ['hvac', 'electrical', 'construction', 'roofing', 'home-services'],
-  hvac: ['plumbing', 'electrical', 'construction', 'home-services'],
-  roofing: ['construction', 'plumbing', 'gutters', 'siding'],
-  electrical: ['plumbing', 'hvac', 'construction', 'solar'],
-  construction: ['roofing', 'plumbing', 'hvac', 'electrical', 'concrete'],
-  landscaping: ['tree-service', 'lawn-care', 'irrigation', 'hardscaping'],
-  'real-estate': ['mortgage', 'home-inspection', 'title', 'moving'],
-  dental: ['orthodontics', 'oral-surgery', 'healthcare'],
-  legal: ['accounting', 'financial', 'insurance'],
-  restaurant: ['catering', 'food-service', 'hospitality']
-};
+/**
+ * Pick the signer for a context
+ * An explicit privateKey wins, then a bunker (options, env or secrets file),
+ * then the local key from loadPrivateKey().
+ * @param {object} options - { privateKey, bunker, passphrase }
+ * @returns {object} - LocalSigner or RemoteSigner
+ */
+export function loadSigner(options = {}) {
+  if (options.privateKey) {
+    return new LocalSigner(options.privateKey);
+  }
+  
+  const bunker = options.bunker || loadBunkerUri();
+  if (bunker) {
+    return new RemoteSigner(bunker, { clientSecretKey: loadBunkerClientKey() });
+  }
+  
+  return new LocalSigner(loadPrivateKey(options.passphrase));
+}
 
-export function isRelatedIndustry(a, b) {
-  return RELATED_INDUSTRIES[a]?.includes(b) || RELATED_INDUSTRIES[b]?.includes(a);
+/**
+ * Create the context every ABN module runs with
+ * Anything not given falls back to the env/.secrets defaults.
+ * @param {object} options - { privateKey, passphrase, bunker, signer, relays, wallet, http }
+ *   privateKey: nsec or hex (default: loadSigner())
+ *   passphrase: unlocks an encrypted keystore (default: NOSTR_PASSPHRASE)
+ *   bunker: NIP-46 bunker URI, used instead of a local key
+ *   signer: object with getPublicKey/signEvent/nip04Encrypt/nip04Decrypt (nip44Encrypt/nip44Decrypt for NIP-17 DMs)
+ *   relays: relay URLs (default: RELAYS)
+ *   wallet: Lightning config or client (default: .secrets/lightning.json)
+ *   http: { timeout, headers } for page fetches during verification
+ * @returns {object} - Context; the signer is created on first use
+ */
+export function createContext(options = {}) {
+  let signer = options.signer || null;
+  return {
+    relays: options.relays || RELAYS,
+    wallet: options.wallet || null,
+    http: options.http || {},
+    get signer() {
+      if (!signer) {
+        signer = loadSigner(options);
+      }
+      return signer;
+    },
+    // Release the signer's connections (bunker subscriptions)
+    async close() {
+      await signer?.close?.();
+    }
+  };
 }
+
+// Industry relatedness now comes from the taxonomy (src/data/industries.json)
+export { isRelatedIndustry } from './taxonomy.js';
@@ -0,0 +1,388 @@
+#!/usr/bin/env node
+// ABN Link Rings
+// Search engines discount reciprocal links, so instead of A ⇄ B trades
+// this finds rings of three or more sites where each links to the next:
+//
+//   A → B → C → A      (nobody links back to whoever links to them)
+//
+// A ring only forms from sites that can host a link (canOffer), are good
+// partners for the site they link to (findMatches), belong to different
+// owners and don't compete with anyone else in the ring.
+//
+// The proposer sends the ring to every owner; from then on each message
+// goes to all the others, so everyone's inbox tells the same story:
+//   cycle-propose -> cycle-accept | cycle-decline -> leg-placed -> leg-verified
+// The link on each leg is verified by the owner it points at. The ring is
+// done once every leg is verified. Rings we're in are kept in
+// .secrets/cycles.json.
+// Usage: node src/cycles.js [find [--size=4] | show <cycleId>]
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { createContext } from './config.js';
+import { querySites, findMatches, isCompetitor } from './query.js';
+import { sendDM, readDMs, MessageTypes } from './dm.js';
+import { verifyBacklink } from './verify.js';
+import { secretsPath } from './paths.js';
+
+export const CYCLES_PATH = secretsPath('cycles.json');
+
+const MIN_SIZE = 3;
+const MAX_SIZE = 5; // more owners than this rarely all follow through
+const DEFAULT_LIMIT = 20;
+const HISTORY_DAYS = 60;
+
+// Leg states; the newest message about a leg decides its state
+const LEG_STATES = ['pending', 'placed', 'verified', 'failed'];
+
+function loadCycles() {
+  if (!existsSync(CYCLES_PATH)) {
+    return {};
+  }
+  return JSON.parse(readFileSync(CYCLES_PATH, 'utf-8'));
+}
+
+function saveCycle(record) {
+  const cycles = loadCycles();
+  cycles[record.cycleId] = record;
+  mkdirSync(dirname(CYCLES_PATH), { recursive: true });
+  writeFileSync(CYCLES_PATH, JSON.stringify(cycles, null, 2) + '\n', { mode: 0o600 });
+}
+
+// Sites without an owner key (e.g. hand-built lists) are their own owner
+const ownerOf = site => site.pubkey || site.url;
+
+/**
+ * Directed link edges between sites: host → target where the host has a
+ * page to place the link and the target would want it
+ * @param {array} sites - Sites from querySites()
+ * @param {object} options - findMatches() options (weights, minScore)
+ * @returns {Map} - Host url -> [{ to, score, placement, targetPage }]
+ */
+export function linkEdges(sites, options = {}) {
+  const edges = new Map(sites.map(site => [site.url, []]));
+  for (const target of sites) {
+    const hosts = sites.filter(s => (s.canOffer || []).length > 0 && ownerOf(s) !== ownerOf(target));
+    // Scored from the target's side: is this host worth a link from?
+    for (const host of findMatches(target, hosts, { weights: options.weights, minScore: options.minScore })) {
+      edges.get(host.url).push({
+        to: target.url,
+        score: host.matchScore,
+        placement: host.canOffer[0],
+        targetPage: (target.wantLinks || [])[0] || 'homepage'
+      });
+    }
+  }
+  return edges;
+}
+
+/**
+ * Find link rings among sites
+ * Each ring is found once, starting from its alphabetically first site.
+ * Its score is its weakest leg, so one poor link sinks the ring.
+ * @param {array} sites - Sites from querySites()
+ * @param {object} options - { size: 3 (longest ring), site: url every ring must include,
+ *   pubkey: owner every ring must include, limit: 20, weights, minScore }
+ * @returns {array} - { sites: [urls], legs: [{ from, to, fromPubkey, toPubkey, placement, targetPage, score }], score }, best first
+ */
+export function findCycles(sites, options = {}) {
+  const size = Math.min(MAX_SIZE, Math.max(MIN_SIZE, options.size || MIN_SIZE));
+  const ordered = [...sites].sort((a, b) => a.url.localeCompare(b.url));
+  const byUrl = new Map(ordered.map(site => [site.url, site]));
+  const rank = new Map(ordered.map((site, i) => [site.url, i]));
+  const edges = linkEdges(ordered, options);
+
+  const cycles = [];
+  const extend = (path, legs) => {
+    const last = path[path.length - 1];
+    for (const edge of edges.get(last.url)) {
+      const next = byUrl.get(edge.to);
+      if (next === path[0] && path.length >= MIN_SIZE) {
+        cycles.push({ path, legs: [...legs, edge] });
+        continue;
+      }
+      // Only later sites, so each ring starts from its first site
+      if (rank.get(next.url) <= rank.get(path[0].url) || path.length >= size) continue;
+      if (path.some(s => ownerOf(s) === ownerOf(next) || isCompetitor(s, next))) continue;
+      extend([...path, next], [...legs, edge]);
+    }
+  };
+  for (const start of ordered) {
+    extend([start], []);
+  }
+
+  return cycles
+    .filter(({ path }) => !options.site || path.some(s => s.url === options.site))
+    .filter(({ path }) => !options.pubkey || path.some(s => s.pubkey === options.pubkey))
+    .map(({ path, legs }) => ({
+      sites: path.map(s => s.url),
+      legs: legs.map((edge, i) => ({
+        from: path[i].url,
+        to: edge.to,
+        fromPubkey: path[i].pubkey,
+        toPubkey: byUrl.get(edge.to).pubkey,
+        placement: edge.placement,
+        targetPage: edge.targetPage,
+        score: edge.score
+      })),
+      score: Math.min(...legs.map(edge => edge.score))
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, options.limit || DEFAULT_LIMIT);
+}
+
+/**
+ * Apply one ring message to a ring record
+ * Messages from non-participants, and leg news from anyone but the leg's
+ * host (placed) or target (verified), are ignored. A message older than
+ * what a leg already knows doesn't change it.
+ * @param {object} record - Ring record
+ * @param {object} msg - Decrypted DM (fromHex, timestamp, type, ...)
+ * @returns {object} - Updated record (a copy)
+ */
+export function applyCycleMessage(record, msg) {
+  const next = { ...record, legs: record.legs.map(leg => ({ ...leg })), accepted: [...record.accepted], declined: { ...record.declined } };
+  if (!next.participants.includes(msg.fromHex)) return next;
+
+  if (msg.type === 'cycle-accept' && !next.accepted.includes(msg.fromHex)) {
+    next.accepted.push(msg.fromHex);
+  } else if (msg.type === 'cycle-decline') {
+    next.declined[msg.fromHex] = msg.reason || 'declined';
+  } else if (msg.type === 'leg-placed' || msg.type === 'leg-verified') {
+    const leg = next.legs[msg.leg];
+    const sender = msg.type === 'leg-placed' ? leg?.fromPubkey : leg?.toPubkey;
+    if (!leg || sender !== msg.fromHex || msg.timestamp < (leg.updatedAt || 0)) return next;
+    if (msg.type === 'leg-placed') {
+      Object.assign(leg, { state: 'placed', liveUrl: msg.liveUrl, updatedAt: msg.timestamp });
+    } else {
+      Object.assign(leg, { state: msg.confirmed ? 'verified' : 'failed', notes: msg.notes, updatedAt: msg.timestamp });
+    }
+  }
+  next.status = cycleStatus(next);
+  return next;
+}
+
+/**
+ * Where a ring stands
+ * @param {object} record - Ring record
+ * @returns {string} - 'declined', 'proposed' (waiting for owners), 'active' (links going up) or 'complete'
+ */
+export function cycleStatus(record) {
+  if (Object.keys(record.declined).length > 0) return 'declined';
+  if (record.participants.some(pk => !record.accepted.includes(pk))) return 'proposed';
+  return record.legs.every(leg => leg.state === 'verified') ? 'complete' : 'active';
+}
+
+// A new ring record from its legs; the proposer accepts by proposing
+function newRecord(cycleId, legs, proposer, createdAt) {
+  const record = {
+    cycleId,
+    proposer,
+    participants: [...new Set(legs.map(leg => leg.fromPubkey))],
+    legs: legs.map(({ from, to, fromPubkey, toPubkey, placement, targetPage }) =>
+      ({ from, to, fromPubkey, toPubkey, placement, targetPage, state: LEG_STATES[0] })),
+    accepted: [proposer],
+    declined: {},
+    createdAt
+  };
+  record.status = cycleStatus(record);
+  return record;
+}
+
+// Send a ring message to every participant but us
+async function broadcast(record, message, ctx) {
+  const pubkey = await ctx.signer.getPublicKey();
+  for (const participant of record.participants.filter(pk => pk !== pubkey)) {
+    await sendDM(participant, message, ctx);
+  }
+}
+
+/**
+ * Propose a ring from findCycles() to its other owners
+ * @param {object} cycle - Ring from findCycles(); must include one of our sites
+ * @param {object} ctx - Context from createContext()
+ * @param {string} message - Note for the other owners
+ * @returns {Promise<object>} - Ring record
+ */
+export async function proposeCycle(cycle, ctx = createContext(), message = '') {
+  const pubkey = await ctx.signer.getPublicKey();
+  if (!cycle.legs.some(leg => leg.fromPubkey === pubkey)) {
+    throw new Error('We can only propose rings that include one of our sites');
+  }
+  if (cycle.legs.some(leg => !leg.fromPubkey || !leg.toPubkey)) {
+    throw new Error('Every site in a ring needs an owner to message');
+  }
+
+  const cycleId = `cycle-${Date.now()}`;
+  const record = newRecord(cycleId, cycle.legs, pubkey, Math.floor(Date.now() / 1000));
+  await broadcast(record, MessageTypes.cycleProposal(cycleId, record.legs.map(({ state, ...leg }) => leg), message), ctx);
+  saveCycle(record);
+  console.log(`✓ Proposed ${cycleId} to ${record.participants.length - 1} owners: ${cycle.sites.join(' → ')} → ${cycle.sites[0]}`);
+  return record;
+}
+
+/**
+ * Bring a ring record up to date from our inbox
+ * A ring we were invited to is created from its proposal.
+ * @param {string} cycleId - Ring ID
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<object>} - Ring record
+ */
+export async function syncCycle(cycleId, ctx = createContext()) {
+  const stored = loadCycles()[cycleId];
+  const since = stored ? stored.createdAt : Math.floor(Date.now() / 1000) - 86400 * HISTORY_DAYS;
+  const messages = (await readDMs({ since }, ctx))
+    .filter(m => m.cycleId === cycleId)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  let record = stored;
+  if (!record) {
+    const proposal = messages.find(m => m.type === 'cycle-propose');
+    if (!proposal) {
+      throw new Error(`Unknown ring ${cycleId}`);
+    }
+    record = newRecord(cycleId, proposal.legs, proposal.fromHex, proposal.timestamp);
+    if (!record.participants.includes(await ctx.signer.getPublicKey())) {
+      throw new Error(`Ring ${cycleId} doesn't include us`);
+    }
+  }
+  for (const msg of messages) {
+    record = applyCycleMessage(record, msg);
+  }
+  saveCycle(record);
+  return record;
+}
+
+// Apply our own message locally and send it to everyone else
+async function act(cycleId, message, ctx) {
+  const pubkey = await ctx.signer.getPublicKey();
+  const record = await syncCycle(cycleId, ctx);
+  await broadcast(record, message, ctx);
+  const updated = applyCycleMessage(record, { ...message, fromHex: pubkey, timestamp: Math.floor(Date.now() / 1000) });
+  saveCycle(updated);
+  return updated;
+}
+
+/**
+ * Join a ring we were invited to
+ * @param {string} cycleId - Ring ID
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<object>} - Ring record
+ */
+export async function acceptCycle(cycleId, ctx = createContext()) {
+  return act(cycleId, MessageTypes.cycleAccept(cycleId), ctx);
+}
+
+/**
+ * Refuse a ring; it won't go ahead
+ * @param {string} cycleId - Ring ID
+ * @param {string} reason - Why
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<object>} - Ring record
+ */
+export async function declineCycle(cycleId, reason, ctx = createContext()) {
+  return act(cycleId, MessageTypes.cycleDecline(cycleId, reason), ctx);
+}
+
+/**
+ * Report that the link on our leg is live
+ * @param {string} cycleId - Ring ID
+ * @param {string} liveUrl - Page carrying the link
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<object>} - Ring record
+ */
+export async function reportPlacement(cycleId, liveUrl, ctx = createContext()) {
+  const pubkey = await ctx.signer.getPublicKey();
+  const record = await syncCycle(cycleId, ctx);
+  if (record.status !== 'active') {
+    throw new Error(`Ring ${cycleId} is ${record.status}; place links once every owner has accepted`);
+  }
+  const leg = record.legs.findIndex(l => l.fromPubkey === pubkey);
+  if (leg === -1) {
+    throw new Error(`We host no link in ring ${cycleId}`);
+  }
+  return act(cycleId, MessageTypes.legPlaced(cycleId, leg, liveUrl), ctx);
+}
+
+/**
+ * Check the placed links pointing at our sites and tell the ring
+ * @param {string} cycleId - Ring ID
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<object>} - Ring record
+ */
+export async function verifyCycle(cycleId, ctx = createContext()) {
+  const pubkey = await ctx.signer.getPublicKey();
+  let record = await syncCycle(cycleId, ctx);
+  for (const [i, leg] of record.legs.entries()) {
+    if (leg.toPubkey !== pubkey || leg.state !== 'placed') continue;
+    const result = await verifyBacklink(leg.liveUrl, new URL(leg.to).hostname, {}, ctx);
+    console.log(`${result.verified ? '✓' : '✗'} ${leg.from} → ${leg.to}: ${result.message}`);
+    record = await act(cycleId, MessageTypes.legVerified(cycleId, i, result.verified, result.message), ctx);
+  }
+  return record;
+}
+
+/**
+ * Rings we've proposed or been part of
+ * @returns {array} - Ring records, newest first
+ */
+export function listCycles() {
+  return Object.values(loadCycles()).sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Find rings that include one of our sites among the registered sites
+ * @param {object} ctx - Context from createContext()
+ * @param {object} options - See findCycles()
+ * @returns {Promise<array>} - Rings
+ */
+export async function findLinkCycles(ctx = createContext(), options = {}) {
+  const pubkey = await ctx.signer.getPublicKey();
+  const sites = await querySites({}, ctx);
+  return findCycles(sites, { pubkey, ...options });
+}
+
+/**
+ * Print a ring record
+ * @param {object} record - Ring record
+ */
+export function printCycle(record) {
+  const marks = { pending: '·', placed: '⚠', verified: '✓', failed: '✗' };
+  console.log(`\n${record.cycleId}: ${record.status} (${record.accepted.length}/${record.participants.length} owners accepted)`);
+  for (const leg of record.legs) {
+    console.log(`   ${marks[leg.state]} ${leg.from} (${leg.placement}) → ${leg.to} (${leg.targetPage})${leg.liveUrl ? ` on ${leg.liveUrl}` : ''}`);
+  }
+  for (const [pk, reason] of Object.entries(record.declined)) {
+    console.log(`   ✗ declined by ${pk.slice(0, 12)}...: ${reason}`);
+  }
+}
+
+// CLI usage
+async function main() {
+  const [,, action, target] = process.argv;
+  const size = parseInt(process.argv.find(a => a.startsWith('--size='))?.split('=')[1]) || undefined;
+  const ctx = createContext();
+
+  if (action === 'find') {
+    const cycles = await findLinkCycles(ctx, { size });
+    for (const cycle of cycles) {
+      console.log(`\n${cycle.sites.join(' → ')} → ${cycle.sites[0]} (weakest leg ${cycle.score})`);
+    }
+    console.log(`\n${cycles.length} rings`);
+  } else if (action === 'show' && target) {
+    printCycle(await syncCycle(target, ctx));
+  } else {
+    for (const record of listCycles()) printCycle(record);
+    console.log('\nUsage: node src/cycles.js [find [--size=4] | show <cycleId>]');
+  }
+  await ctx.close();
+}
+
+// Only run CLI when executed directly
+const isMainModule = process.argv[1]?.endsWith('cycles.js');
+if (isMainModule) {
+  main().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,346 @@
+#!/usr/bin/env node
+// ABN Deal Threads
+// Every negotiation DM carries a dealId, so parallel negotiations with one
+// partner stay apart. A deal's messages are replayed in order through a
+// state machine. Paid links:
+//
+//   inquiry -> counter* -> accept -> paid -> placed -> verified     (pay first)
+//                                 -> placed -> verified -> paid     (pay on verification)
+//
+// Whoever accepts is the seller (the accept carries the invoice); the other
+// party pays and verifies. Link trades:
+//
+//   trade-proposal -> counter-trade* -> trade-accept -> link-placed x2 -> trade-verified x2
+//
+// Each side places its own link and verifies the other's. Either side can
+// walk away with trade-reject until terms are agreed. A message that
+// doesn't fit the state it arrives in, say `paid` before `accept`, stays in
+// the thread marked rejected and doesn't move the deal. Our own messages are checked before they're sent.
+// Threads are kept in .secrets/deals.json, per identity, so they outlive
+// the relays' DM window.
+// Usage: node src/deals.js [list [state] | show <dealId>]
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { randomBytes } from 'crypto';
+import { createContext } from './config.js';
+import { sendDM, readDMs, parsePublicKey, describeMessage } from './dm.js';
+import { validatePayload } from './schema.js';
+import { secretsPath } from './paths.js';
+
+export const DEALS_PATH = secretsPath('deals.json');
+
+const HISTORY_DAYS = 60;
+const SYNC_OVERLAP = 86400; // re-read a day before the last sync in case a relay lagged
+
+export const DEAL_STATES = ['inquiry', 'countered', 'proposed', 'accepted', 'paid', 'placed', 'verified', 'linking', 'failed', 'rejected', 'complete'];
+
+// Deals that are over
+const CLOSED_STATES = ['complete', 'rejected'];
+
+const otherParty = (deal, pk) => deal.parties.find(p => p !== pk);
+
+// Which states each message may follow (null: it opens the deal), who may
+// send it and the state it leads to
+export const DEAL_TRANSITIONS = {
+  inquiry: { from: [null], to: 'inquiry' },
+  counter: { from: [null, 'inquiry', 'countered'], to: 'countered' },
+  accept: { from: ['inquiry', 'countered'], by: 'offeree', to: 'accepted' },
+  paid: { from: ['accepted', 'verified'], by: 'buyer', to: deal => deal.state === 'verified' ? 'complete' : 'paid' },
+  placed: { from: ['accepted', 'paid', 'failed'], by: 'seller', to: 'placed' },
+  verified: { from: ['placed'], by: 'buyer', to: (deal, msg) => !msg.confirmed ? 'failed' : deal.paid ? 'complete' : 'verified' },
+  'trade-proposal': { from: [null], to: 'proposed' },
+  'counter-trade': { from: ['proposed'], by: 'offeree', to: 'proposed' },
+  'trade-accept': { from: ['proposed'], by: 'offeree', to: 'accepted' },
+  'trade-reject': { from: ['inquiry', 'countered', 'proposed'], to: 'rejected' },
+  'link-placed': {
+    from: ['accepted', 'linking'],
+    check: (deal, msg) => deal.links?.[msg.fromHex]?.verified ? 'link already verified' : null,
+    to: 'linking'
+  },
+  // The sender verifies the other side's link; done once both links are confirmed
+  'trade-verified': {
+    from: ['linking'],
+    check: (deal, msg) => deal.links?.[otherParty(deal, msg.fromHex)] ? null : 'nothing placed to verify yet',
+    to: (deal, msg) => msg.confirmed && deal.links[msg.fromHex]?.verified ? 'complete' : 'linking'
+  }
+};
+
+const ROLES = {
+  offeree: (deal, pk) => pk !== deal.offeredBy, // can't accept your own offer
+  seller: (deal, pk) => pk === deal.seller,
+  buyer: (deal, pk) => pk !== deal.seller
+};
+
+function loadStore() {
+  if (!existsSync(DEALS_PATH)) {
+    return {};
+  }
+  return JSON.parse(readFileSync(DEALS_PATH, 'utf-8'));
+}
+
+function saveStore(store) {
+  mkdirSync(dirname(DEALS_PATH), { recursive: true });
+  writeFileSync(DEALS_PATH, JSON.stringify(store, null, 2) + '\n', { mode: 0o600 });
+}
+
+function saveDeal(pubkey, deal) {
+  const store = loadStore();
+  store[pubkey] = store[pubkey] || { deals: {} };
+  store[pubkey].deals[deal.dealId] = deal;
+  saveStore(store);
+}
+
+/**
+ * A fresh deal ID
+ * @returns {string}
+ */
+export function newDealId() {
+  return `deal-${Date.now()}-${randomBytes(3).toString('hex')}`;
+}
+
+// Our copy of a sent DM comes back with a different id (a NIP-17 self-copy
+// is its own wrap), so messages are matched on sender and send time
+const messageKey = msg => `${msg.fromHex}:${msg.type}:${msg.sentAt ?? msg.id}`;
+
+/**
+ * An empty deal between two parties
+ * @param {string} dealId - Deal ID
+ * @param {array} parties - Both hex pubkeys
+ * @param {string} pubkey - Our hex pubkey
+ * @returns {object} - Deal record
+ */
+export function newDeal(dealId, parties, pubkey) {
+  return {
+    dealId,
+    parties,
+    partner: parties.find(pk => pk !== pubkey) || pubkey,
+    state: null,
+    paid: false,
+    thread: []
+  };
+}
+
+/**
+ * Why a message can't come next in a deal
+ * @param {object} deal - Deal record
+ * @param {object} msg - Message with type and fromHex
+ * @returns {string|null} - Reason, or null if it fits
+ */
+export function checkTransition(deal, msg) {
+  const rule = DEAL_TRANSITIONS[msg.type];
+  if (!rule) return `${msg.type} isn't a deal message`;
+  if (!deal.parties.includes(msg.fromHex)) return 'sender is not a party to the deal';
+  if (!rule.from.includes(deal.state)) return `${msg.type} can't follow ${deal.state || 'an empty thread'}`;
+  if (rule.by && !ROLES[rule.by](deal, msg.fromHex)) return `only the ${rule.by} can send ${msg.type}`;
+  return rule.check ? rule.check(deal, msg) : null;
+}
+
+/**
+ * Apply one message to a deal
+ * A message that doesn't fit is added to the thread with a `rejected`
+ * reason and leaves the state alone.
+ * @param {object} deal - Deal record
+ * @param {object} msg - Decrypted DM
+ * @returns {object} - Updated deal record
+ */
+export function applyDealMessage(deal, msg) {
+  const reason = checkTransition(deal, msg);
+  const next = { ...deal, thread: [...deal.thread, reason ? { ...msg, rejected: reason } : msg] };
+  if (reason) return next;
+
+  const rule = DEAL_TRANSITIONS[msg.type];
+  next.state = typeof rule.to === 'function' ? rule.to(deal, msg) : rule.to;
+  next.createdAt = deal.createdAt ?? msg.timestamp;
+  next.updatedAt = msg.timestamp;
+  if (msg.type === 'inquiry') {
+    Object.assign(next, { offeredBy: msg.fromHex, regarding: msg.regarding });
+  } else if (msg.type === 'counter') {
+    Object.assign(next, { offeredBy: msg.fromHex, sats: msg.sats, terms: msg.terms });
+  } else if (msg.type === 'accept') {
+    Object.assign(next, { seller: msg.fromHex, buyer: otherParty(deal, msg.fromHex), invoice: msg.invoice });
+  } else if (msg.type === 'paid') {
+    next.paid = true;
+  } else if (msg.type === 'placed') {
+    next.liveUrl = msg.liveUrl;
+  } else if (msg.type === 'trade-proposal' || msg.type === 'counter-trade') {
+    // mySite is always the sender's
+    const sites = { [msg.fromHex]: msg.mySite, ...(msg.yourSite && { [otherParty(deal, msg.fromHex)]: msg.yourSite }) };
+    Object.assign(next, { offeredBy: msg.fromHex, sites });
+  } else if (msg.type === 'trade-reject') {
+    next.reason = msg.reason;
+  } else if (msg.type === 'link-placed') {
+    next.links = { ...deal.links, [msg.fromHex]: { url: msg.url, anchor: msg.anchor, verified: null } };
+  } else if (msg.type === 'trade-verified') {
+    const placer = otherParty(deal, msg.fromHex);
+    next.links = { ...deal.links, [placer]: { ...deal.links[placer], verified: msg.confirmed, notes: msg.notes } };
+  }
+  return next;
+}
+
+/**
+ * Thread DMs into deals and replay each through the state machine
+ * Messages without a dealId are left out. Repeats (e.g. our own copy of a
+ * message we sent) count once.
+ * @param {array} messages - Decrypted DMs, any order
+ * @param {string} pubkey - Our hex pubkey
+ * @returns {object} - Deal records by dealId
+ */
+export function buildDeals(messages, pubkey) {
+  const unique = new Map();
+  for (const msg of messages) {
+    if (msg.dealId && !unique.has(messageKey(msg))) unique.set(messageKey(msg), msg);
+  }
+  const ordered = [...unique.values()].sort((a, b) =>
+    a.timestamp - b.timestamp || String(a.sentAt).localeCompare(String(b.sentAt)));
+
+  const deals = {};
+  for (const msg of ordered) {
+    const deal = deals[msg.dealId] || newDeal(msg.dealId, [...new Set([msg.fromHex, msg.toHex])], pubkey);
+    deals[msg.dealId] = applyDealMessage(deal, msg);
+  }
+  return deals;
+}
+
+/**
+ * Bring our deal threads up to date from the inbox (ours and theirs)
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<object>} - Deal records by dealId
+ */
+export async function syncDeals(ctx = createContext()) {
+  const pubkey = await ctx.signer.getPublicKey();
+  const now = Math.floor(Date.now() / 1000);
+  const store = loadStore();
+  const mine = store[pubkey] || { deals: {} };
+  const since = mine.syncedAt ? mine.syncedAt - SYNC_OVERLAP : now - 86400 * HISTORY_DAYS;
+
+  const fresh = (await readDMs({ since, sent: true }, ctx)).filter(m => m.dealId);
+  const known = Object.values(mine.deals).flatMap(deal => deal.thread.map(({ rejected, ...msg }) => msg));
+  const deals = buildDeals([...known, ...fresh], pubkey);
+
+  store[pubkey] = { syncedAt: now, deals };
+  saveStore(store);
+  return deals;
+}
+
+/**
+ * A deal's current state and full thread
+ * @param {string} dealId - Deal ID
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<object>} - Deal record
+ */
+export async function getDeal(dealId, ctx = createContext()) {
+  const deal = (await syncDeals(ctx))[dealId];
+  if (!deal) {
+    throw new Error(`Unknown deal ${dealId}`);
+  }
+  return deal;
+}
+
+/**
+ * List our deals
+ * @param {object} filters - { partner: npub or hex, state, open: true (not complete or rejected) }
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<array>} - Deal records, most recently active first
+ */
+export async function listDeals(filters = {}, ctx = createContext()) {
+  const partner = filters.partner ? parsePublicKey(filters.partner) : null;
+  return Object.values(await syncDeals(ctx))
+    .filter(deal => !partner || deal.partner === partner)
+    .filter(deal => !filters.state || deal.state === filters.state)
+    .filter(deal => !filters.open || !CLOSED_STATES.includes(deal.state))
+    .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+}
+
+/**
+ * The one open deal with a partner, for callers that don't track deal IDs
+ * @param {string} partner - npub or hex pubkey
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<string|null>} - Deal ID, or null if there's none
+ * @throws if there's more than one
+ */
+export async function openDealWith(partner, ctx = createContext()) {
+  const open = await listDeals({ partner, open: true }, ctx);
+  if (open.length > 1) {
+    throw new Error(`${open.length} open deals with this partner; pass a dealId (${open.map(d => d.dealId).join(', ')})`);
+  }
+  return open[0]?.dealId || null;
+}
+
+/**
+ * Send a negotiation message (from MessageTypes, with its dealId)
+ * Refused before sending if it's malformed or the deal isn't in a state
+ * it can follow.
+ * @param {string} partner - npub or hex pubkey
+ * @param {object} message - Message from MessageTypes
+ * @param {object} ctx - Context from createContext()
+ * @param {object} options - Passed to sendDM
+ * @returns {Promise<object>} - { event, delivery, deal }
+ */
+export async function sendDealMessage(partner, message, ctx = createContext(), options = {}) {
+  if (!message.dealId) {
+    throw new Error(`${message.type} needs a dealId`);
+  }
+  const errors = validatePayload('dm', message);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${message.type}: ${errors.join('; ')}`);
+  }
+  const pubkey = await ctx.signer.getPublicKey();
+  const partnerHex = parsePublicKey(partner);
+  const deal = (await syncDeals(ctx))[message.dealId] || newDeal(message.dealId, [pubkey, partnerHex], pubkey);
+  if (!deal.parties.includes(partnerHex)) {
+    throw new Error(`Deal ${message.dealId} is with someone else`);
+  }
+
+  const outgoing = { ...message, fromHex: pubkey, toHex: partnerHex, timestamp: Math.floor(Date.now() / 1000), sentAt: message.timestamp };
+  const reason = checkTransition(deal, outgoing);
+  if (reason) {
+    throw new Error(`Can't send ${message.type} on ${message.dealId}: ${reason}`);
+  }
+
+  const { event, delivery } = await sendDM(partnerHex, message, ctx, options);
+  const updated = applyDealMessage(deal, { ...outgoing, id: event.id });
+  saveDeal(pubkey, updated);
+  return { event, delivery, deal: updated };
+}
+
+/**
+ * Print a deal and its thread
+ * @param {object} deal - Deal record
+ * @param {string} pubkey - Our hex pubkey, to tell our messages apart
+ */
+export function printDeal(deal, pubkey) {
+  const terms = deal.sats ? ` for ${deal.sats} sats` : deal.sites ? ` of ${deal.sites[pubkey] || '?'} ⇄ ${deal.sites[deal.partner] || '?'}` : '';
+  console.log(`\n${deal.dealId}: ${deal.state}${terms} with ${deal.partner.slice(0, 12)}...${deal.regarding ? ` (re ${deal.regarding})` : ''}`);
+  for (const msg of deal.thread) {
+    const who = msg.fromHex === pubkey ? 'us' : 'them';
+    const when = new Date(msg.timestamp * 1000).toISOString();
+    console.log(`   ${msg.rejected ? '✗' : '✓'} ${when} ${who}: ${msg.type} ${describeMessage(msg)}${msg.rejected ? ` (rejected: ${msg.rejected})` : ''}`);
+  }
+}
+
+// CLI usage
+async function main() {
+  const [,, action, target] = process.argv;
+  const ctx = createContext();
+  const pubkey = await ctx.signer.getPublicKey();
+
+  if (action === 'show' && target) {
+    printDeal(await getDeal(target, ctx), pubkey);
+  } else {
+    const deals = await listDeals({ state: action === 'list' ? target : undefined }, ctx);
+    for (const deal of deals) printDeal(deal, pubkey);
+    console.log(`\n${deals.length} deals`);
+    console.log('Usage: node src/deals.js [list [state] | show <dealId>]');
+  }
+  await ctx.close();
+}
+
+// Only run CLI when executed directly
+const isMainModule = process.argv[1]?.endsWith('deals.js');
+if (isMainModule) {
+  main().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}
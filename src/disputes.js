@@ -0,0 +1,306 @@
+// ABN Disputes
+// When a seller takes payment and never places the link, or removes it
+// later, either party can open a dispute with an arbiter both trust:
+//
+//   claimant   --dispute-open-->  respondent, arbiter   (names the arbiter, signs an agreement)
+//   respondent --evidence------>  claimant, arbiter     (signs an agreement for the same arbiter)
+//   either     --evidence------>  ...                   (more evidence at any time)
+//   arbiter    --resolution---->  both                  (and publishes a signed kind 30104 record)
+//
+// An arbiter agreement is a small signed event (kind 30105) naming the
+// dispute and the arbiter. The published resolution carries both, so anyone
+// can check the arbiter was mutually chosen; reputation only counts
+// resolutions that pass that check.
+
+import { createHash } from 'crypto';
+import { SimplePool } from 'nostr-tools/pool';
+import { nip19 } from 'nostr-tools';
+import { KINDS, createContext } from './config.js';
+import { protocolTags, DISPUTE_OUTCOMES } from './protocol.js';
+import { healthyRelays } from './relays.js';
+import { queueEvent } from './outbox.js';
+import { sendDM, readDMs, MessageTypes } from './dm.js';
+import { verifyBacklink, fetchPage } from './verify.js';
+import { checkEvent, acceptEvent, isValidAgreement } from './schema.js';
+
+const SNAPSHOT_EXCERPT = 1000; // characters of page text kept in a snapshot
+const DISPUTE_HISTORY_DAYS = 90;
+
+function toHex(pubkey) {
+  return pubkey.startsWith('npub') ? nip19.decode(pubkey).data : pubkey;
+}
+
+const sha256 = data => createHash('sha256').update(data).digest('hex');
+
+/**
+ * Sign our agreement to an arbiter for a dispute
+ * @param {string} disputeId - Dispute ID
+ * @param {string} arbiter - Arbiter npub or hex
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<object>} - Signed ARBITER_AGREEMENT event (not published)
+ */
+export async function signAgreement(disputeId, arbiter, ctx = createContext()) {
+  return ctx.signer.signEvent({
+    kind: KINDS.ARBITER_AGREEMENT,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [['d', disputeId], ['p', toHex(arbiter)]],
+    content: ''
+  });
+}
+
+/**
+ * Gather evidence for a dispute
+ * - verifications: link checks run now ({ pageUrl, targetDomain, options })
+ * - snapshots: pages fetched now, kept as a hash plus the start of their text
+ * - payments: { paymentHash, preimage }, proven when sha256(preimage) = hash
+ * @param {object} spec - { verifications: [], snapshots: [urls], payments: [], notes }
+ * @param {object} ctx - Context from createContext() (uses ctx.http)
+ * @returns {Promise<object>} - Evidence bundle
+ */
+export async function bundleEvidence(spec = {}, ctx = createContext()) {
+  const verifications = [];
+  for (const check of spec.verifications || []) {
+    const result = await verifyBacklink(check.pageUrl, check.targetDomain, check.options || {}, ctx);
+    verifications.push({
+      pageUrl: result.pageUrl,
+      targetDomain: result.targetDomain,
+      verified: result.verified,
+      message: result.message,
+      checkedAt: result.checkedAt
+    });
+  }
+
+  const snapshots = [];
+  for (const url of spec.snapshots || []) {
+    const capturedAt = new Date().toISOString();
+    try {
+      const html = await fetchPage(url, ctx.http);
+      const text = html.replace(/<script[\s\S]*?<\/script>|<style[\s\S]*?<\/style>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+      snapshots.push({ url, capturedAt, sha256: sha256(html), bytes: html.length, excerpt: text.slice(0, SNAPSHOT_EXCERPT) });
+    } catch (err) {
+      snapshots.push({ url, capturedAt, error: err.message });
+    }
+  }
+
+  const payments = (spec.payments || []).map(({ paymentHash, preimage }) => ({
+    paymentHash,
+    preimage,
+    proven: Boolean(preimage && paymentHash) && sha256(Buffer.from(preimage, 'hex')) === paymentHash.toLowerCase()
+  }));
+
+  return {
+    verifications,
+    snapshots,
+    payments,
+    ...(spec.notes && { notes: spec.notes }),
+    bundledAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Open a dispute with the other party, naming an arbiter
+ * The arbiter gets a copy so it can follow the case.
+ * @param {string} respondent - Other party's npub
+ * @param {object} details - { regarding, reason, arbiter, evidence: spec for bundleEvidence() }
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<object>} - { disputeId, evidence }
+ */
+export async function openDispute(respondent, details, ctx = createContext()) {
+  if (!details.arbiter || !details.reason) {
+    throw new Error('A dispute needs an arbiter and a reason');
+  }
+  const pubkey = await ctx.signer.getPublicKey();
+  const arbiter = toHex(details.arbiter);
+  if (arbiter === pubkey || arbiter === toHex(respondent)) {
+    throw new Error('The arbiter must be neither party');
+  }
+
+  const disputeId = details.disputeId || `dispute-${Date.now()}`;
+  const agreement = await signAgreement(disputeId, arbiter, ctx);
+  const evidence = await bundleEvidence(details.evidence, ctx);
+  const message = MessageTypes.disputeOpen(disputeId, details.regarding, details.reason, arbiter, agreement, evidence);
+
+  await sendDM(respondent, message, ctx);
+  await sendDM(arbiter, { ...message, respondent: toHex(respondent) }, ctx);
+  return { disputeId, evidence };
+}
+
+/**
+ * Add evidence to a dispute, sent to the other party and the arbiter
+ * Pass `agree` to also sign for the arbiter the claimant named (the
+ * respondent's first reply); naming a different arbiter means the
+ * claimant has to re-open with that one.
+ * @param {string} counterparty - Other party's npub
+ * @param {string} disputeId - Dispute ID
+ * @param {object} details - { arbiter, agree: false, evidence: spec for bundleEvidence() }
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<object>} - Evidence bundle sent
+ */
+export async function submitEvidence(counterparty, disputeId, details, ctx = createContext()) {
+  const agreement = details.agree ? await signAgreement(disputeId, details.arbiter, ctx) : undefined;
+  const evidence = await bundleEvidence(details.evidence, ctx);
+  const message = MessageTypes.evidence(disputeId, evidence, agreement);
+
+  await sendDM(counterparty, message, ctx);
+  await sendDM(details.arbiter, message, ctx);
+  return evidence;
+}
+
+/**
+ * Put a dispute together from DMs, as seen by one of its parties
+ * The first dispute-open fixes the claimant, respondent and arbiter; only
+ * their messages count after that, and only the arbiter can resolve.
+ * @param {string} disputeId - Dispute ID
+ * @param {array} messages - Decrypted DMs, ours included (readDMs with sent: true)
+ * @param {string} pubkey - Our hex pubkey
+ * @returns {object} - { disputeId, claimant, respondent, arbiter, regarding, reason, agreements, evidence, resolution }
+ */
+export function assembleDispute(disputeId, messages, pubkey) {
+  const related = messages
+    .filter(m => m.disputeId === disputeId)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const opened = related.find(m => m.type === 'dispute-open');
+  if (!opened) {
+    throw new Error(`No dispute-open message for ${disputeId} in the last ${DISPUTE_HISTORY_DAYS} days`);
+  }
+  const claimant = opened.fromHex;
+  const copies = related.filter(m => m.type === 'dispute-open' && m.fromHex === claimant);
+  // The arbiter's copy names the respondent; the respondent's is addressed to them
+  const respondent = copies.find(m => m.respondent)?.respondent
+    || (claimant === pubkey ? copies.find(m => m.toHex !== opened.arbiter)?.toHex : pubkey);
+  const parties = [claimant, respondent, opened.arbiter];
+
+  // What we sent both parties shows up once per copy
+  const seen = new Set();
+  const thread = related.filter(m => {
+    const key = `${m.fromHex}:${m.type}:${m.sentAt || m.timestamp}`;
+    if (!parties.includes(m.fromHex) || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const agreements = thread
+    .map(m => m.agreement)
+    .filter(a => isValidAgreement(a, disputeId, opened.arbiter));
+
+  return {
+    disputeId,
+    claimant,
+    respondent,
+    arbiter: opened.arbiter,
+    regarding: opened.regarding,
+    reason: opened.reason,
+    agreements: [...new Map(agreements.map(a => [a.pubkey, a])).values()],
+    evidence: thread.filter(m => m.evidence && m.fromHex !== opened.arbiter).map(m => ({ from: m.fromHex, at: m.date, ...m.evidence })),
+    resolution: thread.find(m => m.type === 'resolution' && m.fromHex === opened.arbiter) || null
+  };
+}
+
+/**
+ * Everything in our inbox about one dispute, including what we sent
+ * @param {string} disputeId - Dispute ID
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<object>} - See assembleDispute()
+ */
+export async function collectDispute(disputeId, ctx = createContext()) {
+  const since = Math.floor(Date.now() / 1000) - 86400 * DISPUTE_HISTORY_DAYS;
+  const pubkey = await ctx.signer.getPublicKey();
+  return assembleDispute(disputeId, await readDMs({ since, sent: true }, ctx), pubkey);
+}
+
+/**
+ * Build the unsigned resolution event
+ * @param {object} resolution - Resolution record (schema 'resolution')
+ * @returns {object} - Event template ready for signing
+ */
+export function buildResolutionEvent(resolution) {
+  return {
+    kind: KINDS.DISPUTE_RESOLUTION,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [
+      ['d', resolution.disputeId],
+      ['p', resolution.claimant],
+      ['p', resolution.respondent],
+      ['t', 'abn-dispute'],
+      ...protocolTags('DISPUTE_RESOLUTION')
+    ],
+    content: JSON.stringify(resolution)
+  };
+}
+
+/**
+ * Rule on a dispute as its arbiter
+ * Publishes a signed kind 30104 record carrying both parties' agreements
+ * and tells both parties.
+ * @param {string} disputeId - Dispute ID
+ * @param {object} ruling - { outcome: 'claimant' | 'respondent' | 'split' | 'dismissed', summary, refundSats }
+ * @param {object} ctx - Context from createContext() (the arbiter's)
+ * @returns {Promise<object>} - { event: signed resolution, delivery: report from outbox.js }
+ */
+export async function resolveDispute(disputeId, ruling, ctx = createContext()) {
+  if (!DISPUTE_OUTCOMES.includes(ruling.outcome)) {
+    throw new Error(`Outcome must be one of ${DISPUTE_OUTCOMES.join(', ')}`);
+  }
+  const pubkey = await ctx.signer.getPublicKey();
+  const dispute = await collectDispute(disputeId, ctx);
+  if (dispute.arbiter !== pubkey) {
+    throw new Error('Only the named arbiter can resolve this dispute');
+  }
+
+  const resolution = {
+    disputeId,
+    ...(dispute.regarding && { regarding: dispute.regarding }),
+    claimant: dispute.claimant,
+    respondent: dispute.respondent,
+    arbiter: pubkey,
+    outcome: ruling.outcome,
+    ...(ruling.summary && { summary: ruling.summary }),
+    ...(ruling.refundSats !== undefined && { refundSats: ruling.refundSats }),
+    agreements: dispute.agreements,
+    resolvedAt: Math.floor(Date.now() / 1000)
+  };
+
+  const event = await ctx.signer.signEvent(buildResolutionEvent(resolution));
+  // Refuses to publish until both parties have agreed to us
+  checkEvent(event, 'resolution');
+  const delivery = await queueEvent(event, ctx, undefined, { label: `resolution of ${disputeId}` });
+
+  const message = MessageTypes.resolution(disputeId, ruling.outcome, ruling.summary, event.id);
+  await sendDM(dispute.claimant, message, ctx);
+  await sendDM(dispute.respondent, message, ctx);
+  return { event, delivery };
+}
+
+/**
+ * Published resolutions involving an agent
+ * Only resolutions whose arbiter both parties agreed to are returned.
+ * @param {string} npub - npub or hex pubkey
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<array>} - { id, arbiter, ...resolution }
+ */
+export async function queryResolutions(npub, ctx = createContext()) {
+  const pool = new SimplePool();
+  const relays = healthyRelays(ctx.relays);
+  const events = await pool.querySync(relays, { kinds: [KINDS.DISPUTE_RESOLUTION], '#p': [toHex(npub)] });
+  pool.close(relays);
+  return readResolutions(events);
+}
+
+/**
+ * Check and parse resolution events, dropping (and quarantining) any
+ * without a mutually agreed arbiter
+ * An arbiter can re-publish a ruling; only its latest one counts.
+ * @param {array} events - Kind 30104 events
+ * @returns {array} - { id, ...resolution }
+ */
+export function readResolutions(events) {
+  const latest = new Map();
+  for (const event of [...events].sort((a, b) => b.created_at - a.created_at)) {
+    const data = acceptEvent(event, 'resolution');
+    const key = data && `${event.pubkey}:${data.disputeId}`;
+    if (data && !latest.has(key)) latest.set(key, { id: event.id, ...data });
+  }
+  return [...latest.values()];
+}
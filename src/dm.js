@@ -1,19 +1,27 @@
 #!/usr/bin/env node
-// ABN Encrypted DM Module for agent negotiation (NIP-04)
+// ABN Encrypted DM Module for agent negotiation
+// DMs go out as NIP-17 gift wraps (NIP-44 encryption inside a NIP-59 seal
+// and wrap), which hide who is talking to whom and when: relays only see a
+// throwaway key writing to the recipient at a randomized time. Peers that
+// haven't published a NIP-17 DM relay list (kind 10050) get NIP-04 kind 4
+// DMs instead. readDMs and watchDMs read both into one inbox.
+// Sends go through the outbox (outbox.js), which retries when no relay
+// takes them and can ask the recipient for an ack.
 // Usage: node src/dm.js <action> [args]
 
-import { finalizeEvent, getPublicKey, nip19, nip04 } from 'nostr-tools';
+import { randomBytes } from 'crypto';
+import { nip19, nip44, finalizeEvent, generateSecretKey, getEventHash, verifyEvent } from 'nostr-tools';
 import { SimplePool } from 'nostr-tools/pool';
-import { Relay } from 'nostr-tools/relay';
-import { RELAYS, KINDS, loadPrivateKey } from './config.js';
+import { KINDS, createContext } from './config.js';
+import { publishEvent, inboxRelays, ownInboxRelays, fetchRelayList } from './relays.js';
+import { checkEvent, quarantineEvent } from './schema.js';
+import { sendDealMessage, newDealId } from './deals.js';
+import { queueEvent, applyAcks, acknowledged } from './outbox.js';
 
-function parsePrivateKey(key) {
-  if (key.startsWith('nsec')) {
-    const decoded = nip19.decode(key);
-    return decoded.data;
-  }
-  return new Uint8Array(key.match(/.{1,2}/g).map(b => parseInt(b, 16)));
-}
+const WRAP_JITTER = 2 * 86400; // gift wraps and seals are backdated up to two days
+
+// Peers we've had NIP-17 DMs from this session
+const nip17Peers = new Set();
 
 function parsePublicKey(key) {
   if (key.startsWith('npub')) {
@@ -23,136 +31,296 @@ function parsePublicKey(key) {
   return key; // Assume hex
 }
 
+// A random time up to WRAP_JITTER ago, so wraps don't leak when a DM was sent
+function jitteredTime() {
+  return Math.floor(Date.now() / 1000) - Math.floor(Math.random() * WRAP_JITTER);
+}
+
 /**
- * Send an encrypted DM to another agent
- * @param {string} recipientPubkey - npub or hex pubkey
+ * Encrypt and sign a NIP-04 DM event
+ * @param {object} signer - Sender's signer
+ * @param {string} recipientHex - Recipient's hex pubkey
  * @param {object} message - Message object to send
- * @returns {Promise<object>} - Event object
+ * @returns {Promise<object>} - Signed event
  */
-async function sendDM(recipientPubkey, message) {
-  const privKey = parsePrivateKey(loadPrivateKey());
-  const pubkey = getPublicKey(privKey);
-  const recipientHex = parsePublicKey(recipientPubkey);
-  
-  // Encrypt the message content
+async function buildDMEvent(signer, recipientHex, message) {
   const plaintext = JSON.stringify(message);
-  const ciphertext = await nip04.encrypt(privKey, recipientHex, plaintext);
+  const ciphertext = await signer.nip04Encrypt(recipientHex, plaintext);
   
-  const event = finalizeEvent({
+  return signer.signEvent({
     kind: KINDS.ENCRYPTED_DM,
     created_at: Math.floor(Date.now() / 1000),
     tags: [['p', recipientHex]],
     content: ciphertext
-  }, privKey);
+  });
+}
+
+/**
+ * Gift-wrap a DM (NIP-17)
+ * The message is an unsigned kind 14 rumor, sealed (kind 13) under the
+ * sender's key and wrapped (kind 1059) under a one-time key. Wrapping the
+ * same rumor for another pubkey (e.g. our own copy) gives a separate wrap.
+ * @param {object} signer - Sender's signer (needs nip44Encrypt)
+ * @param {string} recipientHex - Recipient's hex pubkey
+ * @param {object} message - Message object to send
+ * @param {string} wrapFor - Pubkey to wrap for (default: the recipient)
+ * @returns {Promise<object>} - Signed gift wrap event
+ */
+async function buildGiftWrap(signer, recipientHex, message, wrapFor = recipientHex) {
+  const rumor = {
+    kind: KINDS.PRIVATE_DM,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [['p', recipientHex]],
+    content: JSON.stringify(message),
+    pubkey: await signer.getPublicKey()
+  };
+  rumor.id = getEventHash(rumor);
+  
+  const seal = await signer.signEvent({
+    kind: KINDS.SEAL,
+    created_at: jitteredTime(),
+    tags: [],
+    content: await signer.nip44Encrypt(wrapFor, JSON.stringify(rumor))
+  });
+  
+  const wrapKey = generateSecretKey();
+  return finalizeEvent({
+    kind: KINDS.GIFT_WRAP,
+    created_at: jitteredTime(),
+    tags: [['p', wrapFor]],
+    content: nip44.encrypt(JSON.stringify(seal), nip44.getConversationKey(wrapKey, wrapFor))
+  }, wrapKey);
+}
+
+// Message object from a decrypted payload. The envelope wins over the
+// payload: timestamp is when the event was made (the payload's own
+// timestamp is kept as sentAt) and a payload can't claim another sender.
+function toMessage(event, sender, recipient, createdAt, protocol, parsed) {
+  return {
+    ...parsed,
+    id: event.id,
+    from: nip19.npubEncode(sender),
+    fromHex: sender,
+    toHex: recipient,
+    timestamp: createdAt,
+    date: new Date(createdAt * 1000).toISOString(),
+    protocol,
+    sentAt: parsed.timestamp
+  };
+}
+
+/**
+ * Unwrap a gift-wrapped DM into a message object
+ * The seal's signature proves the sender; a rumor claiming another
+ * author is rejected.
+ * @param {object} signer - Recipient's signer (needs nip44Decrypt)
+ * @param {object} wrap - Kind 1059 event
+ * @returns {Promise<object>} - Decrypted message with sender metadata (id is the rumor id)
+ * @throws if the wrap can't be opened or fails signature/schema checks
+ */
+async function unwrapDM(signer, wrap) {
+  const seal = JSON.parse(await signer.nip44Decrypt(wrap.pubkey, wrap.content));
+  if (seal.kind !== KINDS.SEAL || !verifyEvent(seal)) {
+    throw new Error('invalid seal');
+  }
+  const rumor = JSON.parse(await signer.nip44Decrypt(seal.pubkey, seal.content));
+  if (rumor.kind !== KINDS.PRIVATE_DM || rumor.pubkey !== seal.pubkey || getEventHash(rumor) !== rumor.id) {
+    throw new Error('rumor does not match its seal');
+  }
+  const parsed = checkEvent(seal, 'dm', rumor.content);
+  const recipient = rumor.tags.find(t => t[0] === 'p')?.[1];
+  return { ...toMessage(rumor, seal.pubkey, recipient, rumor.created_at, 'nip17', parsed), wrapId: wrap.id };
+}
+
+/**
+ * Decrypt a NIP-04 DM event into a message object
+ * @param {object} signer - Recipient's (or, for our own DMs, sender's) signer
+ * @param {object} event - Kind 4 event
+ * @returns {Promise<object>} - Decrypted message with sender metadata
+ * @throws if the event can't be decrypted or fails signature/schema checks
+ */
+async function decryptDM(signer, event) {
+  const recipient = event.tags.find(t => t[0] === 'p')?.[1];
+  const own = event.pubkey === await signer.getPublicKey();
+  const plaintext = await signer.nip04Decrypt(own ? recipient : event.pubkey, event.content);
+  const parsed = checkEvent(event, 'dm', plaintext);
+  return toMessage(event, event.pubkey, recipient, event.created_at, 'nip04', parsed);
+}
+
+// Open a DM event of either kind, remembering peers that use NIP-17
+async function openDM(signer, event) {
+  if (event.kind !== KINDS.GIFT_WRAP) {
+    return decryptDM(signer, event);
+  }
+  const message = await unwrapDM(signer, event);
+  nip17Peers.add(message.fromHex);
+  return message;
+}
+
+/**
+ * Which DM protocol a peer reads
+ * A peer reads NIP-17 if it published a DM relay list (kind 10050) or has
+ * sent us a gift-wrapped DM; otherwise it gets NIP-04.
+ * @param {string} pubkey - npub or hex pubkey
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<string>} - 'nip17' or 'nip04'
+ */
+async function dmProtocol(pubkey, ctx = createContext()) {
+  const hex = parsePublicKey(pubkey);
+  if (typeof ctx.signer.nip44Encrypt !== 'function') return 'nip04';
+  if (nip17Peers.has(hex)) return 'nip17';
+  const list = await fetchRelayList(hex, ctx).catch(() => null);
+  return list?.dm?.length > 0 ? 'nip17' : 'nip04';
+}
+
+/**
+ * Send an encrypted DM to another agent
+ * NIP-17 if the peer reads it (see dmProtocol), else NIP-04. A NIP-17 DM
+ * is also wrapped for ourselves, so our inbox keeps what we sent.
+ * @param {string} recipientPubkey - npub or hex pubkey
+ * @param {object} message - Message object to send
+ * @param {object} ctx - Context from createContext()
+ * @param {object} options - { protocol: 'nip17' | 'nip04' (default: detect), ack: ask the recipient to ack it }
+ * @returns {Promise<object>} - { event: the recipient's gift wrap for NIP-17, delivery: report from outbox.js }
+ * @throws if every relay refused it for good (it's queued for retry otherwise)
+ */
+async function sendDM(recipientPubkey, message, ctx = createContext(), options = {}) {
+  const pubkey = await ctx.signer.getPublicKey();
+  const recipientHex = parsePublicKey(recipientPubkey);
+  const protocol = options.protocol || await dmProtocol(recipientHex, ctx);
+  if (options.ack) {
+    message = { ...message, ackId: randomBytes(8).toString('hex') };
+  }
   
   console.log('Sending encrypted DM...');
   console.log(`From: ${nip19.npubEncode(pubkey).slice(0, 20)}...`);
   console.log(`To: ${recipientPubkey.slice(0, 20)}...`);
-  console.log(`Type: ${message.type}`);
+  console.log(`Type: ${message.type} (${protocol === 'nip17' ? 'NIP-17 gift wrap' : 'NIP-04'})`);
   
-  let success = 0;
-  for (const url of RELAYS.slice(0, 3)) { // Use first 3 relays for DMs
-    try {
-      const relay = await Relay.connect(url);
-      await relay.publish(event);
-      console.log(`✓ ${url}`);
-      success++;
-      relay.close();
-    } catch (err) {
-      console.log(`✗ ${url}: ${err.message}`);
-    }
+  const event = protocol === 'nip17'
+    ? await buildGiftWrap(ctx.signer, recipientHex, message)
+    : await buildDMEvent(ctx.signer, recipientHex, message);
+  
+  // Deliver to the recipient's inbox relays and our healthiest ones
+  const delivery = await queueEvent(event, ctx, await inboxRelays(recipientHex, ctx), {
+    label: `${message.type} DM`,
+    to: recipientHex,
+    ackId: message.ackId
+  });
+  
+  if (delivery.status === 'failed') {
+    throw new Error(`Every relay refused the DM: ${delivery.rejected.map(r => `${r.url} (${r.message})`).join(', ')}`);
   }
   
-  if (success === 0) {
-    throw new Error('Failed to publish to any relay');
+  if (protocol === 'nip17') {
+    // Best effort: losing our own copy only loses our sent view
+    const copy = await buildGiftWrap(ctx.signer, recipientHex, message, pubkey);
+    await publishEvent(copy, ctx, await ownInboxRelays(ctx)).catch(() => {});
   }
   
-  return event;
+  return { event, delivery };
 }
 
 /**
- * Read DMs sent to your pubkey
- * @param {object} options - { since: unix_timestamp, from: npub }
- * @returns {Promise<array>} - Decrypted messages
+ * Answer DMs that asked for an ack, and record acks we've received
+ * Each ack goes out once, however often the message is read.
+ * @param {array} messages - Decrypted DMs (see readDMs)
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<object>} - { sent: number of acks sent, received: delivery reports newly acked }
  */
-async function readDMs(options = {}) {
-  const privKey = parsePrivateKey(loadPrivateKey());
-  const pubkey = getPublicKey(privKey);
+async function acknowledgeDMs(messages, ctx = createContext()) {
+  const pubkey = await ctx.signer.getPublicKey();
+  const received = applyAcks(messages);
+  let sent = 0;
+  for (const msg of messages) {
+    if (!msg.ackId || msg.type === 'ack' || msg.fromHex === pubkey || acknowledged(msg.ackId)) continue;
+    try {
+      await sendDM(msg.fromHex, MessageTypes.ack(msg.ackId), ctx, { protocol: msg.protocol });
+      acknowledged(msg.ackId, true);
+      sent++;
+    } catch (err) {
+      console.log(`⚠ Couldn't ack ${msg.type} from ${msg.from.slice(0, 20)}...: ${err.message}`);
+    }
+  }
+  return { sent, received };
+}
+
+/**
+ * Read DMs sent to your pubkey, NIP-17 and NIP-04 in one list
+ * @param {object} options - { since: unix_timestamp, from: npub, sent: false (include ours) }
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<array>} - Decrypted messages, newest first
+ */
+async function readDMs(options = {}, ctx = createContext()) {
+  const pubkey = await ctx.signer.getPublicKey();
+  const since = options.since || Math.floor(Date.now() / 1000) - 86400 * 7; // Last 7 days
+  const from = options.from ? parsePublicKey(options.from) : null;
   
   const pool = new SimplePool();
   
-  const filter = {
-    kinds: [KINDS.ENCRYPTED_DM],
-    '#p': [pubkey],
-    since: options.since || Math.floor(Date.now() / 1000) - 86400 * 7 // Last 7 days
-  };
-  
-  if (options.from) {
-    filter.authors = [parsePublicKey(options.from)];
+  const filters = [
+    { kinds: [KINDS.ENCRYPTED_DM], '#p': [pubkey], since, ...(from && { authors: [from] }) },
+    // Wraps are backdated, so look further back and filter on the real time after unwrapping
+    { kinds: [KINDS.GIFT_WRAP], '#p': [pubkey], since: since - WRAP_JITTER }
+  ];
+  if (options.sent) {
+    filters.push({ kinds: [KINDS.ENCRYPTED_DM], authors: [pubkey], since });
   }
   
   console.log('Fetching encrypted DMs...');
   
-  const events = await pool.querySync(RELAYS.slice(0, 3), filter);
+  const relays = await ownInboxRelays(ctx);
+  const events = (await Promise.all(filters.map(filter => pool.querySync(relays, filter)))).flat();
   
-  const messages = [];
+  const messages = new Map();
   for (const event of events) {
     try {
-      const plaintext = await nip04.decrypt(privKey, event.pubkey, event.content);
-      const parsed = JSON.parse(plaintext);
-      messages.push({
-        id: event.id,
-        from: nip19.npubEncode(event.pubkey),
-        fromHex: event.pubkey,
-        timestamp: event.created_at,
-        date: new Date(event.created_at * 1000).toISOString(),
-        ...parsed
-      });
+      const message = await openDM(ctx.signer, event);
+      messages.set(message.id, message);
     } catch (err) {
-      // Skip messages we can't decrypt (not for us or malformed)
-      console.log(`Skipping message ${event.id.slice(0, 8)}...: ${err.message}`);
+      // Not for us, forged or malformed
+      quarantineEvent(event, 'dm', err.message);
     }
   }
   
-  // Sort by timestamp, newest first
-  messages.sort((a, b) => b.timestamp - a.timestamp);
-  
-  pool.close(RELAYS);
-  return messages;
+  pool.close(relays);
+  return [...messages.values()]
+    .filter(m => m.timestamp >= since)
+    .filter(m => options.sent || m.fromHex !== pubkey)
+    .filter(m => !from || m.fromHex === from || (m.fromHex === pubkey && m.toHex === from))
+    // Sort by timestamp, newest first
+    .sort((a, b) => b.timestamp - a.timestamp);
 }
 
 /**
- * Subscribe to live DMs
+ * Subscribe to live DMs, NIP-17 and NIP-04
  * @param {function} callback - Called with each new decrypted message
+ * @param {object} ctx - Context from createContext()
  */
-async function watchDMs(callback) {
-  const privKey = parsePrivateKey(loadPrivateKey());
-  const pubkey = getPublicKey(privKey);
+async function watchDMs(callback, ctx = createContext()) {
+  const pubkey = await ctx.signer.getPublicKey();
+  const started = Math.floor(Date.now() / 1000);
+  const seen = new Set();
   
   const pool = new SimplePool();
   
   console.log(`Watching for DMs to ${nip19.npubEncode(pubkey).slice(0, 20)}...`);
   console.log('Press Ctrl+C to stop.\n');
   
-  const sub = pool.subscribeMany(RELAYS.slice(0, 3), [{
-    kinds: [KINDS.ENCRYPTED_DM],
-    '#p': [pubkey],
-    since: Math.floor(Date.now() / 1000)
-  }], {
+  const relays = await ownInboxRelays(ctx);
+  const sub = pool.subscribeMany(relays, [
+    { kinds: [KINDS.ENCRYPTED_DM], '#p': [pubkey], since: started },
+    { kinds: [KINDS.GIFT_WRAP], '#p': [pubkey], since: started - WRAP_JITTER }
+  ], {
     async onevent(event) {
       try {
-        const plaintext = await nip04.decrypt(privKey, event.pubkey, event.content);
-        const parsed = JSON.parse(plaintext);
-        const message = {
-          id: event.id,
-          from: nip19.npubEncode(event.pubkey),
-          fromHex: event.pubkey,
-          timestamp: event.created_at,
-          ...parsed
-        };
+        const message = await openDM(ctx.signer, event);
+        // Skip our own copies, repeats and wraps of older messages
+        if (message.fromHex === pubkey || seen.has(message.id) || message.timestamp < started) return;
+        seen.add(message.id);
         callback(message);
       } catch (err) {
-        // Skip
+        quarantineEvent(event, 'dm', err.message);
       }
     }
   });
@@ -160,106 +328,315 @@ async function watchDMs(callback) {
   process.on('SIGINT', () => {
     console.log('\nStopping...');
     sub.close();
-    pool.close(RELAYS);
+    pool.close(relays);
     process.exit(0);
   });
 }
 
 // ABN-specific message types
+// The paid flow (inquiry through verified) and the link trade flow
+// (trade-proposal through trade-verified) carry a dealId that ties each
+// message to one negotiation; see deals.js for the order they may come in.
 const MessageTypes = {
   // Initial inquiry about a bid/site
-  inquiry: (bidId, message) => ({
+  inquiry: (bidId, message, dealId) => ({
     type: 'inquiry',
+    dealId,
     regarding: bidId,
     message,
     timestamp: new Date().toISOString()
   }),
   
   // Counter-offer
-  counter: (sats, terms) => ({
+  counter: (sats, terms, dealId) => ({
     type: 'counter',
+    dealId,
     sats,
     terms,
     timestamp: new Date().toISOString()
   }),
   
   // Accept deal
-  accept: (invoice) => ({
+  accept: (invoice, dealId) => ({
     type: 'accept',
+    dealId,
     invoice,
     timestamp: new Date().toISOString()
   }),
   
   // Confirm payment
-  paid: (preimage, linkDetails) => ({
+  paid: (preimage, linkDetails, dealId) => ({
     type: 'paid',
+    dealId,
     preimage,
     linkDetails, // { url, anchor }
     timestamp: new Date().toISOString()
   }),
   
   // Confirm link placed
-  placed: (liveUrl, proof) => ({
+  placed: (liveUrl, proof, dealId) => ({
     type: 'placed',
+    dealId,
     liveUrl,
     proof, // URL to screenshot or hash
     timestamp: new Date().toISOString()
   }),
   
   // Verify and close deal
-  verified: (confirmed, notes) => ({
+  verified: (confirmed, notes, dealId) => ({
     type: 'verified',
+    dealId,
     confirmed,
     notes,
     timestamp: new Date().toISOString()
+  }),
+  
+  // Propose a link trade: our site links to theirs and theirs to ours
+  tradeProposal: (mySite, yourSite, message, dealId) => ({
+    type: 'trade-proposal',
+    dealId,
+    mySite,
+    yourSite,
+    message,
+    timestamp: new Date().toISOString()
+  }),
+  
+  // Answer a trade proposal with other sites (mySite is always the sender's)
+  counterTrade: (mySite, yourSite, message, dealId) => ({
+    type: 'counter-trade',
+    dealId,
+    mySite,
+    yourSite,
+    message,
+    timestamp: new Date().toISOString()
+  }),
+  
+  // Agree to the sites in the latest proposal
+  tradeAccept: (dealId) => ({
+    type: 'trade-accept',
+    dealId,
+    timestamp: new Date().toISOString()
+  }),
+  
+  // Walk away from a negotiation
+  tradeReject: (reason, dealId) => ({
+    type: 'trade-reject',
+    dealId,
+    reason,
+    timestamp: new Date().toISOString()
+  }),
+  
+  // Our side of the trade is live
+  linkPlaced: (url, anchor, dealId) => ({
+    type: 'link-placed',
+    dealId,
+    url, // page carrying the link
+    anchor,
+    timestamp: new Date().toISOString()
+  }),
+  
+  // The partner's link to us checked out (or didn't)
+  tradeVerified: (confirmed, notes, dealId) => ({
+    type: 'trade-verified',
+    dealId,
+    confirmed,
+    notes,
+    timestamp: new Date().toISOString()
+  }),
+  
+  // Open a dispute, naming an arbiter (sent to the other party and the arbiter)
+  disputeOpen: (disputeId, regarding, reason, arbiter, agreement, evidence) => ({
+    type: 'dispute-open',
+    disputeId,
+    regarding, // exchange or deal ID
+    reason,
+    arbiter, // hex pubkey
+    agreement, // our signed arbiter agreement
+    evidence, // bundle from bundleEvidence()
+    timestamp: new Date().toISOString()
+  }),
+  
+  // Evidence for an open dispute; the respondent's first one carries its arbiter agreement
+  evidence: (disputeId, evidence, agreement) => ({
+    type: 'evidence',
+    disputeId,
+    evidence,
+    ...(agreement && { agreement }),
+    timestamp: new Date().toISOString()
+  }),
+  
+  // Arbiter's ruling; the signed record is published as resolutionId
+  resolution: (disputeId, outcome, summary, resolutionId) => ({
+    type: 'resolution',
+    disputeId,
+    outcome, // 'claimant', 'respondent', 'split' or 'dismissed'
+    summary,
+    resolutionId,
+    timestamp: new Date().toISOString()
+  }),
+  
+  // Propose a link ring (sent to every participant)
+  cycleProposal: (cycleId, legs, message) => ({
+    type: 'cycle-propose',
+    cycleId,
+    legs, // [{ from, to, fromPubkey, toPubkey, placement, targetPage }]
+    message,
+    timestamp: new Date().toISOString()
+  }),
+  
+  // Join or refuse a proposed ring (sent to every other participant)
+  cycleAccept: (cycleId) => ({
+    type: 'cycle-accept',
+    cycleId,
+    timestamp: new Date().toISOString()
+  }),
+  
+  cycleDecline: (cycleId, reason) => ({
+    type: 'cycle-decline',
+    cycleId,
+    reason,
+    timestamp: new Date().toISOString()
+  }),
+  
+  // Our leg of a ring is live
+  legPlaced: (cycleId, leg, liveUrl) => ({
+    type: 'leg-placed',
+    cycleId,
+    leg, // index into legs
+    liveUrl,
+    timestamp: new Date().toISOString()
+  }),
+  
+  // The link on a leg pointing at our site checked out (or didn't)
+  legVerified: (cycleId, leg, confirmed, notes) => ({
+    type: 'leg-verified',
+    cycleId,
+    leg,
+    confirmed,
+    notes,
+    timestamp: new Date().toISOString()
+  }),
+  
+  // Receipt for a DM sent with { ack: true }; see acknowledgeDMs
+  ack: (ackId) => ({
+    type: 'ack',
+    ackId,
+    timestamp: new Date().toISOString()
   })
 };
 
+const short = (text, length = 24) => text && text.length > length ? `${text.slice(0, length)}...` : text;
+
+// One-line summaries by message type
+const SUMMARIES = {
+  inquiry: m => `re ${m.regarding}: ${m.message}`,
+  counter: m => `${m.sats} sats, ${m.terms}`,
+  accept: m => `invoice ${short(m.invoice)}`,
+  paid: m => `preimage ${short(m.preimage, 16)}${m.linkDetails?.url ? `, link to ${m.linkDetails.url}` : ''}`,
+  placed: m => `live at ${m.liveUrl}${m.proof ? ` (proof ${m.proof})` : ''}`,
+  verified: m => `${m.confirmed ? '✓ confirmed' : '✗ not confirmed'}${m.notes ? `: ${m.notes}` : ''}`,
+  'trade-proposal': m => `${m.mySite} ⇄ ${m.yourSite || '(any of yours)'}${m.message ? `: ${m.message}` : ''}`,
+  'counter-trade': m => `${m.mySite} ⇄ ${m.yourSite}${m.message ? `: ${m.message}` : ''}`,
+  'trade-accept': () => 'trade accepted',
+  'trade-reject': m => `rejected${m.reason ? `: ${m.reason}` : ''}`,
+  'link-placed': m => `link live at ${m.url}${m.anchor ? ` ("${m.anchor}")` : ''}`,
+  'trade-verified': m => `${m.confirmed ? '✓ link confirmed' : '✗ link not confirmed'}${m.notes ? `: ${m.notes}` : ''}`,
+  'dispute-open': m => `dispute ${m.disputeId} re ${m.regarding}: ${m.reason}`,
+  evidence: m => `evidence for ${m.disputeId}`,
+  resolution: m => `ruling on ${m.disputeId}: ${m.outcome}${m.summary ? ` (${m.summary})` : ''}`,
+  'cycle-propose': m => `ring ${m.cycleId} of ${m.legs?.length} legs${m.message ? `: ${m.message}` : ''}`,
+  'cycle-accept': m => `joined ring ${m.cycleId}`,
+  'cycle-decline': m => `declined ring ${m.cycleId}${m.reason ? `: ${m.reason}` : ''}`,
+  'leg-placed': m => `ring ${m.cycleId} leg ${m.leg} live at ${m.liveUrl}`,
+  'leg-verified': m => `ring ${m.cycleId} leg ${m.leg} ${m.confirmed ? '✓ confirmed' : '✗ not confirmed'}`,
+  ack: m => `received (${m.ackId})`
+};
+
+/**
+ * One-line summary of a message for display
+ * @param {object} message - Decrypted message
+ * @returns {string}
+ */
+function describeMessage(message) {
+  const summary = SUMMARIES[message.type];
+  return summary ? summary(message) : short(JSON.stringify(message), 200);
+}
+
+// CLI senders by type: positional args -> message. `opens` types start a
+// new deal when no --deal is given; the rest need one.
+const CLI_TYPES = {
+  inquiry: { usage: '[bidId] [message]', opens: true, build: ([bidId, message], dealId) => MessageTypes.inquiry(bidId || 'general', message || 'Interested in link exchange', dealId) },
+  counter: { usage: '<sats> [terms]', opens: true, build: ([sats, terms], dealId) => MessageTypes.counter(parseInt(sats) || 5000, terms || 'Standard terms', dealId) },
+  accept: { usage: '<invoice>', build: ([invoice], dealId) => MessageTypes.accept(invoice, dealId) },
+  paid: { usage: '<preimage> [linkUrl] [anchor]', build: ([preimage, url, anchor], dealId) => MessageTypes.paid(preimage, url ? { url, anchor } : undefined, dealId) },
+  placed: { usage: '<liveUrl> [proof]', build: ([liveUrl, proof], dealId) => MessageTypes.placed(liveUrl, proof, dealId) },
+  verified: { usage: '<true|false> [notes]', build: ([confirmed, notes], dealId) => MessageTypes.verified(confirmed === 'true', notes, dealId) },
+  'trade-proposal': { usage: '<mySite> [yourSite] [message]', opens: true, build: ([mySite, yourSite, message], dealId) => MessageTypes.tradeProposal(mySite, yourSite, message, dealId) },
+  'counter-trade': { usage: '<mySite> <yourSite> [message]', build: ([mySite, yourSite, message], dealId) => MessageTypes.counterTrade(mySite, yourSite, message, dealId) },
+  'trade-accept': { usage: '', build: (_, dealId) => MessageTypes.tradeAccept(dealId) },
+  'trade-reject': { usage: '[reason]', build: ([reason], dealId) => MessageTypes.tradeReject(reason, dealId) },
+  'link-placed': { usage: '<url> [anchor]', build: ([url, anchor], dealId) => MessageTypes.linkPlaced(url, anchor, dealId) },
+  'trade-verified': { usage: '<true|false> [notes]', build: ([confirmed, notes], dealId) => MessageTypes.tradeVerified(confirmed === 'true', notes, dealId) }
+};
+
 // CLI usage
 const [,, action, ...args] = process.argv;
 
 async function main() {
+  const ctx = createContext();
+  
   switch (action) {
     case 'read':
-      const messages = await readDMs({ since: args[0] ? parseInt(args[0]) : undefined });
+      const messages = await readDMs({ since: args[0] ? parseInt(args[0]) : undefined }, ctx);
       console.log(`\nFound ${messages.length} messages:\n`);
       for (const msg of messages) {
-        console.log(`📨 ${msg.type.toUpperCase()} from ${msg.from.slice(0, 20)}...`);
+        console.log(`📨 ${msg.type.toUpperCase()} from ${msg.from.slice(0, 20)}... (${msg.protocol === 'nip17' ? 'NIP-17' : 'NIP-04'})`);
         console.log(`   Date: ${msg.date}`);
-        console.log(`   Content: ${JSON.stringify(msg, null, 2).slice(0, 200)}...`);
+        if (msg.dealId) console.log(`   Deal: ${msg.dealId}`);
+        console.log(`   ${describeMessage(msg)}`);
         console.log('');
       }
+      const { sent, received } = await acknowledgeDMs(messages, ctx);
+      if (sent > 0) console.log(`✓ Acked ${sent} message(s) that asked for it`);
+      for (const report of received) console.log(`✓ ${report.label} ${report.id.slice(0, 16)}... was received`);
+      await ctx.close();
       break;
       
-    case 'send':
-      if (args.length < 2) {
-        console.log('Usage: node src/dm.js send <npub> <type> [args...]');
-        console.log('Types: inquiry, counter, accept, paid, placed, verified');
+    case 'send': {
+      const [npub, type, ...msgArgs] = args.filter(a => a !== '--nip04' && a !== '--ack' && !a.startsWith('--deal='));
+      const cli = CLI_TYPES[type];
+      if (!npub || !cli) {
+        console.log('Usage: node src/dm.js send <npub> <type> [args...] [--deal=<dealId>] [--nip04] [--ack]');
+        for (const [name, { usage }] of Object.entries(CLI_TYPES)) {
+          console.log(`  ${name}${usage && ` ${usage}`}`);
+        }
+        console.log('Ring and dispute messages: node src/abn.js cycle|dispute ...');
         process.exit(1);
       }
-      const [npub, type, ...msgArgs] = args;
-      let msg;
-      switch (type) {
-        case 'inquiry':
-          msg = MessageTypes.inquiry(msgArgs[0] || 'general', msgArgs[1] || 'Interested in link exchange');
-          break;
-        case 'counter':
-          msg = MessageTypes.counter(parseInt(msgArgs[0]) || 5000, msgArgs[1] || 'Standard terms');
-          break;
-        default:
-          console.log('Unknown message type. Use: inquiry, counter, accept, paid, placed, verified');
-          process.exit(1);
+      const dealId = args.find(a => a.startsWith('--deal='))?.split('=')[1] || (cli.opens ? newDealId() : null);
+      if (!dealId) {
+        console.log(`✗ ${type} continues a deal: pass --deal=<dealId>`);
+        process.exit(1);
       }
-      await sendDM(npub, msg);
+      // Checked against the deal's thread before it goes out
+      const { event, delivery } = await sendDealMessage(npub, cli.build(msgArgs, dealId), ctx, {
+        protocol: args.includes('--nip04') ? 'nip04' : undefined,
+        ack: args.includes('--ack')
+      });
+      console.log(`Deal: ${dealId}`);
+      console.log(`Delivery: ${delivery.status} (node src/outbox.js show ${event.id})`);
+      await ctx.close();
       break;
+    }
       
     case 'watch':
       await watchDMs((msg) => {
         console.log('━'.repeat(50));
-        console.log(`📬 New ${msg.type.toUpperCase()} from ${msg.from.slice(0, 20)}...`);
-        console.log(JSON.stringify(msg, null, 2));
+        console.log(`📬 New ${msg.type.toUpperCase()} from ${msg.from.slice(0, 20)}...${msg.dealId ? ` (${msg.dealId})` : ''}`);
+        console.log(`   ${describeMessage(msg)}`);
         console.log('');
-      });
+        acknowledgeDMs([msg], ctx).catch(err => console.log(`⚠ ${err.message}`));
+      }, ctx);
       break;
       
     default:
@@ -267,11 +644,11 @@ async function main() {
       console.log('Usage: node src/dm.js <action> [args]');
       console.log('');
       console.log('Actions:');
-      console.log('  read [since]       - Read recent DMs');
-      console.log('  send <npub> <type> - Send a DM');
+      console.log('  read [since]       - Read recent DMs (and ack those that ask)');
+      console.log('  send <npub> <type> - Send a DM (run without a type for the list)');
       console.log('  watch              - Watch for new DMs');
       console.log('');
-      console.log('Message types: inquiry, counter, accept, paid, placed, verified');
+      console.log(`Message types: ${Object.keys(CLI_TYPES).join(', ')}`);
   }
 }
 
@@ -281,4 +658,7 @@ if (isMainModule) {
   main().catch(console.error);
 }
 
-export { sendDM, readDMs, watchDMs, MessageTypes };
+export {
+  sendDM, readDMs, watchDMs, acknowledgeDMs, MessageTypes, dmProtocol, describeMessage,
+  buildDMEvent, buildGiftWrap, decryptDM, unwrapDM, parsePublicKey
+};
@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+// ABN Exchange Records
+// Public, signed records of completed exchanges (kind 30101), so the
+// network builds a verifiable history. Either party publishes the record
+// after the links check out; the other co-signs by publishing the same
+// content under its own key. Records are grouped by a digest of their
+// content, so a record counts as co-signed only when both parties signed
+// exactly the same thing.
+//
+// Each side names a site and the page carrying the link *to* that site:
+//   { url, linkUrl, linkPage, verification }
+// linkPage is the page on the site the link points at, if not the homepage.
+// Usage: node src/exchanges.js [npub|url]
+
+import { createHash } from 'crypto';
+import { SimplePool } from 'nostr-tools/pool';
+import { nip19 } from 'nostr-tools';
+import { KINDS, createContext } from './config.js';
+import { protocolTags } from './protocol.js';
+import { healthyRelays } from './relays.js';
+import { queueEvent } from './outbox.js';
+import { dropDeleted } from './listings.js';
+import { checkEvent, acceptEvent, quarantineEvent } from './schema.js';
+import { verifyBacklink } from './verify.js';
+
+function toHex(pubkey) {
+  return pubkey.startsWith('npub') ? nip19.decode(pubkey).data : pubkey;
+}
+
+// Sites are tagged and queried by origin, so paths and trailing slashes don't matter
+function siteTag(url) {
+  return new URL(url).origin;
+}
+
+// JSON with sorted keys, so equal records always hash the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Content digest two signatures must share to co-sign one record
+ * @param {object} record - Exchange record
+ * @returns {string} - Hex sha256
+ */
+export function recordDigest(record) {
+  return createHash('sha256').update(canonicalJson(record)).digest('hex');
+}
+
+// Check a side's link page, keeping the parts of the result worth publishing
+async function verifiedSide(side, ctx, options) {
+  const { url, linkUrl, linkPage } = side;
+  if (!linkUrl || options.verify === false) {
+    return side;
+  }
+  const result = await verifyBacklink(linkUrl, new URL(url).hostname, { dofollow: options.requireDofollow }, ctx);
+  return {
+    url,
+    linkUrl,
+    ...(linkPage && { linkPage }),
+    verification: {
+      verified: result.verified,
+      checkedAt: result.checkedAt,
+      message: result.message,
+      ...(result.bestMatch && { dofollow: result.bestMatch.isDoFollow, anchor: result.bestMatch.anchor.slice(0, 200) })
+    }
+  };
+}
+
+/**
+ * Whether every link in a record was verified (and there was at least one)
+ * @param {object} record - Exchange record
+ * @returns {boolean}
+ */
+export function isVerifiedRecord(record) {
+  const links = [record.siteA, record.siteB].filter(side => side.linkUrl);
+  return links.length > 0 && links.every(side => side.verification?.verified === true);
+}
+
+/**
+ * Build the unsigned event for an exchange record
+ * @param {object} record - Exchange record
+ * @param {string} author - Hex pubkey of the signer (one of the parties)
+ * @param {object} original - The record being co-signed, if any
+ * @returns {object} - Event template ready for signing
+ */
+export function buildExchangeEvent(record, author, original = null) {
+  const other = record.parties.a === author ? record.parties.b : record.parties.a;
+  return {
+    kind: KINDS.EXCHANGE_COMPLETE,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [
+      ['d', record.exchangeId],
+      ['t', 'abn-exchange'],
+      ['p', other],
+      ['r', siteTag(record.siteA.url)],
+      ['r', siteTag(record.siteB.url)],
+      ['x', recordDigest(record)],
+      ...(original ? [['e', original.id, '', 'root']] : []),
+      ...protocolTags('EXCHANGE_COMPLETE')
+    ],
+    // Co-signers re-publish this exact string
+    content: original ? original.content : JSON.stringify(record)
+  };
+}
+
+/**
+ * Publish a completion record for a deal
+ * Link pages are checked first (unless options.verify is false, in which
+ * case each side's own `verification` is used as given).
+ * @param {object} details - { exchangeId, partner (npub or hex), mySite, partnerSite, sats, completedAt }
+ *   mySite/partnerSite: { url, linkUrl, linkPage } - linkUrl is the page carrying the link to that site
+ * @param {object} ctx - Context from createContext()
+ * @param {object} options - { verify: true, requireDofollow: false }
+ * @returns {Promise<object>} - { event, record, delivery: report from outbox.js }
+ */
+export async function publishExchange(details, ctx = createContext(), options = {}) {
+  if (!details.exchangeId || !details.partner || !details.mySite?.url || !details.partnerSite?.url) {
+    throw new Error('Exchange record needs exchangeId, partner, mySite.url and partnerSite.url');
+  }
+  const pubkey = await ctx.signer.getPublicKey();
+  const record = {
+    exchangeId: details.exchangeId,
+    parties: { a: pubkey, b: toHex(details.partner) },
+    siteA: await verifiedSide(details.mySite, ctx, options),
+    siteB: await verifiedSide(details.partnerSite, ctx, options),
+    ...(details.sats !== undefined && { sats: details.sats }),
+    completedAt: details.completedAt || Math.floor(Date.now() / 1000)
+  };
+  record.verified = isVerifiedRecord(record);
+
+  const event = await ctx.signer.signEvent(buildExchangeEvent(record, pubkey));
+  checkEvent(event, 'exchange');
+  console.log(`${record.verified ? '✓' : '⚠'} Exchange ${record.exchangeId} recorded${record.verified ? '' : ' (links not verified)'}`);
+  const delivery = await queueEvent(event, ctx, undefined, { label: `exchange ${record.exchangeId}` });
+  return { event, record, delivery };
+}
+
+/**
+ * Co-sign a record the other party published
+ * The links are re-checked first unless options.verify is false; a record
+ * whose links no longer check out is refused.
+ * @param {object|string} original - The record event, or its event id
+ * @param {object} ctx - Context from createContext()
+ * @param {object} options - { verify: true }
+ * @returns {Promise<object>} - { event: signed co-signature, delivery: report from outbox.js }
+ */
+export async function cosignExchange(original, ctx = createContext(), options = {}) {
+  if (typeof original === 'string') {
+    const pool = new SimplePool();
+    const relays = healthyRelays(ctx.relays);
+    [original] = await pool.querySync(relays, { ids: [original], kinds: [KINDS.EXCHANGE_COMPLETE] });
+    pool.close(relays);
+    if (!original) {
+      throw new Error('Exchange record not found');
+    }
+  }
+
+  const record = checkEvent(original, 'exchange');
+  const pubkey = await ctx.signer.getPublicKey();
+  if (pubkey === original.pubkey || ![record.parties.a, record.parties.b].includes(pubkey)) {
+    throw new Error('Only the other party to an exchange can co-sign it');
+  }
+
+  if (options.verify !== false) {
+    for (const side of [record.siteA, record.siteB].filter(s => s.linkUrl)) {
+      const result = await verifyBacklink(side.linkUrl, new URL(side.url).hostname, {}, ctx);
+      if (!result.verified) {
+        throw new Error(`Link to ${side.url} on ${side.linkUrl} doesn't check out: ${result.message}`);
+      }
+    }
+  }
+
+  const event = await ctx.signer.signEvent(buildExchangeEvent(record, pubkey, original));
+  console.log(`✓ Co-signed exchange ${record.exchangeId}`);
+  const delivery = await queueEvent(event, ctx, undefined, { label: `co-signature of exchange ${record.exchangeId}` });
+  return { event, delivery };
+}
+
+/**
+ * Group record events into exchanges
+ * Events with the same exchange id and content digest are one record;
+ * it's co-signed once both parties have signed it.
+ * @param {array} events - Kind 30101 events
+ * @returns {array} - { exchangeId, digest, record, signers, eventIds, cosigned, verified }, newest first
+ */
+export function groupExchanges(events) {
+  const exchanges = new Map();
+  for (const event of events) {
+    const record = acceptEvent(event, 'exchange');
+    if (!record) continue;
+    const digest = recordDigest(record);
+    if (event.tags.find(t => t[0] === 'x')?.[1] !== digest) {
+      quarantineEvent(event, 'exchange', 'x tag does not match the record digest');
+      continue;
+    }
+
+    const key = `${record.exchangeId}:${digest}`;
+    const entry = exchanges.get(key) || { exchangeId: record.exchangeId, digest, record, signers: [], eventIds: [] };
+    if (!entry.signers.includes(event.pubkey)) entry.signers.push(event.pubkey);
+    entry.eventIds.push(event.id);
+    exchanges.set(key, entry);
+  }
+
+  return [...exchanges.values()]
+    .map(entry => ({
+      ...entry,
+      cosigned: entry.signers.includes(entry.record.parties.a) && entry.signers.includes(entry.record.parties.b),
+      verified: entry.record.verified
+    }))
+    .sort((a, b) => b.record.completedAt - a.record.completedAt);
+}
+
+/**
+ * List completed exchanges for a site or an agent
+ * @param {object} filters - { site: url, sites: [urls] (any of them), npub (or pubkey) }
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<array>} - Exchanges from groupExchanges()
+ */
+export async function queryExchanges(filters = {}, ctx = createContext()) {
+  const base = { kinds: [KINDS.EXCHANGE_COMPLETE], '#t': ['abn-exchange'] };
+  const relayFilters = [];
+  if (filters.npub || filters.pubkey) {
+    const pubkey = toHex(filters.npub || filters.pubkey);
+    relayFilters.push({ ...base, authors: [pubkey] }, { ...base, '#p': [pubkey] });
+  }
+  const sites = [filters.site, ...(filters.sites || [])].filter(Boolean).map(siteTag);
+  if (sites.length > 0) {
+    relayFilters.push({ ...base, '#r': [...new Set(sites)] });
+  }
+  if (relayFilters.length === 0) {
+    relayFilters.push(base);
+  }
+
+  const pool = new SimplePool();
+  const relays = healthyRelays(ctx.relays);
+  const results = await Promise.all(relayFilters.map(filter => pool.querySync(relays, filter)));
+  const unique = [...new Map(results.flat().map(e => [e.id, e])).values()];
+  const events = await dropDeleted(unique, pool, relays);
+  pool.close(relays);
+
+  // Both conditions apply when both are given
+  return groupExchanges(events).filter(exchange => {
+    const { record } = exchange;
+    if (sites.length > 0 && ![record.siteA.url, record.siteB.url].some(url => sites.includes(siteTag(url)))) return false;
+    if (filters.npub || filters.pubkey) {
+      const pubkey = toHex(filters.npub || filters.pubkey);
+      if (record.parties.a !== pubkey && record.parties.b !== pubkey) return false;
+    }
+    return true;
+  });
+}
+
+// CLI usage
+async function main() {
+  const [,, target] = process.argv;
+  const filters = !target ? {} : target.startsWith('http') ? { site: target } : { npub: target };
+  const exchanges = await queryExchanges(filters);
+
+  for (const { record, cosigned, verified } of exchanges) {
+    console.log(`${verified ? '✓' : '✗'} ${record.exchangeId}: ${record.siteA.url} ⇄ ${record.siteB.url}`);
+    console.log(`   ${new Date(record.completedAt * 1000).toISOString().slice(0, 10)}, ${cosigned ? 'co-signed by both parties' : 'signed by one party'}${record.sats ? `, ${record.sats} sats` : ''}`);
+  }
+  console.log(`\n${exchanges.length} completed exchanges`);
+}
+
+// Only run CLI when executed directly
+const isMainModule = process.argv[1]?.endsWith('exchanges.js');
+if (isMainModule) {
+  main().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}
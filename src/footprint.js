@@ -0,0 +1,366 @@
+#!/usr/bin/env node
+// ABN Link Footprint
+// The links we build leave a pattern search engines can read. This builds
+// a link graph from two sources:
+// - links we verified ourselves (logged to .secrets/links.json by
+//   ABN.verifyLink, verifyLinks and executeDeal)
+// - the network's exchange records (kind 30101), verified sides only
+// and reports, per site of ours:
+// - reciprocal ratio: share of sites linking to us that we link back to
+// - anchor text mix (brand, url, generic, keyword) and over-optimization
+// - link velocity: new links in the last 30 days against the 30 before
+// plus tightly interlinked clusters that look like a link network.
+// checkFootprint() answers "would this deal push us over a threshold?"
+// before it's done.
+// Usage: node src/footprint.js <siteUrl> [siteUrl...]
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { createContext } from './config.js';
+import { queryExchanges } from './exchanges.js';
+import { secretsPath } from './paths.js';
+
+export const LINK_LOG_PATH = secretsPath('links.json');
+
+const LINK_LOG_LIMIT = 5000; // oldest entries are dropped past this
+const DAY = 86400;
+
+// Limits a site shouldn't cross; override any with options.thresholds
+export const FOOTPRINT_THRESHOLDS = {
+  reciprocalRatio: 0.3, // share of linking sites we link back to
+  topAnchorShare: 0.3, // share of inbound links using the single most common keyword anchor
+  keywordAnchorShare: 0.5, // share of inbound links with keyword (not brand, url or generic) anchors
+  linksPer30Days: 10, // new inbound links in the last 30 days
+  velocityIncrease: 3, // last 30 days against the 30 before
+  clusterDensity: 0.5, // share of possible links present among a cluster's sites
+  clusterMinSize: 4 // smaller clusters (e.g. a single ring of three) aren't flagged
+};
+
+const GENERIC_ANCHORS = new Set([
+  'click here', 'here', 'website', 'this website', 'visit', 'visit website', 'visit site',
+  'read more', 'learn more', 'more', 'link', 'this link', 'home', 'homepage', 'source', 'partner'
+]);
+
+// Sites are compared by hostname, without www
+function siteKey(url) {
+  try {
+    return new URL(String(url).includes('://') ? url : `https://${url}`).hostname.replace(/^www\./, '').toLowerCase();
+  } catch {
+    return String(url).toLowerCase();
+  }
+}
+
+function readLinkLog() {
+  if (!existsSync(LINK_LOG_PATH)) {
+    return [];
+  }
+  return JSON.parse(readFileSync(LINK_LOG_PATH, 'utf-8'));
+}
+
+/**
+ * Keep verified links from verifyBacklink() results for footprint analysis
+ * Failed checks are skipped.
+ * @param {array} results - Results from verifyBacklink() / batchVerify()
+ * @returns {number} - Links logged
+ */
+export function logVerifiedLinks(results) {
+  const links = results
+    .filter(r => r.verified)
+    .map(r => ({
+      page: r.pageUrl,
+      target: r.targetDomain,
+      anchor: r.bestMatch?.anchor?.slice(0, 200) || '',
+      dofollow: r.bestMatch?.isDoFollow ?? null,
+      checkedAt: r.checkedAt
+    }));
+  if (links.length === 0) return 0;
+
+  const log = [...readLinkLog(), ...links].slice(-LINK_LOG_LIMIT);
+  mkdirSync(dirname(LINK_LOG_PATH), { recursive: true });
+  writeFileSync(LINK_LOG_PATH, JSON.stringify(log, null, 2) + '\n', { mode: 0o600 });
+  return links.length;
+}
+
+/**
+ * Build the link graph
+ * A link seen more than once (same page, same target) counts once, at its
+ * first sighting.
+ * @param {object} sources - { links: link log entries, exchanges: from groupExchanges() }
+ * @returns {array} - Edges { from, to, page, anchor, dofollow, at, source }
+ */
+export function buildLinkGraph(sources = {}) {
+  const edges = new Map();
+  const add = edge => {
+    const key = `${edge.page}|${edge.to}`;
+    const seen = edges.get(key);
+    if (!seen || edge.at < seen.at) edges.set(key, edge);
+  };
+
+  for (const link of sources.links || []) {
+    add({
+      from: siteKey(link.page),
+      to: siteKey(link.target),
+      page: link.page,
+      anchor: link.anchor || '',
+      dofollow: link.dofollow,
+      at: Math.floor(new Date(link.checkedAt).getTime() / 1000),
+      source: 'verified'
+    });
+  }
+
+  for (const { record } of sources.exchanges || []) {
+    for (const side of [record.siteA, record.siteB]) {
+      if (!side.linkUrl || side.verification?.verified !== true) continue;
+      add({
+        from: siteKey(side.linkUrl),
+        to: siteKey(side.url),
+        page: side.linkUrl,
+        anchor: side.verification.anchor || '',
+        dofollow: side.verification.dofollow ?? null,
+        at: side.verification.checkedAt ? Math.floor(new Date(side.verification.checkedAt).getTime() / 1000) : record.completedAt,
+        source: 'exchange'
+      });
+    }
+  }
+
+  return [...edges.values()].filter(edge => edge.from !== edge.to);
+}
+
+/**
+ * Classify anchor text against the site it points at
+ * @param {string} anchor - Anchor text
+ * @param {string} site - Target site (url or hostname)
+ * @returns {string} - 'brand', 'url', 'generic', 'keyword' or 'empty'
+ */
+export function anchorType(anchor, site) {
+  const text = String(anchor || '').trim().toLowerCase();
+  if (!text) return 'empty';
+  if (/^(https?:\/\/|www\.)/.test(text) || /^[\w-]+(\.[\w-]+)+(\/\S*)?$/.test(text)) return 'url';
+  if (GENERIC_ANCHORS.has(text.replace(/[^\w\s]/g, '').trim())) return 'generic';
+  const brand = siteKey(site).split('.')[0];
+  const squashed = text.replace(/[^a-z0-9]/g, '');
+  if (brand.length >= 4 && (squashed.includes(brand) || (squashed.length >= 4 && brand.includes(squashed)))) return 'brand';
+  return 'keyword';
+}
+
+// Groups of sites whose links form triangles, with their link density
+function linkClusters(edges) {
+  const neighbours = new Map();
+  const link = (a, b) => {
+    if (!neighbours.has(a)) neighbours.set(a, new Set());
+    neighbours.get(a).add(b);
+  };
+  for (const { from, to } of edges) {
+    link(from, to);
+    link(to, from);
+  }
+
+  // Join the two ends of every link that closes a triangle
+  const parent = new Map([...neighbours.keys()].map(site => [site, site]));
+  const root = site => (parent.get(site) === site ? site : root(parent.get(site)));
+  for (const [a, around] of neighbours) {
+    for (const b of around) {
+      if ([...around].some(c => c !== b && neighbours.get(b).has(c))) {
+        parent.set(root(a), root(b));
+      }
+    }
+  }
+
+  const groups = new Map();
+  for (const site of neighbours.keys()) {
+    const inTriangle = [...neighbours.get(site)].some(b => [...neighbours.get(site)].some(c => c !== b && neighbours.get(b).has(c)));
+    if (!inTriangle) continue;
+    const key = root(site);
+    groups.set(key, [...(groups.get(key) || []), site]);
+  }
+
+  return [...groups.values()].map(sites => {
+    const members = new Set(sites);
+    const pairs = new Set(edges
+      .filter(e => members.has(e.from) && members.has(e.to))
+      .map(e => [e.from, e.to].sort().join('|')));
+    return {
+      sites: sites.sort(),
+      links: pairs.size,
+      density: Math.round(pairs.size / (sites.length * (sites.length - 1) / 2) * 100) / 100
+    };
+  });
+}
+
+/**
+ * Footprint report for our sites
+ * @param {array} edges - From buildLinkGraph()
+ * @param {array} sites - Our site urls
+ * @param {object} options - { thresholds: FOOTPRINT_THRESHOLDS overrides, now: unix time }
+ * @returns {object} - { sites: [{ site, inbound, outbound, reciprocalRatio, anchors, velocity }], clusters, warnings }
+ */
+export function analyzeFootprint(edges, sites, options = {}) {
+  const limits = { ...FOOTPRINT_THRESHOLDS, ...options.thresholds };
+  const now = options.now || Math.floor(Date.now() / 1000);
+  const warnings = [];
+  const warn = (site, check, value, limit, message) => warnings.push({ site, check, value, limit, message });
+
+  const reports = [...new Set(sites.map(siteKey))].map(site => {
+    const inbound = edges.filter(e => e.to === site);
+    const outbound = edges.filter(e => e.from === site);
+    const linkers = new Set(inbound.map(e => e.from));
+    const linked = new Set(outbound.map(e => e.to));
+    const reciprocal = [...linkers].filter(s => linked.has(s));
+    const reciprocalRatio = linkers.size > 0 ? Math.round(reciprocal.length / linkers.size * 100) / 100 : 0;
+    if (reciprocalRatio > limits.reciprocalRatio) {
+      warn(site, 'reciprocal', reciprocalRatio, limits.reciprocalRatio,
+        `${reciprocal.length} of ${linkers.size} linking sites get a link back (${reciprocal.join(', ')})`);
+    }
+
+    const byType = { brand: 0, url: 0, generic: 0, keyword: 0, empty: 0 };
+    const keywords = {};
+    for (const edge of inbound) {
+      const type = anchorType(edge.anchor, site);
+      byType[type]++;
+      if (type === 'keyword') {
+        const text = edge.anchor.trim().toLowerCase();
+        keywords[text] = (keywords[text] || 0) + 1;
+      }
+    }
+    const [topAnchor, topCount] = Object.entries(keywords).sort((a, b) => b[1] - a[1])[0] || [null, 0];
+    const share = count => (inbound.length > 0 ? Math.round(count / inbound.length * 100) / 100 : 0);
+    const anchors = { byType, topAnchor, topAnchorShare: share(topCount), keywordShare: share(byType.keyword) };
+    if (anchors.topAnchorShare > limits.topAnchorShare) {
+      warn(site, 'anchor-text', anchors.topAnchorShare, limits.topAnchorShare,
+        `"${topAnchor}" is the anchor on ${topCount} of ${inbound.length} inbound links`);
+    }
+    if (anchors.keywordShare > limits.keywordAnchorShare) {
+      warn(site, 'keyword-anchors', anchors.keywordShare, limits.keywordAnchorShare,
+        `${byType.keyword} of ${inbound.length} inbound links use keyword anchors`);
+    }
+
+    const last30Days = inbound.filter(e => e.at > now - 30 * DAY).length;
+    const previous30Days = inbound.filter(e => e.at <= now - 30 * DAY && e.at > now - 60 * DAY).length;
+    const velocity = { last30Days, previous30Days };
+    if (last30Days > limits.linksPer30Days) {
+      warn(site, 'velocity', last30Days, limits.linksPer30Days, `${last30Days} new links in 30 days`);
+    } else if (previous30Days > 0 && last30Days / previous30Days > limits.velocityIncrease) {
+      warn(site, 'velocity', last30Days, previous30Days * limits.velocityIncrease,
+        `${last30Days} new links in 30 days, up from ${previous30Days}`);
+    }
+
+    return { site, inbound: inbound.length, outbound: outbound.length, reciprocalRatio, anchors, velocity };
+  });
+
+  const ours = new Set(reports.map(r => r.site));
+  const clusters = linkClusters(edges).filter(c => c.sites.some(s => ours.has(s)));
+  for (const cluster of clusters) {
+    if (cluster.sites.length >= limits.clusterMinSize && cluster.density >= limits.clusterDensity) {
+      warn(cluster.sites.filter(s => ours.has(s)).join(', '), 'cluster', cluster.density, limits.clusterDensity,
+        `${cluster.sites.length} sites interlinked at ${Math.round(cluster.density * 100)}% density (${cluster.sites.join(', ')})`);
+    }
+  }
+
+  return { sites: reports, clusters, warnings };
+}
+
+/**
+ * Check whether new links would push our sites past a threshold
+ * Only warnings the new links cause (or make worse) are returned.
+ * @param {array} edges - From buildLinkGraph()
+ * @param {array} sites - Our site urls
+ * @param {array} links - Proposed links { from, to, anchor } (urls or hostnames)
+ * @param {object} options - See analyzeFootprint()
+ * @returns {object} - { ok, warnings, before, after }
+ */
+export function checkFootprint(edges, sites, links, options = {}) {
+  const now = options.now || Math.floor(Date.now() / 1000);
+  const proposed = links.map(link => ({
+    from: siteKey(link.from),
+    to: siteKey(link.to),
+    page: `proposed:${siteKey(link.from)}->${siteKey(link.to)}`,
+    anchor: link.anchor || '',
+    dofollow: null,
+    at: now,
+    source: 'proposed'
+  }));
+  const before = analyzeFootprint(edges, sites, { ...options, now });
+  const after = analyzeFootprint([...edges, ...proposed], sites, { ...options, now });
+
+  const warnings = after.warnings.filter(w => !before.warnings.some(b =>
+    b.site === w.site && b.check === w.check && b.value >= w.value));
+  return { ok: warnings.length === 0, warnings, before, after };
+}
+
+// Exchange records tag sites by origin, which may or may not carry www
+function siteOrigins(key) {
+  return [`https://${key}`, `https://www.${key}`];
+}
+
+/**
+ * Fetch the link graph around some sites: our link log plus the exchange
+ * records naming those sites or their direct neighbours, which is enough
+ * to see reciprocity and any cluster they're part of
+ * @param {array} sites - Site urls or hostnames (ours, and any proposed partners)
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<array>} - Edges from buildLinkGraph()
+ */
+export async function fetchLinkGraph(sites, ctx = createContext()) {
+  const links = readLinkLog();
+  const ours = new Set(sites.map(siteKey));
+  if (ours.size === 0) {
+    return buildLinkGraph({ links });
+  }
+  const exchanges = await queryExchanges({ sites: [...ours].flatMap(siteOrigins) }, ctx);
+
+  const neighbours = new Set();
+  for (const edge of buildLinkGraph({ links, exchanges })) {
+    if (ours.has(edge.from)) neighbours.add(edge.to);
+    if (ours.has(edge.to)) neighbours.add(edge.from);
+  }
+  const next = [...neighbours].filter(site => !ours.has(site));
+  if (next.length > 0) {
+    exchanges.push(...await queryExchanges({ sites: next.flatMap(siteOrigins) }, ctx));
+  }
+  return buildLinkGraph({ links, exchanges });
+}
+
+/**
+ * Print a footprint report
+ * @param {object} report - From analyzeFootprint()
+ */
+export function printFootprint(report) {
+  for (const s of report.sites) {
+    const { byType } = s.anchors;
+    console.log(`\n${s.site}: ${s.inbound} inbound, ${s.outbound} outbound`);
+    console.log(`   Reciprocal: ${Math.round(s.reciprocalRatio * 100)}% of linking sites`);
+    console.log(`   Anchors: ${byType.brand} brand, ${byType.url} url, ${byType.generic} generic, ${byType.keyword} keyword${s.anchors.topAnchor ? ` (top: "${s.anchors.topAnchor}")` : ''}`);
+    console.log(`   Velocity: ${s.velocity.last30Days} new in 30 days (${s.velocity.previous30Days} the 30 before)`);
+  }
+  for (const c of report.clusters) {
+    console.log(`\nCluster of ${c.sites.length} at ${Math.round(c.density * 100)}% density: ${c.sites.join(', ')}`);
+  }
+  console.log('');
+  for (const w of report.warnings) {
+    console.log(`⚠ ${w.site} ${w.check}: ${w.message}`);
+  }
+  if (report.warnings.length === 0) {
+    console.log('✓ No footprint warnings');
+  }
+}
+
+// CLI usage
+async function main() {
+  const sites = process.argv.slice(2);
+  if (sites.length === 0) {
+    console.log('Usage: node src/footprint.js <siteUrl> [siteUrl...]');
+    process.exit(1);
+  }
+  const ctx = createContext();
+  printFootprint(analyzeFootprint(await fetchLinkGraph(sites, ctx), sites));
+  await ctx.close();
+}
+
+// Only run CLI when executed directly
+const isMainModule = process.argv[1]?.endsWith('footprint.js');
+if (isMainModule) {
+  main().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,177 @@
+// ABN Geo Helpers
+// Geohashes for relay-side location filtering, distances for matching,
+// and a geocoder for registrations that only give a city.
+
+import { createContext } from './config.js';
+import { fetchPage } from './verify.js';
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const EARTH_RADIUS_MILES = 3958.8;
+
+// Published on registrations, one `g` tag per length, so relays can
+// filter on any prefix (tag values match exactly)
+const TAG_PRECISIONS = [1, 2, 3, 4, 5, 6, 7];
+
+/**
+ * Encode coordinates as a geohash
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} precision - Characters (default 9, ~5m)
+ * @returns {string}
+ */
+export function encodeGeohash(lat, lng, precision = 9) {
+  let latRange = [-90, 90];
+  let lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let even = true;
+
+  while (hash.length < precision) {
+    const range = even ? lngRange : latRange;
+    const coord = even ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+    value <<= 1;
+    if (coord >= mid) {
+      value |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    even = !even;
+    if (++bits === 5) {
+      hash += BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+  return hash;
+}
+
+/**
+ * Decode a geohash to the centre of its cell
+ * @param {string} hash - Geohash
+ * @returns {object} - { lat, lng, latError, lngError }
+ */
+export function decodeGeohash(hash) {
+  let latRange = [-90, 90];
+  let lngRange = [-180, 180];
+  let even = true;
+
+  for (const char of hash.toLowerCase()) {
+    const value = BASE32.indexOf(char);
+    if (value === -1) {
+      throw new Error(`Invalid geohash character "${char}"`);
+    }
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = even ? lngRange : latRange;
+      const mid = (range[0] + range[1]) / 2;
+      if ((value >> bit) & 1) range[0] = mid;
+      else range[1] = mid;
+      even = !even;
+    }
+  }
+
+  return {
+    lat: (latRange[0] + latRange[1]) / 2,
+    lng: (lngRange[0] + lngRange[1]) / 2,
+    latError: (latRange[1] - latRange[0]) / 2,
+    lngError: (lngRange[1] - lngRange[0]) / 2
+  };
+}
+
+/**
+ * `g` tags for a location, one per prefix length
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {array} - Nostr tags
+ */
+export function geohashTags(lat, lng) {
+  const hash = encodeGeohash(lat, lng, Math.max(...TAG_PRECISIONS));
+  return TAG_PRECISIONS.map(length => ['g', hash.slice(0, length)]);
+}
+
+/**
+ * Great-circle distance
+ * @param {object} a - { lat, lng }
+ * @param {object} b - { lat, lng }
+ * @returns {number} - Miles
+ */
+export function distanceMiles(a, b) {
+  const rad = deg => deg * Math.PI / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Geohash prefixes whose cells cover a circle
+ * Picks the longest prefix whose cells are at least the radius, then
+ * takes the centre cell and its neighbours.
+ * @param {object} center - { lat, lng }
+ * @param {number} radiusMiles - Search radius
+ * @returns {array} - Geohash prefixes for a `#g` filter
+ */
+export function coveringGeohashes(center, radiusMiles) {
+  // Cell size in miles at this latitude (cells narrow towards the poles)
+  const cellMiles = precision => {
+    const { latError, lngError } = decodeGeohash(encodeGeohash(center.lat, center.lng, precision));
+    const degree = Math.PI / 180 * EARTH_RADIUS_MILES;
+    return Math.min(latError * 2 * degree, lngError * 2 * degree * Math.cos(center.lat * Math.PI / 180));
+  };
+  const precision = [...TAG_PRECISIONS].reverse().find(p => cellMiles(p) >= radiusMiles) || 1;
+
+  const { latError, lngError } = decodeGeohash(encodeGeohash(center.lat, center.lng, precision));
+  const cells = new Set();
+  for (const dLat of [-1, 0, 1]) {
+    for (const dLng of [-1, 0, 1]) {
+      const lat = Math.max(-89.999, Math.min(89.999, center.lat + dLat * latError * 2));
+      const lng = ((center.lng + dLng * lngError * 2 + 540) % 360) - 180;
+      cells.add(encodeGeohash(lat, lng, precision));
+    }
+  }
+  return [...cells];
+}
+
+/**
+ * Read a location given as { lat, lng }, "lat,lng" or a geohash
+ * @param {object|string} near - Location
+ * @returns {object} - { lat, lng }
+ */
+export function parseLocation(near) {
+  if (typeof near === 'object' && Number.isFinite(near?.lat) && Number.isFinite(near?.lng)) {
+    return { lat: near.lat, lng: near.lng };
+  }
+  const text = String(near ?? '').trim();
+  const match = text.match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+  if (match) {
+    return { lat: parseFloat(match[1]), lng: parseFloat(match[2]) };
+  }
+  if (/^[0-9b-hjkmnp-z]+$/i.test(text)) {
+    const { lat, lng } = decodeGeohash(text);
+    return { lat, lng };
+  }
+  throw new Error(`Can't read location "${text}"; use { lat, lng }, "lat,lng" or a geohash`);
+}
+
+/**
+ * Look up coordinates for a city (OpenStreetMap Nominatim)
+ * @param {object} place - { city, state, country }
+ * @param {object} ctx - Context from createContext() (uses ctx.http)
+ * @returns {Promise<object|null>} - { lat, lng } or null if not found
+ */
+export async function geocode(place, ctx = createContext()) {
+  const params = new URLSearchParams({ format: 'json', limit: '1' });
+  if (place.city) params.set('city', place.city);
+  if (place.state) params.set('state', place.state);
+  if (place.country) params.set('country', place.country);
+
+  const body = await fetchPage(`https://nominatim.openstreetmap.org/search?${params}`, {
+    ...ctx.http,
+    headers: { Accept: 'application/json', ...ctx.http?.headers }
+  });
+  const [hit] = JSON.parse(body);
+  return hit ? { lat: parseFloat(hit.lat), lng: parseFloat(hit.lon) } : null;
+}
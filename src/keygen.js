@@ -1,22 +1,149 @@
 #!/usr/bin/env node
-// Generate a new Nostr keypair for ABN
-// Usage: node src/keygen.js
+// Generate and manage the Nostr key for ABN
+// The key is saved to .secrets/nostr.json as a NIP-49 ncryptsec; it is never printed.
+// Usage: node src/keygen.js [action] [args]
 
 import { generateSecretKey, getPublicKey, nip19 } from 'nostr-tools';
+import { generateSeedWords, privateKeyFromSeedWords } from 'nostr-tools/nip06';
+import {
+  KEYSTORE_PATH, readKeystore, storedNpub, saveKey, rotatePassphrase,
+  encryptLegacyKey, parseKeyInput, exportKey, promptPassphrase
+} from './keystore.js';
 
-const sk = generateSecretKey();
-const pk = getPublicKey(sk);
-
-const nsec = nip19.nsecEncode(sk);
-const npub = nip19.npubEncode(pk);
-
-console.log('Generated new Nostr keypair for ABN:\n');
-console.log('Private Key (KEEP SECRET!):');
-console.log(`  nsec: ${nsec}`);
-console.log(`  hex:  ${Buffer.from(sk).toString('hex')}`);
-console.log('\nPublic Key (share freely):');
-console.log(`  npub: ${npub}`);
-console.log(`  hex:  ${pk}`);
-console.log('\nTo use with ABN scripts:');
-console.log(`  export NOSTR_PRIVATE_KEY="${nsec}"`);
-console.log('\nOr save to .secrets/nostr.json (gitignored)');
+const [,, ...argv] = process.argv;
+const flags = argv.filter(a => a.startsWith('--'));
+const [action, ...args] = argv.filter(a => !a.startsWith('--'));
+
+function flag(name) {
+  const found = flags.find(f => f === `--${name}` || f.startsWith(`--${name}=`));
+  if (!found) return undefined;
+  return found.includes('=') ? found.split('=').slice(1).join('=') : true;
+}
+
+// Passphrase from env var, or prompt on the terminal
+async function passphrase(envVar, question, confirm = false) {
+  return process.env[envVar] || promptPassphrase(question, { confirm });
+}
+
+function refuseOverwrite() {
+  const keystore = readKeystore();
+  if ((keystore?.ncryptsec || keystore?.nsec) && !flag('force')) {
+    console.log(`A keystore already exists at ${KEYSTORE_PATH}.`);
+    if (keystore.nsec) {
+      console.log('It holds a plaintext key: run node src/keygen.js encrypt to encrypt it in place.');
+    }
+    console.log('Use --force to replace it (export a backup first!).');
+    process.exit(1);
+  }
+}
+
+function printSaved(npub) {
+  console.log(`\n✓ Encrypted key saved to ${KEYSTORE_PATH}`);
+  console.log('\nPublic Key (share freely):');
+  console.log(`  npub: ${npub}`);
+  console.log(`  hex:  ${nip19.decode(npub).data}`);
+  console.log('\nABN scripts unlock it with NOSTR_PASSPHRASE.');
+}
+
+async function main() {
+  switch (action) {
+    case undefined:
+    case 'generate': {
+      refuseOverwrite();
+      let sk;
+      if (flag('mnemonic')) {
+        const mnemonic = generateSeedWords();
+        sk = privateKeyFromSeedWords(mnemonic);
+        console.log('Recovery phrase (NIP-06) - write it down, it is shown only once:\n');
+        console.log(`  ${mnemonic}\n`);
+      } else {
+        sk = generateSecretKey();
+      }
+      const pass = await passphrase('NOSTR_PASSPHRASE', 'New keystore passphrase: ', true);
+      printSaved(saveKey(sk, pass, { replace: Boolean(flag('force')) }).npub);
+      break;
+    }
+    
+    case 'encrypt': {
+      const pass = await passphrase('NOSTR_PASSPHRASE', 'New keystore passphrase: ', true);
+      printSaved(encryptLegacyKey(pass).npub);
+      break;
+    }
+    
+    case 'rotate': {
+      const oldPass = await passphrase('NOSTR_PASSPHRASE', 'Current passphrase: ');
+      const newPass = await passphrase('NOSTR_NEW_PASSPHRASE', 'New passphrase: ', true);
+      const { npub } = rotatePassphrase(oldPass, newPass);
+      console.log(`✓ Passphrase changed for ${npub}`);
+      console.log('Old ncryptsec backups still open with the old passphrase - replace them.');
+      break;
+    }
+    
+    case 'export': {
+      const format = flag('nsec') ? 'nsec' : flag('hex') ? 'hex' : 'ncryptsec';
+      const pass = await passphrase('NOSTR_PASSPHRASE', 'Keystore passphrase: ');
+      if (format !== 'ncryptsec') {
+        console.error('⚠️  Printing your raw private key. Anyone who sees it controls your identity.');
+      }
+      console.log(exportKey(pass, format));
+      break;
+    }
+    
+    case 'import': {
+      if (!args.length) {
+        console.log('Usage: node src/keygen.js import <nsec|hex|ncryptsec|"mnemonic words"> [--account=N]');
+        process.exit(1);
+      }
+      refuseOverwrite();
+      const input = args.join(' ');
+      const sk = parseKeyInput(input, {
+        passphrase: input.startsWith('ncryptsec')
+          ? await passphrase('NOSTR_IMPORT_PASSPHRASE', 'Passphrase of the imported ncryptsec: ')
+          : undefined,
+        account: parseInt(flag('account')) || 0,
+        mnemonicPassphrase: process.env.NOSTR_MNEMONIC_PASSPHRASE
+      });
+      const pass = await passphrase('NOSTR_PASSPHRASE', 'New keystore passphrase: ', true);
+      printSaved(saveKey(sk, pass, { replace: Boolean(flag('force')) }).npub);
+      break;
+    }
+    
+    case 'show': {
+      const keystore = readKeystore();
+      const npub = storedNpub(keystore);
+      if (!npub) {
+        console.log(`No key in ${KEYSTORE_PATH}`);
+        process.exit(1);
+      }
+      console.log(`npub: ${npub}`);
+      console.log(`Encrypted: ${keystore.ncryptsec ? 'yes (NIP-49)' : 'no'}`);
+      if (keystore.nsec) {
+        console.log('⚠ The key is stored in plaintext. Encrypt it in place with:');
+        console.log('  NOSTR_PASSPHRASE=... node src/keygen.js encrypt');
+      }
+      break;
+    }
+    
+    default:
+      console.log('ABN Key Management');
+      console.log('Usage: node src/keygen.js [action] [args]');
+      console.log('');
+      console.log('Actions:');
+      console.log('  generate [--mnemonic]   - New key, saved encrypted (default action)');
+      console.log('  encrypt                 - Encrypt a legacy plaintext nsec keystore in place');
+      console.log('  rotate                  - Change the keystore passphrase');
+      console.log('  export [--nsec|--hex]   - Print the ncryptsec backup (or raw key)');
+      console.log('  import <key>            - Import nsec, hex, ncryptsec or NIP-06 mnemonic');
+      console.log('                            (--account=N picks the derivation account)');
+      console.log('  show                    - Show the stored public key');
+      console.log('');
+      console.log('Passphrases are prompted for, or read from NOSTR_PASSPHRASE');
+      console.log('(and NOSTR_NEW_PASSPHRASE / NOSTR_IMPORT_PASSPHRASE).');
+      console.log('Add --force to replace an existing keystore.');
+  }
+}
+
+main().catch(err => {
+  console.error('Error:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,192 @@
+// ABN Keystore
+// Keeps the Nostr key in .secrets/nostr.json as a NIP-49 ncryptsec,
+// so a leaked file or backup is useless without the passphrase.
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { createInterface } from 'readline';
+import { getPublicKey, nip19 } from 'nostr-tools';
+import * as nip49 from 'nostr-tools/nip49';
+import { privateKeyFromSeedWords, validateWords } from 'nostr-tools/nip06';
+import { parsePrivateKey } from './signer.js';
+import { secretsPath } from './paths.js';
+
+export const KEYSTORE_PATH = secretsPath('nostr.json');
+
+// scrypt cost for NIP-49 (2^16 rounds, ~64 MiB)
+const LOG_N = 16;
+
+/**
+ * Read .secrets/nostr.json
+ * @returns {object|null} - { ncryptsec, npub, bunker, nsec (legacy) } or null
+ */
+export function readKeystore() {
+  if (!existsSync(KEYSTORE_PATH)) {
+    return null;
+  }
+  return JSON.parse(readFileSync(KEYSTORE_PATH, 'utf-8'));
+}
+
+/**
+ * The npub of the key a keystore holds, encrypted or legacy plaintext
+ * @param {object|null} keystore - From readKeystore()
+ * @returns {string|null}
+ */
+export function storedNpub(keystore) {
+  if (keystore?.nsec) {
+    return nip19.npubEncode(getPublicKey(parsePrivateKey(keystore.nsec)));
+  }
+  return keystore?.ncryptsec ? keystore.npub : null;
+}
+
+// Merge fields into the keystore file, keeping unrelated ones (e.g. bunker).
+// Refuses to drop a different key unless `replace` is set.
+function writeKeystore(fields, replace = false) {
+  const current = readKeystore() || {};
+  const existing = storedNpub(current);
+  if (existing && existing !== fields.npub && !replace) {
+    throw new Error(`${KEYSTORE_PATH} already holds the key for ${existing}; export a backup and replace it explicitly`);
+  }
+  const next = { ...current, ...fields };
+  delete next.nsec; // never keep a plaintext key next to the encrypted one
+  mkdirSync(dirname(KEYSTORE_PATH), { recursive: true });
+  writeFileSync(KEYSTORE_PATH, JSON.stringify(next, null, 2) + '\n', { mode: 0o600 });
+  return next;
+}
+
+function checkPassphrase(passphrase) {
+  if (!passphrase) {
+    throw new Error('A passphrase is required');
+  }
+}
+
+/**
+ * Encrypt a secret key and save it as the keystore
+ * A keystore holding a different key (encrypted or legacy plaintext) is
+ * only overwritten with options.replace.
+ * @param {Uint8Array} secretKey - Key to store
+ * @param {string} passphrase - Passphrase to encrypt with
+ * @param {object} options - { replace }
+ * @returns {object} - { npub, ncryptsec }
+ */
+export function saveKey(secretKey, passphrase, options = {}) {
+  checkPassphrase(passphrase);
+  const ncryptsec = nip49.encrypt(secretKey, passphrase, LOG_N);
+  const npub = nip19.npubEncode(getPublicKey(secretKey));
+  writeKeystore({ ncryptsec, npub }, options.replace);
+  return { npub, ncryptsec };
+}
+
+/**
+ * Encrypt a legacy plaintext `nsec` keystore in place
+ * @param {string} passphrase - Passphrase to encrypt with
+ * @returns {object} - { npub, ncryptsec }
+ */
+export function encryptLegacyKey(passphrase) {
+  const keystore = readKeystore();
+  if (!keystore?.nsec) {
+    throw new Error(`No plaintext key in ${KEYSTORE_PATH}`);
+  }
+  return saveKey(parsePrivateKey(keystore.nsec), passphrase);
+}
+
+/**
+ * Decrypt the keystore
+ * @param {string} passphrase - Keystore passphrase
+ * @returns {Uint8Array} - Secret key
+ */
+export function unlockKeystore(passphrase) {
+  const keystore = readKeystore();
+  if (!keystore?.ncryptsec) {
+    throw new Error(`No encrypted key in ${KEYSTORE_PATH}. Run: node src/keygen.js`);
+  }
+  checkPassphrase(passphrase);
+  try {
+    return nip49.decrypt(keystore.ncryptsec, passphrase);
+  } catch {
+    throw new Error('Wrong passphrase for keystore');
+  }
+}
+
+/**
+ * Re-encrypt the keystore under a new passphrase
+ * @returns {object} - { npub, ncryptsec }
+ */
+export function rotatePassphrase(oldPassphrase, newPassphrase) {
+  return saveKey(unlockKeystore(oldPassphrase), newPassphrase);
+}
+
+/**
+ * Turn user input into a secret key
+ * Accepts nsec, hex, ncryptsec (needs options.passphrase) or a NIP-06 mnemonic.
+ * @param {string} input - Key material
+ * @param {object} options - { passphrase, account, mnemonicPassphrase }
+ * @returns {Uint8Array} - Secret key
+ */
+export function parseKeyInput(input, options = {}) {
+  const value = input.trim();
+  
+  if (value.startsWith('ncryptsec')) {
+    checkPassphrase(options.passphrase);
+    return nip49.decrypt(value, options.passphrase);
+  }
+  if (value.startsWith('nsec') || /^[0-9a-f]{64}$/i.test(value)) {
+    return parsePrivateKey(value);
+  }
+  
+  const words = value.toLowerCase().split(/\s+/).join(' ');
+  if (validateWords(words)) {
+    return privateKeyFromSeedWords(words, options.mnemonicPassphrase, options.account || 0);
+  }
+  
+  throw new Error('Unrecognized key: expected nsec, hex, ncryptsec or a BIP-39 mnemonic');
+}
+
+/**
+ * Export the stored key
+ * @param {string} passphrase - Keystore passphrase
+ * @param {string} format - 'ncryptsec' (default), 'nsec' or 'hex'
+ * @returns {string}
+ */
+export function exportKey(passphrase, format = 'ncryptsec') {
+  const secretKey = unlockKeystore(passphrase);
+  switch (format) {
+    case 'ncryptsec':
+      return readKeystore().ncryptsec;
+    case 'nsec':
+      return nip19.nsecEncode(secretKey);
+    case 'hex':
+      return Buffer.from(secretKey).toString('hex');
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+/**
+ * Ask for a passphrase on the terminal without echoing it
+ * @param {string} question - Prompt text
+ * @param {object} options - { confirm: ask twice and compare }
+ * @returns {Promise<string>}
+ */
+export async function promptPassphrase(question, options = {}) {
+  if (!process.stdin.isTTY) {
+    throw new Error('No terminal to prompt for a passphrase. Set NOSTR_PASSPHRASE instead.');
+  }
+  
+  const ask = (text) => new Promise(resolve => {
+    const rl = createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl.question(text, answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+    rl._writeToOutput = () => {}; // hide what's typed
+  });
+  
+  const passphrase = await ask(question);
+  checkPassphrase(passphrase);
+  if (options.confirm && await ask('Repeat passphrase: ') !== passphrase) {
+    throw new Error('Passphrases do not match');
+  }
+  return passphrase;
+}
@@ -0,0 +1,213 @@
+/**
+ * Nostr client for the typed ABN API
+ *
+ * Event building, parsing and DM encryption come from the JS modules
+ * (register.js, query.js, dm.js) so both APIs publish the same events.
+ */
+
+import { nip19, type Event, type EventTemplate, type Filter } from 'nostr-tools';
+import { SimplePool } from 'nostr-tools/pool';
+import { RELAYS, KINDS, createContext } from '../config.js';
+import { publishEvent } from '../relays.js';
+import { buildSiteEvent } from '../register.js';
+import { siteFilter } from '../query.js';
+import { matchesIndustry } from '../taxonomy.js';
+import { acceptEvent, quarantineEvent } from '../schema.js';
+import { latestListings } from '../protocol.js';
+import { dropDeleted } from '../listings.js';
+import { verifyDomainOwnership, proofInstructions } from '../ownership.js';
+import { buildDMEvent, decryptDM, parsePublicKey } from '../dm.js';
+import { LocalSigner } from '../signer.js';
+import type {
+  SiteRegistration,
+  ExchangeProposal,
+  ExchangeAccept,
+  ExchangeReject,
+} from '../types/index.js';
+
+export const DEFAULT_RELAYS: string[] = [...RELAYS];
+
+interface PublishResult {
+  accepted: string[];
+  failed: { url: string; error: string }[];
+}
+
+export type ExchangeMessage = ExchangeProposal | ExchangeAccept | ExchangeReject;
+
+export interface ReceivedMessage {
+  id: string;
+  from: string;
+  fromHex: string;
+  timestamp: number;
+  date: string;
+  type: string;
+  [key: string]: unknown;
+}
+
+/**
+ * Convert a typed site registration to the wire format used by register.js
+ */
+export function toSiteRecord(site: SiteRegistration) {
+  return {
+    name: site.businessName,
+    url: site.url,
+    city: site.location.city,
+    state: site.location.state,
+    country: site.location.country,
+    radiusMiles: site.location.radiusMiles,
+    lat: site.location.lat,
+    lng: site.location.lng,
+    industry: site.businessType,
+    da: site.domainAuthority,
+    linkPages: site.linkPages,
+    lookingFor: site.lookingFor,
+    contact: site.contact,
+  };
+}
+
+/**
+ * Parse a site registration event into a SiteRegistration
+ * Returns null for events that aren't valid ABN registrations.
+ */
+export function parseSiteEvent(event: Event): SiteRegistration | null {
+  let data: any;
+  try {
+    data = JSON.parse(event.content);
+  } catch {
+    return null;
+  }
+  if (!data || typeof data !== 'object' || typeof data.url !== 'string') {
+    return null;
+  }
+
+  return {
+    url: data.url,
+    businessName: data.name ?? data.businessName ?? '',
+    businessType: data.industry ?? data.businessType ?? '',
+    location: {
+      city: data.city ?? data.location?.city ?? '',
+      state: data.state ?? data.location?.state ?? '',
+      country: data.country ?? data.location?.country ?? 'US',
+      radiusMiles: data.radiusMiles ?? data.location?.radiusMiles ?? 0,
+      ...(typeof data.lat === 'number' && typeof data.lng === 'number' && { lat: data.lat, lng: data.lng }),
+    },
+    linkPages: data.linkPages ?? [],
+    lookingFor: data.lookingFor ?? [],
+    ...(typeof data.da === 'number' && { domainAuthority: data.da }),
+    ...(data.contact && { contact: data.contact }),
+  };
+}
+
+/**
+ * Nostr client bound to one identity and relay set
+ */
+export class NostrClient {
+  readonly publicKey: string;
+  readonly npub: string;
+  readonly relays: string[];
+  private readonly signer: LocalSigner;
+  private readonly pool = new SimplePool();
+
+  constructor(privateKey: string, relays: string[] = DEFAULT_RELAYS) {
+    this.signer = new LocalSigner(privateKey);
+    this.publicKey = this.signer.publicKey;
+    this.npub = nip19.npubEncode(this.publicKey);
+    this.relays = relays;
+  }
+
+  // Context for the shared JS modules (relay health, routing)
+  private context() {
+    return createContext({ signer: this.signer, relays: this.relays });
+  }
+
+  /**
+   * Sign and publish an event, resolving with the relays that accepted it
+   */
+  async publish(template: EventTemplate): Promise<{ event: Event; relays: string[] }> {
+    const event = await this.signer.signEvent(template);
+    const { accepted } = await publishEvent(event, this.context()) as PublishResult;
+    if (accepted.length === 0) {
+      throw new Error('Failed to publish to any relay');
+    }
+    return { event, relays: accepted };
+  }
+
+  /**
+   * Register a site on the network
+   * Needs a domain ownership proof (DNS, NIP-05 or meta tag) unless
+   * allowUnverified is set.
+   */
+  async registerSite(site: SiteRegistration, options: { allowUnverified?: boolean } = {}) {
+    const proof = await verifyDomainOwnership(site.url, this.publicKey, this.context()) as { verified: boolean };
+    if (!proof.verified && !options.allowUnverified) {
+      throw new Error(`Domain ownership not verified.\n${proofInstructions(site.url, this.publicKey)}`);
+    }
+    return this.publish(buildSiteEvent(toSiteRecord(site)) as EventTemplate);
+  }
+
+  /**
+   * Fetch raw site registration events, optionally limited to an industry
+   * (matched through the taxonomy, so synonyms and sub-categories count)
+   * or a geohash area around `near`.
+   * Cancelled listings are dropped; events failing signature or schema
+   * checks are quarantined.
+   */
+  async findSites(filters: { industry?: string; related?: boolean; near?: string | { lat: number; lng: number }; radiusMiles?: number } = {}): Promise<Event[]> {
+    const events = await dropDeleted(await this.pool.querySync(this.relays, siteFilter(filters) as Filter), this.pool, this.relays);
+    return (latestListings(events) as Event[]).filter((event) => {
+      if (!acceptEvent(event, 'site')) return false;
+      const site = parseSiteEvent(event);
+      return site !== null && matchesIndustry(site.businessType, filters.industry, { related: filters.related });
+    });
+  }
+
+  /**
+   * Send an encrypted exchange message to another agent
+   */
+  async sendMessage(recipient: string, message: ExchangeMessage | Record<string, unknown>) {
+    const event = await buildDMEvent(this.signer, parsePublicKey(recipient), message) as Event;
+    const { accepted } = await publishEvent(event, this.context()) as PublishResult;
+    if (accepted.length === 0) {
+      throw new Error('Failed to publish to any relay');
+    }
+    return event;
+  }
+
+  async sendProposal(recipient: string, proposal: Omit<ExchangeProposal, 'type'>) {
+    return this.sendMessage(recipient, { type: 'proposal', ...proposal });
+  }
+
+  async sendAccept(recipient: string, accept: Omit<ExchangeAccept, 'type'>) {
+    return this.sendMessage(recipient, { type: 'accept', ...accept });
+  }
+
+  async sendReject(recipient: string, reject: Omit<ExchangeReject, 'type'>) {
+    return this.sendMessage(recipient, { type: 'reject', ...reject });
+  }
+
+  /**
+   * Fetch and decrypt DMs addressed to this identity, newest first
+   */
+  async getMessages(since = Math.floor(Date.now() / 1000) - 86400 * 7): Promise<ReceivedMessage[]> {
+    const events = await this.pool.querySync(this.relays, {
+      kinds: [KINDS.ENCRYPTED_DM],
+      '#p': [this.publicKey],
+      since,
+    });
+
+    const messages: ReceivedMessage[] = [];
+    for (const event of events) {
+      try {
+        messages.push(await decryptDM(this.signer, event) as ReceivedMessage);
+      } catch (err: any) {
+        // Not for us, forged or malformed
+        quarantineEvent(event, 'dm', err.message);
+      }
+    }
+    return messages.sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  close() {
+    this.pool.close(this.relays);
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * Local state for the typed ABN API
+ *
+ * Keeps identity, registered sites and exchange proposals in
+ * .secrets/abn-state.json (override with ABN_STATE_PATH, or move all of
+ * .secrets with ABN_SECRETS_DIR).
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { generateSecretKey, getPublicKey, nip19 } from 'nostr-tools';
+import { RELAYS, loadPrivateKey } from '../config.js';
+import { parsePrivateKey } from '../signer.js';
+import { secretsPath } from '../paths.js';
+import type { LocalState, SiteRegistration, ExchangeProposal } from '../types/index.js';
+
+type Proposal = LocalState['pendingProposals'][number];
+
+export function getStatePath(): string {
+  return process.env.ABN_STATE_PATH || secretsPath('abn-state.json');
+}
+
+function bytesToHex(bytes: Uint8Array): string {
+  return Buffer.from(bytes).toString('hex');
+}
+
+function identityFromKey(key: string | Uint8Array) {
+  const sk = typeof key === 'string' ? parsePrivateKey(key) as Uint8Array : key;
+  const publicKey = getPublicKey(sk);
+  return {
+    privateKey: bytesToHex(sk),
+    publicKey,
+    npub: nip19.npubEncode(publicKey),
+  };
+}
+
+function initialKey(): string | Uint8Array {
+  try {
+    return loadPrivateKey();
+  } catch {
+    return generateSecretKey();
+  }
+}
+
+/**
+ * Load local state, creating it on first use
+ * The identity comes from loadPrivateKey() when configured, otherwise
+ * a fresh keypair is generated.
+ */
+export function loadState(): LocalState {
+  const path = getStatePath();
+  if (existsSync(path)) {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  }
+
+  const state: LocalState = {
+    ...identityFromKey(initialKey()),
+    sites: [],
+    pendingProposals: [],
+    completedExchanges: [],
+    relays: [...RELAYS],
+  };
+  saveState(state);
+  return state;
+}
+
+export function saveState(state: LocalState): void {
+  const path = getStatePath();
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, JSON.stringify(state, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Add or replace (by URL) a site we manage
+ */
+export function addSite(site: SiteRegistration): void {
+  const state = loadState();
+  state.sites = state.sites.filter(s => s.url !== site.url).concat(site);
+  saveState(state);
+}
+
+export function getSites(): SiteRegistration[] {
+  return loadState().sites;
+}
+
+function addProposal(entry: Proposal): Proposal {
+  const state = loadState();
+  state.pendingProposals = state.pendingProposals.filter(p => p.id !== entry.id).concat(entry);
+  saveState(state);
+  return entry;
+}
+
+export function addIncomingProposal(proposal: ExchangeProposal, fromPubkey: string): Proposal {
+  return addProposal({
+    id: proposal.proposalId,
+    direction: 'incoming',
+    proposal,
+    fromPubkey,
+    toPubkey: loadState().publicKey,
+    status: 'pending',
+    createdAt: Math.floor(Date.now() / 1000),
+  });
+}
+
+export function addOutgoingProposal(proposal: ExchangeProposal, toPubkey: string): Proposal {
+  return addProposal({
+    id: proposal.proposalId,
+    direction: 'outgoing',
+    proposal,
+    fromPubkey: loadState().publicKey,
+    toPubkey,
+    status: 'pending',
+    createdAt: Math.floor(Date.now() / 1000),
+  });
+}
+
+/**
+ * Update a proposal's status; completed proposals are recorded in completedExchanges
+ */
+export function updateProposalStatus(id: string, status: Proposal['status']): Proposal {
+  const state = loadState();
+  const entry = state.pendingProposals.find(p => p.id === id);
+  if (!entry) {
+    throw new Error(`Unknown proposal: ${id}`);
+  }
+  entry.status = status;
+  if (status === 'completed' && !state.completedExchanges.includes(id)) {
+    state.completedExchanges.push(id);
+  }
+  saveState(state);
+  return entry;
+}
+
+export function getPendingProposals(): Proposal[] {
+  return loadState().pendingProposals.filter(p => p.status === 'pending');
+}
+
+/**
+ * Export the local identity as nsec/npub
+ */
+export function exportIdentity(): { nsec: string; npub: string; publicKey: string } {
+  const state = loadState();
+  return {
+    nsec: nip19.nsecEncode(parsePrivateKey(state.privateKey) as Uint8Array),
+    npub: state.npub,
+    publicKey: state.publicKey,
+  };
+}
+
+/**
+ * Replace the local identity with an existing key (nsec or hex)
+ */
+export function importIdentity(privateKey: string): { npub: string; publicKey: string } {
+  const state = loadState();
+  const identity = identityFromKey(privateKey);
+  saveState({ ...state, ...identity });
+  return { npub: identity.npub, publicKey: identity.publicKey };
+}
@@ -0,0 +1,78 @@
+/**
+ * Link verification for the typed ABN API
+ *
+ * Wraps verify.js and maps its results onto VerificationResult.
+ */
+
+import { verifyBacklink, extractLinks } from '../verify.js';
+import type { VerificationResult } from '../types/index.js';
+
+export { extractLinks };
+
+export interface VerifyOptions {
+  anchor?: string;
+  dofollow?: boolean;
+  exactUrl?: string;
+}
+
+interface FoundLink {
+  href: string;
+  anchor: string;
+  isDoFollow: boolean;
+  isSponsored: boolean;
+  isUGC: boolean;
+}
+
+interface BacklinkResult {
+  verified: boolean;
+  message: string;
+  checkedAt: string;
+  bestMatch?: FoundLink;
+  linksFound?: FoundLink[];
+}
+
+function targetDomain(targetUrl: string): string {
+  try {
+    return new URL(targetUrl).hostname.replace(/^www\./, '');
+  } catch {
+    return targetUrl.replace(/^www\./, '');
+  }
+}
+
+function linkType(link: FoundLink): VerificationResult['linkType'] {
+  if (link.isSponsored) return 'sponsored';
+  if (link.isUGC) return 'ugc';
+  return link.isDoFollow ? 'dofollow' : 'nofollow';
+}
+
+/**
+ * Check whether a page links to a target site
+ * @param url - Page that should contain the link
+ * @param targetUrl - Site (URL or bare domain) the link should point to
+ */
+export async function verifyLink(url: string, targetUrl: string, options: VerifyOptions = {}): Promise<VerificationResult> {
+  const result = await verifyBacklink(url, targetDomain(targetUrl), options) as BacklinkResult;
+  const link = result.bestMatch || result.linksFound?.[0];
+
+  return {
+    url,
+    targetUrl,
+    found: result.verified,
+    ...(link && { anchorText: link.anchor, linkType: linkType(link) }),
+    checkedAt: Date.parse(result.checkedAt),
+    ...(!result.verified && { error: result.message }),
+  };
+}
+
+/**
+ * Verify several links, one at a time
+ */
+export async function verifyLinks(
+  checks: { url: string; targetUrl: string; options?: VerifyOptions }[],
+): Promise<VerificationResult[]> {
+  const results: VerificationResult[] = [];
+  for (const check of checks) {
+    results.push(await verifyLink(check.url, check.targetUrl, check.options));
+  }
+  return results;
+}
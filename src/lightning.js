@@ -13,16 +13,12 @@
  */
 
 import { readFileSync, existsSync } from 'fs';
-import { join } from 'path';
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const projectRoot = join(__dirname, '..');
+import { createContext } from './config.js';
+import { secretsPath } from './paths.js';
 
 // Load Lightning config
 function loadConfig() {
-  const configPath = join(projectRoot, '.secrets', 'lightning.json');
+  const configPath = secretsPath('lightning.json');
   if (!existsSync(configPath)) {
     return null;
   }
@@ -131,9 +127,14 @@ class LNbitsClient {
 
 /**
  * Get a Lightning client based on config
+ * @param {object} wallet - Client instance or config object (default: .secrets/lightning.json)
  */
-function getClient() {
-  const config = loadConfig();
+function getClient(wallet = null) {
+  if (wallet && typeof wallet.createInvoice === 'function') {
+    return wallet;
+  }
+  
+  const config = wallet || loadConfig();
   if (!config) {
     console.log(`
 ╔══════════════════════════════════════════════════════════╗
@@ -173,10 +174,11 @@ Alby: https://getalby.com
  * Create an invoice for an ABN deal
  * @param {number} sats - Amount in satoshis
  * @param {string} dealId - ABN deal/bid ID for reference
+ * @param {object} ctx - Context from createContext() (uses ctx.wallet)
  * @returns {Promise<object>} - Invoice details
  */
-async function createInvoice(sats, dealId = 'abn-deal') {
-  const client = getClient();
+async function createInvoice(sats, dealId = 'abn-deal', ctx = createContext()) {
+  const client = getClient(ctx.wallet);
   if (!client) {
     throw new Error('Lightning not configured');
   }
@@ -187,10 +189,11 @@ async function createInvoice(sats, dealId = 'abn-deal') {
 /**
  * Pay a Lightning invoice
  * @param {string} bolt11 - BOLT11 invoice string
+ * @param {object} ctx - Context from createContext() (uses ctx.wallet)
  * @returns {Promise<object>} - Payment result with preimage
  */
-async function payInvoice(bolt11) {
-  const client = getClient();
+async function payInvoice(bolt11, ctx = createContext()) {
+  const client = getClient(ctx.wallet);
   if (!client) {
     throw new Error('Lightning not configured');
   }
@@ -201,10 +204,11 @@ async function payInvoice(bolt11) {
 /**
  * Check if a payment was received
  * @param {string} paymentHash - Payment hash to check
+ * @param {object} ctx - Context from createContext() (uses ctx.wallet)
  * @returns {Promise<object>} - Payment status
  */
-async function checkPayment(paymentHash) {
-  const client = getClient();
+async function checkPayment(paymentHash, ctx = createContext()) {
+  const client = getClient(ctx.wallet);
   if (!client) {
     throw new Error('Lightning not configured');
   }
@@ -214,10 +218,11 @@ async function checkPayment(paymentHash) {
 
 /**
  * Get wallet balance
+ * @param {object} ctx - Context from createContext() (uses ctx.wallet)
  * @returns {Promise<object>} - Balance in sats
  */
-async function getBalance() {
-  const client = getClient();
+async function getBalance(ctx = createContext()) {
+  const client = getClient(ctx.wallet);
   if (!client) {
     throw new Error('Lightning not configured');
   }
@@ -0,0 +1,118 @@
+// ABN Listing Lifecycle
+// Site registrations and bids are addressable events (kind:pubkey:d), so
+// re-publishing with the same d tag updates a listing in place. Cancelling
+// publishes a NIP-09 deletion, which readers also apply themselves since
+// not every relay honours it. Deletions go through the outbox like any
+// other write, so one no relay took yet is retried.
+
+import { SimplePool } from 'nostr-tools/pool';
+import { createContext } from './config.js';
+import { healthyRelays } from './relays.js';
+import { queueEvent } from './outbox.js';
+import { KINDS, readKinds, protocolVersion } from './protocol.js';
+
+/**
+ * Fetch our current version of a listing, on either kind scheme
+ * @param {string} type - 'SITE_REGISTRATION' or 'LINK_BID'
+ * @param {string} d - Site URL or bid ID
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<object|null>} - Latest event, or null if none
+ */
+export async function fetchListing(type, d, ctx = createContext()) {
+  const pubkey = await ctx.signer.getPublicKey();
+  const pool = new SimplePool();
+  const relays = healthyRelays(ctx.relays);
+
+  const events = await pool.querySync(relays, { kinds: readKinds(type), authors: [pubkey], '#d': [d] });
+  const live = await dropDeleted(events, pool, relays);
+  pool.close(relays);
+
+  return live.sort((a, b) => protocolVersion(b) - protocolVersion(a) || b.created_at - a.created_at)[0] || null;
+}
+
+/**
+ * Apply changes to a listing's content; nested objects are merged
+ * so { offer: { sats } } keeps offer.paymentTerms
+ * @param {object} current - Existing content
+ * @param {object} changes - Fields to change
+ * @returns {object} - Updated content
+ */
+export function mergeListing(current, changes) {
+  const merged = { ...current };
+  for (const [key, value] of Object.entries(changes)) {
+    const isObject = v => v && typeof v === 'object' && !Array.isArray(v);
+    merged[key] = isObject(value) && isObject(current[key])
+      ? mergeListing(current[key], value)
+      : value;
+  }
+  return merged;
+}
+
+/**
+ * Withdraw a listing with a NIP-09 deletion
+ * Covers the listing's address on both kind schemes, plus the event
+ * IDs we know about for relays that only delete by ID.
+ * @param {string} type - 'SITE_REGISTRATION' or 'LINK_BID'
+ * @param {string} d - Site URL or bid ID
+ * @param {object} ctx - Context from createContext()
+ * @param {string} reason - Optional reason shown to clients
+ * @returns {Promise<object>} - { event: signed deletion, delivery: report from outbox.js }
+ */
+export async function deleteListing(type, d, ctx = createContext(), reason = '') {
+  const pubkey = await ctx.signer.getPublicKey();
+  const pool = new SimplePool();
+  const relays = healthyRelays(ctx.relays);
+  const existing = await pool.querySync(relays, { kinds: readKinds(type), authors: [pubkey], '#d': [d] });
+  pool.close(relays);
+
+  const kinds = readKinds(type);
+  const event = await ctx.signer.signEvent({
+    kind: KINDS.DELETION,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [
+      ...kinds.map(kind => ['a', `${kind}:${pubkey}:${d}`]),
+      ...existing.map(e => ['e', e.id]),
+      ...kinds.map(kind => ['k', String(kind)])
+    ],
+    content: reason
+  });
+
+  const delivery = await queueEvent(event, ctx, undefined, { label: `deletion of ${d}` });
+  return { event, delivery };
+}
+
+/**
+ * Remove events their authors have deleted (NIP-09)
+ * An address deletion covers versions up to its created_at, so a listing
+ * re-published after being cancelled shows again.
+ * @param {array} events - Listing events
+ * @param {object} pool - SimplePool to query with
+ * @param {array} relays - Relays to ask
+ * @returns {Promise<array>} - Events that haven't been deleted
+ */
+export async function dropDeleted(events, pool, relays) {
+  if (events.length === 0) return events;
+
+  const authors = [...new Set(events.map(e => e.pubkey))];
+  const kinds = [...new Set(events.map(e => String(e.kind)))];
+  const deletions = await pool.querySync(relays, { kinds: [KINDS.DELETION], authors, '#k': kinds });
+
+  const deletedIds = new Set();
+  const deletedAddresses = new Map();
+  for (const deletion of deletions) {
+    for (const [name, value] of deletion.tags) {
+      // Only the author can delete: IDs are checked below, addresses carry the pubkey
+      if (name === 'e') deletedIds.add(`${deletion.pubkey}:${value}`);
+      if (name === 'a' && value?.split(':')[1] === deletion.pubkey) {
+        deletedAddresses.set(value, Math.max(deletedAddresses.get(value) || 0, deletion.created_at));
+      }
+    }
+  }
+
+  return events.filter(event => {
+    if (deletedIds.has(`${event.pubkey}:${event.id}`)) return false;
+    const d = event.tags.find(t => t[0] === 'd')?.[1];
+    const deletedAt = deletedAddresses.get(`${event.kind}:${event.pubkey}:${d}`);
+    return deletedAt === undefined || event.created_at > deletedAt;
+  });
+}
@@ -0,0 +1,232 @@
+// ABN Deal Matcher
+// Pairs seeking bids with offering bids and with registered sites. Every
+// requirement and restriction on both sides is checked, and each check
+// records why it passed or failed, so a deal that falls through can be
+// explained (and one that passes can be trusted).
+
+import { createContext } from './config.js';
+import { PAYMENT_TERMS } from './protocol.js';
+import { matchesIndustry, industryRelatedness } from './taxonomy.js';
+import { readBid } from './bid.js';
+import { queryBids, bidMatches } from './watch.js';
+import { querySites, isCompetitor } from './query.js';
+
+// Compare URLs without scheme, www or trailing slash
+function siteKey(url) {
+  return String(url || '').toLowerCase().replace(/^https?:\/\/(www\.)?/, '').replace(/\/+$/, '');
+}
+
+const allows = (list, value) => list.length === 0 || list.includes(value);
+const allowsIndustry = (list, industry) => list.length === 0 || list.some(i => matchesIndustry(industry, i));
+const describe = list => (list.length > 0 ? list.join(', ') : 'any');
+
+/**
+ * A bid event as a matcher entry
+ * @param {object} event - Bid event (already checked with acceptEvent)
+ * @returns {object} - { bid, bidId, pubkey, eventId }
+ */
+export function bidEntry(event) {
+  return {
+    bid: readBid(event),
+    bidId: event.tags.find(t => t[0] === 'd')?.[1],
+    pubkey: event.pubkey,
+    eventId: event.id
+  };
+}
+
+// Checks shared by both kinds of partner: the host site's industry, DA,
+// state and placements against the seeking bid's requirements
+function hostChecks(bid, host) {
+  const checks = [];
+  checks.push({
+    check: 'industry',
+    pass: allowsIndustry(bid.industries, host.industry),
+    reason: `host industry ${host.industry}; seeker accepts ${describe(bid.industries)}`
+  });
+  checks.push(host.da === undefined || host.da === null
+    ? { check: 'da', pass: (bid.minDA || 0) === 0, reason: `host DA unknown; seeker wants DA${bid.minDA || 0}+` }
+    : { check: 'da', pass: host.da >= (bid.minDA || 0), reason: `host DA ${host.da}; seeker wants DA${bid.minDA || 0}+` });
+  checks.push(host.state
+    ? { check: 'state', pass: allows(bid.states, String(host.state).toUpperCase()), reason: `host in ${host.state}; seeker accepts ${describe(bid.states)}` }
+    : { check: 'state', pass: bid.states.length === 0, reason: `host state unknown; seeker accepts ${describe(bid.states)}` });
+  checks.push({
+    check: 'placement',
+    pass: bid.placement.length === 0 || host.placement.length === 0 || bid.placement.some(p => host.placement.includes(p)),
+    reason: `seeker wants ${describe(bid.placement)}; host offers ${describe(host.placement)}`
+  });
+  return checks;
+}
+
+/**
+ * Check a seeking bid against an offering bid
+ * @param {object} seeking - bidEntry() of a seeking bid
+ * @param {object} offering - bidEntry() of an offering bid
+ * @param {object} sites - Registered sites by siteKey(url), for states and DA
+ * @returns {array} - { check, pass, reason }
+ */
+export function checkBidPair(seeking, offering, sites = new Map()) {
+  const s = seeking.bid;
+  const o = offering.bid;
+  const host = sites.get(siteKey(o.site)) || {};
+  const target = sites.get(siteKey(s.site)) || {};
+
+  const checks = [{
+    check: 'parties',
+    pass: seeking.pubkey !== offering.pubkey && siteKey(s.site) !== siteKey(o.site),
+    reason: seeking.pubkey === offering.pubkey ? 'both bids are ours' : `${o.site} links to ${s.site}`
+  }];
+
+  checks.push(...hostChecks(s, {
+    industry: o.industry,
+    da: o.da ?? host.da,
+    state: host.state,
+    placement: o.placement
+  }));
+
+  checks.push({
+    check: 'partner-industry',
+    pass: allowsIndustry(o.industries, s.industry),
+    reason: `seeker industry ${s.industry}; host accepts ${describe(o.industries)}`
+  });
+  checks.push(target.state
+    ? { check: 'partner-state', pass: allows(o.states, String(target.state).toUpperCase()), reason: `seeker in ${target.state}; host accepts ${describe(o.states)}` }
+    : { check: 'partner-state', pass: o.states.length === 0, reason: `seeker state unknown; host accepts ${describe(o.states)}` });
+  checks.push({
+    check: 'link-type',
+    pass: s.linkType === 'any' || o.linkType === 'any' || s.linkType === o.linkType,
+    reason: `seeker wants ${s.linkType}; host gives ${o.linkType}`
+  });
+  // Competitors share an industry and service area; without both site records, the industry alone
+  const competing = host.url && target.url ? isCompetitor(target, host) : s.industry === o.industry;
+  checks.push({
+    check: 'competitor',
+    pass: !o.noCompetitors || !competing,
+    reason: o.noCompetitors
+      ? `host refuses competitors; ${competing ? 'seeker competes with host' : 'seeker does not compete'} (${s.industry} / ${o.industry})`
+      : 'host accepts competitors'
+  });
+  checks.push({
+    check: 'price',
+    pass: s.price.sats >= o.price.sats,
+    reason: `seeker pays up to ${s.price.sats} sats; host asks ${o.price.sats}`
+  });
+  // Terms are ordered from earliest payment; the seeker must pay no later than asked
+  checks.push({
+    check: 'terms',
+    pass: PAYMENT_TERMS.indexOf(s.price.paymentTerms) <= PAYMENT_TERMS.indexOf(o.price.paymentTerms),
+    reason: `seeker pays ${s.price.paymentTerms}; host asks ${o.price.paymentTerms}`
+  });
+  return checks;
+}
+
+/**
+ * Check a seeking bid against a registered site that could host the link
+ * Sites have no asking price, so the seeker's price stands.
+ * @param {object} seeking - bidEntry() of a seeking bid
+ * @param {object} site - Site from querySites()
+ * @returns {array} - { check, pass, reason }
+ */
+export function checkBidSite(seeking, site) {
+  const s = seeking.bid;
+  return [
+    {
+      check: 'parties',
+      pass: seeking.pubkey !== site.pubkey && siteKey(s.site) !== siteKey(site.url),
+      reason: seeking.pubkey === site.pubkey ? 'the site is ours' : `${site.url} links to ${s.site}`
+    },
+    ...hostChecks(s, { industry: site.industry, da: site.da, state: site.state, placement: site.canOffer || [] }),
+    { check: 'price', pass: true, reason: `site has no asking price; seeker pays ${s.price.sats} sats` }
+  ];
+}
+
+// 0-100: how relevant the host is, how far above the DA bar, how much of the budget is left
+function scoreDeal(seeking, host, price) {
+  const relevance = Math.round(40 * (host.industry === seeking.industry ? 1 : industryRelatedness(seeking.industry, host.industry)));
+  const authority = typeof host.da === 'number' ? Math.min(30, 10 + 2 * (host.da - (seeking.minDA || 0))) : 0;
+  const value = seeking.price.sats > 0 ? Math.round(30 * Math.max(0, seeking.price.sats - price) / seeking.price.sats) : 0;
+  return Math.max(0, relevance + authority + value);
+}
+
+/**
+ * Rank candidate deals for seeking bids
+ * Passing deals come first, best score first. Bids only have maxLinks
+ * slots, so once a bid's slots go to better deals the rest fail 'slots'.
+ * @param {object} market - { bids: bid events, sites: from querySites() }
+ * @param {object} options - { bidId: only this seeking bid, includeFailed: false, limit }
+ * @returns {array} - { seeking, offering?, site?, price, score, pass, checks }
+ */
+export function matchDeals(market, options = {}) {
+  const entries = (market.bids || []).map(bidEntry);
+  const sites = market.sites || [];
+  const sitesByUrl = new Map(sites.map(site => [siteKey(site.url), site]));
+  const seekers = entries.filter(e => e.bid.type === 'seeking' && (!options.bidId || e.bidId === options.bidId));
+  const offers = entries.filter(e => e.bid.type === 'offering');
+
+  const deals = [];
+  for (const seeking of seekers) {
+    for (const offering of offers) {
+      const checks = checkBidPair(seeking, offering, sitesByUrl);
+      const host = { industry: offering.bid.industry, da: offering.bid.da ?? sitesByUrl.get(siteKey(offering.bid.site))?.da };
+      const price = offering.bid.price.sats;
+      deals.push({ seeking, offering, price, score: scoreDeal(seeking.bid, host, price), checks });
+    }
+    for (const site of sites) {
+      // A site that posted an offering bid is matched through the bid
+      if (offers.some(o => siteKey(o.bid.site) === siteKey(site.url))) continue;
+      const checks = checkBidSite(seeking, site);
+      const price = seeking.bid.price.sats;
+      deals.push({ seeking, site, price, score: scoreDeal(seeking.bid, site, price), checks });
+    }
+  }
+
+  for (const deal of deals) {
+    deal.pass = deal.checks.every(c => c.pass);
+  }
+  deals.sort((a, b) => Number(b.pass) - Number(a.pass) || b.score - a.score);
+
+  // Hand out slots, best deals first
+  const used = new Map();
+  for (const deal of deals.filter(d => d.pass)) {
+    const seekerKey = `${deal.seeking.pubkey}:${deal.seeking.bidId}`;
+    const hostKey = deal.offering ? `${deal.offering.pubkey}:${deal.offering.bidId}` : null;
+    const seekerFree = (used.get(seekerKey) || 0) < deal.seeking.bid.maxLinks;
+    const hostFree = !hostKey || (used.get(hostKey) || 0) < deal.offering.bid.maxLinks;
+    if (seekerFree && hostFree) {
+      used.set(seekerKey, (used.get(seekerKey) || 0) + 1);
+      if (hostKey) used.set(hostKey, (used.get(hostKey) || 0) + 1);
+      deal.checks.push({ check: 'slots', pass: true, reason: 'slots free on both sides' });
+    } else {
+      deal.pass = false;
+      deal.checks.push({
+        check: 'slots',
+        pass: false,
+        reason: seekerFree
+          ? `host's ${deal.offering.bid.maxLinks} slot(s) went to better deals`
+          : `seeker's ${deal.seeking.bid.maxLinks} slot(s) went to better deals`
+      });
+    }
+  }
+  deals.sort((a, b) => Number(b.pass) - Number(a.pass) || b.score - a.score);
+
+  const result = options.includeFailed ? deals : deals.filter(d => d.pass);
+  return options.limit ? result.slice(0, options.limit) : result;
+}
+
+/**
+ * Fetch live bids and sites and rank deals for the seeking bids
+ * @param {object} filters - Seeking bids to match: { industry, related, bidId, pubkey }
+ * @param {object} ctx - Context from createContext()
+ * @param {object} options - See matchDeals()
+ * @returns {Promise<array>} - Deals
+ */
+export async function findDeals(filters = {}, ctx = createContext(), options = {}) {
+  const [bids, sites] = await Promise.all([queryBids({}, ctx), querySites({}, ctx)]);
+  // Narrow the seeking side only; every offer and site stays a candidate
+  const wanted = bids.filter(event => {
+    const bid = readBid(event);
+    if (bid.type !== 'seeking') return true;
+    if (filters.pubkey && event.pubkey !== filters.pubkey) return false;
+    return bidMatches(bid, { industry: filters.industry, related: filters.related });
+  });
+  return matchDeals({ bids: wanted, sites }, { ...options, bidId: filters.bidId ?? options.bidId });
+}
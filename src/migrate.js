@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+// ABN Protocol Migration
+// Re-publishes our version 1 site registrations and bids (kinds 30078/30079)
+// on the version 2 kinds. The legacy events are left in place so clients
+// that haven't upgraded still see the listings.
+// Usage: node src/migrate.js [--dry-run] [--client=<id>]
+
+import { SimplePool } from 'nostr-tools/pool';
+import { createContext } from './config.js';
+import { healthyRelays } from './relays.js';
+import { queueEvent } from './outbox.js';
+import { checkEvent } from './schema.js';
+import { clientContext } from './clients.js';
+import { buildBidEvent, readBid, validateBid } from './bid.js';
+import { KINDS, LEGACY_KINDS, protocolTags, protocolVersion, expiresAt, PROTOCOL_VERSION } from './protocol.js';
+
+// Legacy kind -> event type
+const LEGACY_TYPES = {
+  [LEGACY_KINDS.SITE_REGISTRATION]: 'SITE_REGISTRATION',
+  [LEGACY_KINDS.LINK_BID]: 'LINK_BID'
+};
+
+/**
+ * Build the version 2 template for a version 1 event
+ * Bids are rebuilt from their content, so they get the current query tags
+ * and a NIP-40 expiration (a week from now if they had no expiry). Sites
+ * keep their content and tags; the label and version tags are replaced.
+ * @param {object} event - Legacy site or bid event
+ * @returns {object} - Event template ready for signing
+ * @throws if a bid doesn't make a valid version 2 bid (no price, an unknown placement)
+ */
+export function migrateEvent(event) {
+  const type = LEGACY_TYPES[event.kind];
+  if (!type) {
+    throw new Error(`Kind ${event.kind} is not a legacy ABN kind`);
+  }
+  if (type === 'LINK_BID') {
+    const bid = readBid(event);
+    const errors = validateBid(bid);
+    if (errors.length > 0) {
+      throw new Error(`Invalid bid: ${errors.join('; ')}`);
+    }
+    const d = event.tags.find(t => t[0] === 'd')?.[1];
+    const expiry = expiresAt(event) ?? Math.floor(Date.now() / 1000) + 86400 * (bid.expiryDays || 7);
+    return buildBidEvent(bid, d, expiry);
+  }
+  return {
+    kind: KINDS[type],
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [
+      ...event.tags.filter(t => !['L', 'l', 'v'].includes(t[0])),
+      ...protocolTags(type)
+    ],
+    content: event.content
+  };
+}
+
+/**
+ * Re-publish our legacy registrations and bids under the current protocol
+ * Listings already on a version 2 kind, expired bids and events that
+ * fail validation, or wouldn't make valid version 2 listings, are skipped.
+ * @param {object} ctx - Context from createContext()
+ * @param {object} options - { dryRun }
+ * @returns {Promise<object>} - { migrated: [{ from, to, d, status: delivery status }], skipped: [{ id, d, reason }] }
+ */
+export async function migrate(ctx = createContext(), options = {}) {
+  const pubkey = await ctx.signer.getPublicKey();
+  const pool = new SimplePool();
+  const relays = healthyRelays(ctx.relays);
+
+  const events = await pool.querySync(relays, {
+    kinds: [...Object.values(LEGACY_KINDS), KINDS.SITE_REGISTRATION, KINDS.LINK_BID],
+    authors: [pubkey]
+  });
+  pool.close(relays);
+
+  const dTag = e => e.tags.find(t => t[0] === 'd')?.[1];
+  const current = new Set(
+    events.filter(e => protocolVersion(e) >= PROTOCOL_VERSION).map(e => `${e.kind}:${dTag(e)}`)
+  );
+  const now = Math.floor(Date.now() / 1000);
+
+  const migrated = [];
+  const skipped = [];
+
+  for (const event of events.filter(e => LEGACY_TYPES[e.kind])) {
+    const type = LEGACY_TYPES[event.kind];
+    const d = dTag(event);
+
+    if (current.has(`${KINDS[type]}:${d}`)) {
+      skipped.push({ id: event.id, d, reason: 'already migrated' });
+      continue;
+    }
+
+    const expiry = event.tags.find(t => t[0] === 'expiry');
+    if (expiry && parseInt(expiry[1]) <= now) {
+      skipped.push({ id: event.id, d, reason: 'expired' });
+      continue;
+    }
+
+    let template;
+    try {
+      checkEvent(event, type === 'LINK_BID' ? 'bid' : 'site');
+      template = migrateEvent(event);
+    } catch (err) {
+      skipped.push({ id: event.id, d, reason: err.message });
+      continue;
+    }
+
+    if (options.dryRun) {
+      console.log(`Would migrate ${d} (${event.kind} -> ${KINDS[type]})`);
+      migrated.push({ from: event.id, to: null, d });
+      continue;
+    }
+
+    const signed = await ctx.signer.signEvent(template);
+    console.log(`Migrating ${d} (${event.kind} -> ${signed.kind})`);
+    const delivery = await queueEvent(signed, ctx, undefined, { label: `migration of ${d}` });
+    if (delivery.status === 'failed') {
+      skipped.push({ id: event.id, d, reason: 'every relay refused the new event' });
+      continue;
+    }
+    migrated.push({ from: event.id, to: signed.id, d, status: delivery.status });
+  }
+
+  return { migrated, skipped };
+}
+
+// CLI usage
+async function main() {
+  const argv = process.argv.slice(2);
+  const dryRun = argv.includes('--dry-run');
+  const client = argv.find(a => a.startsWith('--client='))?.split('=')[1];
+
+  const ctx = client ? clientContext(client) : createContext();
+  console.log(`Migrating listings to ABN protocol v${PROTOCOL_VERSION}${dryRun ? ' (dry run)' : ''}...\n`);
+
+  const { migrated, skipped } = await migrate(ctx, { dryRun });
+
+  console.log(`\n✓ ${migrated.length} listing(s) ${dryRun ? 'to migrate' : 'migrated'}`);
+  for (const s of skipped) {
+    console.log(`  skipped ${s.d}: ${s.reason}`);
+  }
+  await ctx.close();
+}
+
+// Only run CLI when executed directly
+const isMainModule = process.argv[1]?.endsWith('migrate.js');
+if (isMainModule) {
+  main().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,437 @@
+#!/usr/bin/env node
+// ABN Auto-Negotiator
+// Answers routine `inquiry` and `counter` DMs from a per-site policy:
+//
+//   inquiry        -> counter at our opening price (ceiling to sell, floor to buy)
+//   counter        -> accept (with a fresh invoice) if it meets our next price,
+//                     else concede one step and counter again
+//
+// Sellers accept with an invoice from createInvoice(). Buyers can't send the
+// invoice, so an acceptable ask is answered with a counter at that price for
+// the seller to accept. Anything the policy doesn't cover (no policy for the
+// site, a partner outside its industries/states/DA/reputation, rounds used
+// up, no room left to concede, a message out of turn) goes to a human queue.
+// Every decision is logged with its reasoning. While it watches, it also
+// acks DMs that ask for one and retries the outbox (see outbox.js).
+// Policies, the queue and the log live in .secrets/negotiator.json.
+// Usage: node src/negotiator.js <watch [--dry-run] | policy [site key=value...] | queue [done <dealId>] | log [n]>
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { SimplePool } from 'nostr-tools/pool';
+import { createContext } from './config.js';
+import { readKinds, latestListings } from './protocol.js';
+import { healthyRelays } from './relays.js';
+import { watchDMs, acknowledgeDMs, MessageTypes } from './dm.js';
+import { syncDeals, newDeal, applyDealMessage, sendDealMessage } from './deals.js';
+import { siteFilter, parseSite } from './query.js';
+import { readBid } from './bid.js';
+import { getReputation } from './reputation.js';
+import { createInvoice } from './lightning.js';
+import { matchesIndustry } from './taxonomy.js';
+import { flushOutbox } from './outbox.js';
+import { secretsPath } from './paths.js';
+
+export const NEGOTIATOR_PATH = secretsPath('negotiator.json');
+
+// Oldest decisions are dropped past this
+const LOG_LIMIT = 500;
+const OUTBOX_INTERVAL = 60 * 1000; // retry due outbox entries this often (ms)
+
+export const DEFAULT_POLICY = {
+  role: 'seller', // 'seller': we sell links on this site; 'buyer': we pay for links to it
+  floorSats: 0,
+  ceilingSats: null, // required
+  industries: [], // partner site industries we deal with (empty: any)
+  states: [], // partner site states (empty: any)
+  minDA: 0, // best partner site DA
+  minReputation: 0,
+  concessionStep: null, // sats per round (default: the floor-ceiling gap over maxRounds)
+  maxRounds: 3, // counters we send before handing over to a human
+  terms: 'Standard terms'
+};
+
+function loadState() {
+  if (!existsSync(NEGOTIATOR_PATH)) {
+    return { policies: {}, queue: [], log: [] };
+  }
+  return JSON.parse(readFileSync(NEGOTIATOR_PATH, 'utf-8'));
+}
+
+function saveState(state) {
+  mkdirSync(dirname(NEGOTIATOR_PATH), { recursive: true });
+  writeFileSync(NEGOTIATOR_PATH, JSON.stringify(state, null, 2) + '\n', { mode: 0o600 });
+}
+
+/**
+ * Check a policy
+ * @param {object} policy - Policy (merged with DEFAULT_POLICY)
+ * @returns {array} - Error messages, empty if valid
+ */
+export function validatePolicy(policy) {
+  const errors = [];
+  if (!['seller', 'buyer'].includes(policy.role)) errors.push('role must be seller or buyer');
+  if (!Number.isFinite(policy.ceilingSats)) errors.push('ceilingSats is required');
+  if (!Number.isFinite(policy.floorSats) || policy.floorSats < 0) errors.push('floorSats must be a number of sats');
+  if (Number.isFinite(policy.ceilingSats) && policy.floorSats > policy.ceilingSats) errors.push('floorSats is above ceilingSats');
+  if (!Number.isInteger(policy.maxRounds) || policy.maxRounds < 1) errors.push('maxRounds must be at least 1');
+  if (policy.concessionStep !== null && !(policy.concessionStep > 0)) errors.push('concessionStep must be positive');
+  return errors;
+}
+
+/**
+ * Set (or change) the negotiation policy for one of our sites
+ * @param {string} site - Our site url
+ * @param {object} changes - Policy fields (see DEFAULT_POLICY)
+ * @returns {object} - The full policy
+ * @throws if the result isn't a valid policy
+ */
+export function setPolicy(site, changes) {
+  const state = loadState();
+  const policy = { ...DEFAULT_POLICY, ...state.policies[site], ...changes };
+  const errors = validatePolicy(policy);
+  if (errors.length > 0) {
+    throw new Error(`Invalid policy for ${site}: ${errors.join('; ')}`);
+  }
+  state.policies[site] = policy;
+  saveState(state);
+  return policy;
+}
+
+/**
+ * Stop negotiating automatically for a site
+ * @param {string} site - Our site url
+ */
+export function removePolicy(site) {
+  const state = loadState();
+  delete state.policies[site];
+  saveState(state);
+}
+
+/**
+ * Our policies by site url
+ * @returns {object}
+ */
+export function getPolicies() {
+  return loadState().policies;
+}
+
+/**
+ * The price we'd offer after `round` of our counters
+ * Sellers come down from the ceiling, buyers up from the floor, one step a
+ * round, never past the other limit.
+ * @param {object} policy - Policy
+ * @param {number} round - Counters we've sent so far
+ * @returns {number} - Sats
+ */
+export function priceAt(policy, round) {
+  const step = policy.concessionStep ?? Math.ceil((policy.ceilingSats - policy.floorSats) / policy.maxRounds);
+  return policy.role === 'seller'
+    ? Math.max(policy.floorSats, policy.ceilingSats - round * step)
+    : Math.min(policy.ceilingSats, policy.floorSats + round * step);
+}
+
+/**
+ * Why a partner falls outside a policy
+ * @param {object} policy - Policy
+ * @param {object} partner - { sites: their registered sites, reputation: score or null }
+ * @returns {string|null} - Reason, or null if they qualify
+ */
+export function checkPartner(policy, partner) {
+  const { industries, states, minDA, minReputation } = policy;
+  if (industries.length > 0 || states.length > 0 || minDA > 0) {
+    const qualifying = partner.sites.filter(site =>
+      (industries.length === 0 || industries.some(industry => matchesIndustry(site.industry, industry))) &&
+      (states.length === 0 || states.includes(site.state)) &&
+      (site.da ?? 0) >= minDA);
+    if (qualifying.length === 0) {
+      const wanted = [industries.join('/'), states.join('/'), minDA > 0 && `DA ${minDA}+`].filter(Boolean).join(', ');
+      return partner.sites.length === 0 ? 'partner has no registered sites' : `none of the partner's ${partner.sites.length} sites fit (${wanted})`;
+    }
+  }
+  if (minReputation > 0) {
+    if (partner.reputation === null || partner.reputation === undefined) return 'partner reputation unknown';
+    if (partner.reputation < minReputation) return `partner reputation ${partner.reputation} is below ${minReputation}`;
+  }
+  return null;
+}
+
+/**
+ * Decide how to answer an inquiry or counter
+ * @param {object} policy - Policy for the site the deal is about
+ * @param {object} deal - Deal record, including the message
+ * @param {object} message - The partner's inquiry or counter
+ * @param {object} partner - See checkPartner()
+ * @returns {object} - { action: 'counter' | 'accept' | 'escalate', sats, reason }
+ */
+export function decide(policy, deal, message, partner) {
+  const policyErrors = validatePolicy(policy);
+  if (policyErrors.length > 0) {
+    return { action: 'escalate', reason: `policy is incomplete: ${policyErrors.join('; ')}` };
+  }
+  const partnerIssue = checkPartner(policy, partner);
+  if (partnerIssue) {
+    return { action: 'escalate', reason: partnerIssue };
+  }
+
+  const round = deal.thread.filter(m => !m.rejected && m.type === 'counter' && m.fromHex !== deal.partner).length;
+  const next = priceAt(policy, round);
+  const selling = policy.role === 'seller';
+
+  if (message.type === 'inquiry') {
+    return { action: 'counter', sats: next, reason: `opening at our ${selling ? 'ceiling' : 'floor'} of ${next} sats` };
+  }
+  if (!Number.isFinite(message.sats)) {
+    return { action: 'escalate', reason: 'counter without a price' };
+  }
+
+  const offer = message.sats;
+  if (selling ? offer >= next : offer <= next) {
+    return selling
+      ? { action: 'accept', sats: offer, reason: `${offer} sats meets our next price of ${next}` }
+      : { action: 'counter', sats: offer, reason: `${offer} sats is within our next price of ${next}; matching it for them to accept` };
+  }
+  if (round >= policy.maxRounds) {
+    return { action: 'escalate', reason: `${round} rounds used; their ${offer} sats vs our ${priceAt(policy, round - 1)}` };
+  }
+  if (round > 0 && next === priceAt(policy, round - 1)) {
+    return { action: 'escalate', reason: `at our ${selling ? 'floor' : 'ceiling'} of ${next} sats; their ${offer} sats is beyond it` };
+  }
+  return { action: 'counter', sats: next, reason: `their ${offer} sats is ${selling ? 'below' : 'above'} our next price; conceding to ${next} (round ${round + 1} of ${policy.maxRounds})` };
+}
+
+// Our policy for a deal's subject: a site url or one of our bids (through
+// the bid's site). Only a deal that names no subject falls back to our only
+// policy; one naming something we can't place is escalated.
+async function policyFor(regarding, ctx) {
+  const { policies } = loadState();
+  if (regarding && policies[regarding]) {
+    return { site: regarding, policy: policies[regarding] };
+  }
+  if (regarding && !/^https?:/.test(regarding)) {
+    const pool = new SimplePool();
+    const relays = healthyRelays(ctx.relays);
+    try {
+      const events = await pool.querySync(relays, {
+        kinds: readKinds('LINK_BID'), authors: [await ctx.signer.getPublicKey()], '#d': [regarding]
+      });
+      const bid = events.length > 0 ? readBid(latestListings(events)[0]) : null;
+      if (bid?.site && policies[bid.site]) {
+        return { site: bid.site, policy: policies[bid.site] };
+      }
+    } finally {
+      pool.close(relays);
+    }
+  }
+  const sites = Object.keys(policies);
+  return !regarding && sites.length === 1 ? { site: sites[0], policy: policies[sites[0]] } : null;
+}
+
+// The partner's registered sites and reputation score
+async function partnerProfile(pubkey, ctx) {
+  const pool = new SimplePool();
+  const relays = healthyRelays(ctx.relays);
+  try {
+    const events = await pool.querySync(relays, { ...siteFilter(), authors: [pubkey] });
+    const sites = latestListings(events).map(parseSite).filter(Boolean);
+    const reputation = await getReputation(pubkey, ctx).catch(() => null);
+    return { sites, reputation: reputation?.score ?? null };
+  } finally {
+    pool.close(relays);
+  }
+}
+
+function record(state, entry) {
+  state.log.push(entry);
+  state.log = state.log.slice(-LOG_LIMIT);
+}
+
+/**
+ * Answer one incoming DM by policy
+ * Only inquiries and counters are handled; anything else is left alone.
+ * @param {object} message - Decrypted DM
+ * @param {object} ctx - Context from createContext()
+ * @param {object} options - { dryRun: decide and log, but send nothing }
+ * @returns {Promise<object|null>} - Logged decision, or null if the message isn't ours to answer
+ */
+export async function handleMessage(message, ctx = createContext(), options = {}) {
+  if (message.type !== 'inquiry' && message.type !== 'counter') {
+    return null;
+  }
+  const entry = {
+    at: Math.floor(Date.now() / 1000),
+    dealId: message.dealId,
+    partner: message.fromHex,
+    message: message.type,
+    offer: message.sats
+  };
+
+  let decision;
+  let terms;
+  if (!message.dealId) {
+    decision = { action: 'escalate', reason: 'message has no dealId' };
+  } else {
+    // The relays may not have handed the message to the sync yet
+    const pubkey = await ctx.signer.getPublicKey();
+    let deal = (await syncDeals(ctx))[message.dealId] || newDeal(message.dealId, [message.fromHex, pubkey], pubkey);
+    if (!deal.thread.some(m => m.id === message.id)) {
+      deal = applyDealMessage(deal, message);
+    }
+    const rejected = deal.thread.find(m => m.id === message.id).rejected;
+    const found = rejected ? null : await policyFor(deal.regarding, ctx);
+    entry.site = found?.site;
+    if (rejected) {
+      decision = { action: 'escalate', reason: `out of turn: ${rejected}` };
+    } else if (!found) {
+      decision = { action: 'escalate', reason: `no policy for ${deal.regarding || 'this deal'}` };
+    } else {
+      const policy = { ...DEFAULT_POLICY, ...found.policy };
+      terms = policy.terms;
+      decision = decide(policy, deal, message, await partnerProfile(message.fromHex, ctx));
+    }
+  }
+  Object.assign(entry, decision);
+
+  if (!options.dryRun) {
+    try {
+      if (decision.action === 'counter') {
+        await sendDealMessage(message.fromHex, MessageTypes.counter(decision.sats, terms, message.dealId), ctx);
+      } else if (decision.action === 'accept') {
+        const invoice = await createInvoice(decision.sats, message.dealId, ctx);
+        await sendDealMessage(message.fromHex, MessageTypes.accept(invoice.paymentRequest, message.dealId), ctx);
+      }
+    } catch (err) {
+      Object.assign(entry, { action: 'escalate', reason: `${decision.action} failed: ${err.message}`, wanted: decision });
+    }
+  }
+
+  const state = loadState();
+  record(state, { ...entry, dryRun: options.dryRun || undefined });
+  if (entry.action === 'escalate' && !options.dryRun) {
+    state.queue.push(entry);
+  }
+  saveState(state);
+  console.log(`${entry.action === 'escalate' ? '⚠' : '✓'} ${entry.dealId || '(no deal)'} ${entry.message}: ${entry.action}${entry.sats ? ` ${entry.sats} sats` : ''} (${entry.reason})`);
+  return entry;
+}
+
+/**
+ * Answer inquiries and counters as they arrive
+ * Messages are handled one at a time, in arrival order, between outbox
+ * retries every OUTBOX_INTERVAL.
+ * @param {object} ctx - Context from createContext()
+ * @param {object} options - See handleMessage()
+ */
+export async function startNegotiator(ctx = createContext(), options = {}) {
+  let chain = Promise.resolve();
+  const enqueue = (task, label) => {
+    chain = chain.then(task).catch(err => console.error(`✗ ${label}: ${err.message}`));
+  };
+  if (!options.dryRun) {
+    setInterval(() => enqueue(() => flushOutbox(ctx), 'outbox'), OUTBOX_INTERVAL);
+  }
+  await watchDMs(message => {
+    enqueue(async () => {
+      if (!options.dryRun) await acknowledgeDMs([message], ctx);
+      await handleMessage(message, ctx, options);
+    }, message.dealId || message.id);
+  }, ctx);
+}
+
+/**
+ * Deals waiting for a human, oldest first
+ * @returns {array} - Logged decisions
+ */
+export function listEscalations() {
+  return loadState().queue;
+}
+
+/**
+ * Take a deal off the human queue once it's been dealt with
+ * @param {string} dealId - Deal ID
+ * @returns {number} - Entries removed
+ */
+export function clearEscalation(dealId) {
+  const state = loadState();
+  const before = state.queue.length;
+  state.queue = state.queue.filter(entry => entry.dealId !== dealId);
+  saveState(state);
+  return before - state.queue.length;
+}
+
+/**
+ * Logged decisions, newest first
+ * @param {object} filters - { dealId, limit }
+ * @returns {array}
+ */
+export function readDecisions(filters = {}) {
+  return loadState().log
+    .filter(entry => !filters.dealId || entry.dealId === filters.dealId)
+    .reverse()
+    .slice(0, filters.limit || LOG_LIMIT);
+}
+
+// key=value CLI args to policy fields: numbers, comma lists for industries/states
+function parsePolicyArgs(args) {
+  const changes = {};
+  for (const arg of args) {
+    const [key, value] = arg.split('=');
+    if (key === 'industries' || key === 'states') {
+      changes[key] = value ? value.split(',').map(v => v.trim()).filter(Boolean) : [];
+    } else if (key === 'role' || key === 'terms') {
+      changes[key] = value;
+    } else {
+      changes[key] = value === 'null' ? null : Number(value);
+    }
+  }
+  return changes;
+}
+
+function printEntry(entry) {
+  const when = new Date(entry.at * 1000).toISOString();
+  console.log(`${when} ${entry.dealId || '(no deal)'} ${entry.message}${entry.offer ? ` @ ${entry.offer}` : ''} -> ${entry.action}${entry.sats ? ` ${entry.sats} sats` : ''}${entry.dryRun ? ' (dry run)' : ''}`);
+  console.log(`   ${entry.reason}`);
+}
+
+// CLI usage
+async function main() {
+  const [,, action, ...args] = process.argv;
+
+  if (action === 'watch') {
+    if (Object.keys(getPolicies()).length === 0) {
+      console.log('✗ No policies yet: node src/negotiator.js policy <site> ceilingSats=6000 floorSats=4000');
+      process.exit(1);
+    }
+    await startNegotiator(createContext(), { dryRun: args.includes('--dry-run') });
+  } else if (action === 'policy' && args[0]) {
+    const policy = args[1] === 'remove' ? removePolicy(args[0]) : setPolicy(args[0], parsePolicyArgs(args.slice(1)));
+    console.log(policy ? `✓ ${args[0]}: ${JSON.stringify(policy)}` : `✓ Removed ${args[0]}`);
+  } else if (action === 'policy') {
+    for (const [site, policy] of Object.entries(getPolicies())) {
+      console.log(`${site}: ${JSON.stringify(policy)}`);
+    }
+  } else if (action === 'queue' && args[0] === 'done' && args[1]) {
+    console.log(`✓ Cleared ${clearEscalation(args[1])} entries for ${args[1]}`);
+  } else if (action === 'queue') {
+    const queue = listEscalations();
+    for (const entry of queue) printEntry(entry);
+    console.log(`\n${queue.length} waiting for a human`);
+  } else if (action === 'log') {
+    for (const entry of readDecisions({ limit: parseInt(args[0]) || 20 })) printEntry(entry);
+  } else {
+    console.log('Usage: node src/negotiator.js watch [--dry-run]');
+    console.log('       node src/negotiator.js policy [<site> key=value ... | <site> remove]');
+    console.log('       node src/negotiator.js queue [done <dealId>]');
+    console.log('       node src/negotiator.js log [n]');
+    console.log(`Policy fields: ${Object.keys(DEFAULT_POLICY).join(', ')}`);
+  }
+}
+
+// Only run CLI when executed directly
+const isMainModule = process.argv[1]?.endsWith('negotiator.js');
+if (isMainModule) {
+  main().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}
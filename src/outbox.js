@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+// ABN Outbox
+// Signed events are queued here before they go out, so a message isn't
+// lost when every relay is down or rate-limits us. Each send tries the
+// target relays and records every relay's OK or error and its notices.
+// Until one relay has taken the event, it's retried with exponential
+// backoff. Relays that refuse it for good (blocked:, invalid:,
+// restricted:, pow:, mute:) aren't asked again.
+// DMs can ask for an `ack`: the recipient's agent answers with one once it
+// has read the message, and the delivery report shows when it arrived.
+// The queue is kept in .secrets/outbox.json.
+// Usage: node src/outbox.js <status [pending|delivered|failed] | show <eventId> | flush [--watch]>
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { createContext } from './config.js';
+import { publishEvent, healthyRelays } from './relays.js';
+import { secretsPath } from './paths.js';
+
+export const OUTBOX_PATH = secretsPath('outbox.json');
+
+const BASE_BACKOFF = 30; // seconds before the first retry; doubles each attempt
+const MAX_BACKOFF = 3600;
+const MAX_ATTEMPTS = 10;
+const KEEP_DAYS = 7; // settled entries are dropped after this
+const ACK_LIMIT = 1000; // acks we remember sending, so we don't send them twice
+
+// NIP-01 OK prefixes that won't change on a retry
+const PERMANENT = ['blocked:', 'invalid:', 'restricted:', 'pow:', 'mute:'];
+
+function loadOutbox() {
+  if (!existsSync(OUTBOX_PATH)) {
+    return { entries: {}, acknowledged: {} };
+  }
+  return JSON.parse(readFileSync(OUTBOX_PATH, 'utf-8'));
+}
+
+function saveOutbox(outbox) {
+  const cutoff = Math.floor(Date.now() / 1000) - 86400 * KEEP_DAYS;
+  for (const [id, entry] of Object.entries(outbox.entries)) {
+    if (entry.status !== 'pending' && entry.updatedAt < cutoff && !(entry.ackId && !entry.ackedAt)) {
+      delete outbox.entries[id];
+    }
+  }
+  const acks = Object.entries(outbox.acknowledged);
+  if (acks.length > ACK_LIMIT) {
+    outbox.acknowledged = Object.fromEntries(acks.sort((a, b) => a[1] - b[1]).slice(-ACK_LIMIT));
+  }
+  mkdirSync(dirname(OUTBOX_PATH), { recursive: true });
+  writeFileSync(OUTBOX_PATH, JSON.stringify(outbox, null, 2) + '\n', { mode: 0o600 });
+}
+
+/**
+ * Whether a relay's refusal is worth retrying
+ * Connection errors, timeouts and rate limits are; policy refusals aren't.
+ * @param {string} message - Relay's OK message or the error
+ * @returns {boolean}
+ */
+export function isRetryable(message = '') {
+  return !PERMANENT.some(prefix => message.startsWith(prefix));
+}
+
+/**
+ * Seconds to wait after a failed attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number}
+ */
+export function backoff(attempts) {
+  return Math.min(MAX_BACKOFF, BASE_BACKOFF * 2 ** Math.max(0, attempts - 1));
+}
+
+/**
+ * Where an entry stands, from its relays' responses
+ * @param {object} entry - Outbox entry
+ * @returns {string} - 'delivered' (a relay took it), 'pending' (will retry) or 'failed'
+ */
+export function entryStatus(entry) {
+  const results = Object.values(entry.relays);
+  if (results.some(r => r.ok)) return 'delivered';
+  const retryable = results.some(r => r.ok === null || isRetryable(r.message));
+  return retryable && entry.attempts < MAX_ATTEMPTS ? 'pending' : 'failed';
+}
+
+/**
+ * The delivery report for an entry
+ * @param {object} entry - Outbox entry
+ * @returns {object} - { id, label, status, accepted, rejected, attempts, nextAttemptAt, createdAt, relays, ack }
+ */
+export function toReport(entry) {
+  const relays = Object.entries(entry.relays);
+  return {
+    id: entry.id,
+    label: entry.label,
+    status: entry.status,
+    accepted: relays.filter(([, r]) => r.ok).map(([url]) => url),
+    rejected: relays.filter(([, r]) => r.ok === false).map(([url, r]) => ({ url, message: r.message })),
+    attempts: entry.attempts,
+    nextAttemptAt: entry.status === 'pending' ? entry.nextAttemptAt : null,
+    createdAt: entry.createdAt,
+    relays: entry.relays,
+    ...(entry.ackId && { ack: { id: entry.ackId, to: entry.to, receivedAt: entry.ackedAt || null } })
+  };
+}
+
+// One delivery attempt: ask every relay that hasn't taken the event and
+// might still, and record what each said
+async function attempt(entry, ctx) {
+  const targets = Object.entries(entry.relays)
+    .filter(([, r]) => !r.ok && (r.ok === null || isRetryable(r.message)))
+    .map(([url]) => url);
+  const { responses } = await publishEvent(entry.event, ctx, targets);
+  const now = Math.floor(Date.now() / 1000);
+  for (const { url, ok, message, notices } of responses) {
+    entry.relays[url] = { ok, message, notices, at: now, attempts: (entry.relays[url].attempts || 0) + 1 };
+  }
+  entry.attempts += 1;
+  entry.updatedAt = now;
+  entry.status = entryStatus(entry);
+  entry.nextAttemptAt = now + backoff(entry.attempts);
+  return entry;
+}
+
+/**
+ * Queue a signed event and make the first delivery attempt
+ * @param {object} event - Signed event
+ * @param {object} ctx - Context from createContext()
+ * @param {array} relays - Target relays (default: healthy ctx.relays)
+ * @param {object} options - { label, to: recipient pubkey, ackId: for DMs that asked for an ack }
+ * @returns {Promise<object>} - Delivery report (see toReport)
+ */
+export async function queueEvent(event, ctx = createContext(), relays = healthyRelays(ctx.relays), options = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const entry = {
+    id: event.id,
+    label: options.label || `kind ${event.kind}`,
+    event,
+    relays: Object.fromEntries([...new Set(relays)].map(url => [url, { ok: null }])),
+    attempts: 0,
+    status: 'pending',
+    createdAt: now,
+    updatedAt: now,
+    nextAttemptAt: now,
+    ...(options.to && { to: options.to }),
+    ...(options.ackId && { ackId: options.ackId })
+  };
+  const outbox = loadOutbox();
+  outbox.entries[entry.id] = entry;
+  saveOutbox(outbox);
+
+  await attempt(entry, ctx);
+  const latest = loadOutbox();
+  latest.entries[entry.id] = entry;
+  saveOutbox(latest);
+  if (entry.status !== 'delivered') {
+    console.log(entry.status === 'pending'
+      ? `⚠ No relay took ${entry.label} yet; retrying from ${new Date(entry.nextAttemptAt * 1000).toISOString()} (node src/outbox.js flush)`
+      : `✗ Every relay refused ${entry.label}`);
+  }
+  return toReport(entry);
+}
+
+/**
+ * Retry queued events whose backoff has passed
+ * @param {object} ctx - Context from createContext()
+ * @param {object} options - { all: retry every pending entry now }
+ * @returns {Promise<array>} - Delivery reports for the entries tried
+ */
+export async function flushOutbox(ctx = createContext(), options = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const due = Object.values(loadOutbox().entries)
+    .filter(entry => entry.status === 'pending' && (options.all || entry.nextAttemptAt <= now));
+  const reports = [];
+  for (const entry of due) {
+    await attempt(entry, ctx);
+    const outbox = loadOutbox();
+    outbox.entries[entry.id] = entry;
+    saveOutbox(outbox);
+    reports.push(toReport(entry));
+  }
+  return reports;
+}
+
+/**
+ * The delivery report for a queued event
+ * @param {string} id - Event ID
+ * @returns {object|null}
+ */
+export function deliveryReport(id) {
+  const entry = loadOutbox().entries[id];
+  return entry ? toReport(entry) : null;
+}
+
+/**
+ * Delivery reports, newest first
+ * @param {object} filters - { status }
+ * @returns {array}
+ */
+export function listOutbox(filters = {}) {
+  return Object.values(loadOutbox().entries)
+    .filter(entry => !filters.status || entry.status === filters.status)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(toReport);
+}
+
+/**
+ * Mark DMs acknowledged from the acks among incoming messages
+ * An ack only counts from the pubkey the DM went to.
+ * @param {array} messages - Decrypted DMs
+ * @returns {array} - Delivery reports that were newly acknowledged
+ */
+export function applyAcks(messages) {
+  const acks = messages.filter(m => m.type === 'ack' && m.ackId);
+  if (acks.length === 0) return [];
+  const outbox = loadOutbox();
+  const updated = [];
+  for (const entry of Object.values(outbox.entries)) {
+    const ack = entry.ackId && !entry.ackedAt && acks.find(m => m.ackId === entry.ackId && m.fromHex === entry.to);
+    if (ack) {
+      entry.ackedAt = ack.timestamp;
+      updated.push(toReport(entry));
+    }
+  }
+  if (updated.length > 0) saveOutbox(outbox);
+  return updated;
+}
+
+/**
+ * Whether we've already acknowledged a message, and remember that we have
+ * @param {string} ackId - The message's ackId
+ * @param {boolean} mark - Record it as acknowledged now
+ * @returns {boolean} - Whether it was acknowledged before
+ */
+export function acknowledged(ackId, mark = false) {
+  const outbox = loadOutbox();
+  const seen = ackId in outbox.acknowledged;
+  if (mark && !seen) {
+    outbox.acknowledged[ackId] = Math.floor(Date.now() / 1000);
+    saveOutbox(outbox);
+  }
+  return seen;
+}
+
+function printReport(report) {
+  const ack = report.ack ? `, ack ${report.ack.receivedAt ? '✓ received' : 'waiting'}` : '';
+  console.log(`\n${report.id.slice(0, 16)}... ${report.label}: ${report.status} after ${report.attempts} attempt(s)${ack}`);
+  for (const [url, r] of Object.entries(report.relays)) {
+    const mark = r.ok ? '✓' : r.ok === null ? '·' : '✗';
+    console.log(`   ${mark} ${url}${r.message ? `: ${r.message}` : ''}${r.notices?.length ? ` (notice: ${r.notices.join('; ')})` : ''}`);
+  }
+  if (report.nextAttemptAt) {
+    console.log(`   Next attempt: ${new Date(report.nextAttemptAt * 1000).toISOString()}`);
+  }
+}
+
+// CLI usage
+async function main() {
+  const [,, action, target] = process.argv;
+
+  if (action === 'show' && target) {
+    const report = deliveryReport(target);
+    if (!report) {
+      console.log(`✗ Nothing queued with id ${target}`);
+      process.exit(1);
+    }
+    printReport(report);
+  } else if (action === 'flush') {
+    const ctx = createContext();
+    do {
+      for (const report of await flushOutbox(ctx)) printReport(report);
+      const pending = listOutbox({ status: 'pending' });
+      if (!process.argv.includes('--watch') || pending.length === 0) {
+        console.log(`\n${pending.length} still pending`);
+        break;
+      }
+      const next = Math.min(...pending.map(r => r.nextAttemptAt));
+      await new Promise(resolve => setTimeout(resolve, Math.max(1, next - Date.now() / 1000) * 1000));
+    } while (true);
+    await ctx.close();
+  } else if (action === 'status') {
+    const reports = listOutbox({ status: target });
+    for (const report of reports) printReport(report);
+    console.log(`\n${reports.length} entries`);
+  } else {
+    console.log('Usage: node src/outbox.js status [pending|delivered|failed]');
+    console.log('       node src/outbox.js show <eventId>');
+    console.log('       node src/outbox.js flush [--watch]');
+  }
+}
+
+// Only run CLI when executed directly
+const isMainModule = process.argv[1]?.endsWith('outbox.js');
+if (isMainModule) {
+  main().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}
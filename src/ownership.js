@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+// ABN Domain Ownership
+// Proves the key registering a site controls its domain, by any of:
+// - DNS TXT record on the domain:   abn-verification=<npub>
+// - NIP-05 /.well-known/nostr.json listing the pubkey
+// - <meta name="abn-verification" content="<npub>"> on the homepage
+// Results are cached in .secrets/domains.json for a day. Hosts that are
+// or resolve to loopback, private or link-local addresses aren't probed,
+// and neither are redirects to them.
+// Usage: node src/ownership.js <url> <npub>
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { resolveTxt, lookup } from 'dns/promises';
+import { isIP } from 'net';
+import { nip19 } from 'nostr-tools';
+import { createContext } from './config.js';
+import { fetchPage } from './verify.js';
+import { secretsPath } from './paths.js';
+
+export const DOMAINS_PATH = secretsPath('domains.json');
+
+const CACHE_TTL = 86400; // re-check proofs daily
+const FAILED_TTL = 3600; // and failures hourly
+const MAX_PARALLEL_CHECKS = 4; // live checks at once in checkSites()
+
+export const PROOF_METHODS = ['dns', 'nip05', 'meta'];
+
+// Accept the pubkey as npub or hex
+function pubkeyMatches(value, pubkey) {
+  const text = String(value ?? '').trim();
+  if (text === pubkey) return true;
+  try {
+    return text.startsWith('npub') && nip19.decode(text).data === pubkey;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The value to publish in any of the proof locations
+ * @param {string} pubkey - Hex pubkey
+ * @returns {string}
+ */
+export function verificationToken(pubkey) {
+  return `abn-verification=${nip19.npubEncode(pubkey)}`;
+}
+
+/**
+ * Setup instructions for proving a domain
+ * @param {string} url - Site URL
+ * @param {string} pubkey - Hex pubkey
+ * @returns {string}
+ */
+export function proofInstructions(url, pubkey) {
+  const host = new URL(url).hostname;
+  const npub = nip19.npubEncode(pubkey);
+  return [
+    `Prove you control ${host} with any one of:`,
+    `  DNS:    TXT record on ${host}: ${verificationToken(pubkey)}`,
+    `  NIP-05: https://${host}/.well-known/nostr.json containing {"names":{"_":"${pubkey}"}}`,
+    `  Meta:   <meta name="abn-verification" content="${npub}"> on https://${host}/`
+  ].join('\n');
+}
+
+async function checkDns(host, pubkey) {
+  const records = await resolveTxt(host);
+  return records.some(chunks => {
+    const [name, value] = chunks.join('').split('=');
+    return name.trim() === 'abn-verification' && pubkeyMatches(value, pubkey);
+  });
+}
+
+async function checkNip05(host, pubkey, http) {
+  const body = await fetchPage(`https://${host}/.well-known/nostr.json`, {
+    ...http,
+    allowHost: isPublicHost,
+    headers: { Accept: 'application/json', ...http.headers }
+  });
+  const names = JSON.parse(body)?.names || {};
+  return Object.values(names).some(value => pubkeyMatches(value, pubkey));
+}
+
+async function checkMeta(host, pubkey, http) {
+  const html = await fetchPage(`https://${host}/`, { ...http, allowHost: isPublicHost });
+  const tags = html.match(/<meta\s[^>]*>/gi) || [];
+  return tags.some(tag => {
+    const name = tag.match(/name\s*=\s*["']([^"']+)["']/i)?.[1];
+    const content = tag.match(/content\s*=\s*["']([^"']+)["']/i)?.[1];
+    return name?.toLowerCase() === 'abn-verification' && pubkeyMatches(content, pubkey);
+  });
+}
+
+const CHECKS = { dns: checkDns, nip05: checkNip05, meta: checkMeta };
+
+// Loopback, private, link-local, CGNAT and unique-local addresses
+function isPrivateAddress(address) {
+  const ip = address.toLowerCase().replace(/^::ffff:(?=\d+\.)/, '');
+  if (isIP(ip) === 4) {
+    const [a, b] = ip.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127);
+  }
+  return ip === '::' || ip === '::1' || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip);
+}
+
+/**
+ * Whether a host is safe to probe: not local, and not resolving to a
+ * loopback or private address
+ * Site URLs come from untrusted events, so this keeps checks from
+ * reaching into our own network.
+ * @param {string} host - Hostname or IP
+ * @returns {Promise<boolean>}
+ */
+export async function isPublicHost(host) {
+  const name = host.replace(/^\[|\]$/g, '');
+  if (name === 'localhost' || /\.(localhost|local|internal)$/.test(name)) return false;
+  const addresses = isIP(name) ? [name] : (await lookup(name, { all: true }).catch(() => [])).map(a => a.address);
+  return !addresses.some(isPrivateAddress);
+}
+
+function loadCache() {
+  if (!existsSync(DOMAINS_PATH)) {
+    return {};
+  }
+  return JSON.parse(readFileSync(DOMAINS_PATH, 'utf-8'));
+}
+
+function saveCache(cache) {
+  mkdirSync(dirname(DOMAINS_PATH), { recursive: true });
+  writeFileSync(DOMAINS_PATH, JSON.stringify(cache, null, 2));
+}
+
+/**
+ * Check that a pubkey controls a site's domain
+ * Methods are tried in order until one proves it.
+ * @param {string} url - Site URL
+ * @param {string} pubkey - Hex pubkey of the registering key
+ * @param {object} ctx - Context from createContext() (uses ctx.http)
+ * @param {object} options - { methods: PROOF_METHODS, fresh: false, cachedOnly: false }
+ *   cachedOnly: don't touch the network; null when nothing is cached
+ * @returns {Promise<object|null>} - { verified, method, checkedAt, errors }
+ */
+export async function verifyDomainOwnership(url, pubkey, ctx = createContext(), options = {}) {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch {
+    return { verified: false, method: null, checkedAt: new Date().toISOString(), errors: { url: 'invalid URL' } };
+  }
+
+  const key = `${pubkey}:${host}`;
+  const cache = loadCache();
+  const cached = cache[key];
+  const now = Math.floor(Date.now() / 1000);
+  if (!options.fresh && cached && now - cached.checkedAtUnix < (cached.verified ? CACHE_TTL : FAILED_TTL)) {
+    return { verified: cached.verified, method: cached.method, checkedAt: cached.checkedAt, errors: cached.errors };
+  }
+  if (options.cachedOnly) {
+    return null;
+  }
+
+  const result = { verified: false, method: null, checkedAt: new Date().toISOString(), errors: {} };
+  if (!await isPublicHost(host)) {
+    result.errors.host = 'local or private address';
+    return result;
+  }
+  for (const method of options.methods || PROOF_METHODS) {
+    try {
+      if (await CHECKS[method](host, pubkey, ctx.http || {})) {
+        result.verified = true;
+        result.method = method;
+        break;
+      }
+      result.errors[method] = 'no matching proof';
+    } catch (err) {
+      result.errors[method] = err.message;
+    }
+  }
+
+  // Re-read so parallel checks don't drop each other's entries
+  saveCache({ ...loadCache(), [key]: { ...result, checkedAtUnix: now } });
+  return result;
+}
+
+/**
+ * Set domainVerified and domainProof on sites from their owners' proofs
+ * Live checks run a few at a time; with cachedOnly, sites never checked
+ * are left without domainVerified.
+ * @param {array} sites - Sites with url and pubkey (changed in place)
+ * @param {object} ctx - Context from createContext()
+ * @param {object} options - { cachedOnly }
+ * @returns {Promise<array>} - The same sites
+ */
+export async function checkSites(sites, ctx = createContext(), options = {}) {
+  const queue = [...sites];
+  const worker = async () => {
+    for (let site = queue.shift(); site; site = queue.shift()) {
+      const proof = await verifyDomainOwnership(site.url, site.pubkey, ctx, { cachedOnly: options.cachedOnly });
+      if (proof) {
+        site.domainVerified = proof.verified;
+        site.domainProof = proof.method;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(MAX_PARALLEL_CHECKS, queue.length) }, worker));
+  return sites;
+}
+
+// CLI usage
+async function main() {
+  const [,, url, npub] = process.argv;
+  if (!url || !npub) {
+    console.log('Usage: node src/ownership.js <url> <npub>');
+    process.exit(1);
+  }
+  const pubkey = npub.startsWith('npub') ? nip19.decode(npub).data : npub;
+  const result = await verifyDomainOwnership(url, pubkey, createContext(), { fresh: true });
+
+  if (result.verified) {
+    console.log(`✓ Domain verified via ${result.method}`);
+    return;
+  }
+  console.log('✗ Domain not verified');
+  for (const [method, error] of Object.entries(result.errors)) {
+    console.log(`   ${method}: ${error}`);
+  }
+  console.log('\n' + proofInstructions(url, pubkey));
+}
+
+// Only run CLI when executed directly
+const isMainModule = process.argv[1]?.endsWith('ownership.js');
+if (isMainModule) {
+  main().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}
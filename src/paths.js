@@ -0,0 +1,19 @@
+// ABN local state location
+// Keys, caches and queues live in .secrets/ at the project root. Set
+// ABN_SECRETS_DIR to keep them somewhere else (tests use a temp dir).
+
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const projectRoot = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+export const SECRETS_DIR = process.env.ABN_SECRETS_DIR || join(projectRoot, '.secrets');
+
+/**
+ * Path of a file in the secrets directory
+ * @param {string} name - File name, e.g. 'outbox.json'
+ * @returns {string}
+ */
+export function secretsPath(name) {
+  return join(SECRETS_DIR, name);
+}
@@ -0,0 +1,159 @@
+// ABN Protocol Definition
+// The one place event kinds, labels and the protocol version are defined.
+//
+// Version 1 published sites and bids on 30078/30079. 30078 is NIP-78
+// generic app data, shared with every other app using it. Version 2 moves
+// ABN to its own kind range and tags each event with ['v', '<version>'].
+// Readers accept both; writers only publish the current version.
+
+export const PROTOCOL_VERSION = 2;
+
+export const KINDS = {
+  SITE_REGISTRATION: 30100,
+  EXCHANGE_COMPLETE: 30101,
+  AGENT_REPUTATION: 30102,
+  LINK_BID: 30103,
+  DISPUTE_RESOLUTION: 30104,
+  ARBITER_AGREEMENT: 30105, // signed by each party, carried inside resolutions, never published alone
+  CONTACT_LIST: 3, // NIP-02, for web-of-trust distance
+  ENCRYPTED_DM: 4, // NIP-04, for peers without NIP-17
+  DELETION: 5, // NIP-09
+  SEAL: 13, // NIP-59
+  PRIVATE_DM: 14, // NIP-17 rumor, never published unwrapped
+  GIFT_WRAP: 1059, // NIP-59
+  RELAY_LIST: 10002, // NIP-65
+  DM_RELAY_LIST: 10050 // NIP-17: where to send gift-wrapped DMs, and that we read them
+};
+
+// Version 1 kinds, still read so existing listings aren't lost
+export const LEGACY_KINDS = {
+  SITE_REGISTRATION: 30078,
+  LINK_BID: 30079
+};
+
+// NIP-32 label for each event type
+export const LABELS = {
+  SITE_REGISTRATION: 'site-registration',
+  LINK_BID: 'link-bid',
+  EXCHANGE_COMPLETE: 'exchange-complete',
+  AGENT_REPUTATION: 'agent-reputation',
+  DISPUTE_RESOLUTION: 'dispute-resolution'
+};
+
+export const DISPUTE_OUTCOMES = ['claimant', 'respondent', 'split', 'dismissed'];
+
+// Bid model vocabulary (bid schema version 2)
+export const PAYMENT_TERMS = ['upfront', 'on-placement', 'on-verification'];
+export const PLACEMENTS = [
+  'homepage', 'content', 'blog', 'footer', 'sidebar',
+  'partners-page', 'resource-page', 'service-pages'
+];
+export const LINK_TYPES = ['dofollow', 'nofollow', 'sponsored', 'any'];
+
+// Single-letter bid tags, which relays index for `#x` filters (NIP-01
+// only indexes single letters). A bid with no restriction carries '*'.
+// Price, payment terms and slots can't be range-filtered by relays, so
+// they're plain tags checked by the reader.
+export const BID_TAGS = {
+  placement: 'f',
+  linkType: 'y',
+  state: 's',
+  industry: 'n', // industries the bid accepts partners from
+  daTier: 'z' // DA in steps of 10: the tiers a seeking bid accepts, an offering bid's own tier
+};
+
+/**
+ * Kinds to query for an event type, current first
+ * @param {string} type - Key of KINDS, e.g. 'SITE_REGISTRATION'
+ * @returns {array} - Event kinds
+ */
+export function readKinds(type) {
+  return [KINDS[type], LEGACY_KINDS[type]].filter(Boolean);
+}
+
+/**
+ * Label and version tags every ABN event carries
+ * @param {string} type - Key of LABELS, e.g. 'LINK_BID'
+ * @returns {array} - Nostr tags
+ */
+export function protocolTags(type) {
+  return [
+    ['L', 'abn'],
+    ['l', LABELS[type], 'abn'],
+    ['v', String(PROTOCOL_VERSION)]
+  ];
+}
+
+/**
+ * Protocol version an event was published under
+ * Events without a version tag are version 1.
+ * @param {object} event - Nostr event
+ * @returns {number}
+ */
+export function protocolVersion(event) {
+  const tag = event.tags.find(t => t[0] === 'v');
+  return tag ? parseInt(tag[1], 10) || 1 : 1;
+}
+
+/**
+ * Expiry tags for a listing: NIP-40 `expiration`, which relays enforce,
+ * plus the `expiry` tag version 1 readers check
+ * @param {number} expiresAt - Unix timestamp
+ * @returns {array} - Nostr tags
+ */
+export function expirationTags(expiresAt) {
+  return [
+    ['expiration', String(expiresAt)],
+    ['expiry', String(expiresAt)]
+  ];
+}
+
+/**
+ * When an event expires, from either tag
+ * @param {object} event - Nostr event
+ * @returns {number|null} - Unix timestamp, or null if it doesn't expire
+ */
+export function expiresAt(event) {
+  const tag = event.tags.find(t => t[0] === 'expiration') || event.tags.find(t => t[0] === 'expiry');
+  return tag ? parseInt(tag[1], 10) : null;
+}
+
+/**
+ * @param {object} event - Nostr event
+ * @param {number} now - Unix timestamp
+ * @returns {boolean}
+ */
+export function isExpired(event, now = Math.floor(Date.now() / 1000)) {
+  const expiry = expiresAt(event);
+  return expiry !== null && expiry <= now;
+}
+
+/**
+ * Whether an event is on a version 1 kind
+ * @param {object} event - Nostr event
+ * @returns {boolean}
+ */
+export function isLegacyEvent(event) {
+  return Object.values(LEGACY_KINDS).includes(event.kind);
+}
+
+/**
+ * Keep one event per author and d tag when a listing exists under both
+ * kind schemes: the newest protocol version, then the newest event.
+ * @param {array} events - Nostr events
+ * @returns {array} - Events, one per listing
+ */
+export function latestListings(events) {
+  const byListing = new Map();
+  for (const event of events) {
+    const d = event.tags.find(t => t[0] === 'd')?.[1] ?? event.id;
+    const key = `${event.pubkey}:${d}`;
+    const current = byListing.get(key);
+    if (!current
+      || protocolVersion(event) > protocolVersion(current)
+      || (protocolVersion(event) === protocolVersion(current) && event.created_at > current.created_at)) {
+      byListing.set(key, event);
+    }
+  }
+  return [...byListing.values()];
+}
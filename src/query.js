@@ -4,100 +4,307 @@
 
 import { SimplePool } from 'nostr-tools/pool';
 import { nip19 } from 'nostr-tools';
-import { RELAYS, KINDS, isRelatedIndustry } from './config.js';
+import { createContext } from './config.js';
+import { readKinds, latestListings } from './protocol.js';
+import { dropDeleted } from './listings.js';
+import { checkSites } from './ownership.js';
+import { coveringGeohashes, parseLocation, distanceMiles } from './geo.js';
+import { healthyRelays } from './relays.js';
+import { industryRelatedness, matchesIndustry } from './taxonomy.js';
+import { acceptEvent } from './schema.js';
 
-async function querySites(filters = {}) {
-  const pool = new SimplePool();
-  
+// Search radius and service area when none is given
+const DEFAULT_RADIUS_MILES = 25;
+
+/**
+ * Build the relay filter for site registrations, on both kind schemes
+ * Industry isn't part of the relay filter: values within one tag filter
+ * are OR'd, and synonyms and sub-categories need the taxonomy anyway.
+ * Use matchesIndustry() on the results instead. A location search
+ * filters on the geohash cells covering the radius.
+ * @param {object} filters - { near, radiusMiles }
+ * @returns {object} - Nostr filter
+ */
+function siteFilter(filters = {}) {
   const filter = {
-    kinds: [KINDS.SITE_REGISTRATION],
+    kinds: readKinds('SITE_REGISTRATION'),
     '#t': ['abn-site'],
     '#l': ['site-registration']
   };
   
-  if (filters.industry) {
-    filter['#t'].push(filters.industry);
+  if (filters.near) {
+    filter['#g'] = coveringGeohashes(parseLocation(filters.near), filters.radiusMiles || DEFAULT_RADIUS_MILES);
   }
   
+  return filter;
+}
+
+/**
+ * Turn a site registration event into a site object
+ * Invalid events (bad signature or schema) are quarantined.
+ * @param {object} event - Nostr event
+ * @returns {object|null} - Site with pubkey, npub and eventId, or null if invalid
+ */
+function parseSite(event) {
+  const data = acceptEvent(event, 'site');
+  if (!data) return null;
+  return {
+    pubkey: event.pubkey,
+    npub: nip19.npubEncode(event.pubkey),
+    eventId: event.id,
+    ...data
+  };
+}
+
+/**
+ * Query registered sites
+ * The industry filter goes through the taxonomy: "plumbing" also finds
+ * sites registered as "plumber", and a category finds its sub-categories.
+ * @param {object} filters - { industry, state, country, near, radiusMiles, related, verifiedOnly, checkOwnership }
+ *   near: { lat, lng }, "lat,lng" or a geohash; only sites within radiusMiles (default 25)
+ *   related: also include related industries
+ *   verifiedOnly: hide sites whose owner hasn't proven the domain (checks live)
+ *   checkOwnership: 'cached' (default) only reads proofs checked before; true
+ *     checks live, fetching from each site's host; false skips them
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<array>} - Sites sorted by DA
+ */
+async function querySites(filters = {}, ctx = createContext()) {
+  const pool = new SimplePool();
+  
+  const filter = siteFilter(filters);
+  
   console.log('Querying ABN network...');
   console.log('Filter:', JSON.stringify(filter, null, 2));
   
-  const events = await pool.querySync(RELAYS, filter);
+  const relays = healthyRelays(ctx.relays);
+  const events = await dropDeleted(await pool.querySync(relays, filter), pool, relays);
   
-  console.log(`\nFound ${events.length} sites:\n`);
+  const sites = latestListings(events).map(parseSite).filter(Boolean);
   
-  const sites = events.map(e => {
-    const data = JSON.parse(e.content);
-    return {
-      pubkey: e.pubkey,
-      npub: nip19.npubEncode(e.pubkey),
-      eventId: e.id,
-      ...data
-    };
-  });
+  console.log(`\nFound ${sites.length} sites:\n`);
+  
+  let filtered = sites.filter(s => matchesIndustry(s.industry, filters.industry, { related: filters.related }));
   
-  // Filter by state if specified
-  let filtered = sites;
+  // Filter by state (and country, default US) if specified
   if (filters.state) {
-    filtered = sites.filter(s => s.state === filters.state);
+    filtered = filtered.filter(s => s.state === filters.state && (s.country || 'US') === (filters.country || 'US'));
+  } else if (filters.country) {
+    filtered = filtered.filter(s => (s.country || 'US') === filters.country);
+  }
+  
+  // Within the radius of the search point, by the site's coordinates
+  if (filters.near) {
+    const center = parseLocation(filters.near);
+    const radius = filters.radiusMiles || DEFAULT_RADIUS_MILES;
+    filtered = filtered
+      .filter(s => Number.isFinite(s.lat) && Number.isFinite(s.lng))
+      .map(s => ({ ...s, distanceMiles: Math.round(distanceMiles(center, s) * 10) / 10 }))
+      .filter(s => s.distanceMiles <= radius);
   }
   
-  // Sort by DA
-  filtered.sort((a, b) => (b.da || 0) - (a.da || 0));
+  // Owners' domain proofs: live checks only when asked for, since every
+  // site URL names a host we'd be contacting
+  const live = filters.verifiedOnly || filters.checkOwnership === true;
+  if (live || filters.checkOwnership !== false) {
+    await checkSites(filtered, ctx, { cachedOnly: !live });
+  }
+  if (filters.verifiedOnly) {
+    filtered = filtered.filter(s => s.domainVerified);
+  }
+  
+  // Nearest first for location searches, otherwise by DA
+  if (filters.near) {
+    filtered.sort((a, b) => a.distanceMiles - b.distanceMiles);
+  } else {
+    filtered.sort((a, b) => (b.da || 0) - (a.da || 0));
+  }
   
   for (const site of filtered) {
     console.log(`📍 ${site.name}`);
-    console.log(`   URL: ${site.url}`);
-    console.log(`   Location: ${site.city}, ${site.state}`);
+    console.log(`   URL: ${site.url} ${site.domainVerified ? `✓ verified (${site.domainProof})` : site.domainVerified === false ? '✗ unverified' : '· unchecked'}`);
+    console.log(`   Location: ${site.city}, ${site.state}${site.country && site.country !== 'US' ? `, ${site.country}` : ''}${site.distanceMiles !== undefined ? ` (${site.distanceMiles} mi)` : ''}`);
     console.log(`   Industry: ${site.industry}`);
     console.log(`   DA: ${site.da || 'unknown'}`);
     console.log(`   Pubkey: ${site.npub.slice(0, 20)}...`);
     console.log('');
   }
   
-  pool.close(RELAYS);
+  pool.close(relays);
   return filtered;
 }
 
-function findMatches(yourSite, allSites) {
+function hasCoordinates(site) {
+  return Number.isFinite(site.lat) && Number.isFinite(site.lng);
+}
+
+/**
+ * Score how two sites' locations suit a local link exchange
+ * With coordinates, overlapping service areas give local relevance (up
+ * to 30) and distance beyond the larger service area means they aren't
+ * chasing the same customers (up to 20). Without them it falls back to
+ * same state and country / different city.
+ * @param {object} a - Site
+ * @param {object} b - Site
+ * @returns {object} - { local, apart, distanceMiles }
+ */
+function locationScore(a, b) {
+  if (hasCoordinates(a) && hasCoordinates(b)) {
+    const distance = distanceMiles(a, b);
+    const radiusA = a.radiusMiles || DEFAULT_RADIUS_MILES;
+    const radiusB = b.radiusMiles || DEFAULT_RADIUS_MILES;
+    const reach = radiusA + radiusB;
+    return {
+      local: distance <= reach ? Math.round(30 * (1 - distance / reach / 2)) : 0,
+      apart: Math.round(20 * Math.min(1, distance / Math.max(radiusA, radiusB))),
+      distanceMiles: Math.round(distance * 10) / 10
+    };
+  }
+  
+  const sameRegion = a.state === b.state && (a.country || 'US') === (b.country || 'US');
+  return {
+    local: sameRegion ? 30 : 0,
+    apart: a.city !== b.city ? 20 : 0
+  };
+}
+
+// Most each factor adds to a findMatches() score; override any of them
+// with options.weights
+const MATCH_WEIGHTS = {
+  local: 30, // service areas overlap (or, without coordinates, same state)
+  apart: 20, // far enough apart not to chase the same customers
+  industry: 25, // same industry
+  related: 20, // related industry, scaled by taxonomy relatedness
+  authority: 25, // 60% at DA 30+, all of it at DA 40+
+  links: 20 // each side has a page to place the other's link, half per direction
+};
+
+// Matches scoring this or less are dropped
+const MATCH_CUTOFF = 30;
+
+/**
+ * Whether two sites compete: same industry, overlapping service areas
+ * Without coordinates, sites in the same city count as overlapping.
+ * @param {object} a - Site
+ * @param {object} b - Site
+ * @returns {boolean}
+ */
+function isCompetitor(a, b) {
+  if (!a.industry || industryRelatedness(a.industry, b.industry) < 1) return false;
+  if (hasCoordinates(a) && hasCoordinates(b)) {
+    return distanceMiles(a, b) <= (a.radiusMiles || DEFAULT_RADIUS_MILES) + (b.radiusMiles || DEFAULT_RADIUS_MILES);
+  }
+  return String(a.city).toLowerCase() === String(b.city).toLowerCase()
+    && a.state === b.state
+    && (a.country || 'US') === (b.country || 'US');
+}
+
+// Per-factor points for one candidate, each { points, max, reason }
+function scoreBreakdown(yourSite, site, weights) {
+  const location = locationScore(yourSite, site);
+  const where = location.distanceMiles !== undefined ? `${location.distanceMiles} mi apart` : `${site.city}, ${site.state}`;
+  const scale = (weight, share) => Math.round(weight * share);
+
+  const relevance = industryRelatedness(yourSite.industry, site.industry);
+  const industry = relevance === 1
+    ? { points: weights.industry, max: weights.industry, reason: `same industry (${site.industry})` }
+    : { points: scale(weights.related, relevance), max: weights.industry, reason: `${site.industry} is ${Math.round(relevance * 100)}% related to ${yourSite.industry}` };
+
+  const da = site.da || 0;
+  const authority = {
+    points: da >= 40 ? weights.authority : da >= 30 ? scale(weights.authority, 0.6) : 0,
+    max: weights.authority,
+    reason: site.da ? `DA ${site.da}` : 'DA unknown'
+  };
+
+  // Each direction needs a page to place the link on; sites that don't
+  // say which of their pages want links take one to the homepage
+  const wants = s => ((s.wantLinks || []).length > 0 ? s.wantLinks : ['homepage']).join('/');
+  const theyPlace = (site.canOffer || []).length > 0;
+  const youPlace = (yourSite.canOffer || []).length > 0;
+  const links = {
+    points: scale(weights.links, (Number(theyPlace) + Number(youPlace)) / 2),
+    max: weights.links,
+    reason: [
+      theyPlace ? `they link from ${site.canOffer.join('/')} to your ${wants(yourSite)}` : 'they list no pages to place links on',
+      youPlace ? `you link from ${yourSite.canOffer.join('/')} to their ${wants(site)}` : 'you list no pages to place links on'
+    ].join('; ')
+  };
+
+  return {
+    local: {
+      points: scale(weights.local, location.local / 30),
+      max: weights.local,
+      reason: location.local > 0 ? `serves the same area (${where})` : `outside your area (${where})`
+    },
+    apart: {
+      points: scale(weights.apart, location.apart / 20),
+      max: weights.apart,
+      reason: location.apart > 0 ? `not chasing the same customers (${where})` : `same customers (${where})`
+    },
+    industry,
+    authority,
+    links
+  };
+}
+
+/**
+ * Score other sites as link exchange partners
+ * Competitors (same industry, overlapping service areas) are left out
+ * unless options.includeCompetitors is set, in which case they're flagged.
+ * Given owner reputations (see getReputations in reputation.js), matches
+ * carry a `reputation` score and can be filtered or sorted by it.
+ * @param {object} yourSite - Your site
+ * @param {array} allSites - Sites from querySites()
+ * @param {object} options - { weights: MATCH_WEIGHTS overrides, minScore: MATCH_CUTOFF, includeCompetitors: false,
+ *   reputations: Map of pubkey -> { score }, minReputation, sortBy: 'score' | 'reputation' }
+ * @returns {array} - Sites with matchScore, scoreBreakdown { factor: { points, max, reason } } and competitor, best first
+ */
+function findMatches(yourSite, allSites, options = {}) {
+  const weights = { ...MATCH_WEIGHTS, ...options.weights };
+  const minScore = options.minScore ?? MATCH_CUTOFF;
+  const reputationOf = site => options.reputations?.get(site.pubkey)?.score;
+
   return allSites
     .filter(s => s.url !== yourSite.url) // Not yourself
     .map(site => {
-      let score = 0;
-      
-      // Same state = good for local relevance
-      if (yourSite.state === site.state) score += 30;
-      
-      // Different city = no direct competition
-      if (yourSite.city !== site.city) score += 20;
-      
-      // Industry relevance
-      if (yourSite.industry === site.industry) score += 25;
-      else if (isRelatedIndustry(yourSite.industry, site.industry)) score += 20;
-      
-      // DA bonus
-      if (site.da >= 30) score += 15;
-      if (site.da >= 40) score += 10;
-      
-      return { ...site, matchScore: score };
+      const location = locationScore(yourSite, site);
+      const breakdown = scoreBreakdown(yourSite, site, weights);
+      return {
+        ...site,
+        ...(location.distanceMiles !== undefined && { distanceMiles: location.distanceMiles }),
+        matchScore: Object.values(breakdown).reduce((sum, factor) => sum + factor.points, 0),
+        scoreBreakdown: breakdown,
+        competitor: isCompetitor(yourSite, site),
+        ...(options.reputations && { reputation: reputationOf(site) ?? null })
+      };
     })
-    .filter(s => s.matchScore > 30) // Minimum threshold
-    .sort((a, b) => b.matchScore - a.matchScore);
+    .filter(s => options.includeCompetitors || !s.competitor)
+    .filter(s => s.matchScore > minScore)
+    .filter(s => options.minReputation === undefined || (s.reputation ?? 0) >= options.minReputation)
+    .sort((a, b) => options.sortBy === 'reputation'
+      ? (b.reputation ?? 0) - (a.reputation ?? 0) || b.matchScore - a.matchScore
+      : b.matchScore - a.matchScore);
 }
 
 // CLI usage - only run when executed directly
 const isMainModule = process.argv[1]?.endsWith('query.js');
 if (isMainModule) {
-  const [,, industry, state] = process.argv;
+  const argv = process.argv.slice(2);
+  const flag = name => argv.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+  const [industry, state] = argv.filter(a => !a.startsWith('--'));
+  const near = flag('near');
+  const radiusMiles = flag('radius') ? parseFloat(flag('radius')) : undefined;
   
-  if (industry || state) {
-    querySites({ industry, state });
+  if (industry || state || near) {
+    querySites({ industry, state, near, radiusMiles });
   } else {
-    console.log('Usage: node src/query.js [industry] [state]');
+    console.log('Usage: node src/query.js [industry] [state] [--near=lat,lng] [--radius=miles]');
     console.log('Example: node src/query.js plumbing CA');
+    console.log('Example: node src/query.js plumbing --near=51.5074,-0.1278 --radius=30');
     console.log('\nRunning without filters...\n');
     querySites({});
   }
 }
 
-export { querySites, findMatches };
+export { querySites, findMatches, siteFilter, parseSite, locationScore, isCompetitor, MATCH_WEIGHTS };
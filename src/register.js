@@ -2,37 +2,36 @@
 // Register a site to the ABN network
 // Usage: NOSTR_PRIVATE_KEY=nsec1... node src/register.js
 
-import { finalizeEvent, getPublicKey, nip19 } from 'nostr-tools';
-import { Relay } from 'nostr-tools/relay';
-import { RELAYS, KINDS, loadPrivateKey } from './config.js';
+import { nip19 } from 'nostr-tools';
+import { KINDS, createContext } from './config.js';
+import { queueEvent } from './outbox.js';
+import { industryTags } from './taxonomy.js';
+import { protocolTags } from './protocol.js';
+import { fetchListing, mergeListing, deleteListing } from './listings.js';
+import { verifyDomainOwnership, proofInstructions } from './ownership.js';
+import { geocode, geohashTags, encodeGeohash } from './geo.js';
 
-// Parse private key
-function parsePrivateKey(key) {
-  if (key.startsWith('nsec')) {
-    const decoded = nip19.decode(key);
-    return decoded.data;
-  }
-  // Assume hex
-  return new Uint8Array(key.match(/.{1,2}/g).map(b => parseInt(b, 16)));
+function hasCoordinates(site) {
+  return Number.isFinite(site.lat) && Number.isFinite(site.lng);
 }
 
-async function registerSite(site) {
-  const privKey = parsePrivateKey(loadPrivateKey());
-  const pubkey = getPublicKey(privKey);
-  
-  console.log('Registering site:', site.name);
-  console.log('Your pubkey:', nip19.npubEncode(pubkey));
-  
-  const event = finalizeEvent({
+/**
+ * Build the unsigned registration event for a site
+ * Sites with lat/lng get geohash `g` tags for location search.
+ * @param {object} site - Site details
+ * @returns {object} - Event template ready for signing
+ */
+function buildSiteEvent(site) {
+  return {
     kind: KINDS.SITE_REGISTRATION,
     created_at: Math.floor(Date.now() / 1000),
     tags: [
       ['d', site.url],
       ['t', 'abn-site'],
-      ['t', site.industry],
+      ...industryTags(site.industry),
       ['t', site.type || 'local-business'],
-      ['L', 'abn'],
-      ['l', 'site-registration', 'abn']
+      ...(hasCoordinates(site) ? geohashTags(site.lat, site.lng) : []),
+      ...protocolTags('SITE_REGISTRATION')
     ],
     content: JSON.stringify({
       name: site.name,
@@ -43,25 +42,104 @@ async function registerSite(site) {
       da: site.da || null,
       wantLinks: site.wantLinks || ['homepage'],
       canOffer: site.canOffer || ['footer', 'partners-page'],
-      registeredAt: new Date().toISOString()
+      ...(site.country && { country: site.country }),
+      ...(hasCoordinates(site) && { lat: site.lat, lng: site.lng, geohash: encodeGeohash(site.lat, site.lng) }),
+      ...(site.radiusMiles && { radiusMiles: site.radiusMiles }),
+      ...(site.linkPages && { linkPages: site.linkPages }),
+      ...(site.lookingFor && { lookingFor: site.lookingFor }),
+      ...(site.contact && { contact: site.contact }),
+      ...(site.type && { type: site.type }),
+      registeredAt: site.registeredAt || new Date().toISOString()
     })
-  }, privKey);
+  };
+}
+
+/**
+ * Sign and publish a site registration
+ * The key must prove it controls the site's domain (see ownership.js)
+ * unless options.allowUnverified is set.
+ * @param {object} site - Site details
+ * @param {object} ctx - Context from createContext()
+ * @param {object} options - { allowUnverified }
+ * @returns {Promise<object>} - { event, delivery: report from outbox.js }
+ */
+async function registerSite(site, ctx = createContext(), options = {}) {
+  const pubkey = await ctx.signer.getPublicKey();
   
-  console.log('Event ID:', event.id);
-  console.log('Publishing to relays...');
+  console.log('Registering site:', site.name);
+  console.log('Your pubkey:', nip19.npubEncode(pubkey));
+  
+  const ownership = await verifyDomainOwnership(site.url, pubkey, ctx);
+  if (ownership.verified) {
+    console.log(`✓ Domain ownership verified via ${ownership.method}`);
+  } else if (!options.allowUnverified) {
+    throw new Error(`Domain ownership not verified.\n${proofInstructions(site.url, pubkey)}`);
+  } else {
+    console.log('⚠ Registering without domain proof; the site will show as unverified');
+  }
   
-  for (const url of RELAYS) {
+  if (!hasCoordinates(site) && site.city) {
     try {
-      const relay = await Relay.connect(url);
-      await relay.publish(event);
-      console.log(`✓ ${url}`);
-      relay.close();
+      const coords = await geocode(site, ctx);
+      if (coords) {
+        site = { ...site, ...coords };
+        console.log(`✓ Located ${site.city} at ${coords.lat.toFixed(4)}, ${coords.lng.toFixed(4)}`);
+      }
     } catch (err) {
-      console.log(`✗ ${url}: ${err.message}`);
+      console.log(`⚠ Couldn't geocode ${site.city}: ${err.message}. Pass lat/lng to enable location search`);
     }
   }
   
-  console.log('\nDone! Your site is now on the ABN network.');
+  const event = await ctx.signer.signEvent(buildSiteEvent(site));
+  
+  console.log('Event ID:', event.id);
+  console.log('Publishing to relays...');
+  
+  const delivery = await queueEvent(event, ctx, undefined, { label: `site ${site.url}` });
+  
+  if (delivery.status === 'delivered') {
+    console.log('\nDone! Your site is now on the ABN network.');
+  }
+  return { event, delivery };
+}
+
+/**
+ * Change a registered site in place
+ * The URL identifies the listing, so it can't change: cancel the site
+ * and register the new URL instead.
+ * @param {string} url - Registered site URL
+ * @param {object} changes - Fields to change
+ * @param {object} ctx - Context from createContext()
+ * @param {object} options - registerSite() options
+ * @returns {Promise<object>} - { event, delivery } (see registerSite)
+ */
+async function updateSite(url, changes, ctx = createContext(), options = {}) {
+  if (changes.url && changes.url !== url) {
+    throw new Error("A site's URL can't change; cancel it and register the new URL");
+  }
+  const current = await fetchListing('SITE_REGISTRATION', url, ctx);
+  if (!current) {
+    throw new Error(`Site ${url} not found (cancelled or not ours)`);
+  }
+  const site = mergeListing(JSON.parse(current.content), changes);
+  // A new location without new coordinates gets geocoded again
+  if (['city', 'state', 'country'].some(f => f in changes) && !('lat' in changes)) {
+    delete site.lat;
+    delete site.lng;
+  }
+  return registerSite(site, ctx, options);
+}
+
+/**
+ * Withdraw a site registration (NIP-09 deletion)
+ * @param {string} url - Registered site URL
+ * @param {object} ctx - Context from createContext()
+ * @param {string} reason - Optional reason
+ * @returns {Promise<object>} - { event, delivery } (see deleteListing)
+ */
+async function cancelSite(url, ctx = createContext(), reason = '') {
+  console.log(`Cancelling registration for ${url}...`);
+  return deleteListing('SITE_REGISTRATION', url, ctx, reason);
 }
 
 // Example usage - modify for your site
@@ -72,6 +150,9 @@ const mySite = {
   state: 'CA',
   industry: 'plumbing',
   type: 'local-business',
+  lat: 32.7157,
+  lng: -117.1611,
+  radiusMiles: 25,
   da: 25,
   wantLinks: ['homepage', 'service-pages'],
   canOffer: ['footer', 'partners-page', 'blog']
@@ -80,4 +161,4 @@ const mySite = {
 // Uncomment to run:
 // registerSite(mySite);
 
-export { registerSite };
+export { registerSite, buildSiteEvent, updateSite, cancelSite };
@@ -0,0 +1,332 @@
+#!/usr/bin/env node
+// ABN Relay Manager
+// - Tracks latency and failure rate per relay from every publish
+// - Routes publishes and queries to healthy relays
+// - Reads partners' NIP-65 relay lists (kind 10002) and publishes ours
+// Health and cached relay lists are saved in .secrets/relays.json.
+// Usage: node src/relays.js <action> [args]
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { nip19 } from 'nostr-tools';
+import { Relay } from 'nostr-tools/relay';
+import { SimplePool } from 'nostr-tools/pool';
+import { KINDS, createContext } from './config.js';
+import { secretsPath } from './paths.js';
+import { queueEvent } from './outbox.js';
+
+export const RELAY_STATE_PATH = secretsPath('relays.json');
+
+// Relays that index kind 10002 lists for the whole network
+const INDEXER_RELAYS = ['wss://purplepag.es', 'wss://relay.nostr.band'];
+
+const RELAY_LIST_TTL = 86400; // re-fetch NIP-65 and NIP-17 lists daily
+const RETRY_AFTER = 3600; // give a failing relay another try after an hour
+const LATENCY_WEIGHT = 0.3; // EWMA weight of the newest sample
+
+let state = null;
+
+function loadRelayState() {
+  if (!state) {
+    state = existsSync(RELAY_STATE_PATH)
+      ? JSON.parse(readFileSync(RELAY_STATE_PATH, 'utf-8'))
+      : { health: {}, lists: {} };
+  }
+  return state;
+}
+
+function saveRelayState() {
+  mkdirSync(dirname(RELAY_STATE_PATH), { recursive: true });
+  writeFileSync(RELAY_STATE_PATH, JSON.stringify(loadRelayState(), null, 2) + '\n');
+}
+
+/**
+ * Record the outcome of talking to a relay
+ * @param {string} url - Relay URL
+ * @param {boolean} ok - Whether the relay accepted the event
+ * @param {number} latencyMs - Round-trip time
+ * @param {string} error - Error message on failure
+ */
+export function recordResult(url, ok, latencyMs, error) {
+  const health = loadRelayState().health;
+  const stats = health[url] || { attempts: 0, failures: 0, latencyMs: null };
+  const now = Math.floor(Date.now() / 1000);
+  
+  stats.attempts++;
+  if (ok) {
+    stats.latencyMs = stats.latencyMs === null
+      ? latencyMs
+      : Math.round(stats.latencyMs * (1 - LATENCY_WEIGHT) + latencyMs * LATENCY_WEIGHT);
+    stats.lastSuccess = now;
+    stats.consecutiveFailures = 0;
+  } else {
+    stats.failures++;
+    stats.lastFailure = now;
+    stats.lastError = error;
+    stats.consecutiveFailures = (stats.consecutiveFailures || 0) + 1;
+  }
+  
+  health[url] = stats;
+}
+
+/**
+ * Score a relay 0-100 from its failure rate and latency
+ * Unknown relays score 50 so they get tried.
+ */
+export function relayScore(url) {
+  const stats = loadRelayState().health[url];
+  if (!stats || stats.attempts === 0) return 50;
+  
+  const successRate = 1 - stats.failures / stats.attempts;
+  const latencyPenalty = Math.min(30, (stats.latencyMs || 0) / 100);
+  return Math.max(0, Math.round(successRate * 100 - latencyPenalty));
+}
+
+function isHealthy(url) {
+  const stats = loadRelayState().health[url];
+  if (!stats || (stats.consecutiveFailures || 0) < 3) return true;
+  // Repeated failures: benched until RETRY_AFTER has passed
+  return Math.floor(Date.now() / 1000) - stats.lastFailure > RETRY_AFTER;
+}
+
+/**
+ * Order relays best-first and drop ones that keep failing
+ * Never returns fewer than `min` relays, so a bad day doesn't leave us mute.
+ * @param {array} relays - Candidate relay URLs
+ * @param {object} options - { min, limit }
+ * @returns {array} - Relay URLs
+ */
+export function healthyRelays(relays, options = {}) {
+  const min = options.min ?? 2;
+  const ranked = [...new Set(relays)].sort((a, b) => relayScore(b) - relayScore(a));
+  let picked = ranked.filter(isHealthy);
+  if (picked.length < min) {
+    picked = picked.concat(ranked.filter(r => !picked.includes(r)).slice(0, min - picked.length));
+  }
+  return options.limit ? picked.slice(0, options.limit) : picked;
+}
+
+/**
+ * Publish a signed event, recording each relay's outcome
+ * Responses carry each relay's OK message (or the error) and any notices
+ * it sent meanwhile, e.g. "rate-limited: slow down".
+ * @param {object} event - Signed event
+ * @param {object} ctx - Context from createContext()
+ * @param {array} relays - Target relays (default: healthy ctx.relays)
+ * @returns {Promise<object>} - { accepted: [urls], failed: [{ url, error }], responses: [{ url, ok, message, notices }] }
+ */
+export async function publishEvent(event, ctx = createContext(), relays = healthyRelays(ctx.relays)) {
+  const accepted = [];
+  const failed = [];
+  const responses = [];
+  
+  for (const url of relays) {
+    const start = Date.now();
+    const notices = [];
+    let relay;
+    try {
+      relay = await Relay.connect(url);
+      relay.onnotice = msg => notices.push(msg);
+      const message = await relay.publish(event);
+      recordResult(url, true, Date.now() - start);
+      console.log(`✓ ${url}`);
+      accepted.push(url);
+      responses.push({ url, ok: true, message, notices });
+    } catch (err) {
+      recordResult(url, false, Date.now() - start, err.message);
+      console.log(`✗ ${url}: ${err.message}`);
+      failed.push({ url, error: err.message });
+      responses.push({ url, ok: false, message: err.message, notices });
+    } finally {
+      relay?.close();
+    }
+  }
+  
+  saveRelayState();
+  return { accepted, failed, responses };
+}
+
+// Relays from a kind 10050 NIP-17 DM relay list
+function parseDMRelayList(event) {
+  return event.tags.filter(t => t[0] === 'relay' && t[1]).map(t => t[1]);
+}
+
+// Split kind 10002 'r' tags into read and write relays
+function parseRelayList(event) {
+  const read = [];
+  const write = [];
+  for (const [name, url, marker] of event.tags) {
+    if (name !== 'r' || !url) continue;
+    if (marker !== 'write') read.push(url);
+    if (marker !== 'read') write.push(url);
+  }
+  return { read, write };
+}
+
+/**
+ * Get a pubkey's NIP-65 relay list and NIP-17 DM relays (cached for a day)
+ * A DM relay list means the pubkey reads gift-wrapped (NIP-17) DMs.
+ * @param {string} pubkey - Hex pubkey
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<object|null>} - { read, write, dm } or null if they have neither list
+ */
+export async function fetchRelayList(pubkey, ctx = createContext()) {
+  const lists = loadRelayState().lists;
+  const now = Math.floor(Date.now() / 1000);
+  const cached = lists[pubkey];
+  // Entries cached before DM relays were tracked have no dm field
+  if (cached && 'dm' in cached && now - cached.fetchedAt < RELAY_LIST_TTL) {
+    return cached.read || cached.write || cached.dm ? cached : null;
+  }
+  
+  const pool = new SimplePool();
+  const relays = [...new Set([...healthyRelays(ctx.relays), ...INDEXER_RELAYS])];
+  const events = await pool.querySync(relays, { kinds: [KINDS.RELAY_LIST, KINDS.DM_RELAY_LIST], authors: [pubkey] });
+  pool.close(relays);
+  
+  const latest = kind => events.filter(e => e.kind === kind).sort((a, b) => b.created_at - a.created_at)[0];
+  const relayList = latest(KINDS.RELAY_LIST);
+  const dmList = latest(KINDS.DM_RELAY_LIST);
+  lists[pubkey] = {
+    ...(relayList ? parseRelayList(relayList) : { read: null, write: null }),
+    dm: dmList ? parseDMRelayList(dmList) : null,
+    fetchedAt: now
+  };
+  saveRelayState();
+  return relayList || dmList ? lists[pubkey] : null;
+}
+
+/**
+ * Relays to deliver DMs to a pubkey: their NIP-17 DM relays and NIP-65
+ * read relays, plus our best ones
+ * @param {string} pubkey - Recipient hex pubkey
+ * @param {object} ctx - Context from createContext()
+ */
+export async function inboxRelays(pubkey, ctx = createContext()) {
+  const list = await fetchRelayList(pubkey, ctx).catch(() => null);
+  const theirs = [...new Set([...(list?.dm || []), ...(list?.read || [])])];
+  return [...new Set([...healthyRelays(theirs, { min: 0, limit: 4 }), ...healthyRelays(ctx.relays, { limit: 3 })])];
+}
+
+/**
+ * Relays to read our own DMs from: our NIP-65 read relays plus our best ones
+ * @param {object} ctx - Context from createContext()
+ */
+export async function ownInboxRelays(ctx = createContext()) {
+  const pubkey = await ctx.signer.getPublicKey();
+  return inboxRelays(pubkey, ctx);
+}
+
+/**
+ * Publish our NIP-65 relay list so partners know where to reach us
+ * Our read relays also go out as a NIP-17 DM relay list (kind 10050),
+ * which tells partners we read gift-wrapped DMs.
+ * @param {object} ctx - Context from createContext()
+ * @param {object} lists - { read, write } (default: ctx.relays for both)
+ * @returns {Promise<object>} - { event, delivery, dmList: { event, delivery } } (delivery: report from outbox.js)
+ */
+export async function publishRelayList(ctx = createContext(), lists = {}) {
+  const read = lists.read || ctx.relays;
+  const write = lists.write || ctx.relays;
+  const tags = [...new Set([...read, ...write])].map(url => {
+    if (read.includes(url) && write.includes(url)) return ['r', url];
+    return ['r', url, read.includes(url) ? 'read' : 'write'];
+  });
+  
+  const event = await ctx.signer.signEvent({
+    kind: KINDS.RELAY_LIST,
+    created_at: Math.floor(Date.now() / 1000),
+    tags,
+    content: ''
+  });
+  
+  const dmEvent = await ctx.signer.signEvent({
+    kind: KINDS.DM_RELAY_LIST,
+    created_at: event.created_at,
+    tags: read.map(url => ['relay', url]),
+    content: ''
+  });
+  
+  const targets = [...new Set([...healthyRelays(ctx.relays), ...INDEXER_RELAYS])];
+  const delivery = await queueEvent(event, ctx, targets, { label: 'relay list' });
+  const dmDelivery = await queueEvent(dmEvent, ctx, targets, { label: 'DM relay list' });
+  
+  loadRelayState().lists[event.pubkey] = { read, write, dm: read, fetchedAt: event.created_at };
+  saveRelayState();
+  return { event, delivery, dmList: { event: dmEvent, delivery: dmDelivery } };
+}
+
+/**
+ * Health of every relay we've used, best first
+ * @returns {array} - [{ url, score, healthy, attempts, failures, latencyMs, lastError }]
+ */
+export function relayStatus() {
+  const health = loadRelayState().health;
+  return Object.entries(health)
+    .map(([url, stats]) => ({ url, score: relayScore(url), healthy: isHealthy(url), ...stats }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// CLI usage
+async function main() {
+  const [,, action, ...args] = process.argv;
+  
+  switch (action) {
+    case 'status': {
+      const status = relayStatus();
+      if (status.length === 0) {
+        console.log('No relay history yet.');
+        break;
+      }
+      for (const r of status) {
+        console.log(`${r.healthy ? '✓' : '✗'} ${r.url}`);
+        console.log(`   Score: ${r.score}  Latency: ${r.latencyMs ?? '-'}ms  Failures: ${r.failures}/${r.attempts}`);
+        if (r.lastError) console.log(`   Last error: ${r.lastError}`);
+      }
+      break;
+    }
+    
+    case 'lookup': {
+      if (!args[0]) {
+        console.log('Usage: node src/relays.js lookup <npub>');
+        process.exit(1);
+      }
+      const pubkey = args[0].startsWith('npub') ? nip19.decode(args[0]).data : args[0];
+      const list = await fetchRelayList(pubkey);
+      if (!list) {
+        console.log('No NIP-65 or DM relay list found.');
+        break;
+      }
+      console.log('Read (inbox):', (list.read || []).join(', ') || '-');
+      console.log('Write (outbox):', (list.write || []).join(', ') || '-');
+      console.log('DM (NIP-17):', (list.dm || []).join(', ') || '-');
+      break;
+    }
+    
+    case 'publish': {
+      const ctx = createContext();
+      const { event, delivery } = await publishRelayList(ctx);
+      console.log(`\nRelay list ${delivery.status}: ${event.id}`);
+      await ctx.close();
+      break;
+    }
+    
+    default:
+      console.log('ABN Relay Manager');
+      console.log('Usage: node src/relays.js <action> [args]');
+      console.log('');
+      console.log('Actions:');
+      console.log('  status          - Relay health (latency, failure rate)');
+      console.log('  lookup <npub>   - Show a partner\'s NIP-65 relay list');
+      console.log('  publish         - Publish our relay list (kind 10002)');
+  }
+}
+
+// Only run CLI when executed directly
+const isMainModule = process.argv[1]?.endsWith('relays.js');
+if (isMainModule) {
+  main().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+// ABN Agent Reputation
+// Builds an agent's reputation from network history instead of what it
+// says about itself:
+// - exchange records (kind 30101): verified ones count as completed,
+//   failed ones as disputed
+// - other agents' reputation summaries (kind 30102)
+// - how quickly it answers our DMs, and deals still open in our inbox
+// - dispute resolutions (kind 30104) it lost, by an arbiter both sides chose
+// Every claim is weighted by how far its author is from us in the follow
+// graph (NIP-02). Keys outside the graph share one small, capped weight
+// however many of them there are, so a ring of fresh keys vouching for each
+// other counts for little. Summaries we compute can be published as kind 30102.
+// Usage: node src/reputation.js <npub> [--publish]
+
+import { SimplePool } from 'nostr-tools/pool';
+import { nip19 } from 'nostr-tools';
+import { KINDS, createContext } from './config.js';
+import { protocolTags } from './protocol.js';
+import { healthyRelays } from './relays.js';
+import { queueEvent } from './outbox.js';
+import { acceptEvent } from './schema.js';
+import { groupExchanges } from './exchanges.js';
+import { readResolutions } from './disputes.js';
+import { readDMs } from './dm.js';
+
+// Claim weight by follow distance from us: ourselves, follows, follows of follows
+const DISTANCE_WEIGHTS = [1, 1, 0.5];
+const UNKNOWN_WEIGHT = 0.1;
+const UNKNOWN_CAP = 1; // total weight unknown keys can add to completed, disputed or summaries
+
+// A record only one party signed counts for less
+const COSIGNED_WEIGHT = 1;
+const COUNTERPARTY_ONLY_WEIGHT = 0.75;
+const SELF_ONLY_WEIGHT = 0.25;
+
+const HISTORY_DAYS = 30; // DM window for response times and open deals
+const OPEN_DEAL_TYPES = ['counter', 'accept', 'paid', 'placed'];
+const FOLLOW_FANOUT = 500; // second-degree contact lists fetched at most
+
+// How much of a dispute a resolution pins on the respondent, by outcome
+const RULING_WEIGHTS = { claimant: 1, split: 0.5, respondent: 0, dismissed: 0 };
+
+function toHex(pubkey) {
+  return pubkey.startsWith('npub') ? nip19.decode(pubkey).data : pubkey;
+}
+
+/**
+ * Follow distances from us, for weighting claims
+ * @param {object} ctx - Context from createContext()
+ * @param {object} pool - SimplePool to query with
+ * @returns {Promise<Map>} - Hex pubkey -> distance (0 = us)
+ */
+export async function followDistances(ctx = createContext(), pool = new SimplePool()) {
+  const pubkey = await ctx.signer.getPublicKey();
+  const relays = healthyRelays(ctx.relays);
+  const follows = events => events
+    .sort((a, b) => b.created_at - a.created_at)
+    .flatMap(e => e.tags.filter(t => t[0] === 'p' && t[1]).map(t => t[1]));
+
+  const distances = new Map([[pubkey, 0]]);
+  const first = follows((await pool.querySync(relays, { kinds: [KINDS.CONTACT_LIST], authors: [pubkey] })).slice(0, 1));
+  for (const pk of first) if (!distances.has(pk)) distances.set(pk, 1);
+
+  if (first.length > 0) {
+    const lists = await pool.querySync(relays, { kinds: [KINDS.CONTACT_LIST], authors: first.slice(0, FOLLOW_FANOUT) });
+    for (const pk of follows(lists)) if (!distances.has(pk)) distances.set(pk, 2);
+  }
+  return distances;
+}
+
+/**
+ * Weight of a claim by its author's follow distance
+ * @param {Map} distances - From followDistances()
+ * @param {string} pubkey - Claim author
+ * @returns {number} - 0-1
+ */
+export function trustWeight(distances, pubkey) {
+  const distance = distances.get(pubkey);
+  return distance === undefined ? UNKNOWN_WEIGHT : DISTANCE_WEIGHTS[distance] ?? UNKNOWN_WEIGHT;
+}
+
+/**
+ * Compute an agent's reputation from the evidence gathered about it
+ * With no evidence the score is 50; verified exchanges push it up and
+ * disputed ones down twice as hard, each weighted by trust. A record only
+ * the agent signed is its own word, so it counts only when the counterparty
+ * is in our follow graph. Slow replies cost a few points. Disputes lost
+ * before an agreed arbiter count as disputed, weighted by trust in the
+ * arbiter. Other agents' summaries are averaged in by trust. Claims from
+ * keys outside the follow graph add up to UNKNOWN_CAP at most.
+ * @param {string} pubkey - Hex pubkey of the agent
+ * @param {object} evidence - { exchanges: from groupExchanges(), summaries: [{ author, score }],
+ *   resolutions: from readResolutions(), responseTimes: [seconds], openDeals: number, distances: Map }
+ * @returns {object} - AgentReputation plus basis { completed, disputed, summaries } (weighted)
+ */
+export function computeReputation(pubkey, evidence = {}) {
+  const distances = evidence.distances || new Map();
+  let completed = 0;
+  let disputed = 0;
+  let completedCount = 0;
+  let disputedCount = 0;
+
+  // Weight of a claim, drawing on the shared allowance when its author is unknown
+  const unknownUsed = { completed: 0, disputed: 0, summaries: 0 };
+  const weigh = (basis, author, weight) => {
+    if (distances.has(author)) return weight;
+    const left = Math.round((UNKNOWN_CAP - unknownUsed[basis]) * 1000) / 1000; // no float dust
+    const allowed = Math.min(weight, Math.max(0, left));
+    unknownUsed[basis] += allowed;
+    return allowed;
+  };
+
+  for (const exchange of evidence.exchanges || []) {
+    const { parties } = exchange.record;
+    if (parties.a !== pubkey && parties.b !== pubkey) continue;
+    const counterparty = parties.a === pubkey ? parties.b : parties.a;
+    const signedBy = exchange.signers;
+    const selfOnly = !exchange.cosigned && !signedBy.includes(counterparty);
+    if (selfOnly && !distances.has(counterparty)) continue;
+    const coverage = exchange.cosigned ? COSIGNED_WEIGHT
+      : selfOnly ? SELF_ONLY_WEIGHT
+        : COUNTERPARTY_ONLY_WEIGHT;
+    const basis = exchange.verified ? 'completed' : 'disputed';
+    const weight = weigh(basis, counterparty, coverage * trustWeight(distances, counterparty));
+    if (weight === 0) continue;
+
+    if (basis === 'completed') {
+      completed += weight;
+      completedCount++;
+    } else {
+      disputed += weight;
+      disputedCount++;
+    }
+  }
+
+  for (const resolution of evidence.resolutions || []) {
+    const ruling = RULING_WEIGHTS[resolution.outcome] || 0;
+    if (resolution.respondent !== pubkey || ruling === 0) continue;
+    const weight = weigh('disputed', resolution.arbiter, ruling * trustWeight(distances, resolution.arbiter));
+    if (weight === 0) continue;
+    disputed += weight;
+    disputedCount++;
+  }
+
+  const times = evidence.responseTimes || [];
+  const avgResponseTime = times.length > 0
+    ? Math.round(times.reduce((sum, t) => sum + t, 0) / times.length / 360) / 10
+    : null;
+
+  let score = 100 * (completed + 1) / (completed + 2 * disputed + 2);
+  if (avgResponseTime !== null && avgResponseTime > 72) score -= 15;
+  else if (avgResponseTime !== null && avgResponseTime > 24) score -= 5;
+
+  // Blend in others' summaries; our own evidence weighs as much as its size
+  const summaries = (evidence.summaries || []).filter(s => s.author !== pubkey);
+  const ownWeight = completed + disputed + 1;
+  let total = score * ownWeight;
+  let weights = ownWeight;
+  for (const summary of summaries) {
+    const weight = weigh('summaries', summary.author, trustWeight(distances, summary.author));
+    total += summary.score * weight;
+    weights += weight;
+  }
+
+  return {
+    agentPubkey: pubkey,
+    completedExchanges: completedCount,
+    activeExchanges: evidence.openDeals || 0,
+    disputedExchanges: disputedCount,
+    avgResponseTime,
+    score: Math.max(0, Math.min(100, Math.round(total / weights))),
+    computedAt: Math.floor(Date.now() / 1000),
+    basis: {
+      completed: Math.round(completed * 100) / 100,
+      disputed: Math.round(disputed * 100) / 100,
+      summaries: summaries.length
+    }
+  };
+}
+
+// Seconds between each of our messages and the agent's next reply
+function responseTimes(sent, received) {
+  const times = [];
+  const replies = [...received].sort((a, b) => a - b);
+  for (const at of [...sent].sort((a, b) => a - b)) {
+    const reply = replies.find(r => r >= at);
+    if (reply !== undefined) times.push(reply - at);
+  }
+  return times;
+}
+
+/**
+ * Reputations for several agents at once
+ * @param {array} pubkeys - npubs or hex pubkeys
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<Map>} - Hex pubkey -> reputation (see computeReputation)
+ */
+export async function getReputations(pubkeys, ctx = createContext()) {
+  const subjects = [...new Set(pubkeys.map(toHex))];
+  const result = new Map();
+  if (subjects.length === 0) return result;
+
+  const us = await ctx.signer.getPublicKey();
+  const pool = new SimplePool();
+  const relays = healthyRelays(ctx.relays);
+  const since = Math.floor(Date.now() / 1000) - 86400 * HISTORY_DAYS;
+
+  const [distances, authored, named, summaryEvents, resolutionEvents, dms] = await Promise.all([
+    followDistances(ctx, pool),
+    pool.querySync(relays, { kinds: [KINDS.EXCHANGE_COMPLETE], authors: subjects }),
+    pool.querySync(relays, { kinds: [KINDS.EXCHANGE_COMPLETE], '#p': subjects }),
+    pool.querySync(relays, { kinds: [KINDS.AGENT_REPUTATION], '#p': subjects }),
+    pool.querySync(relays, { kinds: [KINDS.DISPUTE_RESOLUTION], '#p': subjects }),
+    readDMs({ since, sent: true }, ctx)
+  ]);
+  pool.close(relays);
+
+  const exchanges = groupExchanges([...new Map([...authored, ...named].map(e => [e.id, e])).values()]);
+  const summaries = summaryEvents
+    .map(event => ({ event, data: acceptEvent(event, 'reputation') }))
+    .filter(({ data }) => data)
+    .map(({ event, data }) => ({ author: event.pubkey, subject: data.agentPubkey, score: data.score }));
+  const resolutions = readResolutions(resolutionEvents);
+
+  // Acks are sent automatically, so they say nothing about responsiveness
+  const conversation = dms.filter(m => m.type !== 'ack');
+  const sent = conversation.filter(m => m.fromHex === us);
+  const inbox = conversation.filter(m => m.fromHex !== us);
+  for (const pubkey of subjects) {
+    const theirs = inbox.filter(m => m.fromHex === pubkey).sort((a, b) => a.timestamp - b.timestamp);
+    const latest = theirs[theirs.length - 1];
+    result.set(pubkey, computeReputation(pubkey, {
+      exchanges,
+      summaries: summaries.filter(s => s.subject === pubkey),
+      resolutions,
+      responseTimes: responseTimes(
+        sent.filter(m => m.toHex === pubkey).map(m => m.timestamp),
+        theirs.map(m => m.timestamp)
+      ),
+      openDeals: latest && OPEN_DEAL_TYPES.includes(latest.type) ? 1 : 0,
+      distances
+    }));
+  }
+  return result;
+}
+
+/**
+ * One agent's reputation
+ * @param {string} npub - npub or hex pubkey
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<object>} - See computeReputation()
+ */
+export async function getReputation(npub, ctx = createContext()) {
+  return (await getReputations([npub], ctx)).get(toHex(npub));
+}
+
+/**
+ * Build the unsigned kind 30102 summary for a computed reputation
+ * @param {object} reputation - From computeReputation()
+ * @returns {object} - Event template ready for signing
+ */
+export function buildReputationEvent(reputation) {
+  const { basis, ...summary } = reputation;
+  return {
+    kind: KINDS.AGENT_REPUTATION,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [
+      ['d', summary.agentPubkey],
+      ['p', summary.agentPubkey],
+      ['t', 'abn-reputation'],
+      ...protocolTags('AGENT_REPUTATION')
+    ],
+    content: JSON.stringify(summary)
+  };
+}
+
+/**
+ * Compute and publish our view of an agent's reputation (kind 30102)
+ * Re-publishing replaces our previous summary for that agent.
+ * @param {string} npub - npub or hex pubkey
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<object>} - { event, reputation, delivery: report from outbox.js }
+ */
+export async function publishReputation(npub, ctx = createContext()) {
+  const reputation = await getReputation(npub, ctx);
+  const event = await ctx.signer.signEvent(buildReputationEvent(reputation));
+  const delivery = await queueEvent(event, ctx, undefined, { label: `reputation of ${reputation.agentPubkey.slice(0, 12)}...` });
+  return { event, reputation, delivery };
+}
+
+// CLI usage
+async function main() {
+  const [,, npub] = process.argv;
+  if (!npub) {
+    console.log('Usage: node src/reputation.js <npub> [--publish]');
+    process.exit(1);
+  }
+  const ctx = createContext();
+  const reputation = process.argv.includes('--publish')
+    ? (await publishReputation(npub, ctx)).reputation
+    : await getReputation(npub, ctx);
+
+  console.log(`\nReputation of ${npub.slice(0, 20)}...: ${reputation.score}/100`);
+  console.log(`   Completed: ${reputation.completedExchanges} (weighted ${reputation.basis.completed})`);
+  console.log(`   Disputed:  ${reputation.disputedExchanges} (weighted ${reputation.basis.disputed})`);
+  console.log(`   Open deals with us: ${reputation.activeExchanges}`);
+  console.log(`   Avg response: ${reputation.avgResponseTime === null ? 'unknown' : `${reputation.avgResponseTime}h`}`);
+  console.log(`   Summaries from others: ${reputation.basis.summaries}`);
+  await ctx.close();
+}
+
+// Only run CLI when executed directly
+const isMainModule = process.argv[1]?.endsWith('reputation.js');
+if (isMainModule) {
+  main().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}
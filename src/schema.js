@@ -0,0 +1,422 @@
+// ABN Event Schemas
+// Every event read from a relay goes through checkEvent(): signature,
+// JSON content and a versioned payload schema. Events that fail are kept
+// in .secrets/quarantine.json with the reason instead of reaching results.
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { verifyEvent } from 'nostr-tools';
+import { KINDS, PAYMENT_TERMS, PLACEMENTS, LINK_TYPES, DISPUTE_OUTCOMES } from './protocol.js';
+import { secretsPath } from './paths.js';
+
+export const QUARANTINE_PATH = secretsPath('quarantine.json');
+
+// Oldest entries are dropped past this
+const QUARANTINE_LIMIT = 500;
+
+const url = { type: 'url', maxLength: 2048 };
+const shortText = { type: 'string', maxLength: 200 };
+const longText = { type: 'string', maxLength: 10000 };
+const sats = { type: 'number', min: 0, max: 21e14 };
+const da = { type: 'number', min: 0, max: 100 };
+const stringList = { type: 'array', items: shortText, maxItems: 100 };
+const pubkey = { type: 'string', maxLength: 64 };
+
+// One side of an exchange: the site, and the page carrying its link
+const exchangeSide = {
+  type: 'object',
+  required: true,
+  fields: {
+    url: { ...url, required: true },
+    linkUrl: url,
+    linkPage: url,
+    verification: {
+      type: 'object',
+      fields: { verified: { type: 'boolean', required: true }, checkedAt: { type: 'date' }, message: longText, dofollow: { type: 'boolean' }, anchor: shortText }
+    }
+  }
+};
+
+// Fields a link-trade or ack DM must carry for its message type. dealId isn't
+// required so older agents' untagged messages still read.
+export const DM_REQUIRED = {
+  'trade-proposal': ['mySite'],
+  'counter-trade': ['mySite', 'yourSite'],
+  'link-placed': ['url'],
+  'trade-verified': ['confirmed'],
+  ack: ['ackId']
+};
+
+// Payload schemas by type and version. A payload's version is its `v`
+// field; payloads without one are version 1.
+export const SCHEMAS = {
+  site: {
+    1: {
+      name: { ...shortText, required: true },
+      url: { ...url, required: true },
+      city: { ...shortText, required: true },
+      state: { type: 'string', maxLength: 64, required: true },
+      industry: { type: 'string', maxLength: 64, required: true },
+      da: { ...da, nullable: true },
+      wantLinks: stringList,
+      canOffer: stringList,
+      country: { type: 'string', maxLength: 64 },
+      radiusMiles: { type: 'number', min: 0, max: 20000 },
+      lat: { type: 'number', min: -90, max: 90 },
+      lng: { type: 'number', min: -180, max: 180 },
+      geohash: { type: 'string', maxLength: 12 },
+      linkPages: stringList,
+      lookingFor: stringList,
+      contact: { type: ['string', 'object'] },
+      registeredAt: { type: 'date' }
+    }
+  },
+  bid: {
+    1: {
+      type: { type: 'string', enum: ['seeking', 'offering'], required: true },
+      industry: { type: 'string', maxLength: 64, required: true },
+      targetSite: url,
+      site: url,
+      da,
+      sats,
+      placement: { type: ['string', 'array'] },
+      linkType: shortText,
+      requirements: {
+        type: 'object',
+        fields: { minDA: da, industries: stringList, states: stringList, linkType: shortText, placement: { type: ['string', 'array'] } }
+      },
+      offer: { type: 'object', fields: { sats, paymentTerms: shortText } },
+      price: { type: 'object', fields: { sats, paymentTerms: shortText } },
+      restrictions: {
+        type: 'object',
+        fields: { industries: stringList, noCompetitors: { type: 'boolean' }, maxLinks: { type: 'number', min: 0 } }
+      },
+      expiryDays: { type: 'number', min: 0, max: 3650 }
+    },
+    // One model for seeking and offering bids; see normalizeBid() in bid.js
+    2: {
+      v: { type: 'number', enum: [2], required: true },
+      type: { type: 'string', enum: ['seeking', 'offering'], required: true },
+      industry: { type: 'string', maxLength: 64, required: true },
+      site: url,
+      da: { ...da, nullable: true },
+      price: {
+        type: 'object',
+        required: true,
+        fields: { sats: { ...sats, required: true }, paymentTerms: { type: 'string', enum: PAYMENT_TERMS, required: true } }
+      },
+      placement: { type: 'array', items: { type: 'string', enum: PLACEMENTS }, maxItems: PLACEMENTS.length },
+      linkType: { type: 'string', enum: LINK_TYPES, required: true },
+      minDA: da,
+      states: stringList,
+      industries: stringList,
+      maxLinks: { type: 'number', min: 1, max: 1000, required: true },
+      noCompetitors: { type: 'boolean' },
+      expiryDays: { type: 'number', min: 0, max: 3650 },
+      message: longText
+    }
+  },
+  exchange: {
+    1: {
+      exchangeId: { ...shortText, required: true },
+      parties: { type: 'object', required: true, fields: { a: { ...pubkey, required: true }, b: { ...pubkey, required: true } } },
+      siteA: exchangeSide,
+      siteB: exchangeSide,
+      sats,
+      completedAt: { type: 'number', min: 0, required: true },
+      verified: { type: 'boolean', required: true }
+    }
+  },
+  reputation: {
+    1: {
+      agentPubkey: { ...pubkey, required: true },
+      completedExchanges: { type: 'number', min: 0, required: true },
+      activeExchanges: { type: 'number', min: 0 },
+      disputedExchanges: { type: 'number', min: 0, required: true },
+      avgResponseTime: { type: 'number', min: 0, nullable: true },
+      score: { type: 'number', min: 0, max: 100, required: true },
+      computedAt: { type: 'number', min: 0 }
+    }
+  },
+  resolution: {
+    1: {
+      disputeId: { ...shortText, required: true },
+      regarding: shortText,
+      claimant: { ...pubkey, required: true },
+      respondent: { ...pubkey, required: true },
+      arbiter: { ...pubkey, required: true },
+      outcome: { type: 'string', enum: DISPUTE_OUTCOMES, required: true },
+      summary: longText,
+      refundSats: sats,
+      agreements: { type: 'array', items: { type: 'object' }, maxItems: 2, required: true },
+      resolvedAt: { type: 'number', min: 0, required: true }
+    }
+  },
+  dm: {
+    1: {
+      type: { type: 'string', maxLength: 64, required: true },
+      dealId: shortText,
+      regarding: shortText,
+      message: longText,
+      notes: longText,
+      sats,
+      invoice: { type: 'string', maxLength: 4096 },
+      preimage: { type: 'string', maxLength: 128 },
+      liveUrl: url,
+      proof: { type: 'string', maxLength: 2048 },
+      confirmed: { type: 'boolean' },
+      linkDetails: { type: 'object' },
+      // Link trades (see deals.js)
+      mySite: url,
+      yourSite: url,
+      url,
+      anchor: shortText,
+      timestamp: { type: ['date', 'number'] },
+      // Disputes (see disputes.js)
+      disputeId: shortText,
+      arbiter: pubkey,
+      respondent: pubkey,
+      reason: longText,
+      agreement: { type: 'object' },
+      evidence: { type: 'object' },
+      outcome: { type: 'string', enum: DISPUTE_OUTCOMES },
+      summary: longText,
+      resolutionId: { type: 'string', maxLength: 64 },
+      // Link rings (see cycles.js)
+      cycleId: shortText,
+      legs: { type: 'array', items: { type: 'object' }, maxItems: 8 },
+      leg: { type: 'number', min: 0 },
+      // Delivery acks (see outbox.js)
+      ackId: shortText
+    }
+  }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+// Check one value against a field rule; returns an error or null
+function checkField(value, rule, path) {
+  const types = [].concat(rule.type);
+  const matched = types.find(type => {
+    if (type === 'url') return typeof value === 'string' && /^https?:\/\/[^\s]+$/i.test(value);
+    if (type === 'date') return typeof value === 'string' && !isNaN(Date.parse(value));
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeOf(value) === type;
+  });
+  if (!matched) {
+    return `${path} must be ${types.join(' or ')}`;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `${path} must be one of ${rule.enum.join(', ')}`;
+  }
+  if (matched === 'number') {
+    if (rule.min !== undefined && value < rule.min) return `${path} must be at least ${rule.min}`;
+    if (rule.max !== undefined && value > rule.max) return `${path} must be at most ${rule.max}`;
+  }
+  if (typeof value === 'string' && rule.maxLength && value.length > rule.maxLength) {
+    return `${path} is longer than ${rule.maxLength} characters`;
+  }
+  if (matched === 'array') {
+    if (rule.maxItems && value.length > rule.maxItems) return `${path} has more than ${rule.maxItems} items`;
+    if (rule.items) {
+      for (let i = 0; i < value.length; i++) {
+        const error = checkField(value[i], rule.items, `${path}[${i}]`);
+        if (error) return error;
+      }
+    }
+  }
+  if (matched === 'object' && rule.fields) {
+    return validateFields(value, rule.fields, `${path}.`)[0] || null;
+  }
+  return null;
+}
+
+function validateFields(data, fields, prefix = '') {
+  const errors = [];
+  for (const [name, rule] of Object.entries(fields)) {
+    const value = data[name];
+    if (value === undefined || (value === null && rule.nullable)) {
+      if (rule.required) errors.push(`${prefix}${name} is required`);
+      continue;
+    }
+    const error = checkField(value, rule, `${prefix}${name}`);
+    if (error) errors.push(error);
+  }
+  return errors;
+}
+
+/**
+ * Validate a decoded payload against its schema
+ * Unknown fields are allowed so newer clients can add them.
+ * @param {string} type - 'site', 'bid', 'exchange', 'reputation', 'resolution' or 'dm'
+ * @param {object} data - Parsed event content
+ * @returns {array} - Error messages, empty if valid
+ */
+export function validatePayload(type, data) {
+  if (typeOf(data) !== 'object') {
+    return ['content must be a JSON object'];
+  }
+  const version = data.v ?? 1;
+  const schema = SCHEMAS[type]?.[version];
+  if (!schema) {
+    return [`unsupported ${type} schema version ${version}`];
+  }
+  const errors = validateFields(data, schema);
+  if (type === 'dm') {
+    for (const name of DM_REQUIRED[data.type] || []) {
+      if (data[name] === undefined) errors.push(`${name} is required for ${data.type}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Check an incoming event and return its parsed content
+ * @param {object} event - Nostr event
+ * @param {string} type - 'site', 'bid', 'exchange', 'reputation', 'resolution' or 'dm'
+ * @param {string} content - Content to parse (default event.content; decrypted text for DMs)
+ * @returns {object} - Parsed content
+ * @throws if the signature, JSON or schema is invalid
+ */
+export function checkEvent(event, type, content = event.content) {
+  if (!verifyEvent(event)) {
+    throw new Error('invalid signature');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    throw new Error('content is not valid JSON');
+  }
+
+  const errors = validatePayload(type, data);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  if (type === 'site') {
+    const d = event.tags.find(t => t[0] === 'd')?.[1];
+    if (d !== data.url) {
+      throw new Error('d tag does not match the site url');
+    }
+  }
+  if (type === 'exchange') {
+    if (event.pubkey !== data.parties.a && event.pubkey !== data.parties.b) {
+      throw new Error('exchange record signed by someone outside the exchange');
+    }
+    if (event.tags.find(t => t[0] === 'd')?.[1] !== data.exchangeId) {
+      throw new Error('d tag does not match the exchange id');
+    }
+  }
+  if (type === 'resolution') {
+    checkResolution(event, data);
+  }
+  if (type === 'reputation' && event.tags.find(t => t[0] === 'd')?.[1] !== data.agentPubkey) {
+    throw new Error('d tag does not match the agent pubkey');
+  }
+  if (type === 'bid') {
+    for (const name of ['amount', 'price', 'slots', 'expiry', 'expiration']) {
+      const tag = event.tags.find(t => t[0] === name);
+      // v1 clients wrote amount "undefined" for bids without sats
+      if (tag && !/^\d+$/.test(tag[1] ?? '') && !(name === 'amount' && tag[1] === 'undefined')) {
+        throw new Error(`${name} tag must be a whole number`);
+      }
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Check an arbiter agreement: a party's signed choice of arbiter for a dispute
+ * @param {object} agreement - Signed ARBITER_AGREEMENT event
+ * @param {string} disputeId - Dispute it must be for
+ * @param {string} arbiter - Hex pubkey it must name
+ * @returns {boolean}
+ */
+export function isValidAgreement(agreement, disputeId, arbiter) {
+  const tag = name => agreement?.tags?.find(t => t[0] === name)?.[1];
+  return agreement?.kind === KINDS.ARBITER_AGREEMENT
+    && tag('d') === disputeId
+    && tag('p') === arbiter
+    && verifyEvent(agreement);
+}
+
+// A resolution only stands if its author is the arbiter both parties signed for
+function checkResolution(event, data) {
+  if (event.pubkey !== data.arbiter) {
+    throw new Error('resolution not signed by the arbiter');
+  }
+  if (event.tags.find(t => t[0] === 'd')?.[1] !== data.disputeId) {
+    throw new Error('d tag does not match the dispute id');
+  }
+  const signers = data.agreements
+    .filter(agreement => isValidAgreement(agreement, data.disputeId, data.arbiter))
+    .map(agreement => agreement.pubkey);
+  if (!signers.includes(data.claimant) || !signers.includes(data.respondent)) {
+    throw new Error('resolution lacks both parties\' agreement to the arbiter');
+  }
+}
+
+/**
+ * checkEvent(), quarantining the event instead of throwing
+ * @param {object} event - Nostr event
+ * @param {string} type - 'site', 'bid', 'exchange', 'reputation', 'resolution' or 'dm'
+ * @param {string} content - Content to parse (default event.content)
+ * @returns {object|null} - Parsed content, or null if quarantined
+ */
+export function acceptEvent(event, type, content = event.content) {
+  try {
+    return checkEvent(event, type, content);
+  } catch (err) {
+    quarantineEvent(event, type, err.message);
+    return null;
+  }
+}
+
+/**
+ * Read quarantined events, newest first
+ * @returns {array} - { id, pubkey, kind, type, reason, createdAt, quarantinedAt }
+ */
+export function readQuarantine() {
+  if (!existsSync(QUARANTINE_PATH)) {
+    return [];
+  }
+  return JSON.parse(readFileSync(QUARANTINE_PATH, 'utf-8')).events
+    .sort((a, b) => b.quarantinedAt.localeCompare(a.quarantinedAt));
+}
+
+/**
+ * Record an event that failed validation
+ * @param {object} event - Nostr event
+ * @param {string} type - 'site', 'bid', 'exchange', 'reputation', 'resolution' or 'dm'
+ * @param {string} reason - Why it was rejected
+ */
+export function quarantineEvent(event, type, reason) {
+  const events = readQuarantine().filter(e => e.id !== event?.id);
+  events.unshift({
+    id: event?.id ?? null,
+    pubkey: event?.pubkey ?? null,
+    kind: event?.kind ?? null,
+    type,
+    reason,
+    createdAt: event?.created_at ?? null,
+    quarantinedAt: new Date().toISOString()
+  });
+
+  mkdirSync(dirname(QUARANTINE_PATH), { recursive: true });
+  writeFileSync(QUARANTINE_PATH, JSON.stringify({ events: events.slice(0, QUARANTINE_LIMIT) }, null, 2));
+  console.log(`⚠ Quarantined ${type} event ${String(event?.id).slice(0, 8)}...: ${reason}`);
+}
+
+export function clearQuarantine() {
+  if (existsSync(QUARANTINE_PATH)) {
+    writeFileSync(QUARANTINE_PATH, JSON.stringify({ events: [] }, null, 2));
+  }
+}
@@ -0,0 +1,133 @@
+// ABN Signers
+// Modules sign and encrypt through a signer instead of touching raw keys
+
+import { finalizeEvent, generateSecretKey, getPublicKey, nip19, nip04, nip44 } from 'nostr-tools';
+import { BunkerSigner, parseBunkerInput } from 'nostr-tools/nip46';
+import { SimplePool } from 'nostr-tools/pool';
+
+// Parse an nsec or hex private key into bytes
+function parsePrivateKey(key) {
+  if (key.startsWith('nsec')) {
+    const decoded = nip19.decode(key);
+    return decoded.data;
+  }
+  // Assume hex
+  return new Uint8Array(key.match(/.{1,2}/g).map(b => parseInt(b, 16)));
+}
+
+/**
+ * Signer backed by a secret key held in this process
+ * Implements the same interface as nostr-tools' BunkerSigner:
+ * getPublicKey, signEvent, nip04Encrypt, nip04Decrypt, nip44Encrypt, nip44Decrypt
+ */
+class LocalSigner {
+  /**
+   * @param {string|Uint8Array} privateKey - nsec, hex or raw bytes
+   */
+  constructor(privateKey) {
+    this.secretKey = typeof privateKey === 'string' ? parsePrivateKey(privateKey) : privateKey;
+    this.publicKey = getPublicKey(this.secretKey);
+  }
+  
+  async getPublicKey() {
+    return this.publicKey;
+  }
+  
+  async signEvent(template) {
+    return finalizeEvent(template, this.secretKey);
+  }
+  
+  async nip04Encrypt(pubkey, plaintext) {
+    return nip04.encrypt(this.secretKey, pubkey, plaintext);
+  }
+  
+  async nip04Decrypt(pubkey, ciphertext) {
+    return nip04.decrypt(this.secretKey, pubkey, ciphertext);
+  }
+  
+  async nip44Encrypt(pubkey, plaintext) {
+    return nip44.encrypt(plaintext, nip44.getConversationKey(this.secretKey, pubkey));
+  }
+  
+  async nip44Decrypt(pubkey, ciphertext) {
+    return nip44.decrypt(ciphertext, nip44.getConversationKey(this.secretKey, pubkey));
+  }
+}
+
+/**
+ * NIP-46 remote signer ("bunker")
+ * The user's key stays on the bunker. This process only holds a client key
+ * that the bunker authorizes on connect. Connects on first use.
+ */
+class RemoteSigner {
+  /**
+   * @param {string} bunkerUri - bunker://<pubkey>?relay=wss://...&secret=... or a NIP-05 address
+   * @param {object} options - { clientSecretKey, pool, onauth }
+   */
+  constructor(bunkerUri, options = {}) {
+    this.bunkerUri = bunkerUri;
+    this.clientSecretKey = options.clientSecretKey || generateSecretKey();
+    this.ownPool = !options.pool;
+    this.params = {
+      pool: options.pool || new SimplePool(),
+      onauth: options.onauth || (url => console.log(`Approve this client in your bunker: ${url}`))
+    };
+    this.connecting = null;
+  }
+  
+  /**
+   * Connect to the bunker (once) and return the underlying BunkerSigner
+   */
+  connect() {
+    if (!this.connecting) {
+      this.connecting = (async () => {
+        const pointer = await parseBunkerInput(this.bunkerUri);
+        if (!pointer) {
+          throw new Error(`Invalid bunker URI: ${this.bunkerUri}`);
+        }
+        const bunker = BunkerSigner.fromBunker(this.clientSecretKey, pointer, this.params);
+        await bunker.connect();
+        return bunker;
+      })();
+      // Let the next call retry after a failed connect
+      this.connecting.catch(() => { this.connecting = null; });
+    }
+    return this.connecting;
+  }
+  
+  async getPublicKey() {
+    return (await this.connect()).getPublicKey();
+  }
+  
+  async signEvent(template) {
+    return (await this.connect()).signEvent(template);
+  }
+  
+  async nip04Encrypt(pubkey, plaintext) {
+    return (await this.connect()).nip04Encrypt(pubkey, plaintext);
+  }
+  
+  async nip04Decrypt(pubkey, ciphertext) {
+    return (await this.connect()).nip04Decrypt(pubkey, ciphertext);
+  }
+  
+  async nip44Encrypt(pubkey, plaintext) {
+    return (await this.connect()).nip44Encrypt(pubkey, plaintext);
+  }
+  
+  async nip44Decrypt(pubkey, ciphertext) {
+    return (await this.connect()).nip44Decrypt(pubkey, ciphertext);
+  }
+  
+  async close() {
+    if (this.connecting) {
+      const bunker = await this.connecting.catch(() => null);
+      await bunker?.close();
+      if (bunker && this.ownPool) {
+        this.params.pool.close(bunker.bp.relays);
+      }
+    }
+  }
+}
+
+export { LocalSigner, RemoteSigner, parsePrivateKey };
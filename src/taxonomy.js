@@ -0,0 +1,359 @@
+// ABN Industry Taxonomy
+// Loads the industry hierarchy (categories, synonyms, NAICS codes and
+// weighted relations) from src/data/industries.json, or from the file
+// named by ABN_TAXONOMY.
+//
+// A custom file uses the same shape. With "extends": "default" its
+// industries are merged over the built-in ones instead of replacing them.
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_TAXONOMY_PATH = join(__dirname, 'data', 'industries.json');
+
+const DEFAULT_WEIGHTS = { parent: 0.6, sibling: 0.4, relatedThreshold: 0.5 };
+
+/**
+ * Reduce an industry name to its lookup key
+ * "Heating & Cooling" -> "heating-and-cooling"
+ * @param {string} name - Free-form industry name
+ * @returns {string}
+ */
+function slug(name) {
+  return String(name ?? '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+export class Taxonomy {
+  /**
+   * @param {object} data - { version, weights, industries: { id: { name, parent, naics, synonyms, related } } }
+   */
+  constructor(data) {
+    if (!data?.industries || typeof data.industries !== 'object') {
+      throw new Error('Taxonomy must have an "industries" object');
+    }
+
+    this.version = data.version || 1;
+    this.weights = { ...DEFAULT_WEIGHTS, ...data.weights };
+    this.industries = {};
+    this.index = new Map();
+
+    for (const [id, entry] of Object.entries(data.industries)) {
+      this.industries[id] = {
+        id,
+        name: entry.name || id,
+        parent: entry.parent || null,
+        naics: entry.naics || null,
+        synonyms: entry.synonyms || [],
+        related: entry.related || {}
+      };
+    }
+
+    for (const entry of Object.values(this.industries)) {
+      if (entry.parent && !this.industries[entry.parent]) {
+        throw new Error(`Industry "${entry.id}" has unknown parent "${entry.parent}"`);
+      }
+      for (const key of [entry.id, entry.name, ...entry.synonyms]) {
+        // First definition wins so a synonym can't shadow a real id
+        if (!this.index.has(slug(key))) {
+          this.index.set(slug(key), entry.id);
+        }
+      }
+    }
+  }
+
+  /**
+   * Map a free-form industry name, synonym or NAICS code to its id
+   * @param {string} name - e.g. "Plumber", "heating & cooling", "238220"
+   * @returns {string|null} - Industry id, or null if unknown
+   */
+  normalize(name) {
+    const key = slug(name);
+    if (!key) return null;
+
+    if (this.index.has(key)) return this.index.get(key);
+
+    // Simple plurals: "roofers" -> "roofer"
+    if (key.endsWith('s') && this.index.has(key.slice(0, -1))) {
+      return this.index.get(key.slice(0, -1));
+    }
+
+    if (/^\d{2,6}$/.test(key)) {
+      return this.byNaics(key)[0] || null;
+    }
+
+    return null;
+  }
+
+  /**
+   * @param {string} name - Industry name or id
+   * @returns {object|null} - { id, name, parent, naics, synonyms, related }
+   */
+  get(name) {
+    const id = this.normalize(name);
+    return id ? this.industries[id] : null;
+  }
+
+  /**
+   * @returns {array} - All industry entries
+   */
+  list() {
+    return Object.values(this.industries);
+  }
+
+  /**
+   * Parent categories from nearest to the root
+   * @param {string} name - Industry name or id
+   * @returns {array} - Industry ids
+   */
+  ancestors(name) {
+    const result = [];
+    let entry = this.get(name);
+    while (entry?.parent && !result.includes(entry.parent)) {
+      result.push(entry.parent);
+      entry = this.industries[entry.parent];
+    }
+    return result;
+  }
+
+  /**
+   * Direct sub-categories
+   * @param {string} name - Industry name or id
+   * @returns {array} - Industry ids
+   */
+  children(name) {
+    const id = this.normalize(name);
+    return this.list().filter(e => e.parent === id).map(e => e.id);
+  }
+
+  /**
+   * All sub-categories at any depth
+   * @param {string} name - Industry name or id
+   * @returns {array} - Industry ids
+   */
+  descendants(name) {
+    const id = this.normalize(name);
+    if (!id) return [];
+    return this.list()
+      .filter(e => this.ancestors(e.id).includes(id))
+      .map(e => e.id);
+  }
+
+  /**
+   * Industries whose NAICS code starts with the given prefix
+   * @param {string} code - 2-6 digit NAICS code
+   * @returns {array} - Industry ids, most specific code first
+   */
+  byNaics(code) {
+    return this.list()
+      .filter(e => e.naics && (e.naics.startsWith(code) || code.startsWith(e.naics)))
+      .sort((a, b) => b.naics.length - a.naics.length)
+      .map(e => e.id);
+  }
+
+  /**
+   * How related two industries are, from 0 (unrelated) to 1 (same)
+   * Explicit relations win; otherwise parent/child and sibling links
+   * give a default weight. A relation declared on a category also
+   * applies, discounted, to everything under it.
+   * @param {string} a - Industry name or id
+   * @param {string} b - Industry name or id
+   * @returns {number}
+   */
+  relatedness(a, b) {
+    const idA = this.normalize(a);
+    const idB = this.normalize(b);
+    if (!idA || !idB) {
+      return slug(a) && slug(a) === slug(b) ? 1 : 0;
+    }
+    if (idA === idB) return 1;
+
+    const { parent, sibling } = this.weights;
+    const chainA = [idA, ...this.ancestors(idA)];
+    const chainB = [idB, ...this.ancestors(idB)];
+    let best = 0;
+
+    // Ancestor / descendant
+    if (chainA.includes(idB)) best = Math.max(best, parent ** chainA.indexOf(idB));
+    if (chainB.includes(idA)) best = Math.max(best, parent ** chainB.indexOf(idA));
+
+    // Siblings
+    if (this.industries[idA].parent && this.industries[idA].parent === this.industries[idB].parent) {
+      best = Math.max(best, sibling);
+    }
+
+    // Declared relations, in either direction, between the two chains
+    chainA.forEach((x, i) => {
+      chainB.forEach((y, j) => {
+        const weight = Math.max(
+          this.industries[x].related[y] || 0,
+          this.industries[y].related[x] || 0
+        );
+        if (weight) best = Math.max(best, weight * parent ** (i + j));
+      });
+    });
+
+    return Math.round(best * 100) / 100;
+  }
+
+  /**
+   * Whether two different industries are related enough to count as a match
+   * @param {string} a - Industry name or id
+   * @param {string} b - Industry name or id
+   * @returns {boolean}
+   */
+  isRelated(a, b) {
+    const weight = this.relatedness(a, b);
+    return weight < 1 && weight >= this.weights.relatedThreshold;
+  }
+
+  /**
+   * Whether an industry satisfies a search for another
+   * Matches the industry itself and anything under it; with `related`,
+   * also anything at or above `minWeight` relatedness.
+   * @param {string} industry - The site's or bid's industry
+   * @param {string} wanted - The industry searched for
+   * @param {object} options - { related: false, minWeight }
+   * @returns {boolean}
+   */
+  matches(industry, wanted, options = {}) {
+    if (!wanted) return true;
+    const id = this.normalize(industry);
+    const wantedId = this.normalize(wanted);
+    if (!id || !wantedId) {
+      return slug(industry) === slug(wanted);
+    }
+    if (id === wantedId || this.ancestors(id).includes(wantedId)) return true;
+    if (options.related) {
+      return this.relatedness(id, wantedId) >= (options.minWeight ?? this.weights.relatedThreshold);
+    }
+    return false;
+  }
+
+  /**
+   * Closest known industries for an unrecognised name
+   * @param {string} name - Industry name
+   * @param {number} limit - Max suggestions
+   * @returns {array} - Industry ids
+   */
+  suggest(name, limit = 3) {
+    const key = slug(name);
+    if (!key) return [];
+    const words = term => term.split('-').filter(w => w.length > 2);
+    const scores = new Map();
+    for (const [term, id] of this.index) {
+      // Words the two names share, counted from both sides
+      const score = words(key).filter(w => term.includes(w)).length
+        + words(term).filter(w => key.includes(w)).length;
+      if (score > (scores.get(id) || 0)) {
+        scores.set(id, score);
+      }
+    }
+    return [...scores]
+      .filter(([, score]) => score > 0)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([id]) => id);
+  }
+}
+
+/**
+ * Load a taxonomy from a JSON file or a plain object
+ * @param {string|object} source - Path or taxonomy data (default: ABN_TAXONOMY or the built-in file)
+ * @returns {Taxonomy}
+ */
+export function loadTaxonomy(source = process.env.ABN_TAXONOMY || DEFAULT_TAXONOMY_PATH) {
+  const data = typeof source === 'string'
+    ? JSON.parse(readFileSync(source, 'utf-8'))
+    : source;
+
+  if (data.extends === 'default') {
+    const base = JSON.parse(readFileSync(DEFAULT_TAXONOMY_PATH, 'utf-8'));
+    return new Taxonomy({
+      version: data.version || base.version,
+      weights: { ...base.weights, ...data.weights },
+      industries: { ...base.industries, ...data.industries }
+    });
+  }
+
+  return new Taxonomy(data);
+}
+
+let active = null;
+
+/**
+ * The taxonomy used by matching, filters and validation
+ * @returns {Taxonomy}
+ */
+export function getTaxonomy() {
+  if (!active) {
+    active = loadTaxonomy();
+  }
+  return active;
+}
+
+/**
+ * Replace the active taxonomy
+ * @param {Taxonomy|string|object} taxonomy - Instance, path or taxonomy data
+ * @returns {Taxonomy}
+ */
+export function setTaxonomy(taxonomy) {
+  active = taxonomy instanceof Taxonomy ? taxonomy : loadTaxonomy(taxonomy);
+  return active;
+}
+
+export function normalizeIndustry(name) {
+  return getTaxonomy().normalize(name);
+}
+
+export function isRelatedIndustry(a, b) {
+  return getTaxonomy().isRelated(a, b);
+}
+
+export function industryRelatedness(a, b) {
+  return getTaxonomy().relatedness(a, b);
+}
+
+export function matchesIndustry(industry, wanted, options = {}) {
+  return getTaxonomy().matches(industry, wanted, options);
+}
+
+/**
+ * Check a site or bid industry against the taxonomy
+ * @param {string} name - Industry name
+ * @returns {string} - Industry id
+ * @throws if the industry is unknown
+ */
+export function validateIndustry(name) {
+  const id = normalizeIndustry(name);
+  if (!id) {
+    const suggestions = getTaxonomy().suggest(name);
+    const hint = suggestions.length ? ` Did you mean: ${suggestions.join(', ')}?` : '';
+    throw new Error(`Unknown industry "${name}".${hint} Add it to the taxonomy (ABN_TAXONOMY) if it's missing.`);
+  }
+  return id;
+}
+
+/**
+ * Event tags describing an industry: its id, parent categories and NAICS code
+ * Unknown industries are tagged as given.
+ * @param {string} name - Industry name
+ * @returns {array} - Nostr tags
+ */
+export function industryTags(name) {
+  const entry = getTaxonomy().get(name);
+  if (!entry) {
+    return [['t', name]];
+  }
+  return [
+    ['t', entry.id],
+    ...getTaxonomy().ancestors(entry.id).map(id => ['t', id]),
+    ...(entry.naics ? [['naics', entry.naics]] : [])
+  ];
+}
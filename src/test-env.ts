@@ -0,0 +1,15 @@
+/**
+ * Test environment for test.ts
+ *
+ * Imported before anything else, so every module resolves its .secrets
+ * paths into a throwaway directory instead of the checkout's.
+ */
+
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const secretsDir = mkdtempSync(join(tmpdir(), 'abn-test-'));
+process.env.ABN_SECRETS_DIR = secretsDir;
+delete process.env.ABN_STATE_PATH;
+process.on('exit', () => rmSync(secretsDir, { recursive: true, force: true }));
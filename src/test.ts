@@ -4,14 +4,49 @@
  * Run: npm run test
  */
 
-import { webcrypto } from 'node:crypto';
+import './test-env.js';
+import { webcrypto, createHash } from 'node:crypto';
+import { mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { createServer } from 'node:http';
 // @ts-ignore - polyfill for Node < 20
 if (!globalThis.crypto) globalThis.crypto = webcrypto;
 
-import 'websocket-polyfill';
-import { NostrClient, parseSiteEvent, DEFAULT_RELAYS } from './lib/nostr.js';
+import WebSocket from 'ws';
+import { useWebSocketImplementation } from 'nostr-tools/pool';
+import { matchFilter, type EventTemplate } from 'nostr-tools';
+import { NostrClient, parseSiteEvent, toSiteRecord, DEFAULT_RELAYS } from './lib/nostr.js';
 import { verifyLink } from './lib/verifier.js';
 import { loadState, addSite, getSites, getStatePath } from './lib/state.js';
+import { LocalBunker } from './bunker.js';
+import { RemoteSigner, LocalSigner } from './signer.js';
+import { buildSiteEvent, registerSite } from './register.js';
+import { verifyDomainOwnership, isPublicHost, checkSites } from './ownership.js';
+import { fetchPage } from './verify.js';
+import { createContext } from './config.js';
+import { findMatches, parseSite, siteFilter } from './query.js';
+import { readQuarantine, checkEvent, validatePayload } from './schema.js';
+import { KEYSTORE_PATH, readKeystore, storedNpub, saveKey, encryptLegacyKey, unlockKeystore } from './keystore.js';
+import { KINDS, LEGACY_KINDS, PROTOCOL_VERSION, protocolVersion, latestListings, isExpired } from './protocol.js';
+import { migrateEvent } from './migrate.js';
+import { buildBidEvent, normalizeBid, validateBid, readBid } from './bid.js';
+import { bidFilters, bidMatches } from './watch.js';
+import { matchDeals } from './matcher.js';
+import { buildExchangeEvent, groupExchanges } from './exchanges.js';
+import { computeReputation, buildReputationEvent } from './reputation.js';
+import { buildResolutionEvent, readResolutions, bundleEvidence, assembleDispute } from './disputes.js';
+import { findCycles, applyCycleMessage, cycleStatus } from './cycles.js';
+import { buildLinkGraph, analyzeFootprint, checkFootprint, anchorType } from './footprint.js';
+import { buildGiftWrap, unwrapDM, buildDMEvent, decryptDM, describeMessage, MessageTypes } from './dm.js';
+import { buildDeals, checkTransition, newDeal, applyDealMessage } from './deals.js';
+import { ABN } from './abn.js';
+import { decide, priceAt, checkPartner, DEFAULT_POLICY } from './negotiator.js';
+import { queueEvent, flushOutbox, deliveryReport, applyAcks, backoff, isRetryable, entryStatus } from './outbox.js';
+import { mergeListing, dropDeleted, deleteListing } from './listings.js';
+import { normalizeIndustry, matchesIndustry, isRelatedIndustry } from './taxonomy.js';
+import { addClient, readAllDMs } from './clients.js';
+
+useWebSocketImplementation(WebSocket);
 
 async function test() {
   console.log('🧪 Agent Backlink Network - Test Suite\n');
@@ -110,6 +145,540 @@ async function test() {
   console.log(`   ✓ Event created with ID: ${testEvent.id.slice(0, 16)}...`);
   console.log(`   ✓ Event signature valid: ${testEvent.sig.slice(0, 16)}...`);
 
+  // Test 6: NIP-46 remote signing against a local bunker
+  console.log('\n6️⃣ Testing remote signer (NIP-46)...');
+  const { generateSecretKey, getPublicKey, verifyEvent } = await import('nostr-tools');
+  const pool = memoryPool();
+  const bunkerKey = generateSecretKey();
+  const bunker = new LocalBunker(bunkerKey, { relays: ['memory://'], pool: pool as any }).start();
+  const signer = new RemoteSigner(bunker.uri, { pool: pool as any });
+
+  const remotePubkey = await signer.getPublicKey();
+  assert(remotePubkey === getPublicKey(bunkerKey), 'bunker returns its public key');
+  console.log(`   ✓ Connected to bunker ${remotePubkey.slice(0, 16)}...`);
+
+  const signed = await signer.signEvent(buildSiteEvent({
+    name: testSite.businessName,
+    url: testSite.url,
+    city: testSite.location.city,
+    state: testSite.location.state,
+    industry: testSite.businessType,
+  }) as any);
+  assert(verifyEvent(signed) && signed.pubkey === remotePubkey, 'bunker signs registrations');
+  console.log(`   ✓ Registration signed remotely: ${signed.id.slice(0, 16)}...`);
+
+  const peer = generateSecretKey();
+  const ciphertext = await signer.nip04Encrypt(getPublicKey(peer), 'hello');
+  assert(await signer.nip04Decrypt(getPublicKey(peer), ciphertext) === 'hello', 'bunker round-trips NIP-04');
+  assert(await signer.nip44Decrypt(getPublicKey(peer), await signer.nip44Encrypt(getPublicKey(peer), 'hello')) === 'hello', 'bunker round-trips NIP-44');
+  console.log('   ✓ NIP-04 and NIP-44 encrypt/decrypt through bunker');
+
+  const stranger = new RemoteSigner(bunker.uri.replace(/secret=\w+/, 'secret=wrong'), { pool: pool as any });
+  const rejected = await stranger.getPublicKey().then(() => false, () => true);
+  assert(rejected, 'bunker rejects a wrong secret');
+  console.log('   ✓ Wrong secret rejected');
+
+  await signer.close();
+  await stranger.close();
+  bunker.stop();
+
+  // Test 7: Industry taxonomy
+  console.log('\n7️⃣ Testing industry taxonomy...');
+  assert(normalizeIndustry('Exterminators') === 'pest-control', 'synonyms normalize to an industry id');
+  assert(matchesIndustry('plumber', 'home-services'), 'a category matches its sub-categories');
+  assert(isRelatedIndustry('plumbing', 'hvac') && !isRelatedIndustry('plumbing', 'dental'), 'relatedness is weighted');
+  const [match] = findMatches(
+    { url: 'https://a.example', city: 'Austin', state: 'TX', industry: 'auto repair' },
+    [{ url: 'https://b.example', city: 'Dallas', state: 'TX', industry: 'towing' }]
+  );
+  assert(match?.matchScore > 50, 'related automotive sites match');
+  console.log('   ✓ Synonyms, categories and related industries resolve');
+
+  // Test 8: Incoming event validation
+  console.log('\n8️⃣ Testing event validation...');
+  const validSite = finalizeEvent(buildSiteEvent(toSiteRecord(testSite)) as EventTemplate, hexToBytes(state.privateKey));
+  assert(parseSite(validSite) !== null, 'valid registrations parse');
+  const tampered = JSON.parse(JSON.stringify(validSite).replace('San Diego', 'Tijuana'));
+  assert(parseSite(tampered) === null, 'tampered events are rejected');
+  const badDA = finalizeEvent({ ...validSite, content: JSON.stringify({ ...JSON.parse(validSite.content), da: 'high' }) }, hexToBytes(state.privateKey));
+  assert(parseSite(badDA) === null, 'schema violations are rejected');
+  assert(readQuarantine().some((e: any) => e.id === badDA.id && /da must be number/.test(e.reason)), 'rejections are quarantined with a reason');
+  console.log('   ✓ Bad signatures and schema violations quarantined');
+
+  // Test 9: Protocol versions
+  console.log('\n9️⃣ Testing protocol migration...');
+  const legacy = finalizeEvent({ ...validSite, kind: LEGACY_KINDS.SITE_REGISTRATION, tags: validSite.tags.filter(t => t[0] !== 'v') }, hexToBytes(state.privateKey));
+  const upgraded = finalizeEvent(migrateEvent(legacy) as EventTemplate, hexToBytes(state.privateKey));
+  assert(upgraded.kind === KINDS.SITE_REGISTRATION && protocolVersion(upgraded) === PROTOCOL_VERSION, 'legacy events move to the current kind and version');
+  assert(parseSite(legacy) !== null && parseSite(upgraded) !== null, 'both kind schemes are readable');
+  assert(latestListings([legacy, upgraded])[0] === upgraded, 'the current version wins over legacy');
+  const legacyBid = finalizeEvent({
+    kind: LEGACY_KINDS.LINK_BID,
+    created_at: validSite.created_at,
+    tags: [['d', 'bid-v1'], ['t', 'abn-bid'], ['t', 'seeking'], ['expiry', String(validSite.created_at + 86400)]],
+    content: JSON.stringify({ type: 'seeking', industry: 'plumbing', targetSite: 'https://acmeplumbing.com', sats: 5000, requirements: { placement: 'partners', minDA: 25 } })
+  }, hexToBytes(state.privateKey));
+  const upgradedBid = finalizeEvent(migrateEvent(legacyBid) as EventTemplate, hexToBytes(state.privateKey));
+  const bidTag = (name: string) => upgradedBid.tags.filter(t => t[0] === name).map(t => t[1]);
+  assert(upgradedBid.kind === KINDS.LINK_BID && bidTag('d')[0] === 'bid-v1', 'legacy bids keep their id on the current kind');
+  assert(bidTag('f')[0] === 'partners-page' && bidTag('y')[0] === 'any' && bidTag('s')[0] === '*' && bidTag('n')[0] === '*' && bidTag('z')[0] === '20', 'migrated bids get the query tags');
+  assert(bidTag('expiration')[0] === String(validSite.created_at + 86400), 'migrated bids keep their expiry as NIP-40 expiration');
+  const unpriced = finalizeEvent({ ...legacyBid, content: JSON.stringify({ type: 'seeking', industry: 'plumbing', targetSite: 'https://acmeplumbing.com' }) }, hexToBytes(state.privateKey));
+  const unpricedError = await Promise.resolve().then(() => migrateEvent(unpriced)).catch((err: Error) => err.message);
+  assert(String(unpricedError).startsWith('Invalid bid') && String(unpricedError).includes('price'), "a legacy bid with no price isn't migrated");
+  console.log('   ✓ Legacy listings migrate to protocol v' + PROTOCOL_VERSION);
+
+  // Test 10: Listing lifecycle
+  console.log('\n🔟 Testing listing updates and cancellation...');
+  const bidEvent = finalizeEvent(buildBidEvent({ type: 'seeking', industry: 'plumbing', sats: 5000 }, 'bid-test', validSite.created_at + 86400) as EventTemplate, hexToBytes(state.privateKey));
+  assert(bidEvent.tags.some(t => t[0] === 'expiration') && !isExpired(bidEvent), 'bids carry a NIP-40 expiration');
+  const merged = mergeListing({ offer: { sats: 5000, paymentTerms: 'upfront' } }, { offer: { sats: 6000 } }) as any;
+  assert(merged.offer.sats === 6000 && merged.offer.paymentTerms === 'upfront', 'updates merge nested fields');
+  const deletion = finalizeEvent({
+    kind: KINDS.DELETION,
+    created_at: validSite.created_at,
+    tags: [['a', `${validSite.kind}:${validSite.pubkey}:${testSite.url}`], ['k', String(validSite.kind)]],
+    content: '',
+  }, hexToBytes(state.privateKey));
+  const deletions = { querySync: async (_relays: string[], filter: any) => [deletion].filter((e) => matchFilter(filter, e)) };
+  const relisted = finalizeEvent({ ...validSite, created_at: validSite.created_at + 10 }, hexToBytes(state.privateKey));
+  assert((await dropDeleted([validSite], deletions, [])).length === 0, 'cancelled listings are dropped');
+  assert((await dropDeleted([relisted], deletions, [])).length === 1, 'listings re-published after cancelling show again');
+  console.log('   ✓ Expiration, in-place updates and NIP-09 deletions');
+
+  // Test 11: Domain ownership
+  console.log('\n1️⃣1️⃣ Testing domain ownership proof...');
+  const proof = await verifyDomainOwnership(testSite.url, validSite.pubkey) as any;
+  assert(!proof.verified && Object.keys(proof.errors).length === 3, 'all three proof methods are tried');
+  const refused = await registerSite(toSiteRecord(testSite), createContext({ privateKey: state.privateKey })).then(
+    () => false,
+    (err: Error) => err.message.startsWith('Domain ownership not verified'),
+  );
+  assert(refused, 'unproven domains are refused at registration');
+  const localHosts = await Promise.all(['localhost', '127.0.0.1', '10.1.2.3', '192.168.0.1', '169.254.169.254', '[::1]', 'printer.local'].map(isPublicHost));
+  assert(localHosts.every(ok => !ok) && await isPublicHost('93.184.216.34'), 'loopback and private hosts are never probed');
+  const internal = await verifyDomainOwnership('http://169.254.169.254/latest', validSite.pubkey) as any;
+  assert(!internal.verified && Object.keys(internal.errors).join() === 'host', 'a listing naming a private host is refused without a request');
+  const unchecked = await checkSites([{ url: 'https://never-checked.example', pubkey: validSite.pubkey }], {}, { cachedOnly: true }) as any[];
+  assert(unchecked[0].domainVerified === undefined, 'by default queries only read cached proofs');
+  const redirector = createServer((req, res) => {
+    if (req.url === '/big') {
+      res.end('x'.repeat(100000));
+      return;
+    }
+    res.writeHead(302, { Location: req.url === '/private' ? 'http://169.254.169.254/latest/meta-data/' : '/loop' });
+    res.end();
+  });
+  await new Promise<void>(resolve => redirector.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${(redirector.address() as any).port}`;
+  const thisHostOnly = async (host: string) => host === '127.0.0.1' || isPublicHost(host);
+  const rebound = await fetchPage(`${origin}/private`, { allowHost: thisHostOnly }).catch((err: Error) => err.message);
+  assert(String(rebound).includes('169.254.169.254'), 'a redirect to a private address is refused');
+  const looped = await fetchPage(`${origin}/loop`).catch((err: Error) => err.message);
+  assert(String(looped).startsWith('Too many redirects'), 'redirect loops stop');
+  assert((await fetchPage(`${origin}/big`, { maxBytes: 1000 })).length === 1000, 'bodies are read up to a limit');
+  redirector.close();
+  console.log('   ✓ Unproven domains refused, private hosts never probed, even through redirects');
+
+  // Test 12: Geographic search
+  console.log('\n1️⃣2️⃣ Testing geographic search...');
+  const london = { url: 'https://a.example', city: 'London', state: 'ENG', country: 'GB', industry: 'plumbing', lat: 51.5074, lng: -0.1278, radiusMiles: 20 };
+  const croydon = { url: 'https://b.example', city: 'Croydon', state: 'ENG', country: 'GB', industry: 'hvac', lat: 51.3762, lng: -0.0982, radiusMiles: 15 };
+  const leeds = { ...croydon, url: 'https://c.example', city: 'Leeds', lat: 53.8008, lng: -1.5491 };
+  const croydonEvent = finalizeEvent(buildSiteEvent(croydon) as EventTemplate, hexToBytes(state.privateKey));
+  assert(matchFilter(siteFilter({ near: london, radiusMiles: 25 }) as any, croydonEvent), 'geohash tags match a nearby search');
+  assert(!matchFilter(siteFilter({ near: '53.8008,-1.5491', radiusMiles: 10 }) as any, croydonEvent), 'distant sites are filtered on the relay');
+  const ranked = findMatches(london, [leeds, croydon]);
+  assert(ranked[0].url === croydon.url && Math.round(ranked[0].distanceMiles) === 9, 'overlapping service areas rank first');
+  console.log('   ✓ Geohash filters and distance scoring');
+
+  // Test 13: Canonical bid model
+  console.log('\n1️⃣3️⃣ Testing the bid model...');
+  const legacyOffer = normalizeBid({
+    type: 'offering', site: 'https://bestroofing.com', industry: 'roofers', da: 35, placement: 'partners',
+    linkType: 'dofollow', price: { sats: 3000, paymentTerms: 'upfront' },
+    restrictions: { industries: ['roofing', 'home-improvement'], noCompetitors: true, maxLinks: 5 },
+  }) as any;
+  assert(legacyOffer.industry === 'roofing' && legacyOffer.placement[0] === 'partners-page' && legacyOffer.maxLinks === 5, 'v1 offering bids are normalized');
+  assert((normalizeBid({ type: 'seeking', industry: 'plumbing', offer: { sats: 5000 }, requirements: { minDA: 25 } }) as any).price.sats === 5000, 'offer.sats becomes price.sats');
+  assert(validateBid(legacyOffer).length === 0, 'normalized bids validate');
+  assert(validateBid(normalizeBid({ type: 'seeking', industry: 'plumbing', site: 'https://acmeplumbing.com' })).length > 0, 'seeking bids need a price');
+  const offerEvent = finalizeEvent(buildBidEvent(legacyOffer, 'bid-offer', validSite.created_at + 86400) as EventTemplate, hexToBytes(state.privateKey));
+  checkEvent(offerEvent, 'bid');
+  assert(offerEvent.tags.some(t => t[0] === 'price' && t[1] === '3000'), 'price is tagged');
+  assert(matchFilter(bidFilters({ type: 'offering', placement: 'partners-page', state: 'ca', minDA: 30 })[0] as any, offerEvent), 'relays can filter on placement, state and DA');
+  assert(!matchFilter(bidFilters({ type: 'offering', linkType: 'nofollow' })[0] as any, offerEvent), 'relays filter out other link types');
+  assert(bidMatches(readBid(offerEvent), { forIndustry: 'plumbing', maxPrice: 5000 }), 'home services accepted, within budget');
+  assert(!bidMatches(readBid(offerEvent), { minDA: 40 }), 'readers check the exact DA');
+  console.log('   ✓ One model for seeking and offering bids, with queryable tags');
+
+  // Test 14: Deal matching
+  console.log('\n1️⃣4️⃣ Testing the deal matcher...');
+  const peerPub = getPublicKey(peer);
+  const seekingEvent = finalizeEvent(buildBidEvent({
+    type: 'seeking', site: 'https://acmeplumbing.com', industry: 'plumbing', price: { sats: 5000, paymentTerms: 'upfront' },
+    placement: ['partners-page', 'content'], linkType: 'dofollow', minDA: 25, states: ['CA'], maxLinks: 1,
+  }, 'bid-seek', validSite.created_at + 86400) as EventTemplate, hexToBytes(state.privateKey));
+  const peerOffer = finalizeEvent(buildBidEvent(legacyOffer, 'bid-offer', validSite.created_at + 86400) as EventTemplate, peer);
+  const hosts = [
+    { url: 'https://bestroofing.com', industry: 'roofing', state: 'CA', da: 35, pubkey: peerPub },
+    { url: 'https://sparky.example', industry: 'electrical', state: 'CA', da: 40, canOffer: ['content'], pubkey: peerPub },
+    { url: 'https://weak.example', industry: 'hvac', state: 'CA', da: 20, pubkey: peerPub },
+  ];
+  const deals = matchDeals({ bids: [seekingEvent, peerOffer], sites: hosts }, { includeFailed: true }) as any[];
+  const failed = (url: string) => deals.find(d => (d.offering?.bid.site || d.site?.url) === url).checks.filter((c: any) => !c.pass).map((c: any) => c.check);
+  assert(deals.filter(d => d.pass).length === 1, 'a seeking bid only fills its maxLinks slots');
+  assert(failed('https://weak.example').includes('da'), 'DA requirements are enforced');
+  assert([failed('https://bestroofing.com'), failed('https://sparky.example')].flat().join() === 'slots', 'the runner-up loses only on slots');
+  const cheap = finalizeEvent(buildBidEvent({ ...readBid(seekingEvent), price: { sats: 1000, paymentTerms: 'upfront' } }, 'bid-cheap', validSite.created_at + 86400) as EventTemplate, hexToBytes(state.privateKey));
+  const tooCheap = matchDeals({ bids: [cheap, peerOffer] }, { includeFailed: true }) as any[];
+  assert(tooCheap[0].checks.find((c: any) => c.check === 'price').pass === false, 'the price must cover the ask');
+  console.log('   ✓ Requirements, restrictions, price and slots checked with reasons');
+
+  // Test 15: Explainable match scoring
+  console.log('\n1️⃣5️⃣ Testing match scoring...');
+  const rival = { ...london, url: 'https://rival.example', lat: 51.52, lng: -0.1, canOffer: ['blog'] };
+  const distant = { ...leeds, industry: 'plumbing', canOffer: ['blog'] };
+  const scored = findMatches({ ...london, canOffer: ['footer'] }, [rival, distant, croydon]) as any[];
+  assert(!scored.some(m => m.url === rival.url), 'nearby same-trade competitors are excluded');
+  assert(scored.some(m => m.url === distant.url), 'the same trade in another area is not a competitor');
+  const flagged = findMatches(london, [rival], { includeCompetitors: true, minScore: 0 }) as any[];
+  assert(flagged[0].competitor === true, 'competitors can be shown, flagged');
+  const [top] = scored;
+  const factors = Object.values(top.scoreBreakdown) as any[];
+  assert(factors.reduce((sum, f) => sum + f.points, 0) === top.matchScore && factors.every(f => f.reason), 'scores break down by factor with reasons');
+  assert(scored.find(m => m.url === distant.url).scoreBreakdown.links.points === 20, 'two-way placements earn the links weight');
+  const reweighted = findMatches(london, [croydon], { weights: { local: 0, apart: 0, authority: 0, links: 0 }, minScore: 0 }) as any[];
+  assert(reweighted[0].matchScore === reweighted[0].scoreBreakdown.industry.points, 'weights are configurable');
+  console.log('   ✓ Competitors excluded, weights configurable, per-factor breakdown');
+
+  // Test 16: Exchange records
+  console.log('\n1️⃣6️⃣ Testing exchange records...');
+  const record = {
+    exchangeId: 'deal-1',
+    parties: { a: validSite.pubkey, b: peerPub },
+    siteA: { url: 'https://acmeplumbing.com', linkUrl: 'https://bestroofing.com/partners', verification: { verified: true } },
+    siteB: { url: 'https://bestroofing.com', linkUrl: 'https://acmeplumbing.com/friends', verification: { verified: true } },
+    completedAt: validSite.created_at,
+    verified: true,
+  };
+  const recorded = finalizeEvent(buildExchangeEvent(record, validSite.pubkey) as EventTemplate, hexToBytes(state.privateKey));
+  assert((groupExchanges([recorded]) as any[])[0].cosigned === false, 'one signature is not a co-signed record');
+  const cosigned = finalizeEvent(buildExchangeEvent(record, peerPub, recorded) as EventTemplate, peer);
+  const [history] = groupExchanges([recorded, cosigned]) as any[];
+  assert(history.cosigned && history.signers.length === 2, 'the other party co-signs the same record');
+  const altered = finalizeEvent(buildExchangeEvent({ ...record, sats: 1 }, peerPub) as EventTemplate, peer);
+  assert((groupExchanges([recorded, altered]) as any[]).every(e => !e.cosigned), 'a different record does not co-sign');
+  const outsider = finalizeEvent(buildExchangeEvent(record, validSite.pubkey) as EventTemplate, generateSecretKey());
+  assert(groupExchanges([outsider]).length === 0, 'records signed outside the exchange are rejected');
+  console.log('   ✓ Completion records co-signed and grouped by content');
+
+  // Test 17: Reputation
+  console.log('\n1️⃣7️⃣ Testing reputation...');
+  const trusted = new Map([[validSite.pubkey, 0]]);
+  const good = computeReputation(peerPub, { exchanges: [history], distances: trusted }) as any;
+  assert(good.completedExchanges === 1 && good.score > 50, 'verified exchanges with trusted partners raise the score');
+  const ring = computeReputation(peerPub, { exchanges: [history], distances: new Map() }) as any;
+  assert(ring.score < good.score, 'claims from unknown keys count for less');
+  const failedRecord = { ...record, exchangeId: 'deal-2', verified: false };
+  const failedEvents = [failedRecord].map(r => finalizeEvent(buildExchangeEvent(r, validSite.pubkey) as EventTemplate, hexToBytes(state.privateKey)));
+  const bad = computeReputation(peerPub, { exchanges: groupExchanges(failedEvents), distances: trusted, responseTimes: [86400 * 4] }) as any;
+  assert(bad.disputedExchanges === 1 && bad.score < 50 && bad.avgResponseTime === 96, 'disputes and slow replies lower the score');
+  checkEvent(finalizeEvent(buildReputationEvent(good) as EventTemplate, hexToBytes(state.privateKey)), 'reputation');
+  const sybilEvents = Array.from({ length: 40 }, (_, i) => {
+    const fake = generateSecretKey();
+    const fakeRecord = { ...record, exchangeId: `sybil-${i}`, parties: { a: peerPub, b: getPublicKey(fake) } };
+    const claimed = finalizeEvent(buildExchangeEvent(fakeRecord, peerPub) as EventTemplate, peer);
+    return i % 2 ? [claimed] : [claimed, finalizeEvent(buildExchangeEvent(fakeRecord, fakeRecord.parties.b, claimed) as EventTemplate, fake)];
+  }).flat();
+  const sybilSummaries = Array.from({ length: 40 }, () => ({ author: getPublicKey(generateSecretKey()), score: 100 }));
+  const sybil = computeReputation(peerPub, { exchanges: groupExchanges(sybilEvents), summaries: sybilSummaries, distances: trusted }) as any;
+  assert(sybil.completedExchanges === 10 && sybil.basis.completed === 1, 'unknown keys add up to a capped weight, and self-signed records with them count for nothing');
+  assert(sybil.score <= 80, 'any number of fake partners and summaries keeps the score bounded');
+  const reputations = new Map([[peerPub, good], ['f'.repeat(64), bad]]);
+  const byReputation = findMatches(london, [{ ...croydon, pubkey: 'f'.repeat(64) }, { ...leeds, pubkey: peerPub }], { reputations, sortBy: 'reputation', minScore: 0 }) as any[];
+  assert(byReputation[0].pubkey === peerPub, 'matches sort by reputation');
+  assert(findMatches(london, [{ ...croydon, pubkey: 'f'.repeat(64) }], { reputations, minReputation: 50 }).length === 0, 'matches filter by reputation');
+  console.log('   ✓ History weighted by trust, strangers capped, published as 30102, used by findMatches');
+
+  // Test 18: Disputes
+  console.log('\n1️⃣8️⃣ Testing disputes...');
+  const arbiterKey = generateSecretKey();
+  const arbiterPub = getPublicKey(arbiterKey);
+  const agree = (key: Uint8Array) => finalizeEvent({ kind: KINDS.ARBITER_AGREEMENT, created_at: Math.floor(Date.now() / 1000), tags: [['d', 'dispute-1'], ['p', arbiterPub]], content: '' }, key);
+  const ruling = { disputeId: 'dispute-1', regarding: 'deal-1', claimant: validSite.pubkey, respondent: peerPub, arbiter: arbiterPub, outcome: 'claimant', agreements: [agree(hexToBytes(state.privateKey)), agree(peer)], resolvedAt: Math.floor(Date.now() / 1000) };
+  const resolution = finalizeEvent(buildResolutionEvent(ruling) as EventTemplate, arbiterKey);
+  assert(readResolutions([resolution]).length === 1, 'resolution with both agreements is accepted');
+  const oneSided = finalizeEvent(buildResolutionEvent({ ...ruling, agreements: [ruling.agreements[0]] }) as EventTemplate, arbiterKey);
+  assert(readResolutions([oneSided]).length === 0, 'resolution without the respondent\'s agreement is rejected');
+  const forged = finalizeEvent(buildResolutionEvent(ruling) as EventTemplate, peer);
+  assert(readResolutions([forged]).length === 0, 'only the agreed arbiter can sign a resolution');
+  const lost = computeReputation(peerPub, { exchanges: [history], resolutions: readResolutions([resolution]), distances: trusted }) as any;
+  assert(lost.disputedExchanges === 1 && lost.score < good.score, 'lost disputes lower the respondent\'s reputation');
+  const preimage = 'ab'.repeat(32);
+  const paymentHash = createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+  const bundle = await bundleEvidence({ payments: [{ paymentHash, preimage }, { paymentHash, preimage: 'cd'.repeat(32) }] }, {}) as any;
+  assert(bundle.payments[0].proven && !bundle.payments[1].proven, 'payment proofs are checked against the hash');
+  // The claimant (us) sent dispute-open to the peer and, naming them, to the arbiter
+  const claimantPub = validSite.pubkey;
+  const disputeMsg = (from: string, to: string, fields: any, at: number) => ({ ...fields, disputeId: 'dispute-1', fromHex: from, toHex: to, timestamp: at, sentAt: `t${at}`, date: new Date(at * 1000).toISOString() });
+  const openMsg = { type: 'dispute-open', regarding: 'deal-1', reason: 'Link removed', arbiter: arbiterPub, agreement: ruling.agreements[0], evidence: { notes: 'gone' } };
+  const disputeDMs = [
+    disputeMsg(claimantPub, peerPub, openMsg, 100), disputeMsg(claimantPub, arbiterPub, { ...openMsg, respondent: peerPub }, 100),
+    disputeMsg(peerPub, claimantPub, { type: 'evidence', agreement: ruling.agreements[1], evidence: { notes: 'still there' } }, 200),
+    disputeMsg(getPublicKey(generateSecretKey()), claimantPub, { type: 'evidence', evidence: { notes: 'planted' } }, 250),
+    disputeMsg(peerPub, claimantPub, { type: 'resolution', outcome: 'respondent' }, 300),
+    disputeMsg(arbiterPub, claimantPub, { type: 'resolution', outcome: 'claimant' }, 400)
+  ];
+  const asClaimant = assembleDispute('dispute-1', disputeDMs, claimantPub) as any;
+  assert(asClaimant.claimant === claimantPub && asClaimant.respondent === peerPub && asClaimant.agreements.length === 2, 'the claimant sees the dispute they opened');
+  assert(asClaimant.evidence.length === 2 && asClaimant.evidence.every((e: any) => e.notes !== 'planted'), 'evidence counts once, and only from the parties');
+  assert(asClaimant.resolution.outcome === 'claimant', 'only the arbiter can resolve');
+  const asRespondent = assembleDispute('dispute-1', disputeDMs.filter(m => m.toHex !== arbiterPub), peerPub) as any;
+  assert(asRespondent.claimant === claimantPub && asRespondent.respondent === peerPub && asRespondent.resolution.outcome === 'claimant', 'the respondent sees the same dispute');
+  console.log('   ✓ Resolutions need both agreements and the arbiter\'s signature, and count in reputation');
+
+  // Test 19: Link rings
+  console.log('\n1️⃣9️⃣ Testing link rings...');
+  const ringSites = [
+    { ...london, canOffer: ['blog'], pubkey: 'a'.repeat(64) },
+    { ...croydon, industry: 'roofing', canOffer: ['footer'], pubkey: 'b'.repeat(64) },
+    { ...leeds, industry: 'electrical', canOffer: ['partners-page'], pubkey: 'c'.repeat(64) },
+    { ...london, url: 'https://rival.example', canOffer: ['blog'], pubkey: 'd'.repeat(64) },
+    { ...leeds, url: 'https://sister.example', industry: 'roofing', canOffer: ['blog'], pubkey: 'a'.repeat(64) },
+  ];
+  const rings = findCycles(ringSites, { pubkey: 'a'.repeat(64) }) as any[];
+  assert(rings.length > 0 && rings.every(r => r.legs.length === 3 && r.legs.every((leg: any, i: number) => leg.to === r.legs[(i + 1) % 3].from)), 'rings of three close on themselves');
+  assert(rings.every(r => !r.sites.includes('https://rival.example') || !r.sites.includes(london.url)), 'competitors never share a ring');
+  assert(rings.every(r => new Set(r.legs.map((leg: any) => leg.fromPubkey)).size === 3), 'each owner has one site per ring');
+  assert(rings.every(r => !r.legs.some((leg: any) => r.legs.some((other: any) => other.from === leg.to && other.to === leg.from))), 'no leg is reciprocated');
+  const [bestRing] = rings;
+  let ringRecord: any = { cycleId: 'cycle-1', participants: bestRing.legs.map((l: any) => l.fromPubkey), accepted: ['a'.repeat(64)], declined: {}, legs: bestRing.legs.map((l: any) => ({ ...l, state: 'pending' })) };
+  for (const pk of ringRecord.participants) ringRecord = applyCycleMessage(ringRecord, { type: 'cycle-accept', cycleId: 'cycle-1', fromHex: pk, timestamp: 1 });
+  assert(ringRecord.status === 'active', 'a ring goes active once every owner accepts');
+  bestRing.legs.forEach((leg: any, i: number) => {
+    ringRecord = applyCycleMessage(ringRecord, { type: 'leg-placed', leg: i, liveUrl: `${leg.from}/links`, fromHex: leg.fromPubkey, timestamp: 2 });
+    ringRecord = applyCycleMessage(ringRecord, { type: 'leg-verified', leg: i, confirmed: true, fromHex: leg.fromPubkey, timestamp: 3 });
+  });
+  assert(ringRecord.legs.every((leg: any) => leg.state === 'placed'), 'only the linked-to owner can verify a leg');
+  bestRing.legs.forEach((leg: any, i: number) => {
+    ringRecord = applyCycleMessage(ringRecord, { type: 'leg-verified', leg: i, confirmed: true, fromHex: leg.toPubkey, timestamp: 3 });
+  });
+  assert(cycleStatus(ringRecord) === 'complete', 'the ring completes when every leg is verified');
+  console.log(`   ✓ ${rings.length} ring(s) without reciprocal or competing links, tracked leg by leg`);
+
+  // Test 20: Link footprint
+  console.log('\n2️⃣0️⃣ Testing link footprint...');
+  const now = Math.floor(Date.now() / 1000);
+  const seen = (page: string, target: string, anchor: string, daysAgo: number) =>
+    ({ page, target, anchor, dofollow: true, checkedAt: new Date((now - daysAgo * 86400) * 1000).toISOString() });
+  const graph = buildLinkGraph({
+    links: [
+      seen('https://roof.example/partners', 'acmeplumbing.com', 'plumber san diego', 5),
+      seen('https://hvac.example/links', 'acmeplumbing.com', 'plumber san diego', 10),
+      seen('https://sparky.example/friends', 'acmeplumbing.com', 'Acme Plumbing', 50),
+      seen('https://sparky.example/friends', 'acmeplumbing.com', 'Acme Plumbing', 2),
+      seen('https://acmeplumbing.com/partners', 'roof.example', 'roofing', 5),
+    ],
+    exchanges: [history],
+  }) as any[];
+  assert(graph.filter(e => e.page === 'https://sparky.example/friends').length === 1, 'a link seen twice counts once');
+  assert(anchorType('Acme Plumbing', 'https://acmeplumbing.com') === 'brand' && anchorType('click here', 'acmeplumbing.com') === 'generic', 'anchors are classified');
+  const footprint = analyzeFootprint(graph, ['https://acmeplumbing.com'], { now }) as any;
+  const [acme] = footprint.sites;
+  assert(acme.inbound === 4 && acme.reciprocalRatio === 0.5, 'reciprocal ratio counts linking sites we link back to');
+  assert(acme.anchors.topAnchor === 'plumber san diego' && acme.velocity.last30Days === 3 && acme.velocity.previous30Days === 1, 'anchor mix and velocity are reported');
+  assert(['reciprocal', 'anchor-text'].every(c => footprint.warnings.some((w: any) => w.check === c)), 'over-optimization is flagged');
+  const mesh = ['w', 'x', 'y', 'z'].flatMap(a => ['w', 'x', 'y', 'z'].filter(b => b > a).map(b => seen(`https://${a}.example/`, `${b}.example`, a, 40)));
+  const meshReport = analyzeFootprint(buildLinkGraph({ links: mesh }), ['https://w.example'], { now }) as any;
+  assert(meshReport.clusters[0]?.density === 1 && meshReport.warnings.some((w: any) => w.check === 'cluster'), 'dense clusters look like a link network');
+  const linkBack = checkFootprint(graph, ['https://acmeplumbing.com'], [{ from: 'https://acmeplumbing.com', to: 'https://hvac.example' }], { now }) as any;
+  assert(!linkBack.ok && linkBack.warnings[0].check === 'reciprocal', 'a deal that raises the reciprocal ratio is warned about');
+  const lenient = checkFootprint(graph, ['https://acmeplumbing.com'], [{ from: 'https://acmeplumbing.com', to: 'https://hvac.example' }], { now, thresholds: { reciprocalRatio: 0.9 } }) as any;
+  assert(lenient.ok, 'thresholds are configurable');
+  console.log('   ✓ Reciprocal ratio, anchors, velocity and clusters, checked before deals');
+
+  // Test 21: NIP-17 gift-wrapped DMs
+  console.log('\n2️⃣1️⃣ Testing NIP-17 DMs...');
+  const alice = new LocalSigner(hexToBytes(state.privateKey));
+  const bob = new LocalSigner(peer);
+  const inquiry = MessageTypes.inquiry('bid-1', 'Interested');
+  const wrap = await buildGiftWrap(alice, peerPub, inquiry) as any;
+  assert(wrap.kind === KINDS.GIFT_WRAP && wrap.pubkey !== validSite.pubkey && wrap.tags[0][1] === peerPub, 'wraps hide the sender behind a one-time key');
+  const opened = await unwrapDM(bob, wrap) as any;
+  assert(opened.fromHex === validSite.pubkey && opened.protocol === 'nip17' && opened.regarding === 'bid-1', 'the recipient unwraps sender and message');
+  const eavesdropper = new LocalSigner(generateSecretKey());
+  assert(await unwrapDM(eavesdropper, wrap).then(() => false, () => true), 'nobody else can open a wrap');
+  const ownCopy = await unwrapDM(alice, await buildGiftWrap(alice, peerPub, inquiry, validSite.pubkey)) as any;
+  assert(ownCopy.fromHex === validSite.pubkey && ownCopy.toHex === peerPub, 'our own copy records who it went to');
+  // A seal signed by bob can't carry a rumor claiming to be from alice
+  const forgedRumor = { kind: KINDS.PRIVATE_DM, created_at: now, tags: [['p', peerPub]], content: JSON.stringify(inquiry), pubkey: validSite.pubkey };
+  const forgedSeal = finalizeEvent({ kind: KINDS.SEAL, created_at: now, tags: [], content: await bob.nip44Encrypt(peerPub, JSON.stringify({ ...forgedRumor, id: 'x' })) }, peer);
+  const forgedWrapKey = generateSecretKey();
+  const { nip44 } = await import('nostr-tools');
+  const forgedWrap = finalizeEvent({ kind: KINDS.GIFT_WRAP, created_at: now, tags: [['p', peerPub]], content: nip44.encrypt(JSON.stringify(forgedSeal), nip44.getConversationKey(forgedWrapKey, peerPub)) }, forgedWrapKey);
+  assert(await unwrapDM(bob, forgedWrap).then(() => false, () => true), 'a rumor must come from its seal\'s signer');
+  const nip04Message = await decryptDM(bob, await buildDMEvent(alice, peerPub, inquiry)) as any;
+  assert(nip04Message.protocol === 'nip04' && nip04Message.fromHex === validSite.pubkey, 'NIP-04 DMs still read');
+  console.log('   ✓ Gift wraps open only for the recipient, with NIP-04 fallback');
+
+  // Test 22: Deal threads
+  console.log('\n2️⃣2️⃣ Testing deal threads...');
+  const spoofed = await decryptDM(bob, await buildDMEvent(alice, peerPub, { ...inquiry, fromHex: peerPub })) as any;
+  assert(spoofed.fromHex === validSite.pubkey && typeof spoofed.timestamp === 'number' && spoofed.sentAt === inquiry.timestamp, 'the envelope wins over the payload');
+  const me = validSite.pubkey;
+  let clock = now;
+  const dealMsg = (message: any, fromHex: string) => ({ ...message, fromHex, toHex: fromHex === me ? peerPub : me, timestamp: clock++, sentAt: `${clock}`, id: `m${clock}` });
+  const thread = [
+    dealMsg(MessageTypes.inquiry('bid-1', 'Interested', 'deal-a'), me),
+    dealMsg(MessageTypes.inquiry('bid-2', 'Also this one', 'deal-b'), me),
+    dealMsg(MessageTypes.paid('00', { url: 'https://x.example' }, 'deal-a'), me),
+    dealMsg(MessageTypes.accept('lnbc1', 'deal-a'), me),
+    dealMsg(MessageTypes.counter(4000, 'net 7', 'deal-b'), peerPub),
+    dealMsg(MessageTypes.accept('lnbc2', 'deal-a'), peerPub),
+    dealMsg(MessageTypes.placed('https://partner.example/links', '', 'deal-a'), peerPub),
+    dealMsg(MessageTypes.verified(true, 'ok', 'deal-a'), me),
+    dealMsg(MessageTypes.paid('11', { url: 'https://x.example' }, 'deal-a'), me),
+    { type: 'inquiry', regarding: 'bid-3', fromHex: peerPub, toHex: me, timestamp: clock++, id: 'legacy' }
+  ];
+  const threads = buildDeals([...thread].reverse().concat(thread[0]), me) as any;
+  assert(Object.keys(threads).length === 2, 'parallel negotiations with one partner stay apart; untagged DMs are left out');
+  const dealA = threads['deal-a'];
+  assert(dealA.state === 'complete' && dealA.seller === peerPub && dealA.partner === peerPub && dealA.thread.length === 7, 'a pay-on-verification deal replays to complete, in time order, counted once');
+  assert(dealA.thread[1].rejected?.includes("can't follow inquiry") && dealA.thread[2].rejected?.includes('offeree'), 'paid before accept and accepting your own offer are rejected');
+  assert(threads['deal-b'].state === 'countered' && threads['deal-b'].sats === 4000, 'each deal keeps its own state and terms');
+  assert(checkTransition(threads['deal-b'], { type: 'placed', fromHex: me }) !== null, 'placed needs an accepted deal');
+  assert(checkTransition(newDeal('deal-c', [me, peerPub], me), { type: 'inquiry', fromHex: 'f'.repeat(64) }) === 'sender is not a party to the deal', 'outsiders can\'t join a deal');
+  const freshDeal = applyDealMessage(newDeal('deal-fresh', [me, peerPub], me), dealMsg(MessageTypes.inquiry('bid-1', 'Hi', 'deal-fresh'), me));
+  const dealer = new ABN({ privateKey: state.privateKey }) as any;
+  const spent: string[] = [];
+  let dealThread = freshDeal;
+  Object.assign(dealer, {
+    inquireAboutBid: async () => ({ deal: freshDeal }),
+    getDealThread: async () => dealThread,
+    payInvoice: async (bolt11: string) => { spent.push(bolt11); return { preimage: '00' }; },
+    createInvoice: async () => { spent.push('invoice'); return { paymentRequest: 'lnbc1' }; },
+    confirmPayment: async () => ({})
+  });
+  const unpaid = await dealer.executeDeal({ role: 'buyer', partner: peerPub, bidId: 'bid-1', inquiry: 'Hi', invoice: 'lnbc1', dealId: 'deal-fresh' });
+  assert(spent.length === 0 && unpaid.steps.includes('payment_held') && unpaid.held.includes("can't follow inquiry"), 'executeDeal never pays before the seller accepts');
+  const uninvoiced = await dealer.executeDeal({ role: 'seller', partner: peerPub, bidId: 'bid-1', inquiry: 'Hi', sats: 5000, dealId: 'deal-fresh' });
+  assert(spent.length === 0 && uninvoiced.held.includes('offeree'), 'executeDeal never invoices its own inquiry');
+  dealThread = applyDealMessage(freshDeal, dealMsg(MessageTypes.accept('lnbc1', 'deal-fresh'), peerPub));
+  const wrongInvoice = await dealer.executeDeal({ role: 'buyer', partner: peerPub, invoice: 'lnbc2', dealId: 'deal-fresh' });
+  assert(spent.length === 0 && wrongInvoice.held.includes('invoice'), 'only the accepted invoice is paid');
+  const paidDeal = await dealer.executeDeal({ role: 'buyer', partner: peerPub, invoice: 'lnbc1', dealId: 'deal-fresh', verifyUrl: 'https://partner.example/links', targetDomain: 'acmeplumbing.com' });
+  assert(spent.join() === 'lnbc1' && paidDeal.steps.includes('payment_confirmed') && paidDeal.held.includes("can't follow accepted"), 'an accepted invoice is paid; verification waits for placed');
+  console.log('   ✓ DMs thread by deal ID and replay through the state machine; executeDeal waits for each step');
+
+  // Test 23: Link trade messages
+  console.log('\n2️⃣3️⃣ Testing link trades...');
+  const mySite = 'https://acmeplumbing.com';
+  const theirSite = 'https://partner.example';
+  const trade = [
+    dealMsg(MessageTypes.tradeProposal(mySite, theirSite, 'Swap?', 'deal-t'), me),
+    dealMsg(MessageTypes.counterTrade(theirSite + '/blog', mySite, 'Blog instead', 'deal-t'), peerPub),
+    dealMsg(MessageTypes.linkPlaced(mySite + '/partners', 'Partner', 'deal-t'), me),
+    dealMsg(MessageTypes.tradeAccept('deal-t'), me),
+    dealMsg(MessageTypes.linkPlaced(theirSite + '/links', 'Acme', 'deal-t'), peerPub),
+    dealMsg(MessageTypes.tradeVerified(true, 'ok', 'deal-t'), peerPub),
+    dealMsg(MessageTypes.linkPlaced(mySite + '/partners', 'Partner', 'deal-t'), me),
+    dealMsg(MessageTypes.tradeVerified(true, 'ok', 'deal-t'), peerPub),
+    dealMsg(MessageTypes.tradeVerified(true, 'ok', 'deal-t'), me)
+  ];
+  const tradeDeal = (buildDeals(trade, me) as any)['deal-t'];
+  assert(tradeDeal.thread[2].rejected && tradeDeal.thread[5].rejected, 'links go up after acceptance, and only a placed link can be verified');
+  assert(tradeDeal.sites[peerPub] === theirSite + '/blog' && tradeDeal.sites[me] === mySite, 'a counter-trade swaps in new sites');
+  assert(tradeDeal.state === 'complete' && tradeDeal.links[me].verified && tradeDeal.links[peerPub].verified, 'a trade completes once each side verified the other');
+  const turnedDown = (buildDeals([trade[0], dealMsg(MessageTypes.tradeReject('Not my niche', 'deal-t'), peerPub), dealMsg(MessageTypes.tradeAccept('deal-t'), peerPub)], me) as any)['deal-t'];
+  assert(turnedDown.state === 'rejected' && turnedDown.reason === 'Not my niche' && turnedDown.thread[2].rejected, 'a rejected trade stays closed');
+  assert(validatePayload('dm', { type: 'link-placed', dealId: 'deal-t' }).some((e: string) => e.includes('url is required')), 'trade messages need their fields');
+  assert(validatePayload('dm', MessageTypes.tradeProposal('not a url', theirSite, '', 'deal-t')).length > 0, 'trade sites must be urls');
+  const builders = MessageTypes as any;
+  const allTypes = Object.keys(builders).map(name => builders[name]().type);
+  assert(allTypes.length === 21 && allTypes.every(type => !describeMessage({ type }).startsWith('{')), 'every message type has a summary');
+  console.log('   ✓ Propose, counter, accept, place and verify both sides of a trade');
+
+  // Test 24: Auto-negotiator
+  console.log('\n2️⃣4️⃣ Testing the auto-negotiator...');
+  const policy = { ...DEFAULT_POLICY, floorSats: 4000, ceilingSats: 7000, industries: ['plumbing'], minDA: 20, minReputation: 40, maxRounds: 3 };
+  assert([0, 1, 2, 3, 4].map(r => priceAt(policy, r)).join() === '7000,6000,5000,4000,4000', 'sellers concede from the ceiling down to the floor');
+  assert(priceAt({ ...policy, role: 'buyer', concessionStep: 500 }, 2) === 5000, 'buyers concede up from the floor by their step');
+  const goodPartner = { sites: [{ industry: 'plumbing', state: 'CA', da: 30 }], reputation: 70 };
+  assert(checkPartner(policy, goodPartner) === null, 'a partner inside the policy qualifies');
+  assert((checkPartner(policy, { ...goodPartner, sites: [{ industry: 'dentist', da: 30 }] }) || '').includes('fit'), 'partner sites outside the industries are escalated');
+  assert((checkPartner(policy, { ...goodPartner, reputation: 20 }) || '').includes('below 40'), 'low reputation is escalated');
+  // A buyer asks, we open; they counter low twice, then meet our price
+  clock = now + 1000;
+  const haggle: any[] = [dealMsg(MessageTypes.inquiry('https://acmeplumbing.com', 'Price?', 'deal-n'), peerPub)];
+  const step = (reply: any) => {
+    const deal = (buildDeals(haggle, me) as any)['deal-n'];
+    const decision = decide(policy, deal, haggle[haggle.length - 1], goodPartner) as any;
+    if (decision.action === 'counter') haggle.push(dealMsg(MessageTypes.counter(decision.sats, 'terms', 'deal-n'), me));
+    if (reply) haggle.push(dealMsg(MessageTypes.counter(reply, 'terms', 'deal-n'), peerPub));
+    return decision;
+  };
+  const opening = step(3000);
+  assert(opening.action === 'counter' && opening.sats === 7000, 'an inquiry gets our opening price');
+  const conceded = step(6500);
+  assert(conceded.action === 'counter' && conceded.sats === 6000 && conceded.reason.includes('round 2'), 'a low counter gets one concession step, with its reasoning');
+  const accepted = step(null);
+  assert(accepted.action === 'accept' && accepted.sats === 6500, 'a counter that meets our next price is accepted');
+  const stubborn = [haggle[0], dealMsg(MessageTypes.counter(7000, '', 'deal-n'), me), dealMsg(MessageTypes.counter(6000, '', 'deal-n'), me),
+    dealMsg(MessageTypes.counter(5000, '', 'deal-n'), me), dealMsg(MessageTypes.counter(1000, '', 'deal-n'), peerPub)];
+  const gaveUp = decide(policy, (buildDeals(stubborn, me) as any)['deal-n'], stubborn[4], goodPartner) as any;
+  assert(gaveUp.action === 'escalate' && gaveUp.reason.includes('3 rounds'), 'out of rounds goes to a human');
+  assert((decide({ ...policy, ceilingSats: null }, newDeal('x', [me, peerPub], me), haggle[0], goodPartner) as any).action === 'escalate', 'an incomplete policy escalates');
+  console.log('   ✓ Policy counters, concessions, acceptance and escalation');
+
+  // Test 25: Outbox
+  console.log('\n2️⃣5️⃣ Testing the outbox...');
+  assert([1, 2, 3, 8, 20].map(backoff).join() === '30,60,120,3600,3600', 'retries back off exponentially, capped at an hour');
+  assert(isRetryable('rate-limited: slow down') && isRetryable('connection failure'), 'rate limits and outages are retried');
+  assert(!isRetryable('blocked: not on whitelist') && !isRetryable('invalid: bad signature'), "policy refusals aren't");
+  assert(entryStatus({ relays: { 'wss://a': { ok: false, message: 'blocked: no' } }, attempts: 1 }) === 'failed', 'an event every relay refused for good has failed');
+  assert(entryStatus({ relays: { 'wss://a': { ok: false, message: 'rate-limited:' }, 'wss://b': { ok: true } }, attempts: 1 }) === 'delivered', 'one relay taking it delivers it');
+  const downRelay = 'ws://127.0.0.1:1';
+  const outgoing = finalizeEvent({ kind: 1, created_at: Math.floor(Date.now() / 1000), tags: [], content: 'outbox test' }, hexToBytes(state.privateKey));
+  const outboxCtx = createContext({ privateKey: state.privateKey });
+  const queued = await queueEvent(outgoing, outboxCtx, [downRelay], { label: 'test DM', to: peerPub, ackId: 'ack-test' }) as any;
+  assert(queued.status === 'pending' && queued.attempts === 1 && queued.relays[downRelay].ok === false && queued.relays[downRelay].message, 'an event no relay took is queued with each relay\'s response');
+  assert(queued.nextAttemptAt >= Math.floor(Date.now() / 1000) + 29, 'the retry waits out its backoff');
+  assert((await flushOutbox(outboxCtx)).length === 0, 'nothing is retried early');
+  assert(applyAcks([{ type: 'ack', ackId: 'ack-test', fromHex: me, timestamp: 1 }]).length === 0, 'an ack only counts from the recipient');
+  assert((deliveryReport(outgoing.id) as any).ack.receivedAt === null, 'the report waits for the ack');
+  applyAcks([{ type: 'ack', ackId: 'ack-test', fromHex: peerPub, timestamp: 1234 }]);
+  assert((deliveryReport(outgoing.id) as any).ack.receivedAt === 1234, "the recipient's ack is recorded");
+  assert(validatePayload('dm', MessageTypes.ack('ack-test')).length === 0 && validatePayload('dm', { type: 'ack' }).length === 1, 'acks carry the ID they answer');
+  const withdrawn = await deleteListing('LINK_BID', 'bid-gone', createContext({ privateKey: state.privateKey, relays: [downRelay] })) as any;
+  assert(withdrawn.event.kind === KINDS.DELETION && withdrawn.delivery.status === 'pending' && deliveryReport(withdrawn.event.id) !== null, 'a deletion no relay took is queued, not reported done');
+  console.log('   ✓ Queued, backed off, reported per relay and acked');
+
+  // Test 26: Keystore
+  console.log('\n2️⃣6️⃣ Testing the keystore...');
+  const { nip19: keyNip19 } = await import('nostr-tools');
+  const legacyKey = generateSecretKey();
+  mkdirSync(dirname(KEYSTORE_PATH), { recursive: true });
+  writeFileSync(KEYSTORE_PATH, JSON.stringify({ nsec: keyNip19.nsecEncode(legacyKey) }));
+  const clobbered = await Promise.resolve().then(() => saveKey(generateSecretKey(), 'pw')).catch(err => err.message);
+  assert(String(clobbered).includes('already holds the key') && (readKeystore() as any).nsec, "a plaintext keystore isn't replaced by a new key");
+  saveKey(generateSecretKey(), 'pw', { replace: true });
+  assert(!(readKeystore() as any).nsec, 'replace: true swaps the key out');
+  writeFileSync(KEYSTORE_PATH, JSON.stringify({ nsec: keyNip19.nsecEncode(legacyKey) }));
+  assert(storedNpub(readKeystore()) === keyNip19.npubEncode(getPublicKey(legacyKey)), 'a plaintext keystore still shows its key');
+  const encrypted = encryptLegacyKey('pw') as any;
+  assert(!(readKeystore() as any).nsec && encrypted.npub === keyNip19.npubEncode(getPublicKey(legacyKey)), 'a plaintext key is encrypted in place');
+  assert(Buffer.from(unlockKeystore('pw')).equals(Buffer.from(legacyKey)), 'the encrypted key unlocks to the original');
+  rmSync(KEYSTORE_PATH);
+  console.log('   ✓ Legacy plaintext keys are kept or encrypted, never silently dropped');
+
+  // Test 27: Agency clients
+  console.log('\n2️⃣7️⃣ Testing agency clients...');
+  addClient('locked-client', { passphrase: 'right' });
+  const agencyInbox = await readAllDMs({ clients: ['locked-client', 'missing-client'], passphrase: 'wrong' });
+  assert(agencyInbox.length === 0, "a client that won't unlock is reported, not fatal");
+  console.log('   ✓ Unreadable clients are skipped in the merged inbox');
+
   client.close();
 
   console.log('\n✅ All tests passed!\n');
@@ -119,6 +688,31 @@ async function test() {
   console.log('  3. Check your status: npm run dev -- status');
 }
 
+function assert(condition: boolean, what: string) {
+  if (!condition) throw new Error(`Assertion failed: ${what}`);
+}
+
+/**
+ * In-process stand-in for a relay pool: delivers published events to
+ * matching subscriptions, so bunker traffic never leaves the test.
+ */
+function memoryPool() {
+  const subs = new Set<{ filter: any; onevent: (event: any) => void }>();
+  return {
+    subscribe(_relays: string[], filter: any, params: { onevent: (event: any) => void }) {
+      const sub = { filter, onevent: params.onevent };
+      subs.add(sub);
+      return { close: () => { subs.delete(sub); } };
+    },
+    publish(_relays: string[], event: any) {
+      for (const sub of [...subs]) {
+        if (matchFilter(sub.filter, event)) setTimeout(() => sub.onevent(event), 0);
+      }
+      return [Promise.resolve('')];
+    },
+  };
+}
+
 function hexToBytes(hex: string): Uint8Array {
   const bytes = new Uint8Array(hex.length / 2);
   for (let i = 0; i < hex.length; i += 2) {
@@ -127,4 +721,7 @@ function hexToBytes(hex: string): Uint8Array {
   return bytes;
 }
 
-test().catch(console.error);
+test().catch(err => {
+  console.error(err);
+  process.exitCode = 1;
+});
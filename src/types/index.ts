@@ -1,18 +1,24 @@
 /**
  * Agent Backlink Network - Type Definitions
  * 
- * Custom Nostr Event Kinds:
+ * Custom Nostr Event Kinds (protocol v2, see src/protocol.js):
  * - 30100: Site Registration (parameterized replaceable)
  * - 30101: Exchange Complete (public record)
  * - 30102: Agent Reputation
+ * - 30103: Link Bid (parameterized replaceable)
  * - 4: Exchange Proposal/Accept (NIP-04 encrypted DM)
  */
 
+import { KINDS } from '../protocol.js';
+
 export const EVENT_KINDS = {
-  SITE_REGISTRATION: 30100,
-  EXCHANGE_COMPLETE: 30101,
-  AGENT_REPUTATION: 30102,
-  ENCRYPTED_DM: 4,
+  SITE_REGISTRATION: KINDS.SITE_REGISTRATION,
+  EXCHANGE_COMPLETE: KINDS.EXCHANGE_COMPLETE,
+  AGENT_REPUTATION: KINDS.AGENT_REPUTATION,
+  LINK_BID: KINDS.LINK_BID,
+  DISPUTE_RESOLUTION: KINDS.DISPUTE_RESOLUTION,
+  ENCRYPTED_DM: KINDS.ENCRYPTED_DM,
+  GIFT_WRAP: KINDS.GIFT_WRAP,
 } as const;
 
 export interface SiteRegistration {
@@ -24,11 +30,37 @@ export interface SiteRegistration {
     state: string;
     country: string;
     radiusMiles: number;
+    lat?: number;
+    lng?: number;
   };
   linkPages: string[];
   lookingFor: string[];
   domainAuthority?: number;
   contact?: string; // Optional contact info
+  domainVerified?: boolean; // Owner proved control of the domain
+  domainProof?: 'dns' | 'nip05' | 'meta';
+}
+
+/** Canonical bid model (bid schema v2, see normalizeBid in src/bid.js) */
+export interface LinkBid {
+  v: 2;
+  type: 'seeking' | 'offering';
+  industry: string;
+  site: string; // seeking: the site to link to; offering: the site the link goes on
+  da?: number; // offering: the site's DA
+  price: {
+    sats: number;
+    paymentTerms: 'upfront' | 'on-placement' | 'on-verification';
+  };
+  placement: string[]; // empty = any
+  linkType: 'dofollow' | 'nofollow' | 'sponsored' | 'any';
+  minDA?: number; // seeking: weakest partner site accepted
+  states: string[]; // partner sites must be in one of these (empty = any)
+  industries: string[]; // partner sites must be in one of these (empty = any)
+  maxLinks: number; // slots
+  noCompetitors: boolean;
+  expiryDays?: number;
+  message?: string;
 }
 
 export interface ExchangeProposal {
@@ -55,18 +87,27 @@ export interface ExchangeReject {
   reason?: string;
 }
 
-export interface ExchangeComplete {
-  proposalId: string;
-  siteA: {
-    url: string;
-    linkPage: string;
-    linkUrl: string; // Full URL of the page with link
-  };
-  siteB: {
-    url: string;
-    linkPage: string;
-    linkUrl: string;
+/** One side of an exchange: a site and the page carrying its link */
+export interface ExchangeSide {
+  url: string;
+  linkUrl?: string; // Full URL of the page with the link to this site
+  linkPage?: string; // Page on this site the link points at
+  verification?: {
+    verified: boolean;
+    checkedAt?: string;
+    message?: string;
+    dofollow?: boolean;
+    anchor?: string;
   };
+}
+
+/** Kind 30101 content, see src/exchanges.js */
+export interface ExchangeComplete {
+  exchangeId: string;
+  parties: { a: string; b: string }; // Hex pubkeys; a published first
+  siteA: ExchangeSide;
+  siteB: ExchangeSide;
+  sats?: number;
   completedAt: number; // Unix timestamp
   verified: boolean;
 }
@@ -78,6 +119,7 @@ export interface AgentReputation {
   disputedExchanges: number;
   avgResponseTime: number; // hours
   score: number; // 0-100
+  computedAt?: number; // Unix timestamp
 }
 
 export interface LocalState {
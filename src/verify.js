@@ -5,16 +5,33 @@
 
 import https from 'https';
 import http from 'http';
+import { createContext } from './config.js';
+
+const MAX_REDIRECTS = 5;
+const MAX_BODY_BYTES = 2 * 1024 * 1024; // longer pages are cut off here
 
 /**
  * Fetch a URL and return HTML content
+ * Follows up to MAX_REDIRECTS redirects and reads at most maxBytes of the body.
  * @param {string} url - URL to fetch
+ * @param {object} options - { timeout, headers, maxBytes, allowHost }
+ *   allowHost: async host => boolean, asked for the URL and every redirect
+ * @param {number} redirects - Redirects followed so far
  * @returns {Promise<string>} - HTML content
  */
-async function fetchPage(url, options = {}) {
+async function fetchPage(url, options = {}, redirects = 0) {
+  const { protocol: scheme, hostname } = new URL(url);
+  if (scheme !== 'https:' && scheme !== 'http:') {
+    throw new Error(`Refusing to fetch ${scheme} URLs`);
+  }
+  if (options.allowHost && !await options.allowHost(hostname)) {
+    throw new Error(`Refusing to fetch from ${hostname}: not a public host`);
+  }
+
   return new Promise((resolve, reject) => {
-    const protocol = url.startsWith('https') ? https : http;
+    const protocol = scheme === 'https:' ? https : http;
     const timeout = options.timeout || 10000;
+    const maxBytes = options.maxBytes || MAX_BODY_BYTES;
     
     const req = protocol.get(url, {
       headers: {
@@ -26,20 +43,32 @@ async function fetchPage(url, options = {}) {
     }, (res) => {
       // Handle redirects
       if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        const redirectUrl = res.headers.location.startsWith('http') 
-          ? res.headers.location 
-          : new URL(res.headers.location, url).href;
-        return fetchPage(redirectUrl, options).then(resolve).catch(reject);
+        res.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          reject(new Error(`Too many redirects (more than ${MAX_REDIRECTS})`));
+          return;
+        }
+        const redirectUrl = new URL(res.headers.location, url).href;
+        return fetchPage(redirectUrl, options, redirects + 1).then(resolve).catch(reject);
       }
       
       if (res.statusCode !== 200) {
+        res.resume();
         reject(new Error(`HTTP ${res.statusCode}`));
         return;
       }
       
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => resolve(data));
+      const chunks = [];
+      let bytes = 0;
+      res.on('data', chunk => {
+        chunks.push(chunk);
+        bytes += chunk.length;
+        if (bytes >= maxBytes) {
+          res.destroy();
+          resolve(Buffer.concat(chunks).subarray(0, maxBytes).toString());
+        }
+      });
+      res.on('end', () => resolve(Buffer.concat(chunks).toString()));
     });
     
     req.on('error', reject);
@@ -81,11 +110,12 @@ function extractLinks(html) {
  * @param {string} pageUrl - URL of page to check
  * @param {string} targetDomain - Domain to look for in links
  * @param {object} options - { anchor, dofollow, exactUrl }
+ * @param {object} ctx - Context from createContext() (uses ctx.http)
  * @returns {Promise<object>} - Verification result
  */
-async function verifyBacklink(pageUrl, targetDomain, options = {}) {
+async function verifyBacklink(pageUrl, targetDomain, options = {}, ctx = createContext()) {
   try {
-    const html = await fetchPage(pageUrl);
+    const html = await fetchPage(pageUrl, ctx.http);
     const links = extractLinks(html);
     
     // Find links pointing to target domain
@@ -173,12 +203,13 @@ async function verifyBacklink(pageUrl, targetDomain, options = {}) {
 /**
  * Batch verify multiple backlinks
  * @param {array} checks - Array of { pageUrl, targetDomain, options }
+ * @param {object} ctx - Context from createContext()
  * @returns {Promise<array>} - Array of verification results
  */
-async function batchVerify(checks) {
+async function batchVerify(checks, ctx = createContext()) {
   const results = [];
   for (const check of checks) {
-    const result = await verifyBacklink(check.pageUrl, check.targetDomain, check.options);
+    const result = await verifyBacklink(check.pageUrl, check.targetDomain, check.options, ctx);
     results.push(result);
     await new Promise(r => setTimeout(r, 500));
   }
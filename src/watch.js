@@ -4,55 +4,126 @@
 
 import { SimplePool } from 'nostr-tools/pool';
 import { nip19 } from 'nostr-tools';
-import { RELAYS, KINDS, isRelatedIndustry } from './config.js';
+import { createContext } from './config.js';
+import { KINDS, LEGACY_KINDS, BID_TAGS, latestListings, isExpired, expiresAt } from './protocol.js';
+import { dropDeleted } from './listings.js';
+import { healthyRelays } from './relays.js';
+import { matchesIndustry, normalizeIndustry, getTaxonomy } from './taxonomy.js';
+import { acceptEvent } from './schema.js';
+import { readBid, daTiers } from './bid.js';
+import { getReputations } from './reputation.js';
 
-async function watchBids(filters = {}) {
-  const pool = new SimplePool();
-  
-  const filter = {
-    kinds: [KINDS.LINK_BID],
-    '#t': ['abn-bid'],
-    since: Math.floor(Date.now() / 1000) - 86400 // Last 24 hours
-  };
-  
-  if (filters.industry) {
-    filter['#t'].push(filters.industry);
+/**
+ * Relay filters for a bid search
+ * Current bids are narrowed by their single-letter tags; version 1 bids
+ * have none, so they're fetched by label and checked by bidMatches().
+ * @param {object} filters - See bidMatches()
+ * @returns {array} - Nostr filters
+ */
+function bidFilters(filters = {}) {
+  const current = { kinds: [KINDS.LINK_BID], '#t': [filters.type || 'abn-bid'] };
+  const tag = name => `#${BID_TAGS[name]}`;
+
+  if (filters.placement) current[tag('placement')] = [filters.placement, '*'];
+  if (filters.linkType) current[tag('linkType')] = [filters.linkType, 'any'];
+  if (filters.state) current[tag('state')] = [String(filters.state).toUpperCase(), '*'];
+  if (filters.forIndustry) {
+    const id = normalizeIndustry(filters.forIndustry) || filters.forIndustry;
+    current[tag('industry')] = [id, ...getTaxonomy().ancestors(id), '*'];
   }
-  
-  if (filters.type) {
-    filter['#t'].push(filters.type);
+  // DA tiers mean different things per type, so only narrow on them with one
+  if (filters.type === 'seeking' && typeof filters.da === 'number') {
+    current[tag('daTier')] = daTiers({ type: 'offering', da: filters.da }).map(String);
+  }
+  if (filters.type === 'offering' && typeof filters.minDA === 'number') {
+    current[tag('daTier')] = daTiers({ type: 'seeking', minDA: filters.minDA }).map(String);
   }
+
+  const legacy = { kinds: [LEGACY_KINDS.LINK_BID], '#t': ['abn-bid'], '#l': ['link-bid'] };
+  return [current, legacy];
+}
+
+/**
+ * Check a canonical bid against search filters
+ * @param {object} bid - Canonical bid (from readBid())
+ * @param {object} filters - {
+ *   type, industry, related,  // the bid's own type and industry
+ *   placement, linkType,      // the bid must allow these
+ *   state, forIndustry,       // the bid must accept partner sites here / in this industry
+ *   da,                       // our DA: seeking bids whose minDA it meets
+ *   minDA,                    // offering bids on sites at least this strong
+ *   minPrice, maxPrice, paymentTerms }
+ * @returns {boolean}
+ */
+function bidMatches(bid, filters = {}) {
+  const allows = (values, value) => values.length === 0 || values.includes(value);
+
+  if (filters.type && bid.type !== filters.type) return false;
+  if (!matchesIndustry(bid.industry, filters.industry, { related: filters.related })) return false;
+  if (filters.placement && !allows(bid.placement, filters.placement)) return false;
+  if (filters.linkType && bid.linkType !== 'any' && bid.linkType !== filters.linkType) return false;
+  if (filters.state && !allows(bid.states, String(filters.state).toUpperCase())) return false;
+  if (filters.forIndustry && bid.industries.length > 0
+    && !bid.industries.some(i => matchesIndustry(filters.forIndustry, i))) return false;
+  if (typeof filters.da === 'number' && bid.type === 'seeking' && filters.da < (bid.minDA || 0)) return false;
+  if (typeof filters.minDA === 'number' && bid.type === 'offering' && !(bid.da >= filters.minDA)) return false;
+  if (filters.minPrice !== undefined && bid.price.sats < filters.minPrice) return false;
+  if (filters.maxPrice !== undefined && bid.price.sats > filters.maxPrice) return false;
+  if (filters.paymentTerms && bid.price.paymentTerms !== filters.paymentTerms) return false;
+  return true;
+}
+
+// One-line summary of a canonical bid's terms
+function describeBid(bid) {
+  const placement = bid.placement.length > 0 ? bid.placement.join('/') : 'any placement';
+  const slots = `${bid.maxLinks} link${bid.maxLinks === 1 ? '' : 's'}`;
+  return `${placement}, ${bid.linkType}, ${slots}, ${bid.price.sats} sats ${bid.price.paymentTerms}`;
+}
+
+/**
+ * Watch for new bids
+ * The industry filter is applied through the taxonomy (synonyms,
+ * sub-categories and, with `related`, related industries).
+ * @param {object} filters - See bidMatches()
+ * @param {object} ctx - Context from createContext()
+ */
+async function watchBids(filters = {}, ctx = createContext()) {
+  const pool = new SimplePool();
+  
+  const since = Math.floor(Date.now() / 1000) - 86400; // Last 24 hours
+  const relayFilters = bidFilters(filters).map(filter => ({ ...filter, since }));
   
   console.log('Watching for ABN bids...');
-  console.log('Filter:', JSON.stringify(filter, null, 2));
+  console.log('Filter:', JSON.stringify(relayFilters, null, 2));
   console.log('\nPress Ctrl+C to stop.\n');
   
-  const sub = pool.subscribeMany(RELAYS, [filter], {
+  const relays = healthyRelays(ctx.relays);
+  const sub = pool.subscribeMany(relays, relayFilters, {
     onevent(event) {
-      const bid = JSON.parse(event.content);
+      if (!acceptEvent(event, 'bid') || isExpired(event)) return;
+      const bid = readBid(event);
+      if (!bidMatches(bid, filters)) return;
       const npub = nip19.npubEncode(event.pubkey);
       
       console.log('━'.repeat(50));
       console.log(`⚡ New ${bid.type.toUpperCase()} bid`);
       console.log(`   From: ${npub.slice(0, 20)}...`);
       console.log(`   Industry: ${bid.industry}`);
+      console.log(`   ${bid.type === 'seeking' ? 'Target' : 'Site'}: ${bid.site}`);
       
       if (bid.type === 'seeking') {
-        console.log(`   Target: ${bid.targetSite}`);
-        console.log(`   Wants: DA${bid.requirements?.minDA}+ ${bid.requirements?.linkType}`);
-        console.log(`   Paying: ${bid.offer?.sats} sats`);
+        console.log(`   Wants: DA${bid.minDA || 0}+ ${describeBid(bid)}`);
       } else {
-        console.log(`   Site: ${bid.site}`);
-        console.log(`   DA: ${bid.da}`);
-        console.log(`   Placement: ${bid.placement}`);
-        console.log(`   Price: ${bid.price?.sats} sats`);
+        console.log(`   DA: ${bid.da ?? '?'}`);
+        console.log(`   Offers: ${describeBid(bid)}`);
+      }
+      if (bid.states.length > 0) {
+        console.log(`   States: ${bid.states.join(', ')}`);
       }
       
-      // Check expiry
-      const expiryTag = event.tags.find(t => t[0] === 'expiry');
-      if (expiryTag) {
-        const expiry = new Date(parseInt(expiryTag[1]) * 1000);
-        console.log(`   Expires: ${expiry.toLocaleDateString()}`);
+      const expiry = expiresAt(event);
+      if (expiry) {
+        console.log(`   Expires: ${new Date(expiry * 1000).toLocaleDateString()}`);
       }
       
       console.log(`   Event: ${event.id.slice(0, 16)}...`);
@@ -67,55 +138,63 @@ async function watchBids(filters = {}) {
   process.on('SIGINT', () => {
     console.log('\nStopping...');
     sub.close();
-    pool.close(RELAYS);
+    pool.close(relays);
     process.exit(0);
   });
 }
 
-// Also query existing bids
-async function queryBids(filters = {}) {
+/**
+ * Query existing bids
+ * With minReputation or sortBy: 'reputation', bid authors' reputations
+ * are computed (see reputation.js) to filter and order the results.
+ * @param {object} filters - See bidMatches(), plus { minReputation, sortBy: 'reputation' }
+ * @param {object} ctx - Context from createContext()
+ * @returns {Promise<array>} - Active bid events
+ */
+async function queryBids(filters = {}, ctx = createContext()) {
   const pool = new SimplePool();
   
-  const filter = {
-    kinds: [KINDS.LINK_BID],
-    '#t': ['abn-bid'],
-    '#l': ['link-bid']
-  };
-  
-  if (filters.industry) {
-    filter['#t'].push(filters.industry);
-  }
-  
   console.log('Querying existing bids...\n');
   
-  const events = await pool.querySync(RELAYS, filter);
+  const relays = healthyRelays(ctx.relays);
+  const results = await Promise.all(bidFilters(filters).map(filter => pool.querySync(relays, filter)));
+  const events = await dropDeleted(results.flat(), pool, relays);
   const now = Math.floor(Date.now() / 1000);
   
-  // Filter out expired bids
-  const activeBids = events.filter(e => {
-    const expiryTag = e.tags.find(t => t[0] === 'expiry');
-    if (!expiryTag) return true;
-    return parseInt(expiryTag[1]) > now;
+  // Drop invalid (quarantined), expired and cancelled bids, and ones outside the filters
+  let activeBids = latestListings(events).filter(e => {
+    if (!acceptEvent(e, 'bid') || isExpired(e, now)) return false;
+    return bidMatches(readBid(e), filters);
   });
   
+  let reputations = null;
+  if (filters.minReputation !== undefined || filters.sortBy === 'reputation') {
+    reputations = await getReputations(activeBids.map(e => e.pubkey), ctx);
+    const scoreOf = e => reputations.get(e.pubkey)?.score ?? 0;
+    activeBids = activeBids.filter(e => filters.minReputation === undefined || scoreOf(e) >= filters.minReputation);
+    if (filters.sortBy === 'reputation') {
+      activeBids.sort((a, b) => scoreOf(b) - scoreOf(a));
+    }
+  }
+  
   console.log(`Found ${activeBids.length} active bids:\n`);
   
   for (const event of activeBids) {
-    const bid = JSON.parse(event.content);
+    const bid = readBid(event);
     const npub = nip19.npubEncode(event.pubkey);
     
     if (bid.type === 'seeking') {
-      console.log(`🔍 SEEKING: ${bid.industry} links for ${bid.targetSite}`);
-      console.log(`   Wants DA${bid.requirements?.minDA}+, paying ${bid.offer?.sats} sats`);
+      console.log(`🔍 SEEKING: ${bid.industry} links for ${bid.site}`);
+      console.log(`   Wants DA${bid.minDA || 0}+: ${describeBid(bid)}`);
     } else {
-      console.log(`📢 OFFERING: ${bid.linkType} on ${bid.site} (DA${bid.da})`);
-      console.log(`   ${bid.placement} placement, ${bid.price?.sats} sats`);
+      console.log(`📢 OFFERING: ${bid.site} (DA${bid.da ?? '?'})`);
+      console.log(`   ${describeBid(bid)}`);
     }
-    console.log(`   Contact: ${npub.slice(0, 30)}...`);
+    console.log(`   Contact: ${npub.slice(0, 30)}...${reputations ? ` (reputation ${reputations.get(event.pubkey)?.score})` : ''}`);
     console.log('');
   }
   
-  pool.close(RELAYS);
+  pool.close(relays);
   return activeBids;
 }
 
@@ -130,4 +209,4 @@ if (isMainModule) {
   });
 }
 
-export { watchBids, queryBids };
+export { watchBids, queryBids, bidFilters, bidMatches };